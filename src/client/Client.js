@@ -6,14 +6,20 @@
 
 const EventEmitter = require('events');
 const WebSocket = require('ws');
-const axios = require('axios');
 const Constants = require('../util/Constants');
-const User = require('../structures/User');
-const Guild = require('../structures/Guild');
-const Channel = require('../structures/Channel');
 const Message = require('../structures/Message');
 const Util = require('../util/Util');
+const Collection = require('../util/Collection');
 const RESTManager = require('../rest/RESTManager');
+const ChannelManager = require('../managers/ChannelManager');
+const GuildManager = require('../managers/GuildManager');
+const UserManager = require('../managers/UserManager');
+const GatewayError = require('./GatewayError');
+const HandlerRegistry = require('./HandlerRegistry');
+const ZlibInflator = require('../util/ZlibInflator');
+const ETF = require('../util/ETF');
+
+const { ConnectionStatus, FatalCloseCodes, UnresumableCloseCodes } = Constants;
 
 /**
  * The main client for interacting with the Discord API
@@ -31,27 +37,39 @@ class Client extends EventEmitter {
      * The options the client was instantiated with
      * @type {ClientOptions}
      */
-    this.options = {
+    this.options = Util.mergeObjects({
       presence: {},
+      http: {
+        api: Constants.API.ROOT,
+        version: Constants.API.VERSION,
+        cdn: Constants.API.CDN,
+      },
       ws: {
+        gateway: null,
         large_threshold: 250,
         compress: false,
+        encoding: 'json',
         properties: {
           $os: process.platform,
           $browser: 'GhostSelfBot',
           $device: 'GhostSelfBot'
         },
         version: 9,
+        reconnectDelay: 1000,
+        maxReconnectDelay: 60000,
       },
       restRequestTimeout: 15000,
       restTimeOffset: 500,
       restSweepInterval: 60000,
+      invalidRequestThreshold: 9000,
+      invalidRequestWarningFraction: 0.8,
+      rejectOnRateLimit: null,
       retryLimit: 1,
       messageCacheMaxSize: 200,
       messageCacheLifetime: 0,
       messageSweepInterval: 0,
-      ...options,
-    };
+      messageEditHistoryMaxSize: 10,
+    }, options);
     
     /**
      * The WebSocket connection
@@ -78,6 +96,12 @@ class Client extends EventEmitter {
       const CacheManager = require('../util/CacheManager');
       this.cache = new CacheManager(this.options);
     }
+
+    /**
+     * A manager for the users the client has seen, caching them
+     * @type {UserManager}
+     */
+    this.users = new UserManager(this);
     
     /**
      * API handler for the client
@@ -86,22 +110,28 @@ class Client extends EventEmitter {
     this.api = null;
     
     /**
-     * All guilds that the client is currently handling
-     * @type {Map<string, Guild>}
+     * A manager for the guilds the client is in
+     * @type {GuildManager}
      */
-    this.guilds = new Map();
+    this.guilds = new GuildManager(this);
     
     /**
-     * All channels that the client is currently handling
-     * @type {Map<string, Channel>}
+     * A manager for the channels the client can see
+     * @type {ChannelManager}
      */
-    this.channels = new Map();
+    this.channels = new ChannelManager(this);
     
     /**
      * The user that the client is logged in as
      * @type {?User}
      */
     this.user = null;
+
+    /**
+     * The relationship types of the client user, keyed by user ID
+     * @type {Collection<string, number>}
+     */
+    this.relationships = new Collection();
     
     /**
      * A manager for the client's messages
@@ -110,11 +140,79 @@ class Client extends EventEmitter {
     const MessageManager = require('../managers/MessageManager');
     this.messages = new MessageManager(this);
     
+    /**
+     * The handlers of gateway dispatch events
+     * @type {HandlerRegistry}
+     */
+    this.handlers = new HandlerRegistry(this);
+    
     /**
      * The WebSocket connection status
      * @type {boolean}
      */
     this.connected = false;
+
+    /**
+     * The current state of the gateway connection, one of {@link ConnectionStatus}
+     * @type {string}
+     */
+    this.status = ConnectionStatus.IDLE;
+
+    /**
+     * The ID of the current gateway session, used to resume it
+     * @type {?string}
+     * @private
+     */
+    this._sessionId = null;
+
+    /**
+     * The sequence number of the last dispatch received
+     * @type {?number}
+     * @private
+     */
+    this._sequence = null;
+
+    /**
+     * The gateway URL to use when resuming the current session
+     * @type {?string}
+     * @private
+     */
+    this._resumeGatewayURL = null;
+
+    /**
+     * The decompressor of the current connection when transport compression is enabled
+     * @type {?ZlibInflator}
+     * @private
+     */
+    this._inflator = null;
+
+    /**
+     * Whether the last heartbeat sent was acknowledged by the gateway
+     * @type {boolean}
+     * @private
+     */
+    this._lastHeartbeatAcked = true;
+
+    /**
+     * The number of reconnect attempts made since the last successful connection
+     * @type {number}
+     * @private
+     */
+    this._reconnectAttempts = 0;
+
+    /**
+     * The timeout of the pending reconnect attempt
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this._reconnectTimeout = null;
+
+    /**
+     * Rejects the pending login, if any, and removes its listeners
+     * @type {?Function}
+     * @private
+     */
+    this._rejectLogin = null;
     
     // Setup API
     const API = require('../rest/API');
@@ -132,40 +230,52 @@ class Client extends EventEmitter {
         throw new Error('TOKEN_INVALID');
       }
 
+      const cleanup = () => {
+        this.off('ready', onReady);
+        this.off('invalidated', onInvalidated);
+        if (this._rejectLogin === onInvalidated) this._rejectLogin = null;
+      };
+      const onReady = () => {
+        cleanup();
+        this.emit('debug', 'Logged in successfully');
+        resolve(token);
+      };
+      const onInvalidated = error => {
+        cleanup();
+        reject(error);
+      };
+
       this._token = token;
       
       // Format the token for authentication
       const formattedToken = token.startsWith('Bot ') ? token : token;
       
-      // Setup API headers
-      this._setupAPIHeaders(formattedToken);
-      
       // Initialize REST manager
       this.rest.setToken(formattedToken);
       
+      // Settle once the session is ready or the gateway refuses it
+      this.once('ready', onReady);
+      this.once('invalidated', onInvalidated);
+      this._rejectLogin = onInvalidated;
+
       // Connect to the gateway
       this._connectToGateway()
-        .then(() => {
-          this.emit('debug', 'Logged in successfully');
-          resolve(token);
-        })
         .catch(err => {
-          this.emit('error', err);
-          reject(err);
+          this._setStatus(ConnectionStatus.IDLE);
+          onInvalidated(err);
         });
     });
   }
 
   /**
-   * Setup API headers for requests
-   * @param {string} token - The formatted token
+   * Move the gateway connection to a new state
+   * @param {string} status - The new {@link ConnectionStatus}
    * @private
    */
-  _setupAPIHeaders(token) {
-    // Set up the axios default headers for all requests
-    axios.defaults.headers.common['Authorization'] = token;
-    axios.defaults.headers.common['Content-Type'] = 'application/json';
-    axios.defaults.headers.common['User-Agent'] = `GhostSelfBot (${Constants.LIBRARY_NAME}, ${Constants.VERSION})`;
+  _setStatus(status) {
+    if (this.status === status) return;
+    this.emit('debug', `Connection status changed from ${this.status} to ${status}`);
+    this.status = status;
   }
 
   /**
@@ -174,20 +284,45 @@ class Client extends EventEmitter {
    * @returns {Promise<void>}
    */
   _connectToGateway() {
+    this._setStatus(ConnectionStatus.CONNECTING);
+
     return new Promise((resolve, reject) => {
-      // Get the WebSocket gateway URL
-      axios.get(`${Constants.API.BASE}/gateway`)
-        .then(response => {
-          const gateway = response.data.url;
-          
+      // Resumable sessions must reconnect to the URL given in READY
+      let gatewayURL;
+      if (this._sessionId && this._resumeGatewayURL) {
+        gatewayURL = Promise.resolve(this._resumeGatewayURL);
+      } else if (this.options.ws.gateway) {
+        gatewayURL = Promise.resolve(this.options.ws.gateway);
+      } else {
+        gatewayURL = this.rest.get('/gateway').then(data => data.url);
+      }
+
+      gatewayURL
+        .then(gateway => {
+          // The client was destroyed while the URL was resolved
+          if (this.status === ConnectionStatus.IDLE) {
+            resolve();
+            return;
+          }
+
+          let query = `v=${Constants.GATEWAY_VERSION}&encoding=${this._encoding}`;
+
+          // Every connection starts a new zlib context
+          this._destroyInflator();
+          if (this.options.ws.compress) {
+            query += '&compress=zlib-stream';
+            this._createInflator();
+          }
+
           // Create WebSocket connection
-          this._ws = new WebSocket(`${gateway}/?v=${Constants.GATEWAY_VERSION}&encoding=json`);
+          const ws = new WebSocket(`${gateway}/?${query}`);
+          this._ws = ws;
           
-          // Handle WebSocket events
-          this._ws.on('open', this._onOpen.bind(this));
-          this._ws.on('message', this._onMessage.bind(this));
-          this._ws.on('error', this._onError.bind(this));
-          this._ws.on('close', this._onClose.bind(this));
+          // Handle WebSocket events, each bound to the socket that emits them
+          ws.on('open', this._onOpen.bind(this, ws));
+          ws.on('message', this._onMessage.bind(this, ws));
+          ws.on('error', this._onError.bind(this, ws));
+          ws.on('close', this._onClose.bind(this, ws));
           
           resolve();
         })
@@ -199,21 +334,66 @@ class Client extends EventEmitter {
 
   /**
    * When the WebSocket opens
+   * @param {WebSocket} ws - The socket that opened
    * @private
    */
-  _onOpen() {
+  _onOpen(ws) {
+    if (ws !== this._ws) return;
     this.emit('debug', 'WebSocket connection established');
   }
 
   /**
    * When a message is received on the WebSocket
-   * @param {string} data - The received data
+   * @param {WebSocket} ws - The socket that received the message
+   * @param {Buffer|string} data - The received data
+   * @private
+   */
+  _onMessage(ws, data) {
+    // Late messages of a replaced socket belong to another connection
+    if (ws !== this._ws) return;
+
+    if (this._inflator) {
+      this._inflator.push(data);
+      return;
+    }
+
+    this._onPacket(data);
+  }
+
+  /**
+   * Create the zlib context of a new connection
+   * @private
+   */
+  _createInflator() {
+    this._inflator = new ZlibInflator();
+    this._inflator.on('message', this._onPacket.bind(this));
+    this._inflator.on('error', error => {
+      // A corrupted stream can't be recovered, start a new connection
+      this.emit('debug', `Failed to inflate gateway message: ${error.message}`);
+      this._reconnect();
+    });
+  }
+
+  /**
+   * Release the zlib context of the current connection, if any
    * @private
    */
-  _onMessage(data) {
+  _destroyInflator() {
+    if (this._inflator) {
+      this._inflator.destroy();
+      this._inflator = null;
+    }
+  }
+
+  /**
+   * When a complete packet is received from the gateway
+   * @param {Buffer|string} data - The uncompressed packet
+   * @private
+   */
+  _onPacket(data) {
     let packet;
     try {
-      packet = JSON.parse(data);
+      packet = this._encoding === 'etf' ? ETF.unpack(data) : JSON.parse(data);
     } catch (err) {
       this.emit('error', new Error('WEBSOCKET_MESSAGE_PARSE_ERROR'));
       return;
@@ -223,33 +403,126 @@ class Client extends EventEmitter {
 
     switch (packet.op) {
       case Constants.OPCodes.HELLO:
-        this._heartbeatInterval = setInterval(() => {
-          this._sendHeartbeat();
-        }, packet.d.heartbeat_interval);
-        this._identify();
+        this._startHeartbeat(packet.d.heartbeat_interval);
+
+        if (this._sessionId) {
+          this._setStatus(ConnectionStatus.RESUMING);
+          this._resume();
+        } else {
+          this._setStatus(ConnectionStatus.IDENTIFYING);
+          this._identify();
+        }
+        break;
+
+      case Constants.OPCodes.HEARTBEAT:
+        // The gateway may request a heartbeat outside of the regular interval
+        this._sendHeartbeat(true);
         break;
 
       case Constants.OPCodes.HEARTBEAT_ACK:
+        this._lastHeartbeatAcked = true;
         this.ws.lastHeartbeatAck = Date.now();
         this.ws.ping = this.ws.lastHeartbeatAck - this.ws.lastHeartbeatSent;
         this.emit('debug', `Heartbeat acknowledged, ping: ${this.ws.ping}ms`);
         break;
 
+      case Constants.OPCodes.RECONNECT:
+        this.emit('debug', 'Gateway requested a reconnect');
+        this._reconnect();
+        break;
+
+      case Constants.OPCodes.INVALID_SESSION:
+        // d tells whether the session can still be resumed
+        if (packet.d) {
+          this.emit('debug', 'Session invalidated, attempting to resume');
+        } else {
+          this.emit('debug', 'Session invalidated and not resumable, identifying again');
+          this._resetSession();
+        }
+        this._reconnect();
+        break;
+
       case Constants.OPCodes.DISPATCH:
         this._handleDispatch(packet);
         break;
     }
   }
 
+  /**
+   * Send a packet to the gateway
+   * @param {Object} data - The packet to send
+   * @private
+   */
+  _send(data) {
+    if (!this._ws || this._ws.readyState !== WebSocket.OPEN) {
+      this.emit('debug', `Tried to send packet with op ${data.op} while not connected`);
+      return;
+    }
+
+    this._ws.send(this._encoding === 'etf' ? ETF.pack(data) : JSON.stringify(data));
+  }
+
+  /**
+   * The payload encoding negotiated with the gateway
+   * @type {string}
+   * @readonly
+   * @private
+   */
+  get _encoding() {
+    return this.options.ws.encoding === 'etf' ? 'etf' : 'json';
+  }
+
+  /**
+   * Start sending heartbeats at the interval given in HELLO
+   * @param {number} interval - The heartbeat interval in milliseconds
+   * @private
+   */
+  _startHeartbeat(interval) {
+    this._stopHeartbeat();
+    this._lastHeartbeatAcked = true;
+
+    // The first heartbeat is jittered so that clients don't reconnect in lockstep
+    this._heartbeatInterval = setTimeout(() => {
+      this._sendHeartbeat();
+      this._heartbeatInterval = setInterval(() => {
+        this._sendHeartbeat();
+      }, interval);
+    }, Math.floor(interval * Math.random()));
+
+    this.emit('debug', `Heartbeating every ${interval}ms`);
+  }
+
+  /**
+   * Stop sending heartbeats
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this._heartbeatInterval) {
+      // Clears both the jitter timeout and the regular interval
+      clearInterval(this._heartbeatInterval);
+      this._heartbeatInterval = null;
+    }
+  }
+
   /**
    * Send a heartbeat to the WebSocket
+   * @param {boolean} [requested=false] - Whether the gateway asked for this heartbeat
    * @private
    */
-  _sendHeartbeat() {
-    this._ws.send(JSON.stringify({
+  _sendHeartbeat(requested = false) {
+    if (!requested && !this._lastHeartbeatAcked) {
+      // No ACK since the last heartbeat: the connection is a zombie
+      this.emit('debug', 'Heartbeat was not acknowledged, terminating zombie connection');
+      this._stopHeartbeat();
+      if (this._ws) this._ws.terminate();
+      return;
+    }
+
+    this._lastHeartbeatAcked = false;
+    this._send({
       op: Constants.OPCodes.HEARTBEAT,
       d: this._sequence
-    }));
+    });
     this.ws.lastHeartbeatSent = Date.now();
     this.emit('debug', 'Heartbeat sent');
   }
@@ -273,91 +546,150 @@ class Client extends EventEmitter {
       }
     };
 
-    this._ws.send(JSON.stringify(identify));
+    this._send(identify);
     this.emit('debug', 'Identify payload sent');
   }
 
+  /**
+   * Resume the previous session with the gateway
+   * @private
+   */
+  _resume() {
+    this._send({
+      op: Constants.OPCodes.RESUME,
+      d: {
+        token: this._token,
+        session_id: this._sessionId,
+        seq: this._sequence
+      }
+    });
+    this.emit('debug', `Resume payload sent for session ${this._sessionId} at sequence ${this._sequence}`);
+  }
+
+  /**
+   * Close the current connection without ending the session so it can be resumed
+   * @private
+   */
+  _reconnect() {
+    // Any close code other than 1000/1001 keeps the session alive on Discord's side
+    if (this._ws) this._ws.close(4000);
+  }
+
+  /**
+   * Forget the current session so the next connection identifies from scratch
+   * @private
+   */
+  _resetSession() {
+    this._sessionId = null;
+    this._sequence = null;
+    this._resumeGatewayURL = null;
+  }
+
   /**
    * Handle dispatch events
    * @param {Object} packet - The packet received
    * @private
    */
   _handleDispatch(packet) {
-    const { t: event, d: data } = packet;
-    
-    switch (event) {
-      case 'READY':
-        this._sessionId = data.session_id;
-        this.user = new User(this, data.user);
-        this.connected = true;
-        
-        // Process guilds
-        data.guilds.forEach(guild => {
-          this.guilds.set(guild.id, new Guild(this, guild));
-        });
-        
-        this.emit('ready');
-        break;
-      
-      case 'MESSAGE_CREATE':
-        // Use the MessageManager to build the message instance
-        const message = this.messages._buildInstance(data);
-        
-        this.emit('message', message);
-        break;
-        
-      // Handle other events...
-      // You would need to implement handlers for all the events you want to support
-    }
+    this.handlers.handle(packet);
   }
 
   /**
    * Handle WebSocket errors
+   * @param {WebSocket} ws - The socket that errored
    * @param {Error} error - The error
    * @private
    */
-  _onError(error) {
+  _onError(ws, error) {
+    if (ws !== this._ws) {
+      this.emit('debug', `Error on a replaced WebSocket: ${error.message}`);
+      return;
+    }
     this.emit('error', error);
   }
 
   /**
    * Handle WebSocket close
+   * @param {WebSocket} ws - The socket that closed
    * @param {number} code - The close code
    * @param {string} reason - The close reason
    * @private
    */
-  _onClose(code, reason) {
+  _onClose(ws, code, reason) {
+    // A replaced socket finishing its close must not tear down the current connection
+    if (ws !== this._ws) return;
+
     this.emit('debug', `WebSocket closed with code ${code} for reason: ${reason}`);
     
     // Clean up
-    if (this._heartbeatInterval) {
-      clearInterval(this._heartbeatInterval);
-      this._heartbeatInterval = null;
-    }
+    this._stopHeartbeat();
+    this._destroyInflator();
     
     this.connected = false;
     
     // Try to reconnect based on the close code
     if (code === 1000) {
+      this._setStatus(ConnectionStatus.IDLE);
+      this.emit('shardDisconnect', { code, reason });
       this.emit('disconnect', {
         code,
         reason: 'Clean disconnect'
       });
+    } else if (this.status === ConnectionStatus.IDLE) {
+      // The client was destroyed, nothing left to do
+      return;
+    } else if (FatalCloseCodes.includes(code)) {
+      const error = new GatewayError(code, reason && reason.toString());
+      this.emit('debug', `Fatal close code ${code}, not reconnecting: ${error.message}`);
+      this._resetSession();
+      this._setStatus(ConnectionStatus.DEAD);
+      this.emit('shardDisconnect', { code, reason });
+      this.emit('invalidated', error);
     } else {
-      // Attempt to reconnect
-      setTimeout(() => {
-        this.emit('debug', 'Attempting to reconnect...');
-        this._connectToGateway().catch(err => {
-          this.emit('error', err);
-        });
-      }, 5000);
+      if (UnresumableCloseCodes.includes(code)) this._resetSession();
+      this._setStatus(ConnectionStatus.RECONNECTING);
+      this.emit('shardReconnecting', { code, reason });
+      this._scheduleReconnect();
     }
   }
 
+  /**
+   * Schedule a reconnect attempt using capped exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this._reconnectTimeout) return;
+
+    const { reconnectDelay, maxReconnectDelay } = this.options.ws;
+    const backoff = Math.min(reconnectDelay * (2 ** this._reconnectAttempts), maxReconnectDelay);
+    const delay = Math.floor(backoff / 2 + Math.random() * backoff / 2);
+    this._reconnectAttempts++;
+
+    this.emit('debug', `Reconnecting in ${delay}ms (attempt ${this._reconnectAttempts})`);
+
+    this._reconnectTimeout = setTimeout(() => {
+      this._reconnectTimeout = null;
+      this.emit('debug', 'Attempting to reconnect...');
+      this._connectToGateway().catch(err => {
+        // The client was destroyed while connecting
+        if (this.status === ConnectionStatus.IDLE) return;
+
+        // Retry before reporting, an error event without listeners throws
+        this._setStatus(ConnectionStatus.RECONNECTING);
+        this._scheduleReconnect();
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', err);
+        } else {
+          this.emit('debug', `Failed to reconnect: ${err.message}`);
+        }
+      });
+    }, delay);
+  }
+
   /**
    * Send a message to a channel
    * @param {string} channelId - The ID of the channel to send the message to
-   * @param {string|Object} content - The content of the message
+   * @param {string|Object} content - The content of the message, `files` are uploaded with it
    * @returns {Promise<Message>}
    */
   sendMessage(channelId, content) {
@@ -370,29 +702,53 @@ class Client extends EventEmitter {
       data = content;
     }
     
-    return axios.post(`${Constants.API.BASE}/channels/${channelId}/messages`, data)
-      .then(response => {
-        return new Message(this, response.data);
+    const { files, ...body } = data;
+    return this.rest.post(`/channels/${channelId}/messages`, body, { files })
+      .then(messageData => {
+        return new Message(this, messageData);
       });
   }
 
   /**
-   * Destroy the client and close all connections
+   * Destroy the client and close all connections.
+   * A login still waiting for READY is rejected with a {@link GatewayError} of code 1000.
    */
   destroy() {
-    if (this._heartbeatInterval) {
-      clearInterval(this._heartbeatInterval);
-      this._heartbeatInterval = null;
+    this._stopHeartbeat();
+
+    // A login waiting for READY would never settle
+    if (this._rejectLogin) this._rejectLogin(new GatewayError(1000, 'The client was destroyed before it was ready'));
+
+    if (this._reconnectTimeout) {
+      clearTimeout(this._reconnectTimeout);
+      this._reconnectTimeout = null;
     }
+    this._reconnectAttempts = 0;
     
+    this._setStatus(ConnectionStatus.IDLE);
+    this._destroyInflator();
+
     if (this._ws) {
-      this._ws.close(1000);
+      const ws = this._ws;
       this._ws = null;
+      // The socket no longer belongs to the client, so its clean close is reported here
+      ws.once('close', (code, reason) => {
+        if (code !== 1000) return;
+        this.emit('shardDisconnect', { code, reason });
+        this.emit('disconnect', {
+          code,
+          reason: 'Clean disconnect'
+        });
+      });
+      ws.close(1000);
     }
     
     this._token = null;
+    this.rest.setToken(null);
+    this._resetSession();
     this.connected = false;
     this.user = null;
+    this.relationships.clear();
   }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Error thrown when the gateway closes the connection with a fatal code
+ * @module GatewayError
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const { GatewayCloseCodes } = require('../util/Constants');
+
+/**
+ * Human readable descriptions of the fatal close codes
+ * @type {Object<number, string>}
+ * @private
+ */
+const messages = {
+  [GatewayCloseCodes.AUTHENTICATION_FAILED]: 'Authentication failed, the token is invalid',
+  [GatewayCloseCodes.INVALID_SHARD]: 'Invalid shard was sent when identifying',
+  [GatewayCloseCodes.SHARDING_REQUIRED]: 'The session would have handled too many guilds',
+  [GatewayCloseCodes.INVALID_API_VERSION]: 'Invalid gateway API version',
+  [GatewayCloseCodes.INVALID_INTENTS]: 'Invalid intents were sent when identifying',
+  [GatewayCloseCodes.DISALLOWED_INTENTS]: 'Disallowed intents were sent when identifying',
+};
+
+/**
+ * Represents a fatal gateway close
+ * @extends {Error}
+ */
+class GatewayError extends Error {
+  /**
+   * @param {number} code - The close code sent by the gateway
+   * @param {string} [reason] - The close reason sent by the gateway
+   */
+  constructor(code, reason) {
+    super(messages[code] || reason || `Gateway closed with code ${code}`);
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'GatewayError';
+
+    /**
+     * The close code sent by the gateway
+     * @type {number}
+     */
+    this.code = code;
+
+    /**
+     * The close reason sent by the gateway
+     * @type {string}
+     */
+    this.reason = reason || '';
+  }
+}
+
+module.exports = GatewayError;
@@ -0,0 +1,128 @@
+/**
+ * Registry of gateway dispatch handlers
+ * @module HandlerRegistry
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const defaultHandlers = require('./handlers');
+
+/**
+ * A function handling a gateway dispatch
+ * @typedef {Function} DispatchHandler
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The full dispatch packet (`op`, `t`, `s` and `d`)
+ */
+
+/**
+ * Maps gateway dispatch events to the handlers that process them
+ */
+class HandlerRegistry {
+  /**
+   * @param {Client} client - The client that instantiated this registry
+   */
+  constructor(client) {
+    /**
+     * The client that instantiated this registry
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The registered handlers, keyed by dispatch event name
+     * @type {Map<string, DispatchHandler>}
+     * @private
+     */
+    this._handlers = new Map(Object.entries(defaultHandlers));
+  }
+
+  /**
+   * Register a handler for a dispatch event, replacing any existing one
+   * @param {string} event - The dispatch event name (e.g. `THREAD_CREATE`)
+   * @param {DispatchHandler} handler - The handler to register
+   * @returns {HandlerRegistry}
+   */
+  register(event, handler) {
+    if (typeof handler !== 'function') throw new TypeError('HANDLER_NOT_FUNCTION');
+    this._handlers.set(event, handler);
+    return this;
+  }
+
+  /**
+   * Remove the handler of a dispatch event, so that it is emitted as `raw`
+   * @param {string} event - The dispatch event name
+   * @returns {boolean} Whether a handler was removed
+   */
+  unregister(event) {
+    return this._handlers.delete(event);
+  }
+
+  /**
+   * Restore the built-in handler of a dispatch event
+   * @param {string} event - The dispatch event name
+   * @returns {HandlerRegistry}
+   */
+  restore(event) {
+    if (defaultHandlers[event]) {
+      this._handlers.set(event, defaultHandlers[event]);
+    } else {
+      this._handlers.delete(event);
+    }
+    return this;
+  }
+
+  /**
+   * Get the handler of a dispatch event
+   * @param {string} event - The dispatch event name
+   * @returns {?DispatchHandler}
+   */
+  get(event) {
+    return this._handlers.get(event) || null;
+  }
+
+  /**
+   * Whether a dispatch event has a handler
+   * @param {string} event - The dispatch event name
+   * @returns {boolean}
+   */
+  has(event) {
+    return this._handlers.has(event);
+  }
+
+  /**
+   * The names of all dispatch events with a handler
+   * @type {string[]}
+   * @readonly
+   */
+  get events() {
+    return [...this._handlers.keys()];
+  }
+
+  /**
+   * Run the handler of a dispatch packet, emitting unknown events as `raw`.
+   * An error thrown by the handler is emitted as `error` with the event name, or as `debug` without an
+   * `error` listener, so that it can't escape the WebSocket callback and crash the process.
+   * @param {Object} packet - The dispatch packet
+   * @returns {boolean} Whether a handler processed the packet
+   */
+  handle(packet) {
+    const handler = this._handlers.get(packet.t);
+
+    if (!handler) {
+      this.client.emit('raw', packet);
+      return false;
+    }
+
+    try {
+      handler(this.client, packet);
+    } catch (error) {
+      if (this.client.listenerCount('error') > 0) {
+        this.client.emit('error', error, packet.t);
+      } else {
+        this.client.emit('debug', `Handler of ${packet.t} threw: ${error && error.stack ? error.stack : error}`);
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = HandlerRegistry;
@@ -0,0 +1,15 @@
+/**
+ * Handler for the CHANNEL_CREATE dispatch
+ * @module handlers/CHANNEL_CREATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Caches the channel and emits `channelCreate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const channel = client.channels.add(data);
+  client.emit('channelCreate', channel);
+};
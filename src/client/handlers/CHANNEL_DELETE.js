@@ -0,0 +1,15 @@
+/**
+ * Handler for the CHANNEL_DELETE dispatch
+ * @module handlers/CHANNEL_DELETE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the channel from the cache and emits `channelDelete`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const channel = client.channels._remove(data.id) || client.channels.add(data, false);
+  client.emit('channelDelete', channel);
+};
@@ -0,0 +1,25 @@
+/**
+ * Handler for the CHANNEL_UPDATE dispatch
+ * @module handlers/CHANNEL_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Util = require('../../util/Util');
+
+/**
+ * Patches the cached channel and emits `channelUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const existing = client.channels.cache.get(data.id);
+
+  if (!existing) {
+    client.channels.add(data);
+    return;
+  }
+
+  const oldChannel = Util.cloneObject(existing);
+  const channel = client.channels.add(data);
+  client.emit('channelUpdate', oldChannel, channel);
+};
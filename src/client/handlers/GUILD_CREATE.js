@@ -0,0 +1,23 @@
+/**
+ * Handler for the GUILD_CREATE dispatch
+ * @module handlers/GUILD_CREATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Caches the guild and emits `guildCreate`, or `guildAvailable` after an outage
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const existing = client.guilds.cache.get(data.id);
+  const wasUnavailable = Boolean(existing && existing.unavailable);
+  const guild = client.guilds.add(data);
+
+  if (wasUnavailable && !guild.unavailable) {
+    // The guild was unavailable and is now back
+    client.emit('guildAvailable', guild);
+  } else if (!existing) {
+    client.emit('guildCreate', guild);
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Handler for the GUILD_DELETE dispatch
+ * @module handlers/GUILD_DELETE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the guild from the cache and emits `guildDelete`, or `guildUnavailable` during an outage
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.id);
+  if (!guild) return;
+
+  // An outage rather than the client leaving the guild
+  if (data.unavailable) {
+    guild.unavailable = true;
+    client.emit('guildUnavailable', guild);
+    return;
+  }
+
+  client.guilds._remove(guild.id);
+  client.emit('guildDelete', guild);
+};
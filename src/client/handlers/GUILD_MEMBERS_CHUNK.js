@@ -0,0 +1,40 @@
+/**
+ * Handler for the GUILD_MEMBERS_CHUNK dispatch
+ * @module handlers/GUILD_MEMBERS_CHUNK
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const GuildMember = require('../../structures/GuildMember');
+const Collection = require('../../util/Collection');
+
+/**
+ * Caches the members of the chunk and their users, then emits `guildMembersChunk`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const members = new Collection();
+  for (const memberData of data.members) {
+    let member = guild.members.get(memberData.user.id);
+    if (member) {
+      member._patch(memberData);
+      client.users.add(memberData.user);
+    } else {
+      member = new GuildMember(client, guild, memberData);
+      guild.members.set(member.id, member);
+    }
+
+    if (client.cache) client.cache.addMember(`${guild.id}-${member.id}`, member);
+    members.set(member.id, member);
+  }
+
+  client.emit('guildMembersChunk', members, guild, {
+    index: data.chunk_index,
+    count: data.chunk_count,
+    notFound: data.not_found || [],
+    nonce: data.nonce || null,
+  });
+};
@@ -0,0 +1,33 @@
+/**
+ * Handler for the GUILD_MEMBER_UPDATE dispatch
+ * @module handlers/GUILD_MEMBER_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const GuildMember = require('../../structures/GuildMember');
+const Util = require('../../util/Util');
+
+/**
+ * Patches the cached member and emits `guildMemberUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const member = guild.members.get(data.user.id);
+  client.users.add(data.user);
+
+  if (!member) {
+    const newMember = new GuildMember(client, guild, data);
+    guild.members.set(data.user.id, newMember);
+    if (client.cache) client.cache.addMember(`${guild.id}-${data.user.id}`, newMember);
+    return;
+  }
+
+  const oldMember = Util.cloneObject(member);
+  member._patch(data);
+  if (member.user) member.user._patch(data.user);
+  client.emit('guildMemberUpdate', oldMember, member);
+};
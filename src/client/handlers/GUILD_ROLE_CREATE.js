@@ -0,0 +1,18 @@
+/**
+ * Handler for the GUILD_ROLE_CREATE dispatch
+ * @module handlers/GUILD_ROLE_CREATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Caches the role in its guild and emits `roleCreate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const role = guild.roles.add(data.role);
+  client.emit('roleCreate', role);
+};
@@ -0,0 +1,18 @@
+/**
+ * Handler for the GUILD_ROLE_DELETE dispatch
+ * @module handlers/GUILD_ROLE_DELETE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the role from its guild and its members and emits `roleDelete`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const role = guild.roles._remove(data.role_id);
+  if (role) client.emit('roleDelete', role);
+};
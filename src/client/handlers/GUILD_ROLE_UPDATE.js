@@ -0,0 +1,27 @@
+/**
+ * Handler for the GUILD_ROLE_UPDATE dispatch
+ * @module handlers/GUILD_ROLE_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Util = require('../../util/Util');
+
+/**
+ * Patches the cached role and emits `roleUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const role = guild.roles.cache.get(data.role.id);
+  if (!role) {
+    guild.roles.add(data.role);
+    return;
+  }
+
+  const oldRole = Util.cloneObject(role);
+  role._patch(data.role);
+  client.emit('roleUpdate', oldRole, role);
+};
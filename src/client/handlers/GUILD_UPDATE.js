@@ -0,0 +1,22 @@
+/**
+ * Handler for the GUILD_UPDATE dispatch
+ * @module handlers/GUILD_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Util = require('../../util/Util');
+
+/**
+ * Patches the cached guild and emits `guildUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.id);
+  if (!guild) return;
+
+  const oldGuild = Util.cloneObject(guild);
+  guild._patch(data);
+  if (client.cache) client.cache.addGuild(guild.id, guild);
+  client.emit('guildUpdate', oldGuild, guild);
+};
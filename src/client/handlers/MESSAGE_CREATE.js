@@ -0,0 +1,27 @@
+/**
+ * Handler for the MESSAGE_CREATE dispatch
+ * @module handlers/MESSAGE_CREATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const { ChannelTypes } = require('../../util/Constants');
+
+/**
+ * Builds the message and emits `message`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  // Dispatched messages always name their guild, so one without is the first of a DM the client did not know
+  if (!data.guild_id && !client.channels.cache.has(data.channel_id)) {
+    const fromRecipient = data.author && (!client.user || data.author.id !== client.user.id);
+    client.channels.add({ id: data.channel_id, type: ChannelTypes.DM, recipients: fromRecipient ? [data.author] : [] });
+  }
+
+  // Use the MessageManager to build the message instance, which caches its author
+  const message = client.messages._buildInstance(data);
+
+  if (message.channel) message.channel.lastMessageId = message.id;
+
+  client.emit('message', message);
+};
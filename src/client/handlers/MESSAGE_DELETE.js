@@ -0,0 +1,19 @@
+/**
+ * Handler for the MESSAGE_DELETE dispatch
+ * @module handlers/MESSAGE_DELETE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the message from the cache and emits `messageDelete`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.id) : null;
+  if (!message) return;
+
+  message.deleted = true;
+  client.cache.removeMessage(data.id);
+  client.emit('messageDelete', message);
+};
@@ -0,0 +1,27 @@
+/**
+ * Handler for the MESSAGE_DELETE_BULK dispatch
+ * @module handlers/MESSAGE_DELETE_BULK
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../../util/Collection');
+
+/**
+ * Removes the messages from the cache and emits `messageDeleteBulk`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const messages = new Collection();
+
+  for (const id of data.ids) {
+    const message = client.cache ? client.cache.getMessage(id) : null;
+    if (!message) continue;
+
+    message.deleted = true;
+    client.cache.removeMessage(id);
+    messages.set(id, message);
+  }
+
+  if (messages.size) client.emit('messageDeleteBulk', messages);
+};
@@ -0,0 +1,20 @@
+/**
+ * Handler for the MESSAGE_REACTION_ADD dispatch
+ * @module handlers/MESSAGE_REACTION_ADD
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Adds the reaction to the cached message and emits `messageReactionAdd`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.message_id) : null;
+  if (!message) return;
+
+  const user = client.users.add(data.member && data.member.user ? data.member.user : { id: data.user_id }, false);
+  const reaction = message._addReaction(data.emoji, user);
+
+  client.emit('messageReactionAdd', reaction, user);
+};
@@ -0,0 +1,21 @@
+/**
+ * Handler for the MESSAGE_REACTION_REMOVE dispatch
+ * @module handlers/MESSAGE_REACTION_REMOVE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the reaction from the cached message and emits `messageReactionRemove`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.message_id) : null;
+  if (!message) return;
+
+  const reaction = message._removeReaction(data.emoji, data.user_id);
+  if (!reaction) return;
+
+  const user = client.users.add({ id: data.user_id }, false);
+  client.emit('messageReactionRemove', reaction, user);
+};
@@ -0,0 +1,22 @@
+/**
+ * Handler for the MESSAGE_REACTION_REMOVE_ALL dispatch
+ * @module handlers/MESSAGE_REACTION_REMOVE_ALL
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../../util/Collection');
+
+/**
+ * Clears the reactions of the cached message and emits `messageReactionRemoveAll`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.message_id) : null;
+  if (!message) return;
+
+  const removed = message.reactions;
+  message.reactions = new Collection();
+
+  client.emit('messageReactionRemoveAll', message, removed);
+};
@@ -0,0 +1,26 @@
+/**
+ * Handler for the MESSAGE_REACTION_REMOVE_EMOJI dispatch
+ * @module handlers/MESSAGE_REACTION_REMOVE_EMOJI
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const MessageReaction = require('../../structures/MessageReaction');
+
+/**
+ * Removes every reaction of an emoji from the cached message and emits `messageReactionRemoveEmoji`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.message_id) : null;
+  if (!message) return;
+
+  const key = MessageReaction.keyOf(data.emoji);
+  const reaction = message.reactions.get(key);
+  if (!reaction) return;
+
+  message.reactions.delete(key);
+  reaction.count = 0;
+
+  client.emit('messageReactionRemoveEmoji', reaction);
+};
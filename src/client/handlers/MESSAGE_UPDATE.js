@@ -0,0 +1,23 @@
+/**
+ * Handler for the MESSAGE_UPDATE dispatch
+ * @module handlers/MESSAGE_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Patches the cached message in place and emits `messageUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const message = client.cache ? client.cache.getMessage(data.id) : null;
+
+  if (!message) {
+    // Partial updates (e.g. embed unfurls) can't be built into a message
+    if (data.author) client.emit('messageUpdate', null, client.messages._buildInstance(data));
+    return;
+  }
+
+  const oldMessage = message._update(data);
+  client.emit('messageUpdate', oldMessage, message);
+};
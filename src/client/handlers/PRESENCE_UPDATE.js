@@ -0,0 +1,25 @@
+/**
+ * Handler for the PRESENCE_UPDATE dispatch
+ * @module handlers/PRESENCE_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Updates the presence of the user and emits `presenceUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  // Presence updates only carry a partial user unless it changed
+  const user = data.user.username ? client.users.add(data.user) : client.users.resolve(data.user.id);
+  if (!user) return;
+
+  const oldPresence = user.presence ? { ...user.presence } : null;
+  user.presence = {
+    status: data.status,
+    activities: data.activities || [],
+    clientStatus: data.client_status || {}
+  };
+
+  client.emit('presenceUpdate', oldPresence, user.presence);
+};
@@ -0,0 +1,45 @@
+/**
+ * Handler for the READY dispatch
+ * @module handlers/READY
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const User = require('../../structures/User');
+const { ConnectionStatus } = require('../../util/Constants');
+
+/**
+ * Stores the session and the initial state, then emits `ready`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  client._sessionId = data.session_id;
+  client._resumeGatewayURL = data.resume_gateway_url || null;
+  client._reconnectAttempts = 0;
+  client._setStatus(ConnectionStatus.READY);
+  client.user = new User(client, data.user);
+  client.users.cache.set(client.user.id, client.user);
+  client.connected = true;
+
+  // Process guilds
+  data.guilds.forEach(guild => {
+    client.guilds.add(guild);
+  });
+
+  // Process DMs and group DMs
+  if (data.private_channels) {
+    data.private_channels.forEach(channel => {
+      client.channels.add(channel);
+    });
+  }
+
+  // Process friends, blocks and pending requests
+  if (data.relationships) {
+    data.relationships.forEach(relationship => {
+      client.relationships.set(relationship.id, relationship.type);
+      if (relationship.user) client.users.add(relationship.user);
+    });
+  }
+
+  client.emit('ready');
+};
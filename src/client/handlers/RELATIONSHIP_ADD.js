@@ -0,0 +1,16 @@
+/**
+ * Handler for the RELATIONSHIP_ADD dispatch
+ * @module handlers/RELATIONSHIP_ADD
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Stores the relationship and emits `relationshipAdd`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const user = data.user ? client.users.add(data.user) : client.users.add({ id: data.id }, false);
+  client.relationships.set(data.id, data.type);
+  client.emit('relationshipAdd', user, data.type);
+};
@@ -0,0 +1,16 @@
+/**
+ * Handler for the RELATIONSHIP_REMOVE dispatch
+ * @module handlers/RELATIONSHIP_REMOVE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Forgets the relationship and emits `relationshipRemove`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const user = client.users.add({ id: data.id }, false);
+  client.relationships.delete(data.id);
+  client.emit('relationshipRemove', user, data.type);
+};
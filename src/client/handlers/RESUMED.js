@@ -0,0 +1,19 @@
+/**
+ * Handler for the RESUMED dispatch
+ * @module handlers/RESUMED
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const { ConnectionStatus } = require('../../util/Constants');
+
+/**
+ * Marks the session as resumed and emits `resumed`
+ * @param {Client} client - The client that received the packet
+ */
+module.exports = client => {
+  client.connected = true;
+  client._reconnectAttempts = 0;
+  client._setStatus(ConnectionStatus.READY);
+  client.emit('debug', `Session ${client._sessionId} resumed`);
+  client.emit('resumed');
+};
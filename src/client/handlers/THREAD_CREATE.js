@@ -0,0 +1,15 @@
+/**
+ * Handler for the THREAD_CREATE dispatch
+ * @module handlers/THREAD_CREATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Caches the thread and emits `threadCreate`. Discord also sends it when the client user is added to a private thread.
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const thread = client.channels.add(data);
+  client.emit('threadCreate', thread, Boolean(data.newly_created));
+};
@@ -0,0 +1,15 @@
+/**
+ * Handler for the THREAD_DELETE dispatch
+ * @module handlers/THREAD_DELETE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Removes the thread from the cache and emits `threadDelete`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const thread = client.channels._remove(data.id) || client.channels.add(data, false);
+  client.emit('threadDelete', thread);
+};
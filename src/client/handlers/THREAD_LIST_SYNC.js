@@ -0,0 +1,40 @@
+/**
+ * Handler for the THREAD_LIST_SYNC dispatch
+ * @module handlers/THREAD_LIST_SYNC
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../../util/Collection');
+
+/**
+ * Replaces the cached active threads of the synced channels, or of the whole guild, and emits `threadListSync`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const guild = client.guilds.cache.get(data.guild_id);
+  if (!guild) return;
+
+  const parentIds = data.channel_ids ? new Set(data.channel_ids) : null;
+  const activeIds = new Set(data.threads.map(thread => thread.id));
+
+  // Threads missing from the list were archived while the client wasn't watching the channel
+  for (const channel of [...guild.channels.values()]) {
+    if (!channel.isThread || activeIds.has(channel.id)) continue;
+    if (!parentIds || parentIds.has(channel.parentId)) client.channels._remove(channel.id);
+  }
+
+  const threads = new Collection();
+  for (const threadData of data.threads) {
+    const thread = client.channels.add({ guild_id: guild.id, ...threadData });
+    threads.set(thread.id, thread);
+  }
+
+  // The thread members of the client user
+  for (const member of data.members || []) {
+    const thread = threads.get(member.id);
+    if (thread) thread._addMember(member);
+  }
+
+  client.emit('threadListSync', threads, guild);
+};
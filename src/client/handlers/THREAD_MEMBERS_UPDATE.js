@@ -0,0 +1,25 @@
+/**
+ * Handler for the THREAD_MEMBERS_UPDATE dispatch
+ * @module handlers/THREAD_MEMBERS_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../../util/Collection');
+
+/**
+ * Adds and removes the members of the cached thread and emits `threadMembersUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const thread = client.channels.cache.get(data.id);
+  if (!thread || !thread.isThread) return;
+
+  const oldMembers = new Collection(thread.members);
+  thread.memberCount = data.member_count;
+
+  for (const member of data.added_members || []) thread._addMember(member);
+  for (const id of data.removed_member_ids || []) thread.members.delete(id);
+
+  client.emit('threadMembersUpdate', oldMembers, thread.members, thread);
+};
@@ -0,0 +1,25 @@
+/**
+ * Handler for the THREAD_UPDATE dispatch
+ * @module handlers/THREAD_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Util = require('../../util/Util');
+
+/**
+ * Patches the cached thread and emits `threadUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const existing = client.channels.cache.get(data.id);
+
+  if (!existing) {
+    client.channels.add(data);
+    return;
+  }
+
+  const oldThread = Util.cloneObject(existing);
+  const thread = client.channels.add(data);
+  client.emit('threadUpdate', oldThread, thread);
+};
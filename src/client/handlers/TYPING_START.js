@@ -0,0 +1,17 @@
+/**
+ * Handler for the TYPING_START dispatch
+ * @module handlers/TYPING_START
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Emits `typingStart` when both the channel and the user are known
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  const channel = client.channels.cache.get(data.channel_id);
+  const user = data.member && data.member.user ? client.users.add(data.member.user) : client.users.resolve(data.user_id);
+
+  if (channel && user) client.emit('typingStart', channel, user);
+};
@@ -0,0 +1,20 @@
+/**
+ * Handler for the USER_UPDATE dispatch
+ * @module handlers/USER_UPDATE
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Util = require('../../util/Util');
+
+/**
+ * Patches the client user and emits `userUpdate`
+ * @param {Client} client - The client that received the packet
+ * @param {Object} packet - The dispatch packet
+ */
+module.exports = (client, { d: data }) => {
+  if (!client.user) return;
+
+  const oldUser = Util.cloneObject(client.user);
+  client.user._patch(data);
+  client.emit('userUpdate', oldUser, client.user);
+};
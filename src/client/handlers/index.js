@@ -0,0 +1,37 @@
+/**
+ * Default handlers for gateway dispatch events, keyed by event name
+ * @module handlers
+ * @copyright GhostNet Team 2025-2026
+ */
+
+exports.CHANNEL_CREATE = require('./CHANNEL_CREATE');
+exports.CHANNEL_DELETE = require('./CHANNEL_DELETE');
+exports.CHANNEL_UPDATE = require('./CHANNEL_UPDATE');
+exports.GUILD_CREATE = require('./GUILD_CREATE');
+exports.GUILD_DELETE = require('./GUILD_DELETE');
+exports.GUILD_MEMBER_UPDATE = require('./GUILD_MEMBER_UPDATE');
+exports.GUILD_MEMBERS_CHUNK = require('./GUILD_MEMBERS_CHUNK');
+exports.GUILD_ROLE_CREATE = require('./GUILD_ROLE_CREATE');
+exports.GUILD_ROLE_DELETE = require('./GUILD_ROLE_DELETE');
+exports.GUILD_ROLE_UPDATE = require('./GUILD_ROLE_UPDATE');
+exports.GUILD_UPDATE = require('./GUILD_UPDATE');
+exports.MESSAGE_CREATE = require('./MESSAGE_CREATE');
+exports.MESSAGE_DELETE = require('./MESSAGE_DELETE');
+exports.MESSAGE_DELETE_BULK = require('./MESSAGE_DELETE_BULK');
+exports.MESSAGE_REACTION_ADD = require('./MESSAGE_REACTION_ADD');
+exports.MESSAGE_REACTION_REMOVE = require('./MESSAGE_REACTION_REMOVE');
+exports.MESSAGE_REACTION_REMOVE_ALL = require('./MESSAGE_REACTION_REMOVE_ALL');
+exports.MESSAGE_REACTION_REMOVE_EMOJI = require('./MESSAGE_REACTION_REMOVE_EMOJI');
+exports.MESSAGE_UPDATE = require('./MESSAGE_UPDATE');
+exports.PRESENCE_UPDATE = require('./PRESENCE_UPDATE');
+exports.READY = require('./READY');
+exports.RELATIONSHIP_ADD = require('./RELATIONSHIP_ADD');
+exports.RELATIONSHIP_REMOVE = require('./RELATIONSHIP_REMOVE');
+exports.RESUMED = require('./RESUMED');
+exports.THREAD_CREATE = require('./THREAD_CREATE');
+exports.THREAD_DELETE = require('./THREAD_DELETE');
+exports.THREAD_LIST_SYNC = require('./THREAD_LIST_SYNC');
+exports.THREAD_MEMBERS_UPDATE = require('./THREAD_MEMBERS_UPDATE');
+exports.THREAD_UPDATE = require('./THREAD_UPDATE');
+exports.TYPING_START = require('./TYPING_START');
+exports.USER_UPDATE = require('./USER_UPDATE');
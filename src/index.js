@@ -6,24 +6,55 @@
 
 // Client classes
 const Client = require('./client/Client');
+const GatewayError = require('./client/GatewayError');
+const HandlerRegistry = require('./client/HandlerRegistry');
 
 // Data structure classes
 const User = require('./structures/User');
 const Message = require('./structures/Message');
+const Attachment = require('./structures/Attachment');
+const MessageMentions = require('./structures/MessageMentions');
+const MessageReaction = require('./structures/MessageReaction');
+const Collector = require('./structures/Collector');
+const MessageCollector = require('./structures/MessageCollector');
+const ReactionCollector = require('./structures/ReactionCollector');
 const Embed = require('./structures/Embed');
 const Channel = require('./structures/Channel');
+const TextChannel = require('./structures/TextChannel');
+const DMChannel = require('./structures/DMChannel');
+const VoiceChannel = require('./structures/VoiceChannel');
+const CategoryChannel = require('./structures/CategoryChannel');
+const ThreadChannel = require('./structures/ThreadChannel');
+const ThreadMember = require('./structures/ThreadMember');
 const Guild = require('./structures/Guild');
 const GuildMember = require('./structures/GuildMember');
+const Role = require('./structures/Role');
 
 // Manager classes
 const CacheManager = require('./util/CacheManager');
+const ChannelManager = require('./managers/ChannelManager');
+const ChannelMessageManager = require('./managers/ChannelMessageManager');
+const GuildManager = require('./managers/GuildManager');
+const MessageManager = require('./managers/MessageManager');
+const RoleManager = require('./managers/RoleManager');
+const UserManager = require('./managers/UserManager');
 const RESTManager = require('./rest/RESTManager');
+const DiscordAPIError = require('./rest/DiscordAPIError');
+const HTTPError = require('./rest/HTTPError');
+const RateLimitError = require('./rest/RateLimitError');
+const AbortError = require('./rest/AbortError');
+const RequestScheduler = require('./rest/RequestScheduler');
 const ThrottlingManager = require('./util/ThrottlingManager');
 const EventTracker = require('./util/EventTracker');
+const Archiver = require('./util/Archiver');
 
 // Constants and utility
 const Constants = require('./util/Constants');
 const Util = require('./util/Util');
+const Collection = require('./util/Collection');
+const BitField = require('./util/BitField');
+const Permissions = require('./util/Permissions');
+const DataResolver = require('./util/DataResolver');
 const version = require('../package.json').version;
 
 /**
@@ -34,37 +65,103 @@ exports.version = version;
 
 // Export all classes
 exports.Client = Client;
+exports.GatewayError = GatewayError;
+exports.HandlerRegistry = HandlerRegistry;
 exports.User = User;
 exports.Message = Message;
+exports.Attachment = Attachment;
+exports.MessageMentions = MessageMentions;
+exports.MessageReaction = MessageReaction;
+exports.Collector = Collector;
+exports.MessageCollector = MessageCollector;
+exports.ReactionCollector = ReactionCollector;
 exports.Embed = Embed;
 exports.Channel = Channel;
+exports.TextChannel = TextChannel;
+exports.DMChannel = DMChannel;
+exports.VoiceChannel = VoiceChannel;
+exports.CategoryChannel = CategoryChannel;
+exports.ThreadChannel = ThreadChannel;
+exports.ThreadMember = ThreadMember;
 exports.Guild = Guild;
 exports.GuildMember = GuildMember;
+exports.Role = Role;
 
 // Export managers
 exports.CacheManager = CacheManager;
+exports.ChannelManager = ChannelManager;
+exports.ChannelMessageManager = ChannelMessageManager;
+exports.GuildManager = GuildManager;
+exports.MessageManager = MessageManager;
+exports.RoleManager = RoleManager;
+exports.UserManager = UserManager;
 exports.RESTManager = RESTManager;
+exports.DiscordAPIError = DiscordAPIError;
+exports.HTTPError = HTTPError;
+exports.RateLimitError = RateLimitError;
+exports.AbortError = AbortError;
+exports.RequestScheduler = RequestScheduler;
 exports.ThrottlingManager = ThrottlingManager;
 exports.EventTracker = EventTracker;
+exports.Archiver = Archiver;
 
 // Export utilities
 exports.Constants = Constants;
 exports.Util = Util;
+exports.Collection = Collection;
+exports.BitField = BitField;
+exports.Permissions = Permissions;
+exports.DataResolver = DataResolver;
 
 // Export a default object
 module.exports = {
   version,
   Client,
+  GatewayError,
+  HandlerRegistry,
   User,
   Message,
+  Attachment,
+  MessageMentions,
+  MessageReaction,
+  Collector,
+  MessageCollector,
+  ReactionCollector,
   Embed,
   Channel,
+  TextChannel,
+  DMChannel,
+  VoiceChannel,
+  CategoryChannel,
+  ThreadChannel,
+  ThreadMember,
   Guild,
   GuildMember,
+  Role,
   CacheManager,
+  ChannelManager,
+  ChannelMessageManager,
+  GuildManager,
+  MessageManager,
+  RoleManager,
+  UserManager,
   RESTManager,
+  DiscordAPIError,
+  HTTPError,
+  RateLimitError,
+  AbortError,
+  RequestScheduler,
   ThrottlingManager,
   EventTracker,
+  Archiver,
+  // Testing utilities, only loaded when used so that requiring the library doesn't load a WebSocket server
+  get MockDiscordServer() {
+    return require('./testing/MockDiscordServer');
+  },
   Constants,
-  Util
+  Util,
+  Collection,
+  BitField,
+  Permissions,
+  DataResolver
 }; 
\ No newline at end of file
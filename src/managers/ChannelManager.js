@@ -0,0 +1,164 @@
+/**
+ * Channel manager for handling Discord channels
+ * @module ChannelManager
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const CategoryChannel = require('../structures/CategoryChannel');
+const Channel = require('../structures/Channel');
+const DMChannel = require('../structures/DMChannel');
+const TextChannel = require('../structures/TextChannel');
+const ThreadChannel = require('../structures/ThreadChannel');
+const VoiceChannel = require('../structures/VoiceChannel');
+const Collection = require('../util/Collection');
+const { ChannelTypes } = require('../util/Constants');
+
+/**
+ * The structure built for each channel type, other types are built as a plain {@link Channel}
+ * @type {Object<number, Function>}
+ * @private
+ */
+const ChannelClasses = {
+  [ChannelTypes.GUILD_TEXT]: TextChannel,
+  [ChannelTypes.GUILD_NEWS]: TextChannel,
+  [ChannelTypes.DM]: DMChannel,
+  [ChannelTypes.GROUP_DM]: DMChannel,
+  [ChannelTypes.GUILD_VOICE]: VoiceChannel,
+  [ChannelTypes.GUILD_STAGE_VOICE]: VoiceChannel,
+  [ChannelTypes.GUILD_CATEGORY]: CategoryChannel,
+  [ChannelTypes.GUILD_NEWS_THREAD]: ThreadChannel,
+  [ChannelTypes.GUILD_PUBLIC_THREAD]: ThreadChannel,
+  [ChannelTypes.GUILD_PRIVATE_THREAD]: ThreadChannel,
+};
+
+/**
+ * Manages API methods for Channels and stores their cache
+ */
+class ChannelManager {
+  /**
+   * @param {Client} client - The client that instantiated this manager
+   */
+  constructor(client) {
+    /**
+     * The client that instantiated this manager
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The cached channels, keyed by ID
+     * @type {Collection<string, Channel>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * Add or update a channel in the cache and in its guild
+   * @param {Object} data - The channel data
+   * @param {boolean} [cache=true] - Whether to cache a channel that is not cached yet
+   * @returns {Channel} The channel, built as the structure of its type
+   */
+  add(data, cache = true) {
+    const existing = this.cache.get(data.id);
+    const ChannelClass = ChannelManager.classFor(data.type ?? (existing && existing.type));
+
+    if (existing && existing.constructor === ChannelClass) {
+      existing._patch({ guild_id: existing.guildId, ...data });
+      this._store(existing);
+      return existing;
+    }
+
+    // A channel converted to a kind with another structure is rebuilt and replaces the cached one
+    const channel = new ChannelClass(this.client, data);
+    if (cache || existing) this._store(channel);
+    return channel;
+  }
+
+  /**
+   * Store a channel in the cache, in its guild and in the cache manager
+   * @param {Channel} channel - The channel to store
+   * @private
+   */
+  _store(channel) {
+    this.cache.set(channel.id, channel);
+
+    const guild = channel.guild;
+    if (guild) guild.channels.set(channel.id, channel);
+    if (this.client.cache) this.client.cache.addChannel(channel.id, channel);
+  }
+
+  /**
+   * Remove a channel from the cache and from its guild
+   * @param {string} id - The ID of the channel
+   * @returns {?Channel} The removed channel, if it was cached
+   * @private
+   */
+  _remove(id) {
+    const channel = this.cache.get(id) || null;
+    const guild = channel && channel.guild;
+
+    if (guild) guild.channels.delete(id);
+    this.cache.delete(id);
+    if (this.client.cache) this.client.cache.removeChannel(id);
+    return channel;
+  }
+
+  /**
+   * Resolve a channel from a channel, a message or an ID
+   * @param {Channel|Message|string} channel - The channel to resolve
+   * @returns {?Channel} The cached channel, null if it is not cached
+   */
+  resolve(channel) {
+    if (channel instanceof Channel) return channel;
+
+    const id = this.resolveId(channel);
+    return id ? this.cache.get(id) || null : null;
+  }
+
+  /**
+   * Resolve the ID of a channel from a channel, a message or an ID
+   * @param {Channel|Message|string} channel - The channel to resolve
+   * @returns {?string} The ID, null if it can't be resolved
+   */
+  resolveId(channel) {
+    if (typeof channel === 'string') return channel;
+    if (!channel) return null;
+    if (channel instanceof Channel) return channel.id;
+    return channel.channelId || channel.id || null;
+  }
+
+  /**
+   * Fetch a channel, from the cache unless forced
+   * @param {Channel|Message|string} channel - The channel to fetch
+   * @param {Object} [options] - The fetch options
+   * @param {boolean} [options.force=false] - Whether to skip the cache and request the API
+   * @param {boolean} [options.cache=true] - Whether to cache the fetched channel
+   * @returns {Promise<Channel>} The channel
+   * @example
+   * const channel = await client.channels.fetch('CHANNEL_ID');
+   * if (channel.isText) await channel.send('Hello!');
+   */
+  async fetch(channel, { force = false, cache = true } = {}) {
+    const id = this.resolveId(channel);
+    if (!id) throw new Error('CHANNEL_RESOLVE_ID');
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    const data = await this.client.api.channels(id).get();
+    return this.add(data, cache);
+  }
+
+  /**
+   * The structure used for a channel type
+   * @param {number} type - The type of the channel, see {@link Constants.ChannelTypes}
+   * @returns {Function} The channel class, {@link Channel} for unknown types
+   */
+  static classFor(type) {
+    return ChannelClasses[type] || Channel;
+  }
+}
+
+module.exports = ChannelManager;
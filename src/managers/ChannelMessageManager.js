@@ -0,0 +1,68 @@
+/**
+ * Message manager bound to a channel
+ * @module ChannelMessageManager
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+
+/**
+ * Fetches the messages of one channel through the client's {@link MessageManager}
+ */
+class ChannelMessageManager {
+  /**
+   * @param {Channel} channel - The channel this manager belongs to
+   */
+  constructor(channel) {
+    /**
+     * The client that instantiated this manager
+     * @type {Client}
+     */
+    this.client = channel.client;
+
+    /**
+     * The channel this manager belongs to
+     * @type {Channel}
+     */
+    this.channel = channel;
+  }
+
+  /**
+   * The cached messages of the channel, keyed by ID
+   * @type {Collection<string, Message>}
+   * @readonly
+   */
+  get cache() {
+    const messages = this.client.cache ? this.client.cache.messages : null;
+    return messages ? messages.filter(message => message.channelId === this.channel.id) : new Collection();
+  }
+
+  /**
+   * Fetch a message, or a page of the history of the channel
+   * @param {string|Object} [messageOrOptions] - The message ID to fetch, or the options of the page,
+   * see {@link MessageManager#fetch}
+   * @returns {Promise<Message|Collection<string, Message>>} The message, or the page keyed by ID from newest to oldest
+   * @example
+   * const around = await channel.messages.fetch({ around: message.id, limit: 5 });
+   */
+  fetch(messageOrOptions) {
+    return this.client.messages.fetch(this.channel.id, messageOrOptions);
+  }
+
+  /**
+   * Iterate over the history of the channel, fetching it 100 messages at a time
+   * @param {Object} [options] - The options of the iteration, see {@link MessageManager#iterate}
+   * @returns {AsyncGenerator<Message>}
+   * @example
+   * // Delete the messages of the client user from the last day
+   * const since = Util.timestampToSnowflake(Date.now() - 86400000);
+   * for await (const message of channel.messages.iterate({ after: since })) {
+   *   if (message.author.id === client.user.id) await message.delete();
+   * }
+   */
+  iterate(options) {
+    return this.client.messages.iterate(this.channel.id, options);
+  }
+}
+
+module.exports = ChannelMessageManager;
@@ -0,0 +1,137 @@
+/**
+ * Guild manager for handling Discord guilds
+ * @module GuildManager
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Guild = require('../structures/Guild');
+const Collection = require('../util/Collection');
+
+/**
+ * Manages API methods for Guilds and stores their cache
+ */
+class GuildManager {
+  /**
+   * @param {Client} client - The client that instantiated this manager
+   */
+  constructor(client) {
+    /**
+     * The client that instantiated this manager
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The cached guilds, keyed by ID
+     * @type {Collection<string, Guild>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * Add or update a guild in the cache, along with its channels, threads and members
+   * @param {Object} data - The guild data
+   * @param {boolean} [cache=true] - Whether to cache a guild that is not cached yet
+   * @returns {Guild} The guild
+   */
+  add(data, cache = true) {
+    let guild = this.cache.get(data.id);
+
+    if (guild) {
+      guild._patch(data);
+    } else {
+      guild = new Guild(this.client, data);
+      if (!cache) return guild;
+      this.cache.set(guild.id, guild);
+    }
+
+    if (data.channels) {
+      for (const channel of data.channels) {
+        this.client.channels.add({ ...channel, guild_id: guild.id });
+      }
+    }
+
+    // The active threads the client user can see
+    if (data.threads) {
+      for (const thread of data.threads) {
+        this.client.channels.add({ ...thread, guild_id: guild.id });
+      }
+    }
+
+    if (this.client.cache) {
+      this.client.cache.addGuild(guild.id, guild);
+      for (const member of guild.members.values()) {
+        if (member.user) this.client.cache.addMember(`${guild.id}-${member.id}`, member);
+      }
+    }
+
+    return guild;
+  }
+
+  /**
+   * Remove a guild and its channels from the cache
+   * @param {string} id - The ID of the guild
+   * @returns {?Guild} The removed guild, if it was cached
+   * @private
+   */
+  _remove(id) {
+    const guild = this.cache.get(id) || null;
+    if (!guild) return null;
+
+    for (const channelId of [...guild.channels.keys()]) {
+      this.client.channels._remove(channelId);
+    }
+
+    this.cache.delete(id);
+    if (this.client.cache) this.client.cache.removeGuild(id);
+    return guild;
+  }
+
+  /**
+   * Resolve a guild from a guild, a structure of a guild or an ID
+   * @param {Guild|Channel|GuildMember|Message|string} guild - The guild to resolve
+   * @returns {?Guild} The cached guild, null if it is not cached
+   */
+  resolve(guild) {
+    if (guild instanceof Guild) return guild;
+
+    const id = this.resolveId(guild);
+    return id ? this.cache.get(id) || null : null;
+  }
+
+  /**
+   * Resolve the ID of a guild from a guild, a structure of a guild or an ID
+   * @param {Guild|Channel|GuildMember|Message|string} guild - The guild to resolve
+   * @returns {?string} The ID, null if it can't be resolved
+   */
+  resolveId(guild) {
+    if (typeof guild === 'string') return guild;
+    if (!guild) return null;
+    if (guild instanceof Guild) return guild.id;
+    if (guild.guild instanceof Guild) return guild.guild.id;
+    return guild.guildId || null;
+  }
+
+  /**
+   * Fetch a guild, from the cache unless forced
+   * @param {Guild|Channel|GuildMember|Message|string} guild - The guild to fetch
+   * @param {Object} [options] - The fetch options
+   * @param {boolean} [options.force=false] - Whether to skip the cache and request the API
+   * @param {boolean} [options.cache=true] - Whether to cache the fetched guild
+   * @returns {Promise<Guild>} The guild
+   */
+  async fetch(guild, { force = false, cache = true } = {}) {
+    const id = this.resolveId(guild);
+    if (!id) throw new Error('GUILD_RESOLVE_ID');
+
+    if (!force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    const data = await this.client.api.guilds(id).get();
+    return this.add(data, cache);
+  }
+}
+
+module.exports = GuildManager;
@@ -5,8 +5,15 @@
  */
 
 const Message = require('../structures/Message');
-const Channel = require('../structures/Channel');
-const Constants = require('../util/Constants');
+const Collection = require('../util/Collection');
+const Util = require('../util/Util');
+
+/**
+ * The most messages Discord returns in one page of history
+ * @type {number}
+ * @private
+ */
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Manages API methods for Messages and stores their cache
@@ -30,40 +37,147 @@ class MessageManager {
    * @private
    */
   _buildInstance(data) {
-    // Ensure channel exists before creating message
-    if (!this.client.channels.has(data.channel_id)) {
-      // Create a channel for this message if it doesn't exist
-      const channelData = {
-        id: data.channel_id,
-        type: data.guild_id ? Constants.ChannelTypes.GUILD_TEXT : Constants.ChannelTypes.DM
-      };
-      
-      if (data.guild_id) {
-        channelData.guild_id = data.guild_id;
-      }
-      
-      const channel = new Channel(this.client, channelData);
-      this.client.channels.set(data.channel_id, channel);
-    }
-    
     return new Message(this.client, data);
   }
 
   /**
-   * Fetch a message from the API
-   * @param {string} channelId - The channel ID to fetch from
-   * @param {string} messageId - The message ID to fetch
-   * @returns {Promise<Message>} The fetched message
+   * Add or update a message in the cache
+   * @param {Object} data - The message data
+   * @returns {Message} The cached message patched with the data, or a new message
    */
-  async fetch(channelId, messageId) {
-    const data = await this.client.api.channels(channelId).messages(messageId).get();
+  add(data) {
+    const existing = this.client.cache ? this.client.cache.getMessage(data.id) : null;
+    if (existing) {
+      existing._patch(data);
+      return existing;
+    }
     return this._buildInstance(data);
   }
 
+  /**
+   * Fetch a message, or a page of the history of a channel, from the API
+   * @param {string} channelId - The channel ID to fetch from
+   * @param {string|Object} [messageOrOptions] - The message ID to fetch, or the options of the page
+   * @param {number} [messageOrOptions.limit=50] - The number of messages to fetch, from 1 to 100
+   * @param {Message|string|Date} [messageOrOptions.before] - Fetch the messages before this message or date
+   * @param {Message|string|Date} [messageOrOptions.after] - Fetch the messages after this message or date
+   * @param {Message|string} [messageOrOptions.around] - Fetch the messages around this message
+   * @returns {Promise<Message|Collection<string, Message>>} The message, or the page keyed by ID from newest to oldest
+   * @example
+   * const latest = await client.messages.fetch(channel.id, { limit: 10 });
+   * console.log(latest.map(message => message.content));
+   */
+  async fetch(channelId, messageOrOptions = {}) {
+    if (typeof messageOrOptions === 'string') {
+      const data = await this.client.api.channels(channelId).messages(messageOrOptions).get();
+      return this.add(data);
+    }
+
+    const data = await this._fetchPage(channelId, messageOrOptions);
+    const messages = new Collection();
+    for (const messageData of data) {
+      const message = this.add(messageData);
+      messages.set(message.id, message);
+    }
+    return messages;
+  }
+
+  /**
+   * Fetch the raw payloads of a page of the history of a channel
+   * @param {string} channelId - The channel ID to fetch from
+   * @param {Object} options - The options of the page, see {@link MessageManager#fetch}
+   * @returns {Promise<Object[]>} The payloads, newest first
+   * @private
+   */
+  _fetchPage(channelId, { limit = 50, before, after, around }) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return Promise.reject(new RangeError('MESSAGE_FETCH_LIMIT'));
+    }
+
+    const query = { limit };
+    if (before !== undefined) query.before = this._resolveSnowflake(before);
+    if (after !== undefined) query.after = this._resolveSnowflake(after);
+    if (around !== undefined) query.around = this._resolveSnowflake(around);
+
+    return this.client.api.channels(channelId).messages().get({ query });
+  }
+
+  /**
+   * Iterate over the history of a channel, fetching it 100 messages at a time as the loop goes on.
+   * With `after` the messages come from oldest to newest, otherwise from newest to oldest starting at `before`.
+   * Each page waits for the rate limits of the REST scheduler like any other request.
+   * @param {string} channelId - The channel ID to iterate over
+   * @param {Object} [options] - The options of the iteration
+   * @param {Message|string|Date} [options.after] - Go forward from this message or date, `'0'` for the first message
+   * @param {Message|string|Date} [options.before] - Go back from this message or date, the latest message by default
+   * @param {Message|string|Date} [options.until] - Stop at this message or date, which isn't included
+   * @param {number} [options.limit=Infinity] - The most messages to iterate over
+   * @returns {AsyncGenerator<Message>}
+   * @example
+   * // Archive a channel from its first message
+   * for await (const message of client.messages.iterate(channel.id, { after: '0' })) {
+   *   archive.write(`${message.author.tag}: ${message.content}\n`);
+   * }
+   */
+  async *iterate(channelId, options) {
+    for await (const data of this._iterateData(channelId, options)) yield this.add(data);
+  }
+
+  /**
+   * Iterate over the raw payloads of the history of a channel, see {@link MessageManager#iterate}
+   * @param {string} channelId - The channel ID to iterate over
+   * @param {Object} [options] - The options of the iteration
+   * @returns {AsyncGenerator<Object>}
+   * @private
+   */
+  async *_iterateData(channelId, { after, before, until, limit = Infinity } = {}) {
+    const forward = after !== undefined;
+    let cursor = forward ? this._resolveSnowflake(after) : before !== undefined ? this._resolveSnowflake(before) : null;
+    const end = until !== undefined ? BigInt(this._resolveSnowflake(until)) : null;
+    let remaining = limit;
+
+    while (remaining > 0) {
+      const size = Math.min(MAX_PAGE_SIZE, remaining);
+      const options = { limit: size };
+      if (cursor !== null) options[forward ? 'after' : 'before'] = cursor;
+
+      const page = await this._fetchPage(channelId, options);
+      if (!page.length) return;
+
+      // Discord sends every page newest first, whatever the direction
+      page.sort((a, b) => {
+        const order = BigInt(a.id) < BigInt(b.id) ? -1 : 1;
+        return forward ? order : -order;
+      });
+
+      for (const data of page) {
+        if (end !== null && (forward ? BigInt(data.id) >= end : BigInt(data.id) <= end)) return;
+        yield data;
+        if (--remaining <= 0) return;
+      }
+
+      if (page.length < size) return;
+      cursor = page[page.length - 1].id;
+    }
+  }
+
+  /**
+   * Resolve the snowflake of a message, an ID or a date to page from
+   * @param {Message|string|Date|number} value - The message, ID or date
+   * @returns {string}
+   * @private
+   */
+  _resolveSnowflake(value) {
+    if (value instanceof Date || typeof value === 'number') return Util.timestampToSnowflake(value);
+    if (typeof value === 'string') return value;
+    if (value && value.id) return value.id;
+    throw new TypeError('MESSAGE_RESOLVE_ID');
+  }
+
   /**
    * Send a message to a channel
    * @param {string} channelId - The channel ID to send to
-   * @param {string|Object} content - The content of the message
+   * @param {string|Object} content - The content of the message, `files` are uploaded with it
    * @returns {Promise<Message>} The sent message
    */
   async send(channelId, content) {
@@ -75,7 +189,8 @@ class MessageManager {
       data = content;
     }
     
-    const messageData = await this.client.api.channels(channelId).messages.post({ data });
+    const { files, ...body } = data;
+    const messageData = await this.client.api.channels(channelId).messages().post({ data: body, files });
     return this._buildInstance(messageData);
   }
 }
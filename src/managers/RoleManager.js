@@ -0,0 +1,151 @@
+/**
+ * Role manager for handling the roles of a guild
+ * @module RoleManager
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Role = require('../structures/Role');
+const Collection = require('../util/Collection');
+
+/**
+ * Manages API methods for the Roles of a guild and stores their cache
+ */
+class RoleManager {
+  /**
+   * @param {Guild} guild - The guild this manager belongs to
+   */
+  constructor(guild) {
+    /**
+     * The client that instantiated this manager
+     * @type {Client}
+     */
+    this.client = guild.client;
+
+    /**
+     * The guild this manager belongs to
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The cached roles, keyed by ID
+     * @type {Collection<string, Role>}
+     */
+    this.cache = new Collection();
+  }
+
+  /**
+   * The @everyone role of the guild, if it is cached
+   * @type {?Role}
+   * @readonly
+   */
+  get everyone() {
+    return this.cache.get(this.guild.id) || null;
+  }
+
+  /**
+   * The cached role with the highest position
+   * @type {?Role}
+   * @readonly
+   */
+  get highest() {
+    return this.cache.reduce((highest, role) => (!highest || role.comparePositionTo(highest) > 0 ? role : highest), null);
+  }
+
+  /**
+   * Add or update a role in the cache
+   * @param {Object} data - The role data
+   * @param {boolean} [cache=true] - Whether to cache a role that is not cached yet
+   * @returns {Role} The role
+   */
+  add(data, cache = true) {
+    const existing = this.cache.get(data.id);
+    if (existing) {
+      existing._patch(data);
+      return existing;
+    }
+
+    const role = new Role(this.client, this.guild, data);
+    if (cache) this.cache.set(role.id, role);
+    return role;
+  }
+
+  /**
+   * Replace the cached roles with the full list of roles of the guild
+   * @param {Object[]} roles - The data of every role
+   * @private
+   */
+  _set(roles) {
+    const ids = new Set(roles.map(role => role.id));
+    this.cache.sweep(role => !ids.has(role.id));
+    for (const role of roles) this.add(role);
+  }
+
+  /**
+   * Remove a role from the cache and from the cached members that have it
+   * @param {string} id - The ID of the role
+   * @returns {?Role} The removed role, if it was cached
+   * @private
+   */
+  _remove(id) {
+    const role = this.cache.get(id) || null;
+    if (!role) return null;
+
+    this.cache.delete(id);
+    for (const member of this.guild.members.values()) {
+      if (member.roleIds.includes(id)) member.roleIds = member.roleIds.filter(roleId => roleId !== id);
+    }
+    return role;
+  }
+
+  /**
+   * Resolve a role from a role or an ID
+   * @param {RoleResolvable} role - The role to resolve
+   * @returns {?Role} The cached role, null if it is not cached
+   */
+  resolve(role) {
+    if (role instanceof Role) return role;
+
+    const id = this.resolveId(role);
+    return id ? this.cache.get(id) || null : null;
+  }
+
+  /**
+   * Resolve the ID of a role from a role or an ID
+   * @param {RoleResolvable} role - The role to resolve
+   * @returns {?string} The ID, null if it can't be resolved
+   */
+  resolveId(role) {
+    if (typeof role === 'string') return role;
+    if (!role) return null;
+    return role.id || null;
+  }
+
+  /**
+   * Fetch the roles of the guild, or one of them, from the cache unless forced.
+   * Discord only lists every role at once, so fetching any role refreshes the whole cache.
+   * @param {RoleResolvable} [role] - The role to fetch, every role when omitted
+   * @param {Object} [options] - The fetch options
+   * @param {boolean} [options.force=false] - Whether to skip the cache and request the API
+   * @returns {Promise<?Role|Collection<string, Role>>} The role, null if the guild has no such role,
+   * or every role when none is given
+   * @example
+   * const roles = await guild.roles.fetch();
+   * console.log(roles.map(role => role.name).join(', '));
+   */
+  async fetch(role, { force = false } = {}) {
+    const id = role === undefined ? null : this.resolveId(role);
+    if (role !== undefined && !id) throw new Error('ROLE_RESOLVE_ID');
+
+    if (id && !force) {
+      const existing = this.cache.get(id);
+      if (existing) return existing;
+    }
+
+    const data = await this.client.api.guilds(this.guild.id).roles().get();
+    this._set(data);
+    return id ? this.cache.get(id) || null : this.cache;
+  }
+}
+
+module.exports = RoleManager;
@@ -0,0 +1,114 @@
+/**
+ * User manager for handling Discord users
+ * @module UserManager
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+const User = require('../structures/User');
+
+/**
+ * Manages API methods for Users and stores their cache
+ */
+class UserManager {
+  /**
+   * @param {Client} client - The client that instantiated this manager
+   */
+  constructor(client) {
+    /**
+     * The client that instantiated this manager
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The cached users, keyed by ID. This is the users store of the client's {@link CacheManager},
+     * or a collection of its own when caching is disabled.
+     * @type {Collection<string, User>}
+     */
+    this.cache = client.cache ? client.cache.users : new Collection();
+  }
+
+  /**
+   * Add or update a user in the cache
+   * @param {Object} data - The user data
+   * @param {boolean} [cache=true] - Whether to cache a user that is not cached yet
+   * @returns {User} The cached user, patched with the data
+   */
+  add(data, cache = true) {
+    const existing = this.resolve(data.id);
+    if (existing) {
+      // Never overwrite the client user's private fields with a public user object
+      if (existing !== this.client.user && data.username) existing._patch(data);
+      return existing;
+    }
+
+    const user = new User(this.client, data);
+    if (cache) this._store(user);
+    return user;
+  }
+
+  /**
+   * Store a user in the cache, through the cache manager when there is one so its limits apply
+   * @param {User} user - The user to store
+   * @private
+   */
+  _store(user) {
+    if (this.client.cache) this.client.cache.addUser(user.id, user);
+    else this.cache.set(user.id, user);
+  }
+
+  /**
+   * Resolve a user from a user, a member, a message or an ID
+   * @param {User|GuildMember|Message|string} user - The user to resolve
+   * @returns {?User} The cached user, null if it is not cached
+   */
+  resolve(user) {
+    if (user instanceof User) return user;
+
+    const id = this.resolveId(user);
+    if (!id) return null;
+    if (this.client.user && this.client.user.id === id) return this.client.user;
+    return this.cache.get(id) || null;
+  }
+
+  /**
+   * Resolve the ID of a user from a user, a member, a message or an ID
+   * @param {User|GuildMember|Message|string} user - The user to resolve
+   * @returns {?string} The ID, null if it can't be resolved
+   */
+  resolveId(user) {
+    if (typeof user === 'string') return user;
+    if (!user) return null;
+    if (user instanceof User) return user.id;
+    if (user.author) return user.author.id;
+    if (user.user) return user.user.id;
+    return user.id || null;
+  }
+
+  /**
+   * Fetch a user, from the cache unless forced
+   * @param {User|GuildMember|Message|string} user - The user to fetch
+   * @param {Object} [options] - The fetch options
+   * @param {boolean} [options.force=false] - Whether to skip the cache and request the API
+   * @param {boolean} [options.cache=true] - Whether to cache the fetched user
+   * @returns {Promise<User>} The user
+   * @example
+   * const user = await client.users.fetch('USER_ID');
+   * console.log(user.tag);
+   */
+  async fetch(user, { force = false, cache = true } = {}) {
+    const id = this.resolveId(user);
+    if (!id) throw new Error('USER_RESOLVE_ID');
+
+    if (!force) {
+      const existing = this.resolve(id);
+      if (existing && existing.username) return existing;
+    }
+
+    const data = await this.client.api.users(id).get();
+    return this.add(data, cache);
+  }
+}
+
+module.exports = UserManager;
@@ -4,8 +4,6 @@
  * @copyright GhostNet Team 2025-2026
  */
 
-const Constants = require('../util/Constants');
-
 /**
  * API Router for handling Discord REST API requests
  */
@@ -24,7 +22,7 @@ class API {
      * The base API path
      * @type {string}
      */
-    this.basePath = Constants.API.BASE;
+    this.basePath = client.rest.baseURL;
   }
 
   /**
@@ -46,6 +44,9 @@ class API {
           return reactionRoute;
         };
         
+        // Add the endpoint starting a thread from the message
+        msgRoute.threads = () => this._createRoute(`/channels/${channelId}/messages/${messageId}/threads`);
+        
         return msgRoute;
       }
       
@@ -59,6 +60,24 @@ class API {
       return this._createRoute(`/channels/${channelId}/pins`);
     };
     
+    // Add thread endpoints, archived threads are listed by type: public, private or joined private ones
+    route.threads = (archivedType) => {
+      if (archivedType === 'joined') {
+        return this._createRoute(`/channels/${channelId}/users/@me/threads/archived/private`);
+      }
+      if (archivedType) {
+        return this._createRoute(`/channels/${channelId}/threads/archived/${archivedType}`);
+      }
+      return this._createRoute(`/channels/${channelId}/threads`);
+    };
+    
+    route.threadMembers = (userId) => {
+      if (userId) {
+        return this._createRoute(`/channels/${channelId}/thread-members/${userId}`);
+      }
+      return this._createRoute(`/channels/${channelId}/thread-members`);
+    };
+    
     return route;
   }
 
@@ -73,7 +92,12 @@ class API {
     // Add specific guild route methods
     route.members = (userId) => {
       if (userId) {
-        return this._createRoute(`/guilds/${guildId}/members/${userId}`);
+        const memberRoute = this._createRoute(`/guilds/${guildId}/members/${userId}`);
+        
+        // Add member roles endpoints
+        memberRoute.roles = (roleId) => this._createRoute(`/guilds/${guildId}/members/${userId}/roles/${roleId}`);
+        
+        return memberRoute;
       }
       return this._createRoute(`/guilds/${guildId}/members`);
     };
@@ -107,7 +131,8 @@ class API {
   }
 
   /**
-   * Create a route object with HTTP methods
+   * Create a route object with HTTP methods.
+   * Each method takes the options of {@link RESTManager#make}, such as `data`, `signal` and `timeout`.
    * @param {string} path - The API path
    * @returns {Object} The route handler with HTTP methods
    * @private
@@ -0,0 +1,61 @@
+/**
+ * Error thrown when a request is cancelled through its AbortSignal
+ * @module AbortError
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents a request that was aborted before it completed
+ * @extends {Error}
+ */
+class AbortError extends Error {
+  /**
+   * @param {*} [reason] - The reason given to the AbortController
+   */
+  constructor(reason) {
+    super('The request was aborted');
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'AbortError';
+
+    /**
+     * The reason given to the AbortController, if any
+     * @type {*}
+     */
+    this.reason = reason === undefined ? null : reason;
+  }
+
+  /**
+   * Throw an AbortError if a signal has already fired
+   * @param {?AbortSignal} [signal] - The signal to check
+   */
+  static throwIfAborted(signal) {
+    if (signal && signal.aborted) throw new AbortError(signal.reason);
+  }
+
+  /**
+   * Settle with a promise, or reject with an AbortError as soon as a signal fires
+   * @param {Promise<*>} promise - The promise to wait for
+   * @param {?AbortSignal} [signal] - The signal that cancels the wait
+   * @returns {Promise<*>}
+   */
+  static race(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(new AbortError(signal.reason));
+        return;
+      }
+
+      const onAbort = () => reject(new AbortError(signal.reason));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+}
+
+module.exports = AbortError;
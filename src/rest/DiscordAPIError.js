@@ -0,0 +1,97 @@
+/**
+ * Error thrown when the Discord API answers a request with an error
+ * @module DiscordAPIError
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents an error returned by the Discord API
+ * @extends {Error}
+ */
+class DiscordAPIError extends Error {
+  /**
+   * @param {Object} error - The JSON error body sent by the API
+   * @param {number} status - The HTTP status of the response
+   * @param {Object} request - The request that failed
+   * @param {string} request.method - The HTTP method of the request
+   * @param {string} request.path - The path of the request
+   * @param {Object} [request.requestBody] - The data sent with the request
+   */
+  constructor(error, status, request) {
+    const errors = DiscordAPIError.flattenErrors(error.errors);
+    super([error.message || `Request failed with status ${status}`]
+      .concat(errors.map(entry => `${entry.path ? `${entry.path}: ` : ''}[${entry.code}] ${entry.message}`))
+      .join('\n'));
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'DiscordAPIError';
+
+    /**
+     * The error code sent by the API, such as 10008 for an unknown message
+     * @type {number}
+     */
+    this.code = error.code;
+
+    /**
+     * The HTTP status of the response
+     * @type {number}
+     */
+    this.status = status;
+
+    /**
+     * The HTTP method of the request
+     * @type {string}
+     */
+    this.method = request.method;
+
+    /**
+     * The path of the request
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The data sent with the request
+     * @type {Object}
+     */
+    this.requestBody = request.requestBody || {};
+
+    /**
+     * The problems found in the request body, one per invalid field
+     * @type {Object[]}
+     */
+    this.errors = errors;
+  }
+
+  /**
+   * Flatten the nested errors of a form body response into a list of fields and their problems
+   * @param {Object} [errors] - The `errors` object sent by the API
+   * @param {string} [path=''] - The path of the field the errors belong to
+   * @returns {Object[]} The problems, each with the `path` of the field, a `code` and a `message`
+   * @example
+   * DiscordAPIError.flattenErrors({ embeds: { 0: { description: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Too long' }] } } } });
+   * // [{ path: 'embeds[0].description', code: 'BASE_TYPE_MAX_LENGTH', message: 'Too long' }]
+   */
+  static flattenErrors(errors, path = '') {
+    if (!errors || typeof errors !== 'object') return [];
+
+    const flattened = [];
+    for (const [key, value] of Object.entries(errors)) {
+      if (key === '_errors' && Array.isArray(value)) {
+        for (const { code, message } of value) flattened.push({ path, code, message });
+        continue;
+      }
+
+      let next = key;
+      if (path) next = /^\d+$/.test(key) ? `${path}[${key}]` : `${path}.${key}`;
+      flattened.push(...DiscordAPIError.flattenErrors(value, next));
+    }
+
+    return flattened;
+  }
+}
+
+module.exports = DiscordAPIError;
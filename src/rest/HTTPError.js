@@ -0,0 +1,55 @@
+/**
+ * Error thrown when a request fails without an error from the Discord API
+ * @module HTTPError
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents a failed request that got no usable answer, such as a network error or a server error page
+ * @extends {Error}
+ */
+class HTTPError extends Error {
+  /**
+   * @param {string} message - The description of the failure
+   * @param {?number} status - The HTTP status of the response, null if none was received
+   * @param {Object} request - The request that failed
+   * @param {string} request.method - The HTTP method of the request
+   * @param {string} request.path - The path of the request
+   * @param {Object} [request.requestBody] - The data sent with the request
+   */
+  constructor(message, status, request) {
+    super(message);
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'HTTPError';
+
+    /**
+     * The HTTP status of the response, null if none was received
+     * @type {?number}
+     */
+    this.status = status;
+
+    /**
+     * The HTTP method of the request
+     * @type {string}
+     */
+    this.method = request.method;
+
+    /**
+     * The path of the request
+     * @type {string}
+     */
+    this.path = request.path;
+
+    /**
+     * The data sent with the request
+     * @type {Object}
+     */
+    this.requestBody = request.requestBody || {};
+  }
+}
+
+module.exports = HTTPError;
@@ -5,7 +5,13 @@
  */
 
 const axios = require('axios');
+const FormData = require('form-data');
+const AbortError = require('./AbortError');
 const Constants = require('../util/Constants');
+const DataResolver = require('../util/DataResolver');
+const DiscordAPIError = require('./DiscordAPIError');
+const HTTPError = require('./HTTPError');
+const RequestScheduler = require('./RequestScheduler');
 const Util = require('../util/Util');
 
 /**
@@ -27,7 +33,7 @@ class RESTManager {
      * The amount of time in milliseconds that should ellapse between requests
      * @type {number}
      */
-    this.restTimeOffset = options.restTimeOffset || client.options.restTimeOffset || 500;
+    this.restTimeOffset = options.restTimeOffset ?? client.options.restTimeOffset ?? 500;
 
     /**
      * The time to wait before considering a request as timed out
@@ -39,7 +45,7 @@ class RESTManager {
      * The number of times to retry a request if it fails
      * @type {number}
      */
-    this.retryLimit = options.retryLimit || client.options.retryLimit || 3;
+    this.retryLimit = options.retryLimit ?? client.options.retryLimit ?? 3;
 
     /**
      * The time to wait before retrying a failed request
@@ -58,34 +64,29 @@ class RESTManager {
      * The API version to use
      * @type {number}
      */
-    this.version = options.version || Constants.API.VERSION;
+    this.version = options.version || client.options.http.version || Constants.API.VERSION;
 
     /**
-     * The base API path
+     * The base URL of the REST API, including the version
      * @type {string}
      */
-    this.api = `${Constants.API.BASE}/v${this.version}`;
+    this.baseURL = `${client.options.http.api || Constants.API.ROOT}/v${this.version}`;
 
     /**
-     * Active rate limits
-     * @type {Map<string, Object>}
-     * @private
-     */
-    this._rateLimits = new Map();
-
-    /**
-     * قائمة الطلبات المتزامنة
-     * @type {Map<string, Array<Object>>}
-     * @private
+     * The scheduler that queues requests into their rate limit buckets
+     * @type {RequestScheduler}
      */
-    this._queues = new Map();
-
-    /**
-     * قائمة بأوقات الانتظار للطلبات المعلقة
-     * @type {Map<string, NodeJS.Timeout>}
-     * @private
-     */
-    this._timeouts = new Map();
+    this.scheduler = new RequestScheduler({
+      timeOffset: this.restTimeOffset,
+      retryAfter: this.retryAfter,
+      sweepInterval: options.restSweepInterval ?? client.options.restSweepInterval ?? 0,
+      invalidRequestThreshold: options.invalidRequestThreshold ?? client.options.invalidRequestThreshold ?? 9000,
+      invalidRequestWarningFraction: options.invalidRequestWarningFraction ?? client.options.invalidRequestWarningFraction ?? 0.8,
+      rejectOnRateLimit: options.rejectOnRateLimit ?? client.options.rejectOnRateLimit ?? null,
+    });
+    this.scheduler.on('debug', info => this.client.emit('debug', info));
+    this.scheduler.on('rateLimit', info => this.client.emit('rateLimit', info));
+    this.scheduler.on('invalidRequestWarning', info => this.client.emit('invalidRequestWarning', info));
 
     /**
      * خيارات مدير REST
@@ -97,181 +98,26 @@ class RESTManager {
 
     // إعداد محطة axios
     this.api = axios.create({
-      baseURL: Constants.API.BASE,
+      baseURL: this.baseURL,
       timeout: this.restRequestTimeout,
       headers: {
         'User-Agent': `${Constants.LIBRARY_NAME}/${Constants.VERSION} ${this.options.userAgentAppendix}`.trim(),
         'Content-Type': 'application/json',
       },
     });
-
-    // إعداد معالجات الطلبات
-    this._setupRequestInterceptors();
-    this._setupResponseInterceptors();
   }
 
   /**
    * Set the token to use for API requests
-   * @param {string} token - The token to use
+   * @param {?string} token - The token to use, or null to stop authenticating
    */
   setToken(token) {
     this._token = token;
-    this.api.defaults.headers.common['Authorization'] = token;
-  }
-
-  /**
-   * إعداد معالجات اعتراض الطلبات
-   * @private
-   */
-  _setupRequestInterceptors() {
-    this.api.interceptors.request.use(config => {
-      return this._handleRateLimit(config);
-    }, error => {
-      return Promise.reject(error);
-    });
-  }
-
-  /**
-   * إعداد معالجات اعتراض الاستجابات
-   * @private
-   */
-  _setupResponseInterceptors() {
-    this.api.interceptors.response.use(response => {
-      this._updateRateLimit(response);
-      return response;
-    }, async error => {
-      if (error.response) {
-        const { status, headers } = error.response;
-        const route = this._getAPIRoute(error.config);
-
-        // معالجة حدود الطلبات
-        if (status === 429) {
-          const retryAfter = headers['retry-after'] ? Number(headers['retry-after']) * 1000 : this.retryAfter;
-          this._updateRateLimit(error.response, retryAfter);
-          
-          // إعادة المحاولة
-          const retryConfig = { ...error.config };
-          retryConfig._retryCount = (retryConfig._retryCount || 0) + 1;
-          
-          if (retryConfig._retryCount <= this.retryLimit) {
-            await new Promise(resolve => setTimeout(resolve, retryAfter));
-            return this.api(retryConfig);
-          }
-        }
-
-        // خطأ في التصديق
-        if (status === 401) {
-          this.client.emit('error', new Error('INVALID_TOKEN'));
-        }
-
-        // حظر
-        if (status === 403) {
-          this.client.emit('error', new Error(`FORBIDDEN: ${error.response.data.message}`));
-        }
-
-        // الخادم غير موجود
-        if (status === 404) {
-          this.client.emit('debug', `Resource not found: ${route}`);
-        }
-
-        // خطأ في الخادم
-        if (status >= 500) {
-          this.client.emit('error', new Error(`API ERROR: ${status} ${error.response.data.message}`));
-        }
-      }
-
-      // محاولة الإعادة التلقائية
-      if (error.config && !error.config._retryCount) {
-        error.config._retryCount = 1;
-        if (error.config._retryCount <= this.retryLimit) {
-          await new Promise(resolve => setTimeout(resolve, this.retryAfter));
-          return this.api(error.config);
-        }
-      }
-
-      return Promise.reject(error);
-    });
-  }
-
-  /**
-   * الحصول على مسار API من تكوين الطلب
-   * @param {Object} config - تكوين الطلب
-   * @returns {string} مسار API
-   * @private
-   */
-  _getAPIRoute(config) {
-    let route = config.url.replace(/\/\d+/g, '/:id');
-    if (config.params) {
-      const paramKeys = Object.keys(config.params).sort();
-      for (const key of paramKeys) {
-        if (config.params[key]) {
-          route += `&${key}=${config.params[key]}`;
-        }
-      }
-    }
-    return `${config.method}:${route}`;
-  }
-
-  /**
-   * التعامل مع حدود الطلبات قبل إرسال الطلب
-   * @param {Object} config - تكوين الطلب
-   * @returns {Promise<Object>} تكوين الطلب المحدث
-   * @private
-   */
-  async _handleRateLimit(config) {
-    const route = this._getAPIRoute(config);
-    const rateLimitInfo = this._rateLimits.get(route);
-
-    // إذا كان API محدود الطلبات
-    if (rateLimitInfo && rateLimitInfo.limited) {
-      const now = Date.now();
-      
-      if (now < rateLimitInfo.reset) {
-        const waitTime = rateLimitInfo.reset - now + this.restTimeOffset;
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-      }
-    }
-
-    return config;
-  }
-
-  /**
-   * تحديث معلومات حدود الطلبات من الاستجابة
-   * @param {Object} response - استجابة الخادم
-   * @param {number} [retryAfter] - وقت إعادة المحاولة (إذا كان متاحًا)
-   * @private
-   */
-  _updateRateLimit(response, retryAfter = 0) {
-    const { config, headers } = response;
-    const route = this._getAPIRoute(config);
-
-    let rateLimitInfo = this._rateLimits.get(route) || { limited: false, limit: 0, remaining: 0, reset: 0 };
-    
-    if (headers) {
-      const limit = headers['x-ratelimit-limit'];
-      const remaining = headers['x-ratelimit-remaining'];
-      const reset = headers['x-ratelimit-reset'];
-      const resetAfter = headers['x-ratelimit-reset-after'];
-
-      if (limit) rateLimitInfo.limit = Number(limit);
-      if (remaining) rateLimitInfo.remaining = Number(remaining);
-      
-      if (resetAfter) {
-        rateLimitInfo.reset = Date.now() + Number(resetAfter) * 1000;
-      } else if (reset) {
-        rateLimitInfo.reset = Number(reset) * 1000;
-      }
-
-      // إذا كان هناك طلب 429 (تجاوز حدود الطلبات)
-      if (retryAfter > 0) {
-        rateLimitInfo.limited = true;
-        rateLimitInfo.reset = Date.now() + retryAfter;
-      } else {
-        rateLimitInfo.limited = rateLimitInfo.remaining === 0 && rateLimitInfo.reset > Date.now();
-      }
+    if (token) {
+      this.api.defaults.headers.common['Authorization'] = token;
+    } else {
+      delete this.api.defaults.headers.common['Authorization'];
     }
-
-    this._rateLimits.set(route, rateLimitInfo);
   }
 
   /**
@@ -279,16 +125,27 @@ class RESTManager {
    * @param {string} method - The HTTP method
    * @param {string} path - The path on the API
    * @param {Object} options - Request options
+   * @param {Object} [options.data] - The body of the request
+   * @param {Object} [options.query] - The query string parameters
+   * @param {Object} [options.headers] - Extra headers to send
+   * @param {Array<Object|Buffer|Stream|string>} [options.files] - Files to upload, sending `data` as `payload_json`
+   * in a multipart body, see {@link DataResolver.resolveFiles}
+   * @param {AbortSignal} [options.signal] - A signal that cancels the request, rejecting it with an AbortError
+   * even while it waits for a rate limit
+   * @param {number} [options.timeout] - The time in ms to wait for a response, instead of `restRequestTimeout`
    * @returns {Promise<Object>} - The response data
    */
   make(method, path, options = {}) {
-    const url = path.startsWith('https://') ? path : `${this.api}${path}`;
+    const url = /^https?:\/\//.test(path) ? path : `${this.baseURL}${path}`;
     const headers = {
-      Authorization: this._token,
       'User-Agent': `${Constants.LIBRARY_NAME} (${Constants.VERSION})`,
       'Content-Type': 'application/json',
     };
 
+    if (this._token) {
+      headers.Authorization = this._token;
+    }
+
     if (options.headers) {
       Object.assign(headers, options.headers);
     }
@@ -299,119 +156,135 @@ class RESTManager {
       headers,
       data: options.data,
       params: options.query,
-      timeout: this.restRequestTimeout,
+      signal: options.signal,
+      timeout: options.timeout ?? this.restRequestTimeout,
+      // Statuses are handled by the scheduler and _handleResponse rather than by axios
+      validateStatus: null,
     };
 
-    return this._request(requestOptions);
+    const route = RequestScheduler.route(method, path);
+    if (!options.files || !options.files.length) return this._request(route, requestOptions);
+
+    return DataResolver.resolveFiles(options.files)
+      .then(files => this._request(route, Object.assign(requestOptions, { files })));
+  }
+
+  /**
+   * Build the axios options of one attempt of a request.
+   * Files are turned into a new multipart body every time, so a retry sends them again in full.
+   * @param {Object} options - The request options, with resolved `files` if any
+   * @returns {Object} The axios request options
+   * @private
+   */
+  _build(options) {
+    if (!options.files) return options;
+
+    const { files, ...axiosOptions } = options;
+    const data = options.data || {};
+    const form = new FormData();
+
+    files.forEach((file, index) => form.append(`files[${index}]`, file.data, file.name));
+    form.append('payload_json', JSON.stringify({
+      ...data,
+      attachments: (data.attachments || []).concat(files.map((file, index) => ({
+        id: index,
+        filename: file.name,
+        description: file.description,
+      }))),
+    }));
+
+    const headers = { ...options.headers, ...form.getHeaders() };
+    delete headers['Content-Type'];
+    return { ...axiosOptions, headers, data: form.getBuffer() };
+  }
+
+  /**
+   * Describe a request for the errors it may cause
+   * @param {Object} options - The axios request options
+   * @returns {Object} The method, path and body of the request
+   * @private
+   */
+  _describe(options) {
+    return {
+      method: options.method,
+      path: options.url.startsWith(this.baseURL) ? options.url.slice(this.baseURL.length) : options.url,
+      requestBody: { json: options.data, files: options.files },
+    };
   }
 
   /**
    * Handle API response based on status code
    * @param {Object} response - The API response
+   * @param {string} route - The route key of the request
    * @param {Object} requestOptions - The options used for the request
    * @param {number} retryCount - The number of times the request has been retried
    * @returns {Promise<Object>} - The processed response data
    * @private
    */
-  async _handleResponse(response, requestOptions, retryCount = 0) {
-    // Process any rate limit info
-    this._processRateLimit(response, requestOptions.url);
-
+  async _handleResponse(response, route, requestOptions, retryCount = 0) {
     // If we got a response, return the data
     if (response.status >= 200 && response.status < 300) {
       return response.data;
     }
 
-    // Handle 429 - Too Many Requests (Rate Limited)
-    if (response.status === 429) {
-      const retryAfter = response.headers['retry-after'] 
-        ? parseInt(response.headers['retry-after']) * 1000 
-        : this.retryAfter;
-      
-      this.client.emit('debug', `Rate limited on ${requestOptions.url}. Retrying after ${retryAfter}ms`);
-      
-      await new Promise(resolve => setTimeout(resolve, retryAfter));
-      return this._request(requestOptions, retryCount);
+    // Server errors are retried, rate limits are retried by the scheduler
+    if (response.status >= 500 && retryCount < this.retryLimit) {
+      const retryAfter = Math.floor(Math.random() * 1000) + 1000;
+      this.client.emit('debug', `Server error ${response.status} on ${requestOptions.url}. Retrying after ${retryAfter}ms`);
+      await Util.sleep(retryAfter, requestOptions.signal);
+      return this._request(route, requestOptions, retryCount + 1);
     }
 
-    // Handle specific error codes
-    switch (response.status) {
-      case 401: // Unauthorized
-        throw new Error('UNAUTHORIZED');
-      case 403: // Forbidden
-        throw new Error('FORBIDDEN');
-      case 404: // Not Found
-        throw new Error('NOT_FOUND');
-      case 500: // Internal Server Error
-      case 502: // Bad Gateway
-      case 503: // Service Unavailable
-      case 504: // Gateway Timeout
-        if (retryCount < this.retryLimit) {
-          const retryAfter = Math.floor(Math.random() * 1000) + 1000;
-          this.client.emit('debug', `Server error ${response.status} on ${requestOptions.url}. Retrying after ${retryAfter}ms`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter));
-          return this._request(requestOptions, retryCount + 1);
-        }
-        throw new Error('SERVER_ERROR');
-      default:
-        throw new Error(`UNKNOWN_ERROR: ${response.status}`);
+    const request = this._describe(requestOptions);
+    const data = response.data;
+
+    // Discord explains its errors with a JSON body holding a code and a message
+    if (data && typeof data === 'object' && typeof data.code === 'number') {
+      throw new DiscordAPIError(data, response.status, request);
     }
+
+    throw new HTTPError(response.statusText || `Request failed with status ${response.status}`, response.status, request);
   }
 
   /**
-   * Perform a request with retry logic
+   * Perform a request through the scheduler with retry logic
+   * @param {string} route - The route key of the request
    * @param {Object} options - The axios request options
    * @param {number} retryCount - The number of times the request has been retried
    * @returns {Promise<Object>} - The response data
    * @private
    */
-  async _request(options, retryCount = 0) {
+  async _request(route, options, retryCount = 0) {
+    let response;
     try {
-      const response = await axios(options);
-      return this._handleResponse(response, options, retryCount);
+      const { method, path } = this._describe(options);
+      response = await this.scheduler.queue(route, () => this.api.request(this._build(options)), {
+        method,
+        path,
+        signal: options.signal,
+      });
     } catch (error) {
-      if (error.response) {
-        // The request was made and the server responded with a status code
-        // that falls out of the range of 2xx
-        return this._handleResponse(error.response, options, retryCount);
-      } else if (error.request) {
-        // The request was made but no response was received
-        if (retryCount < this.retryLimit) {
-          const retryAfter = Math.floor(Math.random() * 1000) + 1000;
-          this.client.emit('debug', `Request timeout on ${options.url}. Retrying after ${retryAfter}ms`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter));
-          return this._request(options, retryCount + 1);
-        }
-        throw new Error('REQUEST_TIMEOUT');
-      } else {
+      if (axios.isCancel(error)) {
+        // The signal fired while the request was in flight
+        throw new AbortError(options.signal.reason);
+      }
+
+      if (!error.request) {
         // Something happened in setting up the request that triggered an Error
         throw error;
       }
-    }
-  }
 
-  /**
-   * Process the rate limit information from a response
-   * @param {Object} response - The API response
-   * @param {string} path - The request path
-   * @private
-   */
-  _processRateLimit(response, path) {
-    if (!response || !response.headers) return;
-
-    const remaining = response.headers['x-ratelimit-remaining'];
-    const reset = response.headers['x-ratelimit-reset'];
-    const limit = response.headers['x-ratelimit-limit'];
-    const bucket = response.headers['x-ratelimit-bucket'];
-    
-    if (bucket && remaining !== undefined && reset !== undefined) {
-      this._rateLimits.set(bucket, {
-        remaining: parseInt(remaining),
-        reset: parseInt(reset) * 1000, // Convert to milliseconds
-        limit: parseInt(limit),
-        path,
-      });
+      // The request was made but no response was received
+      if (retryCount < this.retryLimit) {
+        const retryAfter = Math.floor(Math.random() * 1000) + 1000;
+        this.client.emit('debug', `Request timeout on ${options.url}. Retrying after ${retryAfter}ms`);
+        await Util.sleep(retryAfter, options.signal);
+        return this._request(route, options, retryCount + 1);
+      }
+      throw new HTTPError(error.message, null, this._describe(options));
     }
+
+    return this._handleResponse(response, route, options, retryCount);
   }
 
   /**
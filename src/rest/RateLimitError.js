@@ -0,0 +1,77 @@
+/**
+ * Error thrown when a request is rejected instead of waiting for a rate limit
+ * @module RateLimitError
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents a request that was not sent, or not retried, because of a rate limit
+ * @extends {Error}
+ */
+class RateLimitError extends Error {
+  /**
+   * @param {Object} info - The rate limit that stopped the request
+   * @param {string} [info.method] - The HTTP method of the request
+   * @param {string} [info.path] - The path of the request
+   * @param {string} info.route - The route key of the request
+   * @param {number} info.timeout - The time in ms until the request could be sent
+   * @param {number} info.limit - The number of requests allowed
+   * @param {boolean} info.global - Whether the limit applies to every route
+   * @param {string} info.scope - The scope of the limit, `invalid` when too many requests failed
+   */
+  constructor({ method, path, route, timeout, limit, global, scope }) {
+    super(scope === 'invalid' ?
+      `Too many invalid requests, refusing to send ${route} for ${timeout}ms` :
+      `Rate limited on ${route} for ${timeout}ms`);
+
+    /**
+     * The name of the error
+     * @type {string}
+     */
+    this.name = 'RateLimitError';
+
+    /**
+     * The HTTP method of the request
+     * @type {?string}
+     */
+    this.method = method || null;
+
+    /**
+     * The path of the request
+     * @type {?string}
+     */
+    this.path = path || null;
+
+    /**
+     * The route key of the request
+     * @type {string}
+     */
+    this.route = route;
+
+    /**
+     * The time in ms until the request could be sent
+     * @type {number}
+     */
+    this.timeout = timeout;
+
+    /**
+     * The number of requests allowed
+     * @type {number}
+     */
+    this.limit = limit;
+
+    /**
+     * Whether the limit applies to every route
+     * @type {boolean}
+     */
+    this.global = global;
+
+    /**
+     * The scope of the limit
+     * @type {string}
+     */
+    this.scope = scope;
+  }
+}
+
+module.exports = RateLimitError;
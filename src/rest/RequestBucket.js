@@ -0,0 +1,195 @@
+/**
+ * A rate limit bucket with its own serialized request queue
+ * @module RequestBucket
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const AbortError = require('./AbortError');
+
+/**
+ * Holds the rate limit state of one bucket and runs its requests one at a time
+ */
+class RequestBucket {
+  /**
+   * @param {string} id - The ID of the bucket
+   * @param {Object} [options] - Options for the bucket
+   * @param {number} [options.limit=Infinity] - The requests allowed per interval before the API says otherwise
+   * @param {number} [options.interval=0] - The length of the local window in ms, 0 to rely on the API only
+   */
+  constructor(id, options = {}) {
+    /**
+     * The ID of the bucket, the route until the API names it and then its hash and major parameter
+     * @type {string}
+     */
+    this.id = id;
+
+    /**
+     * The number of requests allowed per window
+     * @type {number}
+     */
+    this.limit = options.limit || Infinity;
+
+    /**
+     * The number of requests left in the current window
+     * @type {number}
+     */
+    this.remaining = this.limit;
+
+    /**
+     * The timestamp at which the current window ends
+     * @type {number}
+     */
+    this.reset = 0;
+
+    /**
+     * The length of the local window in milliseconds
+     * @type {number}
+     */
+    this.interval = options.interval || 0;
+
+    /**
+     * The requests waiting for their turn
+     * @type {Object[]}
+     * @private
+     */
+    this._queue = [];
+
+    /**
+     * Whether a request of this bucket is in flight
+     * @type {boolean}
+     * @private
+     */
+    this._busy = false;
+  }
+
+  /**
+   * Whether the bucket has no requests left in the current window
+   * @type {boolean}
+   * @readonly
+   */
+  get limited() {
+    return this.remaining <= 0 && Date.now() < this.reset;
+  }
+
+  /**
+   * Whether the bucket has nothing queued, nothing in flight and no active limit
+   * @type {boolean}
+   * @readonly
+   */
+  get inactive() {
+    return !this._busy && this._queue.length === 0 && !this.limited;
+  }
+
+  /**
+   * The number of requests waiting or in flight
+   * @type {number}
+   * @readonly
+   */
+  get size() {
+    return this._queue.length + (this._busy ? 1 : 0);
+  }
+
+  /**
+   * Queue a task behind the other requests of this bucket
+   * @param {Function} task - The task to run, returning a promise
+   * @param {AbortSignal} [signal] - A signal that takes the task out of the queue before it starts
+   * @returns {Promise<*>} The result of the task
+   */
+  push(task, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError(signal.reason));
+        return;
+      }
+
+      const entry = { task, resolve, reject, signal, onAbort: null };
+      this._watch(entry);
+      this._queue.push(entry);
+      this._next();
+    });
+  }
+
+  /**
+   * Take over the requests waiting in another bucket, behind those of this one.
+   * A request in flight in the other bucket finishes there.
+   * @param {RequestBucket} bucket - The bucket to empty
+   */
+  adopt(bucket) {
+    for (const entry of bucket._queue.splice(0)) {
+      if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+      this._watch(entry);
+      this._queue.push(entry);
+    }
+    this._next();
+  }
+
+  /**
+   * Take a queued entry out of this bucket when its signal fires
+   * @param {Object} entry - The queued entry
+   * @private
+   */
+  _watch(entry) {
+    if (!entry.signal) return;
+
+    entry.onAbort = () => {
+      const index = this._queue.indexOf(entry);
+      if (index === -1) return;
+      this._queue.splice(index, 1);
+      entry.reject(new AbortError(entry.signal.reason));
+    };
+    entry.signal.addEventListener('abort', entry.onAbort, { once: true });
+  }
+
+  /**
+   * Start a new local window if the previous one has ended
+   */
+  refresh() {
+    if (this.interval && Date.now() >= this.reset) {
+      this.remaining = this.limit;
+      this.reset = Date.now() + this.interval;
+    }
+  }
+
+  /**
+   * Update the bucket from the rate limit headers of a response
+   * @param {Object} headers - The response headers
+   */
+  update(headers) {
+    const limit = headers['x-ratelimit-limit'];
+    const remaining = headers['x-ratelimit-remaining'];
+    const resetAfter = headers['x-ratelimit-reset-after'];
+    const reset = headers['x-ratelimit-reset'];
+
+    if (limit !== undefined) this.limit = Number(limit);
+    if (remaining !== undefined) this.remaining = Number(remaining);
+
+    if (resetAfter !== undefined) {
+      this.reset = Date.now() + Number(resetAfter) * 1000;
+    } else if (reset !== undefined) {
+      this.reset = Number(reset) * 1000;
+    }
+  }
+
+  /**
+   * Run the next queued task if none is in flight
+   * @private
+   */
+  async _next() {
+    if (this._busy || this._queue.length === 0) return;
+
+    this._busy = true;
+    const { task, resolve, reject, signal, onAbort } = this._queue.shift();
+    if (signal) signal.removeEventListener('abort', onAbort);
+
+    try {
+      resolve(await task());
+    } catch (error) {
+      reject(error);
+    } finally {
+      this._busy = false;
+      this._next();
+    }
+  }
+}
+
+module.exports = RequestBucket;
@@ -0,0 +1,496 @@
+/**
+ * Bucket-aware request scheduler shared by every rate limited caller
+ * @module RequestScheduler
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const EventEmitter = require('events');
+const AbortError = require('./AbortError');
+const RateLimitError = require('./RateLimitError');
+const RequestBucket = require('./RequestBucket');
+const Util = require('../util/Util');
+
+/**
+ * Schedules requests into Discord's rate limit buckets.
+ *
+ * Requests are grouped by route until a response names their bucket through the
+ * `x-ratelimit-bucket` header. From then on every route sharing that hash and major
+ * parameter (channel, guild or webhook) shares one queue. Each bucket runs one request
+ * at a time, and a global limit applies across all of them.
+ *
+ * 401, 403 and 429 responses are counted over a sliding window, because too many of them
+ * get the IP blocked by Cloudflare. `invalidRequestWarning` is emitted once the count reaches
+ * `invalidRequestWarningFraction` of the threshold, and again at the threshold, from which on
+ * requests are refused with a {@link RateLimitError} until older ones leave the window.
+ * @extends {EventEmitter}
+ */
+class RequestScheduler extends EventEmitter {
+  /**
+   * @param {Object} [options] - Options for the scheduler
+   * @param {number} [options.timeOffset=0] - Extra time in ms to wait after a limit resets
+   * @param {number} [options.globalLimit=50] - The requests allowed per second across all buckets
+   * @param {number} [options.retryAfter=1000] - The time in ms to wait after a 429 that doesn't say how long
+   * @param {number} [options.limit] - The requests allowed per bucket and interval before the API says otherwise
+   * @param {number} [options.interval] - The length in ms of the local window of each bucket
+   * @param {number} [options.sweepInterval=0] - How often in ms to drop inactive buckets, 0 to never
+   * @param {number} [options.invalidRequestThreshold=9000] - The invalid requests allowed per window before refusing to send
+   * @param {number} [options.invalidRequestWindow=600000] - The length in ms of the invalid request window
+   * @param {number} [options.invalidRequestWarningFraction=0.8] - The fraction of the threshold at which to warn first,
+   * 1 to only warn when requests start being refused
+   * @param {string[]|Function} [options.rejectOnRateLimit] - Route prefixes, or a function given the rate limit info,
+   * for which a 429 rejects with a {@link RateLimitError} instead of waiting and retrying
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The options of the scheduler
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      timeOffset: 0,
+      globalLimit: 50,
+      retryAfter: 1000,
+      limit: Infinity,
+      interval: 0,
+      sweepInterval: 0,
+      invalidRequestThreshold: 9000,
+      invalidRequestWindow: 600000,
+      invalidRequestWarningFraction: 0.8,
+      rejectOnRateLimit: null,
+    }, options);
+
+    /**
+     * The buckets, keyed by route or by hash and major parameter
+     * @type {Map<string, RequestBucket>}
+     */
+    this.buckets = new Map();
+
+    /**
+     * The bucket hashes learned from the API, keyed by route
+     * @type {Map<string, string>}
+     * @private
+     */
+    this._hashes = new Map();
+
+    /**
+     * The requests left in the current global window
+     * @type {number}
+     * @private
+     */
+    this._globalRemaining = this.options.globalLimit;
+
+    /**
+     * The timestamp at which the current global window ends
+     * @type {number}
+     * @private
+     */
+    this._globalReset = 0;
+
+    /**
+     * Resolves when the global rate limit announced by a 429 ends
+     * @type {?Promise<void>}
+     * @private
+     */
+    this._globalLock = null;
+
+    /**
+     * The timestamp at which the global lock ends
+     * @type {number}
+     * @private
+     */
+    this._globalLockReset = 0;
+
+    /**
+     * The timestamps of the invalid requests in the current window, oldest first
+     * @type {number[]}
+     * @private
+     */
+    this._invalidRequests = [];
+
+    /**
+     * The interval that drops inactive buckets
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this._sweepInterval = null;
+    if (this.options.sweepInterval > 0) {
+      this._sweepInterval = setInterval(() => this.sweep(), this.options.sweepInterval);
+      this._sweepInterval.unref();
+    }
+  }
+
+  /**
+   * Build the route key of a request, keeping the major parameter and replacing other IDs
+   * @param {?string} method - The HTTP method
+   * @param {string} path - The path of the request
+   * @returns {string}
+   * @example
+   * RequestScheduler.route('patch', '/channels/123/messages/456');
+   * // 'PATCH /channels/123/messages/:id'
+   */
+  static route(method, path) {
+    const [pathname] = path.split('?');
+    const major = RequestScheduler.majorParameter(pathname);
+
+    const route = pathname
+      .slice(major.length)
+      .replace(/\/reactions\/[^/]+(\/[^/]+)?/, '/reactions/:reaction$1')
+      .replace(/\/\d{16,20}/g, '/:id');
+
+    return `${method ? `${method.toUpperCase()} ` : ''}${major}${route}`;
+  }
+
+  /**
+   * Get the major parameter prefix of a path
+   * @param {string} path - The path of the request
+   * @returns {string} The prefix, or an empty string when the route has none
+   */
+  static majorParameter(path) {
+    const match = /^\/(?:channels|guilds)\/\d+|^\/webhooks\/\d+(?:\/[^/?]+)?/.exec(path);
+    return match ? match[0] : '';
+  }
+
+  /**
+   * Whether requests are currently held back by the global limit
+   * @type {boolean}
+   * @readonly
+   */
+  get globallyLimited() {
+    return Boolean(this._globalLock) || (this._globalRemaining <= 0 && Date.now() < this._globalReset);
+  }
+
+  /**
+   * The number of 401, 403 and 429 responses in the current window
+   * @type {number}
+   * @readonly
+   */
+  get invalidRequestCount() {
+    const start = Date.now() - this.options.invalidRequestWindow;
+    while (this._invalidRequests.length && this._invalidRequests[0] <= start) {
+      this._invalidRequests.shift();
+    }
+    return this._invalidRequests.length;
+  }
+
+  /**
+   * Queue a request in its bucket.
+   * The request may resolve or reject with an object holding `status`, `headers` and `data`,
+   * or with an error holding such an object as `response`. 429 responses are retried after the
+   * time they ask for, anything else is passed back to the caller.
+   *
+   * A `signal` in the details rejects the request with an {@link AbortError} as soon as it fires,
+   * whether it is waiting in its bucket, for a rate limit or for a retry. The request function is
+   * expected to watch the signal itself once it has been called.
+   * @param {string} route - The route key of the request, see {@link RequestScheduler.route}
+   * @param {Function} request - The function sending the request
+   * @param {Object} [details] - Details of the request, such as `method` and `path`, included in rate limit events
+   * @param {AbortSignal} [details.signal] - A signal that cancels the request
+   * @returns {Promise<*>} The result of the request
+   */
+  queue(route, request, details = {}) {
+    const { signal, ...info } = details;
+    return this.bucketFor(route).push(() => this._execute(route, request, info, signal), signal);
+  }
+
+  /**
+   * Get the bucket of a route, creating it when needed
+   * @param {string} route - The route key
+   * @returns {RequestBucket}
+   */
+  bucketFor(route) {
+    const id = this._bucketId(route);
+    let bucket = this.buckets.get(id);
+
+    if (!bucket) {
+      bucket = new RequestBucket(id, { limit: this.options.limit, interval: this.options.interval });
+      this.buckets.set(id, bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Drop the buckets that have nothing to do
+   * @returns {number} The number of buckets dropped
+   */
+  sweep() {
+    let swept = 0;
+    for (const [id, bucket] of this.buckets) {
+      if (!bucket.inactive) continue;
+      this.buckets.delete(id);
+      swept++;
+    }
+    if (swept) this.emit('debug', `Swept ${swept} inactive rate limit buckets`);
+    return swept;
+  }
+
+  /**
+   * Forget every bucket and limit
+   */
+  reset() {
+    this.buckets.clear();
+    this._hashes.clear();
+    this._globalRemaining = this.options.globalLimit;
+    this._globalReset = 0;
+    this._globalLock = null;
+    this._globalLockReset = 0;
+    this._invalidRequests = [];
+  }
+
+  /**
+   * Stop sweeping buckets
+   */
+  destroy() {
+    if (this._sweepInterval) {
+      clearInterval(this._sweepInterval);
+      this._sweepInterval = null;
+    }
+  }
+
+  /**
+   * Get the bucket ID of a route
+   * @param {string} route - The route key
+   * @returns {string}
+   * @private
+   */
+  _bucketId(route) {
+    const hash = this._hashes.get(route);
+    if (!hash) return route;
+
+    const path = route.slice(route.indexOf('/'));
+    return `${hash}:${RequestScheduler.majorParameter(path)}`;
+  }
+
+  /**
+   * Send a request once its bucket and the global limit allow it, retrying on 429
+   * @param {string} route - The route key
+   * @param {Function} request - The function sending the request
+   * @param {Object} details - Details of the request
+   * @param {AbortSignal} [signal] - A signal that cancels the request
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _execute(route, request, details, signal) {
+    for (;;) {
+      const bucket = this.bucketFor(route);
+      await this._wait(route, bucket, signal);
+      AbortError.throwIfAborted(signal);
+
+      if (this.invalidRequestCount >= this.options.invalidRequestThreshold) {
+        throw new RateLimitError({
+          ...details,
+          route,
+          timeout: this._invalidRequests[0] + this.options.invalidRequestWindow - Date.now(),
+          limit: this.options.invalidRequestThreshold,
+          global: true,
+          scope: 'invalid',
+        });
+      }
+
+      bucket.refresh();
+      bucket.remaining--;
+      this._globalRemaining--;
+
+      let result;
+      let error = null;
+      try {
+        result = await request();
+      } catch (err) {
+        error = err;
+      }
+
+      const response = error ? error.response || (error.status ? error : null) : result;
+      if (error && !response) throw error;
+
+      if (response) {
+        this._learn(route, bucket, response.headers || {});
+        this._checkInvalid(response);
+        if (response.status === 429) {
+          const info = this._onRateLimited(route, response, details);
+          if (this._rejects(info)) throw new RateLimitError(info);
+          continue;
+        }
+      }
+
+      if (error) throw error;
+      return result;
+    }
+  }
+
+  /**
+   * Wait until the global limit and a bucket allow another request
+   * @param {string} route - The route key
+   * @param {RequestBucket} bucket - The bucket of the request
+   * @param {AbortSignal} [signal] - A signal that ends the wait with an AbortError
+   * @private
+   */
+  async _wait(route, bucket, signal) {
+    for (;;) {
+      if (this._globalLock) {
+        this.emit('debug', `Waiting for the global rate limit before sending ${route}`);
+        await AbortError.race(this._globalLock, signal);
+        continue;
+      }
+
+      if (Date.now() >= this._globalReset) {
+        this._globalRemaining = this.options.globalLimit;
+        this._globalReset = Date.now() + 1000;
+      }
+
+      let timeout = 0;
+      if (this.globallyLimited) {
+        timeout = this._globalReset - Date.now() + this.options.timeOffset;
+      } else if (bucket.limited) {
+        timeout = bucket.reset - Date.now() + this.options.timeOffset;
+      }
+
+      if (timeout <= 0) return;
+      this.emit('debug', `Waiting ${timeout}ms before sending ${route} (bucket ${bucket.id})`);
+      await Util.sleep(timeout, signal);
+    }
+  }
+
+  /**
+   * Record the bucket named by a response and update its limits
+   * @param {string} route - The route key
+   * @param {RequestBucket} bucket - The bucket the request was sent in
+   * @param {Object} headers - The response headers
+   * @private
+   */
+  _learn(route, bucket, headers) {
+    const hash = headers['x-ratelimit-bucket'];
+
+    if (hash && this._hashes.get(route) !== hash) {
+      this._hashes.set(route, hash);
+
+      // Keep the queue together when the route turns out to belong to a new bucket
+      const id = this._bucketId(route);
+      const existing = this.buckets.get(id);
+      if (!existing) {
+        this.buckets.delete(bucket.id);
+        bucket.id = id;
+        this.buckets.set(id, bucket);
+      } else if (existing !== bucket) {
+        // Another route already runs this bucket, one queue has to hold the requests of both
+        existing.adopt(bucket);
+        if (this.buckets.get(bucket.id) === bucket) this.buckets.delete(bucket.id);
+      }
+    }
+
+    this.bucketFor(route).update(headers);
+  }
+
+  /**
+   * Apply the limit announced by a 429 response
+   * @param {string} route - The route key
+   * @param {Object} response - The 429 response
+   * @param {Object} details - Details of the request
+   * @returns {Object} The rate limit info
+   * @private
+   */
+  _onRateLimited(route, response, details) {
+    const headers = response.headers || {};
+    const data = response.data || {};
+    const scope = headers['x-ratelimit-scope'];
+    const global = headers['x-ratelimit-global'] === 'true' || scope === 'global' || Boolean(data.global);
+
+    let timeout = this.options.retryAfter;
+    if (headers['retry-after'] !== undefined) {
+      timeout = Number(headers['retry-after']) * 1000;
+    } else if (data.retry_after !== undefined) {
+      timeout = Number(data.retry_after) * 1000;
+    }
+
+    const bucket = this.bucketFor(route);
+    if (global) {
+      this._lockGlobally(timeout);
+    } else {
+      bucket.remaining = 0;
+      bucket.reset = Math.max(bucket.reset, Date.now() + timeout);
+    }
+
+    /**
+     * Emitted when a request hits a rate limit
+     * @event RequestScheduler#rateLimit
+     * @param {Object} info - Information about the limit
+     */
+    const info = {
+      ...details,
+      route,
+      bucket: bucket.id,
+      timeout,
+      global,
+      scope: scope || (global ? 'global' : 'user'),
+      limit: bucket.limit,
+    };
+    this.emit('rateLimit', info);
+    return info;
+  }
+
+  /**
+   * Whether a rate limit should reject its request rather than retry it
+   * @param {Object} info - The rate limit info
+   * @returns {boolean}
+   * @private
+   */
+  _rejects(info) {
+    const { rejectOnRateLimit } = this.options;
+    if (typeof rejectOnRateLimit === 'function') return Boolean(rejectOnRateLimit(info));
+    if (!Array.isArray(rejectOnRateLimit)) return false;
+
+    const path = info.route.slice(info.route.indexOf('/'));
+    return rejectOnRateLimit.some(prefix => path.startsWith(prefix));
+  }
+
+  /**
+   * Pause every bucket until a global rate limit ends
+   * @param {number} timeout - The length of the limit in ms
+   * @private
+   */
+  _lockGlobally(timeout) {
+    const reset = Date.now() + timeout;
+    if (this._globalLock && reset <= this._globalLockReset) return;
+
+    this._globalLockReset = reset;
+    const lock = Util.sleep(timeout + this.options.timeOffset).then(() => {
+      if (this._globalLock === lock) this._globalLock = null;
+    });
+    this._globalLock = lock;
+  }
+
+  /**
+   * Count a response toward the invalid request limit if it is one
+   * @param {Object} response - The response
+   * @private
+   */
+  _checkInvalid(response) {
+    const headers = response.headers || {};
+    const invalid = response.status === 401 || response.status === 403 ||
+      // Limits on a shared resource aren't the client's fault and don't count
+      (response.status === 429 && headers['x-ratelimit-scope'] !== 'shared');
+    if (!invalid) return;
+
+    this._invalidRequests.push(Date.now());
+    const count = this.invalidRequestCount;
+    const threshold = this.options.invalidRequestThreshold;
+    const warning = Math.ceil(threshold * this.options.invalidRequestWarningFraction);
+
+    if (count === warning || count === threshold) {
+      /**
+       * Emitted when the invalid requests reach the warning fraction of the threshold, and again
+       * when they reach the threshold and requests start being refused
+       * @event RequestScheduler#invalidRequestWarning
+       * @param {Object} info - The number of invalid requests, whether requests are refused,
+       * and the time until the oldest invalid request leaves the window
+       */
+      this.emit('invalidRequestWarning', {
+        count,
+        limited: count >= threshold,
+        remainingTime: this._invalidRequests[0] + this.options.invalidRequestWindow - Date.now(),
+      });
+    }
+  }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,111 @@
+/**
+ * Represents a file attached to a message
+ * @module Attachment
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents a file attached to a message
+ */
+class Attachment {
+  /**
+   * @param {Client} client - The client that instantiated this attachment
+   * @param {Object} data - The data for the attachment
+   */
+  constructor(client, data) {
+    /**
+     * The client that instantiated this attachment
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The ID of the attachment
+     * @type {string}
+     */
+    this.id = data.id;
+
+    /**
+     * The name of the file
+     * @type {string}
+     */
+    this.name = data.filename;
+
+    /**
+     * The alt text of the file
+     * @type {?string}
+     */
+    this.description = data.description || null;
+
+    /**
+     * The media type of the file
+     * @type {?string}
+     */
+    this.contentType = data.content_type || null;
+
+    /**
+     * The size of the file in bytes
+     * @type {number}
+     */
+    this.size = data.size;
+
+    /**
+     * The URL of the file
+     * @type {string}
+     */
+    this.url = data.url;
+
+    /**
+     * The proxied URL of the file
+     * @type {?string}
+     */
+    this.proxyURL = data.proxy_url || null;
+
+    /**
+     * The height of the file, if it is an image or a video
+     * @type {?number}
+     */
+    this.height = data.height ?? null;
+
+    /**
+     * The width of the file, if it is an image or a video
+     * @type {?number}
+     */
+    this.width = data.width ?? null;
+
+    /**
+     * Whether the attachment disappears after the message is seen
+     * @type {boolean}
+     */
+    this.ephemeral = Boolean(data.ephemeral);
+  }
+
+  /**
+   * Whether the file is hidden behind a spoiler
+   * @type {boolean}
+   * @readonly
+   */
+  get spoiler() {
+    return Boolean(this.name) && this.name.startsWith('SPOILER_');
+  }
+
+  /**
+   * The attachment as sent by the API
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      filename: this.name,
+      description: this.description,
+      content_type: this.contentType,
+      size: this.size,
+      url: this.url,
+      proxy_url: this.proxyURL,
+      height: this.height,
+      width: this.width,
+    };
+  }
+}
+
+module.exports = Attachment;
@@ -0,0 +1,30 @@
+/**
+ * Represents a category of a guild
+ * @module CategoryChannel
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+const Channel = require('./Channel');
+
+/**
+ * Represents a category grouping channels of a guild
+ * @extends {Channel}
+ */
+class CategoryChannel extends Channel {
+  /**
+   * The cached channels of the category, sorted by position
+   * @type {Collection<string, Channel>}
+   * @readonly
+   */
+  get children() {
+    const guild = this.guild;
+    if (!guild) return new Collection();
+
+    return guild.channels
+      .filter(channel => channel.parentId === this.id)
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+  }
+}
+
+module.exports = CategoryChannel;
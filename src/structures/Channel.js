@@ -4,7 +4,36 @@
  * @copyright GhostNet Team 2025-2026
  */
 
+const ChannelMessageManager = require('../managers/ChannelMessageManager');
+const Collection = require('../util/Collection');
 const Constants = require('../util/Constants');
+const Permissions = require('../util/Permissions');
+const MessageCollector = require('./MessageCollector');
+
+/**
+ * The permissions of the recipients of a direct message
+ * @type {bigint}
+ * @private
+ */
+const DM_PERMISSIONS = [
+  'VIEW_CHANNEL', 'SEND_MESSAGES', 'SEND_TTS_MESSAGES', 'EMBED_LINKS', 'ATTACH_FILES', 'READ_MESSAGE_HISTORY',
+  'MENTION_EVERYONE', 'USE_EXTERNAL_EMOJIS', 'ADD_REACTIONS', 'USE_EXTERNAL_STICKERS',
+].reduce((bits, flag) => bits | Permissions.FLAGS[flag], 0n);
+
+/**
+ * The permissions that are useless without SEND_MESSAGES, which Discord removes with it
+ * @type {bigint}
+ * @private
+ */
+const SEND_DEPENDENT_PERMISSIONS = Permissions.FLAGS.MENTION_EVERYONE | Permissions.FLAGS.SEND_TTS_MESSAGES |
+  Permissions.FLAGS.ATTACH_FILES | Permissions.FLAGS.EMBED_LINKS;
+
+/**
+ * The only permissions a timed out member keeps
+ * @type {bigint}
+ * @private
+ */
+const TIMED_OUT_PERMISSIONS = Permissions.FLAGS.VIEW_CHANNEL | Permissions.FLAGS.READ_MESSAGE_HISTORY;
 
 /**
  * Represents a channel on Discord
@@ -21,6 +50,12 @@ class Channel {
      */
     this.client = client;
 
+    /**
+     * The messages of the channel
+     * @type {ChannelMessageManager}
+     */
+    this.messages = new ChannelMessageManager(this);
+
     this._patch(data);
   }
 
@@ -98,9 +133,11 @@ class Channel {
 
     /**
      * The recipients of the channel, if applicable
-     * @type {?Object[]}
+     * @type {?User[]}
      */
-    this.recipients = data.recipients ? data.recipients.map(user => this.client.users.add(user)) : null;
+    this.recipients = data.recipients
+      ? data.recipients.map(user => this.client.users.add(user))
+      : null;
 
     /**
      * The icon hash of the channel, if applicable
@@ -131,6 +168,21 @@ class Channel {
      * @type {?number}
      */
     this.lastPinTimestamp = data.last_pin_timestamp ? new Date(data.last_pin_timestamp).getTime() : null;
+
+    /**
+     * The permission overwrites of a guild channel, keyed by role or member ID.
+     * Each has the `id`, the `type` (0 for a role, 1 for a member) and the `allow` and `deny` permissions.
+     * @type {Collection<string, Object>}
+     */
+    this.permissionOverwrites = new Collection();
+    for (const overwrite of data.permission_overwrites || []) {
+      this.permissionOverwrites.set(overwrite.id, {
+        id: overwrite.id,
+        type: Number(overwrite.type),
+        allow: new Permissions(overwrite.allow || 0n).freeze(),
+        deny: new Permissions(overwrite.deny || 0n).freeze(),
+      });
+    }
   }
 
   /**
@@ -139,7 +191,7 @@ class Channel {
    * @readonly
    */
   get guild() {
-    return this.guildId ? this.client.guilds.get(this.guildId) || null : null;
+    return this.guildId ? this.client.guilds.cache.get(this.guildId) || null : null;
   }
 
   /**
@@ -148,7 +200,7 @@ class Channel {
    * @readonly
    */
   get parent() {
-    return this.parentId ? this.client.channels.get(this.parentId) || null : null;
+    return this.parentId ? this.client.channels.cache.get(this.parentId) || null : null;
   }
 
   /**
@@ -157,7 +209,7 @@ class Channel {
    * @readonly
    */
   get owner() {
-    return this.ownerId ? this.client.users.get(this.ownerId) || null : null;
+    return this.ownerId ? this.client.users.resolve(this.ownerId) : null;
   }
 
   /**
@@ -170,12 +222,23 @@ class Channel {
   }
 
   /**
-   * Whether the channel is a text channel
+   * Whether the channel is a text channel, which includes threads
    * @type {boolean}
    * @readonly
    */
   get isText() {
-    return this.type === Constants.ChannelTypes.GUILD_TEXT || this.type === Constants.ChannelTypes.DM || this.type === Constants.ChannelTypes.GUILD_NEWS;
+    return this.type === Constants.ChannelTypes.GUILD_TEXT || this.type === Constants.ChannelTypes.DM || this.type === Constants.ChannelTypes.GUILD_NEWS ||
+      this.isThread;
+  }
+
+  /**
+   * Whether the channel is a thread
+   * @type {boolean}
+   * @readonly
+   */
+  get isThread() {
+    return this.type === Constants.ChannelTypes.GUILD_NEWS_THREAD || this.type === Constants.ChannelTypes.GUILD_PUBLIC_THREAD ||
+      this.type === Constants.ChannelTypes.GUILD_PRIVATE_THREAD;
   }
 
   /**
@@ -210,7 +273,7 @@ class Channel {
 
   /**
    * Send a message to the channel
-   * @param {string|Object} content - The content of the message
+   * @param {string|Object} content - The content of the message, `files` are uploaded with it
    * @returns {Promise<Message>}
    */
   send(content) {
@@ -232,7 +295,8 @@ class Channel {
     
     // Otherwise fallback to direct API request
     const Message = require('./Message');
-    return this.client.rest.post(`/channels/${this.id}/messages`, data)
+    const { files, ...body } = data;
+    return this.client.rest.post(`/channels/${this.id}/messages`, body, { files })
       .then(response => {
         return new Message(this.client, response);
       })
@@ -242,6 +306,37 @@ class Channel {
       });
   }
 
+  /**
+   * Creates a message collector for the channel
+   * @param {Object} options - The options for the collector, see {@link MessageCollector}
+   * @returns {MessageCollector}
+   */
+  createMessageCollector(options = {}) {
+    return new MessageCollector(this, options);
+  }
+
+  /**
+   * Wait for messages in the channel
+   * @param {Object} options - The options for the collector, see {@link MessageCollector}
+   * @param {string[]} [options.errors] - End reasons that reject instead of resolving
+   * @returns {Promise<Collection<string, Message>>} The collected messages, also the rejection value
+   * @example
+   * // Wait 15 seconds for the author to answer yes or no
+   * const answers = await channel.awaitMessages({
+   *   filter: reply => reply.author.id === author.id && /^(yes|no)$/i.test(reply.content),
+   *   max: 1,
+   *   time: 15000,
+   * });
+   */
+  awaitMessages(options = {}) {
+    return new Promise((resolve, reject) => {
+      this.createMessageCollector(options).once('end', (messages, reason) => {
+        if (options.errors && options.errors.includes(reason)) reject(messages);
+        else resolve(messages);
+      });
+    });
+  }
+
   /**
    * Fetch all pinned messages in the channel
    * @returns {Promise<Message[]>}
@@ -251,7 +346,7 @@ class Channel {
       return Promise.reject(new Error('CHANNEL_NOT_TEXT'));
     }
     
-    return this.client.api.channels(this.id).pins.get()
+    return this.client.api.channels(this.id).pins().get()
       .then(data => data.map(message => this.client.messages.add(message)));
   }
 
@@ -279,18 +374,125 @@ class Channel {
   }
 
   /**
-   * Get permissions for a user or role in the channel
-   * @param {UserResolvable|RoleResolvable} userOrRole - The user or role
-   * @returns {?Permissions}
+   * Get the permissions of a member or a role in the channel.
+   * The base permissions of the guild are overwritten by the @everyone overwrite, then by the overwrites of
+   * the roles and last by the overwrite of the member. The owner of the guild and administrators have every permission.
+   * Like Discord, nothing is granted without VIEW_CHANNEL, mentioning everyone, TTS, files and embeds need SEND_MESSAGES,
+   * and timed out members can only view the channel and read its history.
+   * @param {GuildMember|User|Role|string} memberOrRole - The member or role, a user or an ID
+   * @returns {?Permissions} The frozen permissions, null when the member or role isn't cached
+   * @example
+   * const permissions = channel.permissionsFor(client.user);
+   * if (permissions && permissions.has('MANAGE_MESSAGES')) await message.delete();
    */
-  permissionsFor(userOrRole) {
-    if (this.isDM) {
-      if (userOrRole.id === this.client.user.id) return new Permissions(Permissions.ALL);
-      return new Permissions(0);
+  permissionsFor(memberOrRole) {
+    if (!this.guildId) {
+      // Direct messages only have their recipients, who can do anything a direct message allows
+      const id = this.client.users.resolveId(memberOrRole);
+      // The client user is a recipient too, unless it isn't logged in
+      const isRecipient = (this.client.user && id === this.client.user.id) ||
+        (this.recipients || []).some(user => user.id === id);
+      return new Permissions(isRecipient ? DM_PERMISSIONS : 0n).freeze();
     }
-    
-    // Implementation would depend on the Permissions class
-    return null;
+
+    const overwritten = this._overwrittenPermissions(memberOrRole);
+    if (!overwritten) return null;
+    return new Permissions(this._implicitPermissions(overwritten.bits, overwritten.member)).freeze();
+  }
+
+  /**
+   * Get the permissions of a member or a role in the guild channel after its overwrites,
+   * before the rules of {@link Channel#_implicitPermissions}
+   * @param {GuildMember|User|Role|string} memberOrRole - The member or role, a user or an ID
+   * @returns {?Object} The `bits` and the `member`, null for a role, or null when the member or role isn't cached
+   * @private
+   */
+  _overwrittenPermissions(memberOrRole) {
+    const guild = this.guild;
+    if (!guild) return null;
+
+    const id = typeof memberOrRole === 'string' ? memberOrRole : memberOrRole && memberOrRole.id;
+    const role = memberOrRole && !memberOrRole.user && guild.roles.cache.get(id);
+    if (role) return { bits: this._rolePermissions(guild, role), member: null };
+
+    const member = guild.members.get(this.client.users.resolveId(memberOrRole));
+    return member ? { bits: this._memberPermissions(guild, member), member } : null;
+  }
+
+  /**
+   * Apply the rules Discord enforces after the overwrites, which administrators are exempt from
+   * @param {bigint} bits - The permissions after the overwrites
+   * @param {?GuildMember} member - The member, null for a role
+   * @returns {bigint}
+   * @private
+   */
+  _implicitPermissions(bits, member) {
+    const { FLAGS } = Permissions;
+    if (bits & FLAGS.ADMINISTRATOR) return bits;
+
+    if (!(bits & FLAGS.VIEW_CHANNEL)) return 0n;
+    if (!(bits & FLAGS.SEND_MESSAGES)) bits &= ~SEND_DEPENDENT_PERMISSIONS;
+    if (member && member.isCommunicationDisabled()) bits &= TIMED_OUT_PERMISSIONS;
+    return bits;
+  }
+
+  /**
+   * Apply the overwrites of the channel to the base permissions of a member
+   * @param {Guild} guild - The guild of the channel
+   * @param {GuildMember} member - The member
+   * @returns {bigint}
+   * @private
+   */
+  _memberPermissions(guild, member) {
+    const base = member.permissions;
+    if (base.has(Permissions.FLAGS.ADMINISTRATOR)) return Permissions.ALL;
+
+    let bits = this._applyOverwrite(base.bitfield, this.permissionOverwrites.get(guild.id));
+
+    let allow = 0n;
+    let deny = 0n;
+    for (const roleId of member.roleIds) {
+      const overwrite = roleId !== guild.id && this.permissionOverwrites.get(roleId);
+      if (!overwrite || overwrite.type !== 0) continue;
+      allow |= overwrite.allow.bitfield;
+      deny |= overwrite.deny.bitfield;
+    }
+    bits = (bits & ~deny) | allow;
+
+    const memberOverwrite = this.permissionOverwrites.get(member.id);
+    if (memberOverwrite && memberOverwrite.type === 1) bits = this._applyOverwrite(bits, memberOverwrite);
+
+    return bits;
+  }
+
+  /**
+   * Apply the overwrites of the channel to the permissions of a role
+   * @param {Guild} guild - The guild of the channel
+   * @param {Role} role - The role
+   * @returns {bigint}
+   * @private
+   */
+  _rolePermissions(guild, role) {
+    const everyone = guild.roles.everyone;
+    const base = new Permissions([everyone ? everyone.permissions : 0n, role.permissions]);
+    if (base.has(Permissions.FLAGS.ADMINISTRATOR)) return Permissions.ALL;
+
+    let bits = this._applyOverwrite(base.bitfield, this.permissionOverwrites.get(guild.id));
+    if (role.id !== guild.id) bits = this._applyOverwrite(bits, this.permissionOverwrites.get(role.id));
+
+    return bits;
+  }
+
+  /**
+   * Deny then allow the permissions of an overwrite
+   * @param {bigint} bits - The permissions to overwrite
+   * @param {?Object} overwrite - The overwrite, if any
+   * @returns {bigint}
+   * @private
+   */
+  _applyOverwrite(bits, overwrite) {
+    if (!overwrite) return bits;
+    return (bits & ~overwrite.deny.bitfield) | overwrite.allow.bitfield;
   }
 
   /**
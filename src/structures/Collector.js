@@ -0,0 +1,272 @@
+/**
+ * Base class for collecting items from client events
+ * @module Collector
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const EventEmitter = require('events');
+const Collection = require('../util/Collection');
+
+/**
+ * Collects the items of client events that pass a filter, until a limit or a timer ends it.
+ * Subclasses listen to the events, pass them to {@link Collector#handleCollect} and
+ * {@link Collector#handleDispose}, and implement `collect` and `dispose` to turn them into keys.
+ * @extends {EventEmitter}
+ * @abstract
+ */
+class Collector extends EventEmitter {
+  /**
+   * @param {Client} client - The client the events come from
+   * @param {Object} [options] - Options for the collector
+   * @param {Function} [options.filter] - Decides whether an item is collected, may return a promise
+   * @param {number} [options.time] - How long in ms to collect for
+   * @param {number} [options.idle] - How long in ms to go on without collecting anything
+   * @param {number} [options.max] - How many items to collect
+   * @param {number} [options.maxProcessed] - How many items to look at, collected or not
+   * @param {boolean} [options.dispose=false] - Whether items deleted after being collected are removed again
+   */
+  constructor(client, options = {}) {
+    super();
+
+    /**
+     * The client the events come from
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The options of the collector
+     * @type {Object}
+     */
+    this.options = Object.assign({ dispose: false }, options);
+
+    /**
+     * Decides whether an item is collected
+     * @type {Function}
+     */
+    this.filter = options.filter || (() => true);
+
+    /**
+     * The collected items, keyed by the key `collect` gave them
+     * @type {Collection<string, *>}
+     */
+    this.collected = new Collection();
+
+    /**
+     * The number of items looked at, collected or not
+     * @type {number}
+     */
+    this.received = 0;
+
+    /**
+     * Whether the collector has ended
+     * @type {boolean}
+     */
+    this.ended = false;
+
+    /**
+     * Why the collector ended, null while it runs
+     * @type {?string}
+     */
+    this.endReason = null;
+
+    /**
+     * The timer of the `time` option
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this._timeout = null;
+
+    /**
+     * The timer of the `idle` option
+     * @type {?NodeJS.Timeout}
+     * @private
+     */
+    this._idleTimeout = null;
+
+    this.handleCollect = this.handleCollect.bind(this);
+    this.handleDispose = this.handleDispose.bind(this);
+
+    if (options.time) this._timeout = setTimeout(() => this.stop('time'), options.time);
+    if (options.idle) this._idleTimeout = setTimeout(() => this.stop('idle'), options.idle);
+  }
+
+  /**
+   * Look at an item and collect it if it passes the filter.
+   * A filter that throws or rejects ends the collector with the reason `error`, after emitting the error
+   * if anything listens to it, because this runs as a client listener nothing else could catch it.
+   * @param {...*} args - The arguments of the event
+   * @returns {Promise<void>}
+   */
+  async handleCollect(...args) {
+    if (this.ended) return;
+    const key = this.collect(...args);
+    if (key === null || key === undefined) return;
+
+    this.received++;
+    let passed;
+    try {
+      passed = await this.filter(...args, this.collected);
+    } catch (error) {
+      /**
+       * Emitted when the filter throws or rejects, right before the collector ends
+       * @event Collector#error
+       * @param {Error} error - The error of the filter
+       */
+      if (this.listenerCount('error') > 0) this.emit('error', error);
+      this.stop('error');
+      return;
+    }
+
+    if (passed) {
+      if (this.ended) return;
+      this.collected.set(key, args[0]);
+
+      /**
+       * Emitted when an item is collected
+       * @event Collector#collect
+       * @param {...*} args - The arguments of the event
+       */
+      this.emit('collect', ...args);
+
+      if (this._idleTimeout) {
+        clearTimeout(this._idleTimeout);
+        this._idleTimeout = setTimeout(() => this.stop('idle'), this.options.idle);
+      }
+    }
+
+    this.checkEnd();
+  }
+
+  /**
+   * Remove a collected item that was deleted, if the `dispose` option is on
+   * @param {...*} args - The arguments of the event
+   */
+  handleDispose(...args) {
+    if (this.ended || !this.options.dispose) return;
+    const key = this.dispose(...args);
+    if (key === null || key === undefined || !this.collected.has(key)) return;
+
+    this.collected.delete(key);
+
+    /**
+     * Emitted when a collected item is removed again
+     * @event Collector#dispose
+     * @param {...*} args - The arguments of the event
+     */
+    this.emit('dispose', ...args);
+    this.checkEnd();
+  }
+
+  /**
+   * A promise resolving with the next collected item, rejecting with the collected items if the collector ends first
+   * @type {Promise<*>}
+   * @readonly
+   */
+  get next() {
+    return new Promise((resolve, reject) => {
+      if (this.ended) {
+        reject(this.collected);
+        return;
+      }
+
+      const cleanup = () => {
+        this.off('collect', onCollect);
+        this.off('end', onEnd);
+      };
+      const onCollect = item => {
+        cleanup();
+        resolve(item);
+      };
+      const onEnd = () => {
+        cleanup();
+        reject(this.collected);
+      };
+
+      this.on('collect', onCollect);
+      this.on('end', onEnd);
+    });
+  }
+
+  /**
+   * Restart the timers of the collector
+   * @param {Object} [options] - The new lengths of the timers, the current ones when omitted
+   * @param {number} [options.time] - How long in ms to collect for, from now
+   * @param {number} [options.idle] - How long in ms to go on without collecting anything
+   */
+  resetTimer({ time, idle } = {}) {
+    if (this._timeout) {
+      clearTimeout(this._timeout);
+      this._timeout = setTimeout(() => this.stop('time'), time || this.options.time);
+    }
+    if (this._idleTimeout) {
+      clearTimeout(this._idleTimeout);
+      this._idleTimeout = setTimeout(() => this.stop('idle'), idle || this.options.idle);
+    }
+  }
+
+  /**
+   * Stop the collector if one of its limits was reached
+   * @returns {boolean} Whether the collector stopped
+   */
+  checkEnd() {
+    const reason = this.endCondition();
+    if (reason) this.stop(reason);
+    return Boolean(reason);
+  }
+
+  /**
+   * Stop the collector
+   * @param {string} [reason='user'] - Why the collector stopped
+   */
+  stop(reason = 'user') {
+    if (this.ended) return;
+
+    clearTimeout(this._timeout);
+    clearTimeout(this._idleTimeout);
+    this._timeout = null;
+    this._idleTimeout = null;
+    this.ended = true;
+    this.endReason = reason;
+
+    /**
+     * Emitted when the collector ends
+     * @event Collector#end
+     * @param {Collection<string, *>} collected - The collected items
+     * @param {string} reason - Why the collector ended
+     */
+    this.emit('end', this.collected, reason);
+  }
+
+  /**
+   * The reason the collector should end for, if a limit was reached
+   * @returns {?string} `limit` when `max` items were collected, `processedLimit` when `maxProcessed` were looked at
+   */
+  endCondition() {
+    if (this.options.max && this.collected.size >= this.options.max) return 'limit';
+    if (this.options.maxProcessed && this.received >= this.options.maxProcessed) return 'processedLimit';
+    return null;
+  }
+
+  /**
+   * Get the key to collect an item under
+   * @param {...*} args - The arguments of the event
+   * @returns {?string} The key, null if the item doesn't belong to this collector
+   * @abstract
+   */
+  collect() {
+    throw new Error('NOT_IMPLEMENTED');
+  }
+
+  /**
+   * Get the key of an item to remove
+   * @param {...*} args - The arguments of the event
+   * @returns {?string} The key, null if the item doesn't belong to this collector
+   * @abstract
+   */
+  dispose() {
+    throw new Error('NOT_IMPLEMENTED');
+  }
+}
+
+module.exports = Collector;
@@ -0,0 +1,52 @@
+/**
+ * Represents a direct message channel
+ * @module DMChannel
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Constants = require('../util/Constants');
+const Channel = require('./Channel');
+
+/**
+ * Represents a direct message or group direct message channel
+ * @extends {Channel}
+ */
+class DMChannel extends Channel {
+  /**
+   * The other user of a direct message, the first recipient of a group
+   * @type {?User}
+   * @readonly
+   */
+  get recipient() {
+    return this.recipients && this.recipients.length ? this.recipients[0] : null;
+  }
+
+  /**
+   * Whether the channel is a group direct message
+   * @type {boolean}
+   * @readonly
+   */
+  get isGroup() {
+    return this.type === Constants.ChannelTypes.GROUP_DM;
+  }
+
+  /**
+   * The last message sent in the channel, if it is cached
+   * @type {?Message}
+   * @readonly
+   */
+  get lastMessage() {
+    return this.lastMessageId && this.client.cache ? this.client.cache.getMessage(this.lastMessageId) : null;
+  }
+
+  /**
+   * Returns the mention of the recipient for a direct message, the name of a group otherwise
+   * @returns {string}
+   */
+  toString() {
+    if (this.isGroup) return this.name || this.recipients.map(user => user.username).join(', ');
+    return this.recipient ? this.recipient.toString() : super.toString();
+  }
+}
+
+module.exports = DMChannel;
@@ -4,8 +4,9 @@
  * @copyright GhostNet Team 2025-2026
  */
 
-const Constants = require('../util/Constants');
 const GuildMember = require('./GuildMember');
+const RoleManager = require('../managers/RoleManager');
+const Collection = require('../util/Collection');
 
 /**
  * Represents a guild (server) on Discord
@@ -24,27 +25,27 @@ class Guild {
 
     /**
      * The members of this guild
-     * @type {Map<string, GuildMember>}
+     * @type {Collection<string, GuildMember>}
      */
-    this.members = new Map();
+    this.members = new Collection();
 
     /**
      * The channels of this guild
-     * @type {Map<string, GuildChannel>}
+     * @type {Collection<string, GuildChannel>}
      */
-    this.channels = new Map();
+    this.channels = new Collection();
 
     /**
      * The roles of this guild
-     * @type {Map<string, Role>}
+     * @type {RoleManager}
      */
-    this.roles = new Map();
+    this.roles = new RoleManager(this);
 
     /**
      * The emojis of this guild
-     * @type {Map<string, GuildEmoji>}
+     * @type {Collection<string, GuildEmoji>}
      */
-    this.emojis = new Map();
+    this.emojis = new Collection();
 
     this._patch(data);
   }
@@ -247,12 +248,8 @@ class Guild {
      */
     this.approximatePresenceCount = data.approximate_presence_count ?? null;
 
-    // Process roles
-    if (data.roles) {
-      for (const role of data.roles) {
-        this.roles.set(role.id, role);
-      }
-    }
+    // Process roles, before the members that have them
+    if (data.roles) this.roles._set(data.roles);
 
     // Process members
     if (data.members) {
@@ -275,7 +272,7 @@ class Guild {
     
     if (dynamic) format = this.icon.startsWith('a_') ? 'gif' : format;
     
-    return `${Constants.API.CDN}/icons/${this.id}/${this.icon}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/icons/${this.id}/${this.icon}.${format}?size=${size}`;
   }
 
   /**
@@ -287,7 +284,7 @@ class Guild {
    */
   bannerURL({ format = 'webp', size = 512 } = {}) {
     if (!this.banner) return null;
-    return `${Constants.API.CDN}/banners/${this.id}/${this.banner}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/banners/${this.id}/${this.banner}.${format}?size=${size}`;
   }
 
   /**
@@ -299,13 +296,22 @@ class Guild {
     return this.members.get(this.ownerId) || null;
   }
 
+  /**
+   * The member of the client user in the guild, if it is cached
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get me() {
+    return this.client.user ? this.members.get(this.client.user.id) || null : null;
+  }
+
   /**
    * The AFK channel of the guild
    * @type {?VoiceChannel}
    * @readonly
    */
   get afkChannel() {
-    return this.client.channels.get(this.afkChannelId) || null;
+    return this.client.channels.cache.get(this.afkChannelId) || null;
   }
 
   /**
@@ -314,7 +320,7 @@ class Guild {
    * @readonly
    */
   get systemChannel() {
-    return this.client.channels.get(this.systemChannelId) || null;
+    return this.client.channels.cache.get(this.systemChannelId) || null;
   }
 
   /**
@@ -323,7 +329,7 @@ class Guild {
    * @readonly
    */
   get rulesChannel() {
-    return this.client.channels.get(this.rulesChannelId) || null;
+    return this.client.channels.cache.get(this.rulesChannelId) || null;
   }
 
   /**
@@ -332,7 +338,7 @@ class Guild {
    * @readonly
    */
   get publicUpdatesChannel() {
-    return this.client.channels.get(this.publicUpdatesChannelId) || null;
+    return this.client.channels.cache.get(this.publicUpdatesChannelId) || null;
   }
 
   /**
@@ -402,16 +408,10 @@ class Guild {
 
   /**
    * Fetch all roles for the guild
-   * @returns {Promise<Map<string, Role>>}
+   * @returns {Promise<Collection<string, Role>>}
    */
   fetchRoles() {
-    return this.client.api.guilds(this.id).roles.get()
-      .then(data => {
-        for (const roleData of data) {
-          this.roles.set(roleData.id, roleData);
-        }
-        return this.roles;
-      });
+    return this.roles.fetch(undefined, { force: true });
   }
 
   /**
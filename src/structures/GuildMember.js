@@ -4,7 +4,8 @@
  * @copyright GhostNet Team 2025-2026
  */
 
-const User = require('./User');
+const Collection = require('../util/Collection');
+const Permissions = require('../util/Permissions');
 
 /**
  * Represents a member of a guild on Discord
@@ -32,7 +33,7 @@ class GuildMember {
      * The user this guild member represents
      * @type {User}
      */
-    this.user = data.user ? new User(client, data.user) : null;
+    this.user = data.user ? client.users.add(data.user) : null;
 
     this._patch(data);
   }
@@ -80,10 +81,49 @@ class GuildMember {
     this.pending = Boolean(data.pending);
 
     /**
-     * The roles of this member
+     * The timestamp the timeout of this member ends at
+     * @type {?number}
+     */
+    this.communicationDisabledUntil = data.communication_disabled_until
+      ? new Date(data.communication_disabled_until).getTime()
+      : null;
+
+    /**
+     * The IDs of the roles of this member, without @everyone
      * @type {string[]}
      */
-    this.roles = data.roles || [];
+    this.roleIds = data.roles || [];
+  }
+
+  /**
+   * Whether this member is timed out, and can only view channels and read their history
+   * @returns {boolean}
+   */
+  isCommunicationDisabled() {
+    return this.communicationDisabledUntil !== null && this.communicationDisabledUntil > Date.now();
+  }
+
+  /**
+   * The cached roles of this member, including @everyone, keyed by ID
+   * @type {Collection<string, Role>}
+   * @readonly
+   */
+  get roles() {
+    const roles = new Collection();
+    for (const id of [this.guild.id, ...this.roleIds]) {
+      const role = this.guild.roles.cache.get(id);
+      if (role) roles.set(id, role);
+    }
+    return roles;
+  }
+
+  /**
+   * The cached role of this member with the highest position
+   * @type {?Role}
+   * @readonly
+   */
+  get highestRole() {
+    return this.roles.reduce((highest, role) => (!highest || role.comparePositionTo(highest) > 0 ? role : highest), null);
   }
 
   /**
@@ -141,16 +181,33 @@ class GuildMember {
   }
 
   /**
-   * Whether this member is manageable by the client user
+   * The permissions of this member in the guild, from @everyone and its roles.
+   * The owner and administrators have every permission.
+   * @type {Permissions}
+   * @readonly
+   */
+  get permissions() {
+    if (this.id === this.guild.ownerId) return new Permissions(Permissions.ALL).freeze();
+
+    const permissions = new Permissions(this.roles.map(role => role.permissions));
+
+    if (permissions.has(Permissions.FLAGS.ADMINISTRATOR)) return new Permissions(Permissions.ALL).freeze();
+    return permissions.freeze();
+  }
+
+  /**
+   * Whether this member is manageable by the client user, whose highest role must be above the member's
    * @type {boolean}
    * @readonly
    */
   get manageable() {
     if (this.id === this.guild.ownerId) return false;
     if (this.id === this.client.user.id) return false;
-    
-    // Will need to implement logic to check roles and permissions
-    return true;
+    if (this.client.user.id === this.guild.ownerId) return true;
+
+    const highest = this.guild.me && this.guild.me.highestRole;
+    if (!highest) return false;
+    return !this.highestRole || highest.comparePositionTo(this.highestRole) > 0;
   }
 
   /**
@@ -159,7 +216,7 @@ class GuildMember {
    * @readonly
    */
   get kickable() {
-    return this.manageable;
+    return this.manageable && this._clientHas(Permissions.FLAGS.KICK_MEMBERS);
   }
 
   /**
@@ -168,7 +225,19 @@ class GuildMember {
    * @readonly
    */
   get bannable() {
-    return this.manageable;
+    return this.manageable && this._clientHas(Permissions.FLAGS.BAN_MEMBERS);
+  }
+
+  /**
+   * Whether the client user has a permission in the guild of this member
+   * @param {BitFieldResolvable} permission - The permission
+   * @returns {boolean}
+   * @private
+   */
+  _clientHas(permission) {
+    if (this.client.user.id === this.guild.ownerId) return true;
+    const me = this.guild.me;
+    return Boolean(me) && me.permissions.has(permission);
   }
 
   /**
@@ -206,13 +275,14 @@ class GuildMember {
    * @returns {Promise<GuildMember>}
    */
   addRole(role, reason) {
-    const roleId = typeof role === 'string' ? role : role.id;
+    const roleId = this.guild.roles.resolveId(role);
+    if (!roleId) return Promise.reject(new Error('ROLE_RESOLVE_ID'));
     
-    if (this.roles.includes(roleId)) return Promise.resolve(this);
+    if (this.roleIds.includes(roleId)) return Promise.resolve(this);
     
     return this.client.api.guilds(this.guild.id).members(this.id).roles(roleId).put({ reason })
       .then(() => {
-        this.roles.push(roleId);
+        this.roleIds = [...this.roleIds, roleId];
         return this;
       });
   }
@@ -224,13 +294,14 @@ class GuildMember {
    * @returns {Promise<GuildMember>}
    */
   removeRole(role, reason) {
-    const roleId = typeof role === 'string' ? role : role.id;
+    const roleId = this.guild.roles.resolveId(role);
+    if (!roleId) return Promise.reject(new Error('ROLE_RESOLVE_ID'));
     
-    if (!this.roles.includes(roleId)) return Promise.resolve(this);
+    if (!this.roleIds.includes(roleId)) return Promise.resolve(this);
     
     return this.client.api.guilds(this.guild.id).members(this.id).roles(roleId).delete({ reason })
       .then(() => {
-        this.roles = this.roles.filter(id => id !== roleId);
+        this.roleIds = this.roleIds.filter(id => id !== roleId);
         return this;
       });
   }
@@ -5,7 +5,13 @@
  */
 
 const Constants = require('../util/Constants');
-const User = require('./User');
+const Util = require('../util/Util');
+const Collection = require('../util/Collection');
+const Attachment = require('./Attachment');
+const Embed = require('./Embed');
+const MessageMentions = require('./MessageMentions');
+const MessageReaction = require('./MessageReaction');
+const ReactionCollector = require('./ReactionCollector');
 
 /**
  * Represents a message on Discord
@@ -38,87 +44,116 @@ class Message {
      * The ID of the guild the message was sent in, if any
      * @type {?string}
      */
-    this.guildId = data.guild_id;
+    this.guildId = data.guild_id || null;
     
     /**
      * The ID of the message
      * @type {string}
      */
     this.id = data.id;
-    
+
     /**
      * The author of the message
-     * @type {User}
+     * @type {?User}
      */
-    this.author = this.client.users 
-      ? this.client.users.get(data.author.id) || new User(this.client, data.author)
-      : new User(this.client, data.author);
+    this.author = null;
     
     /**
      * The content of the message
      * @type {string}
      */
-    this.content = data.content;
+    this.content = '';
     
     /**
      * The timestamp the message was sent at
      * @type {number}
      */
-    this.timestamp = new Date(data.timestamp).getTime();
+    this.timestamp = null;
     
     /**
      * The timestamp the message was last edited at (if it was edited)
      * @type {?number}
      */
-    this.editedTimestamp = data.edited_timestamp 
-      ? new Date(data.edited_timestamp).getTime() 
-      : null;
-    
+    this.editedTimestamp = null;
+
     /**
-     * Array of embeds in the message
-     * @type {Array<Object>}
+     * The type of the message
+     * @type {number}
      */
-    this.embeds = data.embeds || [];
-    
+    this.type = Constants.MessageTypes.DEFAULT;
+
+    /**
+     * Whether the message was sent with text-to-speech
+     * @type {boolean}
+     */
+    this.tts = false;
+
+    /**
+     * The nonce the message was sent with, if any
+     * @type {?string}
+     */
+    this.nonce = null;
+
+    /**
+     * The flags of the message
+     * @type {number}
+     */
+    this.flags = 0;
+
     /**
-     * Array of attachments in the message
-     * @type {Array<Object>}
+     * The message this one replies to or forwards, if any
+     * @type {?Object}
      */
-    this.attachments = data.attachments || [];
+    this.reference = null;
     
     /**
-     * Whether the message mentions everyone
-     * @type {boolean}
+     * The embeds in the message
+     * @type {Embed[]}
      */
-    this.mentionEveryone = Boolean(data.mention_everyone);
+    this.embeds = [];
     
     /**
-     * Array of users mentioned in the message
-     * @type {Array<Object>}
+     * The attachments of the message, keyed by ID
+     * @type {Collection<string, Attachment>}
      */
-    this.mentions = data.mentions || [];
+    this.attachments = new Collection();
     
     /**
-     * Array of role IDs mentioned in the message
-     * @type {Array<string>}
+     * The users, roles and channels mentioned in the message
+     * @type {MessageMentions}
      */
-    this.mentionRoles = data.mention_roles || [];
+    this.mentions = new MessageMentions(this);
     
     /**
-     * Array of reactions to the message
-     * @type {Array<Object>}
+     * The reactions to the message, keyed by emoji ID or unicode emoji
+     * @type {Collection<string, MessageReaction>}
      */
-    this.reactions = data.reactions || [];
+    this.reactions = new Collection();
 
     /**
      * Whether the message is pinned
      * @type {boolean}
      */
-    this.pinned = Boolean(data.pinned);
+    this.pinned = false;
+
+    /**
+     * Whether the message has been deleted
+     * @type {boolean}
+     */
+    this.deleted = false;
+
+    /**
+     * The previous versions of the message, newest first, at most `messageEditHistoryMaxSize` of them
+     * @type {Message[]}
+     * @private
+     */
+    this._edits = [];
+
+    this._patch(data);
     
     // Get the channel from cache if exists
-    if (this.client.channels && this.client.channels.has(this.channelId)) {
-      this.channel = this.client.channels.get(this.channelId);
+    if (this.client.channels.cache.has(this.channelId)) {
+      this.channel = this.client.channels.cache.get(this.channelId);
     }
     
     // If this message is also in cache, update the cache
@@ -127,13 +162,133 @@ class Message {
     }
   }
 
+  /**
+   * Patch message data. Only the fields present are changed, so partial updates such as
+   * embed unfurls leave the rest of the message as it was.
+   * @param {Object} data - The data to patch
+   * @private
+   */
+  _patch(data) {
+    if (data.author) this.author = this.client.users.add(data.author);
+    if ('content' in data) this.content = data.content;
+    if ('timestamp' in data) this.timestamp = new Date(data.timestamp).getTime();
+    if ('edited_timestamp' in data) {
+      this.editedTimestamp = data.edited_timestamp ? new Date(data.edited_timestamp).getTime() : null;
+    }
+    if ('type' in data) this.type = data.type;
+    if ('tts' in data) this.tts = Boolean(data.tts);
+    if ('nonce' in data) this.nonce = data.nonce ?? null;
+    if ('flags' in data) this.flags = data.flags;
+    if ('pinned' in data) this.pinned = Boolean(data.pinned);
+
+    if ('message_reference' in data) {
+      this.reference = data.message_reference ? {
+        messageId: data.message_reference.message_id || null,
+        channelId: data.message_reference.channel_id || null,
+        guildId: data.message_reference.guild_id || null,
+      } : null;
+    }
+
+    if ('embeds' in data) this.embeds = (data.embeds || []).map(embed => new Embed(embed));
+
+    if ('attachments' in data) {
+      this.attachments = new Collection();
+      for (const attachment of data.attachments || []) {
+        this.attachments.set(attachment.id, new Attachment(this.client, attachment));
+      }
+    }
+
+    if ('mentions' in data || 'mention_roles' in data || 'mention_everyone' in data) {
+      this.mentions = new MessageMentions(
+        this,
+        'mentions' in data ? data.mentions : [...this.mentions.users.values()],
+        'mention_roles' in data ? data.mention_roles : this.mentions.roleIds,
+        'mention_everyone' in data ? data.mention_everyone : this.mentions.everyone,
+      );
+    }
+
+    if ('reactions' in data) {
+      this.reactions = new Collection();
+      for (const reaction of data.reactions || []) {
+        this.reactions.set(MessageReaction.keyOf(reaction.emoji), new MessageReaction(this.client, reaction, this));
+      }
+    }
+  }
+
+  /**
+   * Patch the message with an update, keeping the previous version when it was edited
+   * @param {Object} data - The data of the update
+   * @returns {Message} A copy of the message from before the update
+   * @private
+   */
+  _update(data) {
+    const clone = Util.cloneObject(this);
+    clone._edits = this._edits.slice();
+    this._patch(data);
+
+    if (this.editedTimestamp !== clone.editedTimestamp) {
+      this._edits.unshift(clone);
+      // Every version holds a copy of the history before it, so a long history is costly
+      const max = this.client.options.messageEditHistoryMaxSize;
+      if (this._edits.length > max) this._edits.length = Math.max(max, 0);
+    }
+    return clone;
+  }
+
+  /**
+   * Record a reaction to the message
+   * @param {Object} emoji - The emoji of the reaction
+   * @param {?User} user - The user who reacted
+   * @returns {MessageReaction}
+   * @private
+   */
+  _addReaction(emoji, user) {
+    const key = MessageReaction.keyOf(emoji);
+    let reaction = this.reactions.get(key);
+
+    if (!reaction) {
+      reaction = new MessageReaction(this.client, { emoji, count: 0, me: false }, this);
+      this.reactions.set(key, reaction);
+    }
+
+    reaction._add(user);
+    return reaction;
+  }
+
+  /**
+   * Record the removal of a reaction from the message
+   * @param {Object} emoji - The emoji of the reaction
+   * @param {string} userId - The ID of the user whose reaction was removed
+   * @returns {?MessageReaction} The reaction, null if it wasn't known
+   * @private
+   */
+  _removeReaction(emoji, userId) {
+    const key = MessageReaction.keyOf(emoji);
+    const reaction = this.reactions.get(key);
+    if (!reaction) return null;
+
+    reaction._remove(userId);
+    if (reaction.count === 0) this.reactions.delete(key);
+    return reaction;
+  }
+
+  /**
+   * The versions of the message, newest first, starting with this one.
+   * Only the last `messageEditHistoryMaxSize` previous versions are kept.
+   * @type {Message[]}
+   * @readonly
+   */
+  get edits() {
+    return [this, ...this._edits];
+  }
+
   /**
    * Gets the corresponding guild of the message, if any
    * @type {?Guild}
    * @readonly
    */
   get guild() {
-    return this.guildId ? this.client.guilds.get(this.guildId) || null : null;
+    return this.guildId ? this.client.guilds.cache.get(this.guildId) || null : null;
   }
 
   /**
@@ -172,8 +327,8 @@ class Message {
     if (!this.guild) return this.author.id === this.client.user.id;
     
     // Check permissions and ownership
-    const permissions = this.channel.permissionsFor(this.client.user);
-    if (permissions.has('MANAGE_MESSAGES')) return true;
+    const permissions = this.channel && this.channel.permissionsFor(this.client.user);
+    if (permissions && permissions.has('MANAGE_MESSAGES')) return true;
     return this.author.id === this.client.user.id;
   }
 
@@ -188,7 +343,7 @@ class Message {
 
   /**
    * Reply to the message
-   * @param {string|Object} content - The content of the message
+   * @param {string|Object} content - The content of the message, `files` are uploaded with it
    * @returns {Promise<Message>}
    */
   async reply(content) {
@@ -226,8 +381,8 @@ class Message {
   }
 
   /**
-   * Edit the message
-   * @param {string|Object} content - The new content of the message
+   * Edit the message in place, keeping the previous version in {@link Message#edits}
+   * @param {string|Object} content - The new content of the message, `files` are uploaded with it
    * @returns {Promise<Message>}
    */
   edit(content) {
@@ -243,10 +398,11 @@ class Message {
       data = content;
     }
     
-    return this.client.api.channels(this.channelId).messages(this.id).patch({ data })
+    const { files, ...body } = data;
+    return this.client.api.channels(this.channelId).messages(this.id).patch({ data: body, files })
       .then(response => {
-        const newMessage = new Message(this.client, response);
-        return newMessage;
+        this._update(response);
+        return this;
       });
   }
 
@@ -318,13 +474,36 @@ class Message {
   }
 
   /**
-   * Creates a message collector for the message
-   * @param {Object} options - The options for the collector
-   * @returns {MessageCollector}
+   * Creates a reaction collector for the message
+   * @param {Object} options - The options for the collector, see {@link ReactionCollector}
+   * @returns {ReactionCollector}
    */
   createReactionCollector(options = {}) {
     return new ReactionCollector(this, options);
   }
+
+  /**
+   * Wait for reactions on the message
+   * @param {Object} options - The options for the collector, see {@link ReactionCollector}
+   * @param {string[]} [options.errors] - End reasons that reject instead of resolving
+   * @returns {Promise<Collection<string, MessageReaction>>} The collected reactions, also the rejection value
+   * @example
+   * // Confirm with a thumbs up within 30 seconds
+   * const reactions = await message.awaitReactions({
+   *   filter: (reaction, user) => reaction.emoji.name === '👍' && user.id === author.id,
+   *   max: 1,
+   *   time: 30000,
+   *   errors: ['time'],
+   * });
+   */
+  awaitReactions(options = {}) {
+    return new Promise((resolve, reject) => {
+      this.createReactionCollector(options).once('end', (reactions, reason) => {
+        if (options.errors && options.errors.includes(reason)) reject(reactions);
+        else resolve(reactions);
+      });
+    });
+  }
 }
 
 module.exports = Message; 
\ No newline at end of file
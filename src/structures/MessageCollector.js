@@ -0,0 +1,81 @@
+/**
+ * Collects messages sent in a channel
+ * @module MessageCollector
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collector = require('./Collector');
+
+/**
+ * Collects the messages sent in a channel.
+ * Ends with `channelDelete` if the channel is deleted.
+ * @extends {Collector}
+ */
+class MessageCollector extends Collector {
+  /**
+   * @param {Channel} channel - The channel to collect messages from
+   * @param {Object} [options] - Options for the collector, see {@link Collector}
+   */
+  constructor(channel, options = {}) {
+    super(channel.client, options);
+
+    /**
+     * The channel messages are collected from
+     * @type {Channel}
+     */
+    this.channel = channel;
+
+    this._onChannelDelete = this._onChannelDelete.bind(this);
+    this._onBulkDelete = this._onBulkDelete.bind(this);
+
+    this.client.on('message', this.handleCollect);
+    this.client.on('messageDelete', this.handleDispose);
+    this.client.on('messageDeleteBulk', this._onBulkDelete);
+    this.client.on('channelDelete', this._onChannelDelete);
+
+    this.once('end', () => {
+      this.client.off('message', this.handleCollect);
+      this.client.off('messageDelete', this.handleDispose);
+      this.client.off('messageDeleteBulk', this._onBulkDelete);
+      this.client.off('channelDelete', this._onChannelDelete);
+    });
+  }
+
+  /**
+   * Get the key to collect a message under
+   * @param {Message} message - The message
+   * @returns {?string} The ID of the message, null if it was sent elsewhere
+   */
+  collect(message) {
+    return message.channelId === this.channel.id ? message.id : null;
+  }
+
+  /**
+   * Get the key of a deleted message
+   * @param {Message} message - The message
+   * @returns {?string} The ID of the message, null if it was sent elsewhere
+   */
+  dispose(message) {
+    return message.channelId === this.channel.id ? message.id : null;
+  }
+
+  /**
+   * Dispose of every message of a bulk delete
+   * @param {Collection<string, Message>} messages - The deleted messages
+   * @private
+   */
+  _onBulkDelete(messages) {
+    for (const message of messages.values()) this.handleDispose(message);
+  }
+
+  /**
+   * Stop when the channel is deleted
+   * @param {Channel} channel - The deleted channel
+   * @private
+   */
+  _onChannelDelete(channel) {
+    if (channel.id === this.channel.id) this.stop('channelDelete');
+  }
+}
+
+module.exports = MessageCollector;
@@ -0,0 +1,121 @@
+/**
+ * Represents the mentions of a message
+ * @module MessageMentions
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+
+/**
+ * Matches channel mentions in message content
+ * @type {RegExp}
+ * @private
+ */
+const CHANNEL_PATTERN = /<#(\d{16,20})>/g;
+
+/**
+ * Keeps track of the users, roles and channels a message mentions.
+ * Roles, members and channels are resolved from the cache each time they are read.
+ */
+class MessageMentions {
+  /**
+   * @param {Message} message - The message the mentions are in
+   * @param {Object[]} [users] - The mentioned users, as sent by the API
+   * @param {string[]} [roles] - The IDs of the mentioned roles
+   * @param {boolean} [everyone] - Whether the message mentions @everyone or @here
+   */
+  constructor(message, users = [], roles = [], everyone = false) {
+    /**
+     * The client that instantiated these mentions
+     * @type {Client}
+     */
+    this.client = message.client;
+
+    /**
+     * The message the mentions are in
+     * @type {Message}
+     */
+    this.message = message;
+
+    /**
+     * The mentioned users, keyed by ID
+     * @type {Collection<string, User>}
+     */
+    this.users = new Collection();
+    for (const user of users) this.users.set(user.id, this.client.users.add(user));
+
+    /**
+     * The IDs of the mentioned roles
+     * @type {string[]}
+     */
+    this.roleIds = roles;
+
+    /**
+     * Whether the message mentions @everyone or @here
+     * @type {boolean}
+     */
+    this.everyone = Boolean(everyone);
+  }
+
+  /**
+   * The mentioned roles found in the guild's cache, keyed by ID
+   * @type {Collection<string, Role>}
+   * @readonly
+   */
+  get roles() {
+    const roles = new Collection();
+    const guild = this.message.guild;
+    if (!guild) return roles;
+
+    for (const id of this.roleIds) {
+      if (guild.roles.cache.has(id)) roles.set(id, guild.roles.cache.get(id));
+    }
+    return roles;
+  }
+
+  /**
+   * The mentioned users that are cached members of the guild, keyed by ID
+   * @type {Collection<string, GuildMember>}
+   * @readonly
+   */
+  get members() {
+    const members = new Collection();
+    const guild = this.message.guild;
+    if (!guild) return members;
+
+    for (const id of this.users.keys()) {
+      if (guild.members.has(id)) members.set(id, guild.members.get(id));
+    }
+    return members;
+  }
+
+  /**
+   * The cached channels mentioned in the content, keyed by ID
+   * @type {Collection<string, Channel>}
+   * @readonly
+   */
+  get channels() {
+    const channels = new Collection();
+    for (const [, id] of (this.message.content || '').matchAll(CHANNEL_PATTERN)) {
+      if (this.client.channels.cache.has(id)) channels.set(id, this.client.channels.cache.get(id));
+    }
+    return channels;
+  }
+
+  /**
+   * Whether a user, role or channel is mentioned
+   * @param {string|Object} data - The ID, or an object with an `id`
+   * @param {Object} [options] - Options for the check
+   * @param {boolean} [options.ignoreEveryone=false] - Whether an @everyone mention should not count
+   * @returns {boolean}
+   */
+  has(data, { ignoreEveryone = false } = {}) {
+    if (!ignoreEveryone && this.everyone) return true;
+
+    const id = typeof data === 'string' ? data : data.id;
+    return this.users.has(id) || this.roleIds.includes(id) ||
+      (this.message.content || '').includes(`<#${id}>`);
+  }
+}
+
+module.exports = MessageMentions;
@@ -0,0 +1,115 @@
+/**
+ * Represents a reaction on a message
+ * @module MessageReaction
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+
+/**
+ * Represents the reactions of one emoji on a message
+ */
+class MessageReaction {
+  /**
+   * @param {Client} client - The client that instantiated this reaction
+   * @param {Object} data - The data for the reaction
+   * @param {Message} message - The message the reaction is on
+   */
+  constructor(client, data, message) {
+    /**
+     * The client that instantiated this reaction
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The message the reaction is on
+     * @type {Message}
+     */
+    this.message = message;
+
+    /**
+     * The emoji of the reaction
+     * @type {Object}
+     */
+    this.emoji = {
+      id: data.emoji.id || null,
+      name: data.emoji.name,
+      animated: Boolean(data.emoji.animated),
+    };
+
+    /**
+     * The number of users who reacted with the emoji
+     * @type {number}
+     */
+    this.count = data.count || 0;
+
+    /**
+     * Whether the client user reacted with the emoji
+     * @type {boolean}
+     */
+    this.me = Boolean(data.me);
+
+    /**
+     * The users seen reacting with the emoji since the message was cached, keyed by ID
+     * @type {Collection<string, User>}
+     */
+    this.users = new Collection();
+  }
+
+  /**
+   * Get the key reactions are stored under on a message
+   * @param {Object} emoji - The emoji of the reaction
+   * @returns {string} The ID of a custom emoji or the name of a unicode one
+   */
+  static keyOf(emoji) {
+    return emoji.id || emoji.name;
+  }
+
+  /**
+   * The emoji in the form the API expects in URLs
+   * @type {string}
+   * @readonly
+   */
+  get identifier() {
+    return this.emoji.id ? `${this.emoji.name}:${this.emoji.id}` : encodeURIComponent(this.emoji.name);
+  }
+
+  /**
+   * Remove a user's reaction
+   * @param {string} [userId='@me'] - The ID of the user whose reaction to remove
+   * @returns {Promise<MessageReaction>}
+   */
+  remove(userId = '@me') {
+    return this.client.api.channels(this.message.channelId).messages(this.message.id)
+      .reactions(this.identifier, userId).delete()
+      .then(() => this);
+  }
+
+  /**
+   * Record a user reacting with the emoji
+   * @param {?User} user - The user who reacted
+   * @private
+   */
+  _add(user) {
+    if (user && this.users.has(user.id)) return;
+    this.count++;
+    if (!user) return;
+
+    this.users.set(user.id, user);
+    if (this.client.user && user.id === this.client.user.id) this.me = true;
+  }
+
+  /**
+   * Record a user removing their reaction
+   * @param {string} userId - The ID of the user
+   * @private
+   */
+  _remove(userId) {
+    this.count = Math.max(0, this.count - 1);
+    this.users.delete(userId);
+    if (this.client.user && userId === this.client.user.id) this.me = false;
+  }
+}
+
+module.exports = MessageReaction;
@@ -0,0 +1,157 @@
+/**
+ * Collects reactions on a message
+ * @module ReactionCollector
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+const Collector = require('./Collector');
+const MessageReaction = require('./MessageReaction');
+
+/**
+ * Collects the reactions added to a message, keyed by emoji.
+ * The filter is called with the reaction and the user who reacted. Ends with
+ * `messageDelete` or `channelDelete` if the message or its channel is deleted.
+ * @extends {Collector}
+ */
+class ReactionCollector extends Collector {
+  /**
+   * @param {Message} message - The message to collect reactions on
+   * @param {Object} [options] - Options for the collector, see {@link Collector}
+   * @param {number} [options.max] - How many reactions to collect, repeats of an emoji included
+   * @param {number} [options.maxEmojis] - How many different emojis to collect
+   * @param {number} [options.maxUsers] - How many different users to collect reactions from
+   */
+  constructor(message, options = {}) {
+    super(message.client, options);
+
+    /**
+     * The message reactions are collected on
+     * @type {Message}
+     */
+    this.message = message;
+
+    /**
+     * The users whose reactions were collected, keyed by ID
+     * @type {Collection<string, User>}
+     */
+    this.users = new Collection();
+
+    /**
+     * The number of reactions collected
+     * @type {number}
+     */
+    this.total = 0;
+
+    this._onRemove = this._onRemove.bind(this);
+    this._onRemoveAll = this._onRemoveAll.bind(this);
+    this._onMessageDelete = this._onMessageDelete.bind(this);
+    this._onChannelDelete = this._onChannelDelete.bind(this);
+
+    this.on('collect', (reaction, user) => {
+      this.total++;
+      this.users.set(user.id, user);
+    });
+
+    this.client.on('messageReactionAdd', this.handleCollect);
+    this.client.on('messageReactionRemove', this._onRemove);
+    this.client.on('messageReactionRemoveEmoji', this.handleDispose);
+    this.client.on('messageReactionRemoveAll', this._onRemoveAll);
+    this.client.on('messageDelete', this._onMessageDelete);
+    this.client.on('channelDelete', this._onChannelDelete);
+
+    this.once('end', () => {
+      this.client.off('messageReactionAdd', this.handleCollect);
+      this.client.off('messageReactionRemove', this._onRemove);
+      this.client.off('messageReactionRemoveEmoji', this.handleDispose);
+      this.client.off('messageReactionRemoveAll', this._onRemoveAll);
+      this.client.off('messageDelete', this._onMessageDelete);
+      this.client.off('channelDelete', this._onChannelDelete);
+    });
+  }
+
+  /**
+   * Get the key to collect a reaction under
+   * @param {MessageReaction} reaction - The reaction
+   * @returns {?string} The key of the emoji, null if the reaction is on another message
+   */
+  collect(reaction) {
+    return reaction.message.id === this.message.id ? MessageReaction.keyOf(reaction.emoji) : null;
+  }
+
+  /**
+   * Get the key of a removed reaction
+   * @param {MessageReaction} reaction - The reaction
+   * @returns {?string} The key of the emoji, null if the reaction is on another message
+   */
+  dispose(reaction) {
+    return reaction.message.id === this.message.id ? MessageReaction.keyOf(reaction.emoji) : null;
+  }
+
+  /**
+   * The reason the collector should end for, if a limit was reached.
+   * Reactions are keyed by emoji, so `max` counts every reaction rather than the collected keys.
+   * @returns {?string} `limit`, `emojiLimit`, `userLimit` or `processedLimit`
+   */
+  endCondition() {
+    if (this.options.max && this.total >= this.options.max) return 'limit';
+    if (this.options.maxEmojis && this.collected.size >= this.options.maxEmojis) return 'emojiLimit';
+    if (this.options.maxUsers && this.users.size >= this.options.maxUsers) return 'userLimit';
+    if (this.options.maxProcessed && this.received >= this.options.maxProcessed) return 'processedLimit';
+    return null;
+  }
+
+  /**
+   * Follow a user removing their reaction
+   * @param {MessageReaction} reaction - The reaction
+   * @param {User} user - The user
+   * @private
+   */
+  _onRemove(reaction, user) {
+    const key = this.collect(reaction);
+    if (this.ended || key === null || !this.collected.has(key)) return;
+
+    /**
+     * Emitted when a user removes a collected reaction
+     * @event ReactionCollector#remove
+     * @param {MessageReaction} reaction - The reaction
+     * @param {User} user - The user
+     */
+    this.emit('remove', reaction, user);
+
+    // The last user took it back
+    if (reaction.count === 0) this.handleDispose(reaction, user);
+  }
+
+  /**
+   * Forget every reaction when they are all removed
+   * @param {Message} message - The message
+   * @private
+   */
+  _onRemoveAll(message) {
+    if (message.id !== this.message.id) return;
+    this.collected.clear();
+    this.users.clear();
+    this.checkEnd();
+  }
+
+  /**
+   * Stop when the message is deleted
+   * @param {Message} message - The deleted message
+   * @private
+   */
+  _onMessageDelete(message) {
+    if (message.id === this.message.id) this.stop('messageDelete');
+  }
+
+  /**
+   * Stop when the channel of the message is deleted
+   * @param {Channel} channel - The deleted channel
+   * @private
+   */
+  _onChannelDelete(channel) {
+    if (channel.id === this.message.channelId) this.stop('channelDelete');
+  }
+}
+
+module.exports = ReactionCollector;
@@ -0,0 +1,150 @@
+/**
+ * Represents a role of a guild on Discord
+ * @module Role
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+const Permissions = require('../util/Permissions');
+
+/**
+ * Represents a role of a guild on Discord
+ */
+class Role {
+  /**
+   * @param {Client} client - The client that instantiated this role
+   * @param {Guild} guild - The guild this role is part of
+   * @param {Object} data - The data for the role
+   */
+  constructor(client, guild, data) {
+    /**
+     * The client that instantiated this role
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The guild this role is part of
+     * @type {Guild}
+     */
+    this.guild = guild;
+
+    /**
+     * The ID of the role
+     * @type {string}
+     */
+    this.id = data.id;
+
+    this._patch(data);
+  }
+
+  /**
+   * Patch role data
+   * @param {Object} data - The data to patch
+   * @private
+   */
+  _patch(data) {
+    /**
+     * The name of the role
+     * @type {string}
+     */
+    this.name = data.name;
+
+    /**
+     * The color of the role as a number, 0 when it has none
+     * @type {number}
+     */
+    this.color = data.color || 0;
+
+    /**
+     * Whether the role is displayed separately in the member list
+     * @type {boolean}
+     */
+    this.hoist = Boolean(data.hoist);
+
+    /**
+     * The position of the role, @everyone being at 0
+     * @type {number}
+     */
+    this.position = data.position || 0;
+
+    /**
+     * The permissions of the role
+     * @type {Readonly<Permissions>}
+     */
+    this.permissions = new Permissions(data.permissions ?? 0n).freeze();
+
+    /**
+     * Whether the role is managed by an integration
+     * @type {boolean}
+     */
+    this.managed = Boolean(data.managed);
+
+    /**
+     * Whether the role can be mentioned by anyone
+     * @type {boolean}
+     */
+    this.mentionable = Boolean(data.mentionable);
+
+    /**
+     * The icon hash of the role
+     * @type {?string}
+     */
+    this.icon = data.icon || null;
+
+    /**
+     * The unicode emoji of the role
+     * @type {?string}
+     */
+    this.unicodeEmoji = data.unicode_emoji || null;
+
+    /**
+     * The tags of the role, such as the ID of the bot or integration managing it
+     * @type {?Object}
+     */
+    this.tags = data.tags || null;
+  }
+
+  /**
+   * The hexadecimal color of the role
+   * @type {string}
+   * @readonly
+   */
+  get hexColor() {
+    return `#${this.color.toString(16).padStart(6, '0')}`;
+  }
+
+  /**
+   * The cached members that have the role, every cached member for @everyone
+   * @type {Collection<string, GuildMember>}
+   * @readonly
+   */
+  get members() {
+    if (this.id === this.guild.id) return new Collection(this.guild.members);
+    return this.guild.members.filter(member => member.roleIds.includes(this.id));
+  }
+
+  /**
+   * Compare the position of the role with another role. Roles at the same position are ordered by ID,
+   * the older role being higher.
+   * @param {Role} role - The role to compare with
+   * @returns {number} A positive number when this role is higher, negative when it is lower and 0 when they are the same
+   * @example
+   * if (member.highestRole.comparePositionTo(role) > 0) console.log(`${member.displayName} is above ${role.name}`);
+   */
+  comparePositionTo(role) {
+    if (this.position !== role.position) return this.position - role.position;
+    if (this.id === role.id) return 0;
+    return BigInt(this.id) < BigInt(role.id) ? 1 : -1;
+  }
+
+  /**
+   * Returns a mention of the role
+   * @returns {string}
+   */
+  toString() {
+    return this.id === this.guild.id ? '@everyone' : `<@&${this.id}>`;
+  }
+}
+
+module.exports = Role;
@@ -0,0 +1,76 @@
+/**
+ * Represents a text channel of a guild
+ * @module TextChannel
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Constants = require('../util/Constants');
+const Channel = require('./Channel');
+
+/**
+ * Represents a text or announcement channel of a guild
+ * @extends {Channel}
+ */
+class TextChannel extends Channel {
+  /**
+   * Whether the channel is an announcement channel, whose messages can be followed by other guilds
+   * @type {boolean}
+   * @readonly
+   */
+  get isNews() {
+    return this.type === Constants.ChannelTypes.GUILD_NEWS;
+  }
+
+  /**
+   * The last message sent in the channel, if it is cached
+   * @type {?Message}
+   * @readonly
+   */
+  get lastMessage() {
+    return this.lastMessageId && this.client.cache ? this.client.cache.getMessage(this.lastMessageId) : null;
+  }
+
+  /**
+   * The cached threads of the channel, keyed by ID
+   * @type {Collection<string, ThreadChannel>}
+   * @readonly
+   */
+  get threads() {
+    return this.client.channels.cache.filter(channel => channel.isThread && channel.parentId === this.id);
+  }
+
+  /**
+   * Create a thread in the channel, from a message or on its own
+   * @param {Object} options - The options of the thread
+   * @param {string} options.name - The name of the thread
+   * @param {number} [options.autoArchiveDuration=1440] - The minutes of inactivity after which the thread is archived
+   * @param {Message|string} [options.startMessage] - The message to start the thread from
+   * @param {number} [options.type] - The type of a thread not started from a message, a public one by default,
+   * see {@link Constants.ChannelTypes}
+   * @param {boolean} [options.invitable] - Whether members can invite others to a private thread
+   * @param {number} [options.rateLimitPerUser] - The slowmode of the thread in seconds
+   * @param {string} [options.reason] - The reason for creating the thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * const thread = await channel.createThread({ name: 'Support', startMessage: message });
+   * await thread.send('How can we help?');
+   */
+  createThread({ name, autoArchiveDuration = 1440, startMessage, type, invitable, rateLimitPerUser, reason } = {}) {
+    const data = { name, auto_archive_duration: autoArchiveDuration, rate_limit_per_user: rateLimitPerUser };
+    let route;
+
+    if (startMessage) {
+      const messageId = typeof startMessage === 'string' ? startMessage : startMessage.id;
+      route = this.client.api.channels(this.id).messages(messageId).threads();
+    } else {
+      data.type = type ?? (this.isNews ? Constants.ChannelTypes.GUILD_NEWS_THREAD : Constants.ChannelTypes.GUILD_PUBLIC_THREAD);
+      data.invitable = data.type === Constants.ChannelTypes.GUILD_PRIVATE_THREAD ? invitable : undefined;
+      route = this.client.api.channels(this.id).threads();
+    }
+
+    return route.post({ data, reason })
+      .then(response => this.client.channels.add({ guild_id: this.guildId, ...response }));
+  }
+}
+
+module.exports = TextChannel;
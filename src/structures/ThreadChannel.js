@@ -0,0 +1,264 @@
+/**
+ * Represents a thread of a guild channel
+ * @module ThreadChannel
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Collection = require('../util/Collection');
+const Constants = require('../util/Constants');
+const Permissions = require('../util/Permissions');
+const Channel = require('./Channel');
+const ThreadMember = require('./ThreadMember');
+
+/**
+ * Represents a public, private or announcement thread
+ * @extends {Channel}
+ */
+class ThreadChannel extends Channel {
+  /**
+   * Patch thread data
+   * @param {Object} data - The data to patch
+   * @private
+   */
+  _patch(data) {
+    super._patch(data);
+
+    if (!this.members) {
+      /**
+       * The cached members of the thread, keyed by user ID
+       * @type {Collection<string, ThreadMember>}
+       */
+      this.members = new Collection();
+    }
+
+    // Partial updates such as THREAD_MEMBERS_UPDATE leave the thread state as it is
+    if (data.thread_metadata) {
+      const metadata = data.thread_metadata;
+
+      /**
+       * Whether the thread is archived
+       * @type {boolean}
+       */
+      this.archived = Boolean(metadata.archived);
+
+      /**
+       * The timestamp the thread was last archived or unarchived at
+       * @type {?number}
+       */
+      this.archivedAt = metadata.archive_timestamp ? new Date(metadata.archive_timestamp).getTime() : null;
+
+      /**
+       * The minutes of inactivity after which the thread is archived: 60, 1440, 4320 or 10080
+       * @type {number}
+       */
+      this.autoArchiveDuration = metadata.auto_archive_duration || 1440;
+
+      /**
+       * Whether the thread is locked, only moderators can unarchive it
+       * @type {boolean}
+       */
+      this.locked = Boolean(metadata.locked);
+
+      /**
+       * Whether members who aren't moderators can add other members to a private thread
+       * @type {?boolean}
+       */
+      this.invitable = typeof metadata.invitable === 'boolean' ? metadata.invitable : null;
+
+      /**
+       * The timestamp the thread was created at, only known for threads created after 2022-01-09
+       * @type {?number}
+       */
+      this.createdAt = metadata.create_timestamp ? new Date(metadata.create_timestamp).getTime() : null;
+    } else if (this.archived === undefined) {
+      this.archived = false;
+      this.archivedAt = null;
+      this.autoArchiveDuration = 1440;
+      this.locked = false;
+      this.invitable = null;
+      this.createdAt = null;
+    }
+
+    if ('message_count' in data) {
+      /**
+       * The approximate number of messages in the thread, stops counting at 50
+       * @type {?number}
+       */
+      this.messageCount = data.message_count;
+    } else if (this.messageCount === undefined) {
+      this.messageCount = null;
+    }
+
+    if ('member_count' in data) {
+      /**
+       * The approximate number of members in the thread, stops counting at 50
+       * @type {?number}
+       */
+      this.memberCount = data.member_count;
+    } else if (this.memberCount === undefined) {
+      this.memberCount = null;
+    }
+
+    // The thread member of the client user, sent when it joined the thread
+    if (data.member && this.client.user) this._addMember({ user_id: this.client.user.id, ...data.member });
+  }
+
+  /**
+   * Whether the thread is private, only visible to its members and moderators
+   * @type {boolean}
+   * @readonly
+   */
+  get isPrivate() {
+    return this.type === Constants.ChannelTypes.GUILD_PRIVATE_THREAD;
+  }
+
+  /**
+   * Whether the client user is a member of the thread
+   * @type {boolean}
+   * @readonly
+   */
+  get joined() {
+    return Boolean(this.client.user) && this.members.has(this.client.user.id);
+  }
+
+  /**
+   * Add or update a member in the cache of the thread
+   * @param {Object} data - The thread member data
+   * @returns {ThreadMember} The member
+   * @private
+   */
+  _addMember(data) {
+    const existing = this.members.get(data.user_id);
+    if (existing) {
+      existing._patch(data);
+      return existing;
+    }
+
+    const member = new ThreadMember(this, data);
+    this.members.set(member.id, member);
+    return member;
+  }
+
+  /**
+   * Get the permissions of a member or a role in the thread, from those of its parent channel.
+   * SEND_MESSAGES is whether messages can be sent in the thread, which SEND_MESSAGES_IN_THREADS decides.
+   * Private threads are only visible to their members and to those with MANAGE_THREADS, according to the
+   * cached members of the thread.
+   * @param {GuildMember|User|Role|string} memberOrRole - The member or role, a user or an ID
+   * @returns {?Permissions} The frozen permissions, null when the parent, member or role isn't cached
+   * @example
+   * client.on('message', message => {
+   *   const permissions = message.channel.permissionsFor(client.user);
+   *   if (message.channel.isThread && permissions && permissions.has('SEND_MESSAGES')) message.reply('pong');
+   * });
+   */
+  permissionsFor(memberOrRole) {
+    const parent = this.parent;
+    const overwritten = parent ? parent._overwrittenPermissions(memberOrRole) : null;
+    if (!overwritten) return null;
+
+    const { FLAGS } = Permissions;
+    let { bits } = overwritten;
+    const { member } = overwritten;
+
+    if (!(bits & FLAGS.ADMINISTRATOR)) {
+      bits = bits & FLAGS.SEND_MESSAGES_IN_THREADS ? bits | FLAGS.SEND_MESSAGES : bits & ~FLAGS.SEND_MESSAGES;
+
+      // Roles can't join a thread, only their MANAGE_THREADS shows them a private one
+      const isMember = member ? this.members.has(member.id) : false;
+      if (this.isPrivate && !isMember && !(bits & FLAGS.MANAGE_THREADS)) bits &= ~FLAGS.VIEW_CHANNEL;
+    }
+
+    return new Permissions(parent._implicitPermissions(bits, member)).freeze();
+  }
+
+  /**
+   * Edit the thread
+   * @param {Object} data - The fields to edit
+   * @param {string} [data.name] - The name of the thread
+   * @param {boolean} [data.archived] - Whether the thread is archived
+   * @param {number} [data.autoArchiveDuration] - The minutes of inactivity after which the thread is archived
+   * @param {boolean} [data.locked] - Whether the thread is locked
+   * @param {boolean} [data.invitable] - Whether members can invite others to a private thread
+   * @param {number} [data.rateLimitPerUser] - The slowmode of the thread in seconds
+   * @param {string} [reason] - The reason for editing the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  edit(data, reason) {
+    return this.client.api.channels(this.id).patch({
+      data: {
+        name: data.name,
+        archived: data.archived,
+        auto_archive_duration: data.autoArchiveDuration,
+        locked: data.locked,
+        invitable: data.invitable,
+        rate_limit_per_user: data.rateLimitPerUser,
+      },
+      reason,
+    }).then(response => this.client.channels.add(response));
+  }
+
+  /**
+   * Archive or unarchive the thread
+   * @param {boolean} [archived=true] - Whether to archive the thread
+   * @param {string} [reason] - The reason for archiving the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setArchived(archived = true, reason) {
+    return this.edit({ archived }, reason);
+  }
+
+  /**
+   * Lock or unlock the thread
+   * @param {boolean} [locked=true] - Whether to lock the thread
+   * @param {string} [reason] - The reason for locking the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  setLocked(locked = true, reason) {
+    return this.edit({ locked }, reason);
+  }
+
+  /**
+   * Join the thread
+   * @returns {Promise<ThreadChannel>}
+   * @example
+   * // Follow every new thread of a channel
+   * client.on('threadCreate', thread => {
+   *   if (thread.parentId === 'CHANNEL_ID' && !thread.joined) thread.join();
+   * });
+   */
+  join() {
+    return this.client.api.channels(this.id).threadMembers('@me').put()
+      .then(() => {
+        this._addMember({ user_id: this.client.user.id, join_timestamp: new Date().toISOString() });
+        return this;
+      });
+  }
+
+  /**
+   * Leave the thread
+   * @returns {Promise<ThreadChannel>}
+   */
+  leave() {
+    return this.client.api.channels(this.id).threadMembers('@me').delete()
+      .then(() => {
+        this.members.delete(this.client.user.id);
+        return this;
+      });
+  }
+
+  /**
+   * Fetch the members of the thread
+   * @returns {Promise<Collection<string, ThreadMember>>}
+   */
+  fetchMembers() {
+    return this.client.api.channels(this.id).threadMembers().get()
+      .then(data => {
+        this.members.clear();
+        for (const memberData of data) this._addMember(memberData);
+        return this.members;
+      });
+  }
+}
+
+module.exports = ThreadChannel;
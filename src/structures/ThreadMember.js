@@ -0,0 +1,87 @@
+/**
+ * Represents a member of a thread on Discord
+ * @module ThreadMember
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Represents a user that joined a thread
+ */
+class ThreadMember {
+  /**
+   * @param {ThreadChannel} thread - The thread this member is part of
+   * @param {Object} data - The data for the thread member
+   */
+  constructor(thread, data) {
+    /**
+     * The client that instantiated this thread member
+     * @type {Client}
+     */
+    this.client = thread.client;
+
+    /**
+     * The thread this member is part of
+     * @type {ThreadChannel}
+     */
+    this.thread = thread;
+
+    /**
+     * The ID of the user
+     * @type {string}
+     */
+    this.id = data.user_id;
+
+    this._patch(data);
+  }
+
+  /**
+   * Patch thread member data
+   * @param {Object} data - The data to patch
+   * @private
+   */
+  _patch(data) {
+    /**
+     * The timestamp the user joined the thread at
+     * @type {?number}
+     */
+    this.joinedAt = data.join_timestamp ? new Date(data.join_timestamp).getTime() : null;
+
+    /**
+     * The notification flags of the member, only known for the client user
+     * @type {number}
+     */
+    this.flags = data.flags || 0;
+
+    // Some payloads carry the guild member of the user
+    if (data.member && data.member.user) this.client.users.add(data.member.user);
+  }
+
+  /**
+   * The user of this member, if it is cached
+   * @type {?User}
+   * @readonly
+   */
+  get user() {
+    return this.client.users.resolve(this.id);
+  }
+
+  /**
+   * The guild member of this member, if it is cached
+   * @type {?GuildMember}
+   * @readonly
+   */
+  get guildMember() {
+    const guild = this.thread.guild;
+    return guild ? guild.members.get(this.id) || null : null;
+  }
+
+  /**
+   * Returns a mention of the user
+   * @returns {string}
+   */
+  toString() {
+    return `<@${this.id}>`;
+  }
+}
+
+module.exports = ThreadMember;
@@ -149,7 +149,7 @@ class User {
     
     if (dynamic) format = this.avatar.startsWith('a_') ? 'gif' : format;
     
-    return `${Constants.API.CDN}/avatars/${this.id}/${this.avatar}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/avatars/${this.id}/${this.avatar}.${format}?size=${size}`;
   }
 
   /**
@@ -165,7 +165,7 @@ class User {
     
     if (dynamic) format = this.banner.startsWith('a_') ? 'gif' : format;
     
-    return `${Constants.API.CDN}/banners/${this.id}/${this.banner}.${format}?size=${size}`;
+    return `${this.client.options.http.cdn}/banners/${this.id}/${this.banner}.${format}?size=${size}`;
   }
 
   /**
@@ -176,7 +176,7 @@ class User {
     const index = this.discriminator === '0' 
       ? parseInt(this.id) % 6 
       : parseInt(this.discriminator) % 5;
-    return `${Constants.API.CDN}/embed/avatars/${index}.png`;
+    return `${this.client.options.http.cdn}/embed/avatars/${index}.png`;
   }
 
   /**
@@ -277,7 +277,7 @@ class User {
     
     // Send the presence update through the WebSocket
     if (this.client._ws && this.client.connected) {
-      this.client._ws.send(JSON.stringify(presenceData));
+      this.client._send(presenceData);
       
       // Update local presence data
       this.presence = {
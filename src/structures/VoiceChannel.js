@@ -0,0 +1,46 @@
+/**
+ * Represents a voice channel of a guild
+ * @module VoiceChannel
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const Constants = require('../util/Constants');
+const Channel = require('./Channel');
+
+/**
+ * Represents a voice or stage channel of a guild
+ * @extends {Channel}
+ */
+class VoiceChannel extends Channel {
+  /**
+   * Patch voice channel data
+   * @param {Object} data - The data to patch
+   * @private
+   */
+  _patch(data) {
+    super._patch(data);
+
+    /**
+     * The voice region of the channel, null to pick it automatically
+     * @type {?string}
+     */
+    this.rtcRegion = data.rtc_region || null;
+
+    /**
+     * The camera video quality mode of the channel, 1 for auto and 2 for 720p
+     * @type {number}
+     */
+    this.videoQualityMode = data.video_quality_mode || 1;
+  }
+
+  /**
+   * Whether the channel is a stage channel
+   * @type {boolean}
+   * @readonly
+   */
+  get isStage() {
+    return this.type === Constants.ChannelTypes.GUILD_STAGE_VOICE;
+  }
+}
+
+module.exports = VoiceChannel;
@@ -0,0 +1,901 @@
+/**
+ * Local stand-in for the Discord gateway and REST API, used to test clients offline
+ * @module MockDiscordServer
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const EventEmitter = require('events');
+const http = require('http');
+const WebSocket = require('ws');
+const Constants = require('../util/Constants');
+const ETF = require('../util/ETF');
+
+const { OPCodes } = Constants;
+
+/**
+ * Matches the versioned prefix the REST API is served under
+ * @type {RegExp}
+ * @private
+ */
+const API_PATH = /^\/api\/v\d+/;
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} raw - The body
+ * @param {string} boundary - The boundary from the content type
+ * @returns {Object[]} The parts, each with its field `name`, `filename`, `contentType` and `data`
+ * @private
+ */
+function parseMultipart(raw, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const parts = [];
+  let start = raw.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = raw.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+
+    // Each part is "\r\n<headers>\r\n\r\n<data>\r\n" between two delimiters
+    const part = raw.subarray(start + delimiter.length + 2, next - 2);
+    const split = part.indexOf('\r\n\r\n');
+    const head = part.subarray(0, split).toString();
+    const disposition = /content-disposition:[^\r\n]*/i.exec(head);
+    const type = /content-type:\s*([^\r\n]+)/i.exec(head);
+
+    parts.push({
+      name: disposition && (/\bname="([^"]*)"/.exec(disposition[0]) || [])[1],
+      filename: disposition && (/\bfilename="([^"]*)"/.exec(disposition[0]) || [])[1],
+      contentType: type ? type[1] : null,
+      data: part.subarray(split + 4),
+    });
+    start = next;
+  }
+
+  return parts;
+}
+
+/**
+ * A Discord gateway and REST server listening on localhost.
+ * Point a client at it with {@link MockDiscordServer#clientOptions}.
+ * @extends {EventEmitter}
+ */
+class MockDiscordServer extends EventEmitter {
+  /**
+   * @param {Object} [options] - Options for the server
+   * @param {string} [options.token] - The only token accepted, any token is accepted when omitted
+   * @param {Object} [options.user] - The user the client logs in as
+   * @param {Object[]} [options.guilds] - Guilds sent in READY
+   * @param {Object[]} [options.privateChannels] - DM channels sent in READY
+   * @param {Object[]} [options.relationships] - Relationships sent in READY
+   * @param {number} [options.heartbeatInterval=41250] - The heartbeat interval sent in HELLO
+   */
+  constructor(options = {}) {
+    super();
+
+    /**
+     * The options the server was created with
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      token: null,
+      user: { id: '80351110224678912', username: 'ghost', discriminator: '0', avatar: null },
+      guilds: [],
+      privateChannels: [],
+      relationships: [],
+      heartbeatInterval: 41250,
+    }, options);
+
+    /**
+     * Whether heartbeats are acknowledged, disable to simulate a zombie connection
+     * @type {boolean}
+     */
+    this.ackHeartbeats = true;
+
+    /**
+     * Every REST request received, in order, with the uploaded `files` of multipart requests
+     * @type {Object[]}
+     */
+    this.requests = [];
+
+    /**
+     * Every gateway payload received from clients, in order
+     * @type {Object[]}
+     */
+    this.payloads = [];
+
+    /**
+     * Channels known to the REST API, keyed by ID
+     * @type {Map<string, Object>}
+     */
+    this.channels = new Map();
+
+    /**
+     * Messages known to the REST API, keyed by channel ID then message ID
+     * @type {Map<string, Map<string, Object>>}
+     */
+    this.messages = new Map();
+
+    /**
+     * Guilds known to the REST API, keyed by ID
+     * @type {Map<string, Object>}
+     */
+    this.guilds = new Map();
+
+    /**
+     * The content of the attachments served by the mock CDN, keyed by URL path
+     * @type {Map<string, Object>}
+     */
+    this.attachments = new Map();
+
+    /**
+     * Members of the threads known to the REST API, keyed by thread ID then user ID
+     * @type {Map<string, Map<string, Object>>}
+     */
+    this.threadMembers = new Map();
+
+    /**
+     * Users known to the REST API besides the client user, keyed by ID
+     * @type {Map<string, Object>}
+     */
+    this.users = new Map();
+
+    /**
+     * Gateway sessions, keyed by session ID
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._sessions = new Map();
+
+    /**
+     * Responses queued by {@link MockDiscordServer#rateLimit} and {@link MockDiscordServer#respond}
+     * @type {Object[]}
+     * @private
+     */
+    this._overrides = [];
+
+    /**
+     * The next snowflake to hand out
+     * @type {bigint}
+     * @private
+     */
+    this._snowflake = 1290436014583398420n;
+
+    /**
+     * The HTTP server both the gateway and the REST API listen on
+     * @type {?http.Server}
+     * @private
+     */
+    this._server = null;
+
+    /**
+     * The gateway WebSocket server
+     * @type {?WebSocket.Server}
+     * @private
+     */
+    this._wss = null;
+
+    for (const guild of this.options.guilds) this.addGuild(guild);
+    for (const channel of this.options.privateChannels) this.addChannel(channel);
+  }
+
+  /**
+   * The base URL of the REST API, without the version
+   * @type {string}
+   * @readonly
+   */
+  get apiURL() {
+    return `http://127.0.0.1:${this.port}/api`;
+  }
+
+  /**
+   * The URL of the gateway
+   * @type {string}
+   * @readonly
+   */
+  get gatewayURL() {
+    return `ws://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * The port the server listens on
+   * @type {?number}
+   * @readonly
+   */
+  get port() {
+    return this._server ? this._server.address().port : null;
+  }
+
+  /**
+   * The gateway connections that completed IDENTIFY or RESUME
+   * @type {WebSocket[]}
+   * @readonly
+   */
+  get connections() {
+    if (!this._wss) return [];
+    return [...this._wss.clients].filter(ws => ws.session && ws.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Start listening on a random local port
+   * @returns {Promise<MockDiscordServer>}
+   */
+  start() {
+    this._server = http.createServer(this._onRequest.bind(this));
+    this._wss = new WebSocket.Server({ server: this._server });
+    this._wss.on('connection', this._onConnection.bind(this));
+
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(0, '127.0.0.1', () => resolve(this));
+    });
+  }
+
+  /**
+   * Close every connection and stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this._server) return Promise.resolve();
+
+    for (const ws of this._wss.clients) ws.terminate();
+    this._wss.close();
+
+    const server = this._server;
+    this._server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      // Drop idle keep-alive sockets, only available since Node 18.2
+      if (server.closeAllConnections) server.closeAllConnections();
+    });
+  }
+
+  /**
+   * Options to merge into a client so it talks to this server
+   * @returns {Object}
+   */
+  clientOptions() {
+    return {
+      http: { api: this.apiURL },
+      ws: { gateway: this.gatewayURL },
+    };
+  }
+
+  /**
+   * Generate a new snowflake
+   * @returns {string}
+   */
+  snowflake() {
+    return (this._snowflake++).toString();
+  }
+
+  /**
+   * Make a channel available through the REST API
+   * @param {Object} data - The channel data
+   * @returns {Object} The stored channel
+   */
+  addChannel(data) {
+    const channel = Object.assign({ id: this.snowflake(), type: Constants.ChannelTypes.GUILD_TEXT }, data);
+    this.channels.set(channel.id, channel);
+    if (!this.messages.has(channel.id)) this.messages.set(channel.id, new Map());
+    return channel;
+  }
+
+  /**
+   * Make a thread of a channel available through the REST API
+   * @param {string} parentId - The ID of the channel of the thread
+   * @param {Object} [data] - The thread data
+   * @returns {Object} The stored thread
+   */
+  addThread(parentId, data = {}) {
+    const parent = this.channels.get(parentId);
+    const thread = this.addChannel(Object.assign({
+      type: Constants.ChannelTypes.GUILD_PUBLIC_THREAD,
+      guild_id: parent && parent.guild_id,
+      parent_id: parentId,
+      owner_id: this.options.user.id,
+      message_count: 0,
+      member_count: 0,
+    }, data, {
+      // A copy, since archiving and locking the thread changes it
+      thread_metadata: Object.assign({
+        archived: false,
+        archive_timestamp: new Date().toISOString(),
+        auto_archive_duration: 1440,
+        locked: false,
+      }, data.thread_metadata),
+    }));
+    if (!this.threadMembers.has(thread.id)) this.threadMembers.set(thread.id, new Map());
+    return thread;
+  }
+
+  /**
+   * Make a guild, its channels and its threads available through the REST API
+   * @param {Object} data - The guild data
+   * @returns {Object} The stored guild
+   */
+  addGuild(data) {
+    const guild = Object.assign({ id: this.snowflake(), name: 'Guild', channels: [], members: [], roles: [] }, data);
+    this.guilds.set(guild.id, guild);
+    for (const channel of guild.channels) this.addChannel(Object.assign({ guild_id: guild.id }, channel));
+    for (const thread of guild.threads || []) this.addThread(thread.parent_id, Object.assign({ guild_id: guild.id }, thread));
+    return guild;
+  }
+
+  /**
+   * Serve a file from the mock CDN, to attach it to a message
+   * @param {string} channelId - The channel of the message
+   * @param {string} filename - The name of the file
+   * @param {Buffer|string} data - The content of the file
+   * @param {string} [contentType] - The media type of the file
+   * @returns {Object} The attachment payload
+   */
+  addAttachment(channelId, filename, data, contentType) {
+    const id = this.snowflake();
+    const content = Buffer.from(data);
+    const path = `/attachments/${channelId}/${id}/${encodeURIComponent(filename)}`;
+    this.attachments.set(path, { data: content, contentType: contentType || 'application/octet-stream' });
+    return {
+      id,
+      filename,
+      content_type: contentType,
+      size: content.length,
+      url: `http://127.0.0.1:${this.port}${path}`,
+      proxy_url: `http://127.0.0.1:${this.port}${path}`,
+    };
+  }
+
+  /**
+   * Make a user available through the REST API
+   * @param {Object} data - The user data
+   * @returns {Object} The stored user
+   */
+  addUser(data) {
+    const user = Object.assign({ id: this.snowflake(), username: 'user', discriminator: '0', avatar: null }, data);
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Build a message authored by the client user, or by `data.author`
+   * @param {string} channelId - The channel of the message
+   * @param {Object} [data] - The fields of the message
+   * @returns {Object} The stored message
+   */
+  createMessage(channelId, data = {}) {
+    const channel = this.channels.get(channelId) || this.addChannel({ id: channelId });
+    const message = Object.assign({
+      id: this.snowflake(),
+      channel_id: channelId,
+      author: this.options.user,
+      content: '',
+      timestamp: new Date().toISOString(),
+      edited_timestamp: null,
+      tts: false,
+      mention_everyone: false,
+      mentions: [],
+      mention_roles: [],
+      attachments: [],
+      embeds: [],
+      pinned: false,
+      type: Constants.MessageTypes.DEFAULT,
+    }, data);
+
+    if (channel.guild_id) message.guild_id = channel.guild_id;
+    this.messages.get(channelId).set(message.id, message);
+    channel.last_message_id = message.id;
+    return message;
+  }
+
+  /**
+   * Send a dispatch to every connected session
+   * @param {string} event - The name of the dispatch
+   * @param {Object} data - The data of the dispatch
+   */
+  dispatch(event, data) {
+    for (const session of this._sessions.values()) {
+      this._dispatch(session, event, data);
+    }
+  }
+
+  /**
+   * Close every gateway connection with a close code
+   * @param {number} [code=4000] - The close code
+   * @param {string} [reason] - The close reason
+   */
+  disconnect(code = 4000, reason = '') {
+    for (const ws of this._wss.clients) ws.close(code, reason);
+  }
+
+  /**
+   * Send INVALID_SESSION to every connection
+   * @param {boolean} [resumable=false] - Whether the sessions may be resumed
+   */
+  invalidateSessions(resumable = false) {
+    if (!resumable) this._sessions.clear();
+    for (const ws of this.connections) {
+      this._send(ws, { op: OPCodes.INVALID_SESSION, d: resumable, s: null, t: null });
+    }
+  }
+
+  /**
+   * Ask every connection to reconnect and resume
+   */
+  requestReconnect() {
+    for (const ws of this.connections) {
+      this._send(ws, { op: OPCodes.RECONNECT, d: null, s: null, t: null });
+    }
+  }
+
+  /**
+   * Answer the next matching REST requests with a 429
+   * @param {Object} [options] - Options for the rate limit
+   * @param {string} [options.method] - The method to match, any when omitted
+   * @param {string|RegExp} [options.path] - The path to match, any when omitted
+   * @param {number} [options.retryAfter=0.1] - The seconds to wait before retrying
+   * @param {boolean} [options.global=false] - Whether the limit is global
+   * @param {string} [options.scope] - The `x-ratelimit-scope` header, `global` or `user` by default
+   * @param {number} [options.count=1] - The number of requests to limit
+   */
+  rateLimit({ method, path, retryAfter = 0.1, global = false, scope, count = 1 } = {}) {
+    const headers = {
+      'retry-after': String(retryAfter),
+      'x-ratelimit-scope': scope || (global ? 'global' : 'user'),
+    };
+    if (global) headers['x-ratelimit-global'] = 'true';
+
+    this.respond({
+      method,
+      path,
+      count,
+      status: 429,
+      headers,
+      body: { message: 'You are being rate limited.', retry_after: retryAfter, global },
+    });
+  }
+
+  /**
+   * Answer the next matching REST requests with a canned response
+   * @param {Object} options - The response
+   * @param {string} [options.method] - The method to match, any when omitted
+   * @param {string|RegExp} [options.path] - The path to match, any when omitted
+   * @param {number} [options.status=200] - The status code
+   * @param {Object} [options.headers] - Extra response headers
+   * @param {*} [options.body] - The JSON body
+   * @param {number} [options.count=1] - The number of requests to answer
+   * @param {number} [options.delay=0] - The time in ms to wait before answering
+   */
+  respond({ method, path, status = 200, headers = {}, body = null, count = 1, delay = 0 }) {
+    this._overrides.push({ method: method && method.toUpperCase(), path, status, headers, body, count, delay });
+  }
+
+  /**
+   * When a client opens a gateway connection
+   * @param {WebSocket} ws - The connection
+   * @param {http.IncomingMessage} request - The upgrade request
+   * @private
+   */
+  _onConnection(ws, request) {
+    const query = new URL(request.url, this.gatewayURL).searchParams;
+    ws.encoding = query.get('encoding') === 'etf' ? 'etf' : 'json';
+    ws.session = null;
+
+    ws.on('message', data => this._onPayload(ws, data));
+    ws.on('close', () => {
+      if (ws.session && ws.session.ws === ws) ws.session.ws = null;
+    });
+
+    this._send(ws, {
+      op: OPCodes.HELLO,
+      d: { heartbeat_interval: this.options.heartbeatInterval },
+      s: null,
+      t: null,
+    });
+  }
+
+  /**
+   * When a client sends a gateway payload
+   * @param {WebSocket} ws - The connection
+   * @param {Buffer} data - The raw payload
+   * @private
+   */
+  _onPayload(ws, data) {
+    let payload;
+    try {
+      payload = ws.encoding === 'etf' ? ETF.unpack(data) : JSON.parse(data);
+    } catch (err) {
+      ws.close(4002, 'Error while decoding payload.');
+      return;
+    }
+
+    this.payloads.push(payload);
+    this.emit('payload', payload, ws);
+
+    switch (payload.op) {
+      case OPCodes.HEARTBEAT:
+        if (this.ackHeartbeats) this._send(ws, { op: OPCodes.HEARTBEAT_ACK, d: null, s: null, t: null });
+        break;
+      case OPCodes.IDENTIFY:
+        this._identify(ws, payload.d);
+        break;
+      case OPCodes.RESUME:
+        this._resume(ws, payload.d);
+        break;
+      default:
+        if (!ws.session) ws.close(4003, 'Not authenticated.');
+    }
+  }
+
+  /**
+   * Start a new session for a connection
+   * @param {WebSocket} ws - The connection
+   * @param {Object} data - The IDENTIFY data
+   * @private
+   */
+  _identify(ws, data) {
+    if (ws.session) {
+      ws.close(4005, 'Already authenticated.');
+      return;
+    }
+    if (this.options.token && data.token !== this.options.token) {
+      ws.close(4004, 'Authentication failed.');
+      return;
+    }
+
+    const session = {
+      id: this.snowflake(),
+      token: data.token,
+      sequence: 0,
+      history: [],
+      ws,
+    };
+    this._sessions.set(session.id, session);
+    ws.session = session;
+    this.emit('identify', data, ws);
+
+    this._dispatch(session, 'READY', {
+      v: Constants.GATEWAY_VERSION,
+      session_id: session.id,
+      resume_gateway_url: this.gatewayURL,
+      user: this.options.user,
+      guilds: [...this.guilds.values()].map(guild => Object.assign({}, guild, {
+        channels: [...this.channels.values()].filter(channel => channel.guild_id === guild.id),
+      })),
+      private_channels: [...this.channels.values()].filter(channel => !channel.guild_id),
+      relationships: this.options.relationships,
+    });
+  }
+
+  /**
+   * Resume a session on a new connection, replaying the dispatches it missed
+   * @param {WebSocket} ws - The connection
+   * @param {Object} data - The RESUME data
+   * @private
+   */
+  _resume(ws, data) {
+    const session = this._sessions.get(data.session_id);
+    if (!session || session.token !== data.token) {
+      this._send(ws, { op: OPCodes.INVALID_SESSION, d: false, s: null, t: null });
+      return;
+    }
+
+    if (session.ws && session.ws !== ws) session.ws.terminate();
+    session.ws = ws;
+    ws.session = session;
+    this.emit('resume', data, ws);
+
+    for (const packet of session.history.filter(item => item.s > data.seq)) {
+      this._send(ws, packet);
+    }
+    this._dispatch(session, 'RESUMED', {});
+  }
+
+  /**
+   * Send a dispatch to a session, keeping it for replay on resume
+   * @param {Object} session - The session
+   * @param {string} event - The name of the dispatch
+   * @param {Object} data - The data of the dispatch
+   * @private
+   */
+  _dispatch(session, event, data) {
+    const packet = { op: OPCodes.DISPATCH, d: data, s: ++session.sequence, t: event };
+    session.history.push(packet);
+    if (session.ws && session.ws.readyState === WebSocket.OPEN) this._send(session.ws, packet);
+  }
+
+  /**
+   * Send a payload on a connection in its negotiated encoding
+   * @param {WebSocket} ws - The connection
+   * @param {Object} packet - The payload
+   * @private
+   */
+  _send(ws, packet) {
+    ws.send(ws.encoding === 'etf' ? ETF.pack(packet) : JSON.stringify(packet));
+  }
+
+  /**
+   * When a REST request is received
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @private
+   */
+  _onRequest(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, this.apiURL);
+      const raw = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      const boundary = /^multipart\/form-data;.*boundary=([^;]+)/.exec(contentType);
+      let body = null;
+      let files = [];
+      try {
+        if (raw.length && /json/.test(contentType)) {
+          body = JSON.parse(raw);
+        } else if (raw.length && boundary) {
+          const parts = parseMultipart(raw, boundary[1]);
+          const payload = parts.find(part => part.name === 'payload_json');
+          body = payload ? JSON.parse(payload.data) : null;
+          files = parts.filter(part => part.filename !== undefined);
+        }
+      } catch (err) {
+        this._reply(res, 400, { message: '400: Bad Request', code: 50109 });
+        return;
+      }
+
+      const prefix = url.pathname.match(API_PATH);
+      const request = {
+        method: req.method,
+        version: prefix ? Number(prefix[0].slice('/api/v'.length)) : null,
+        path: url.pathname.replace(API_PATH, ''),
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+        files,
+        raw,
+      };
+      this.requests.push(request);
+      this.emit('request', request);
+
+      const override = this._overrides.find(item =>
+        (!item.method || item.method === request.method) &&
+        (!item.path || (item.path instanceof RegExp ? item.path.test(request.path) : item.path === request.path)));
+      if (override) {
+        if (--override.count <= 0) this._overrides.splice(this._overrides.indexOf(override), 1);
+        const reply = () => this._reply(res, override.status, override.body, override.headers);
+        if (override.delay) setTimeout(reply, override.delay);
+        else reply();
+        return;
+      }
+
+      if (request.path === '/gateway') {
+        this._reply(res, 200, { url: this.gatewayURL });
+        return;
+      }
+
+      // The CDN doesn't need authorization
+      if (request.path.startsWith('/attachments/')) {
+        const file = this.attachments.get(request.path);
+        if (!file) {
+          this._reply(res, 404, { message: '404: Not Found', code: 0 });
+          return;
+        }
+        res.writeHead(200, { 'content-type': file.contentType, 'content-length': file.data.length });
+        res.end(file.data);
+        return;
+      }
+
+      if (!request.headers.authorization) {
+        this._reply(res, 401, { message: '401: Unauthorized', code: 0 });
+        return;
+      }
+
+      const [status, data] = this._route(request);
+      this._reply(res, status, data);
+    });
+  }
+
+  /**
+   * Resolve a REST request against the stored state
+   * @param {Object} request - The request
+   * @returns {Array} The status code and the response body
+   * @private
+   */
+  _route({ method, path, query, body, files }) {
+    const parts = path.split('/').filter(Boolean);
+    const notFound = [404, { message: '404: Not Found', code: 0 }];
+
+    if (parts[0] === 'users') {
+      if (parts[1] === '@me' && parts[2] === 'guilds') return [200, [...this.guilds.values()].map(({ id, name }) => ({ id, name }))];
+      if (parts[1] === '@me' && parts[2] === 'channels' && method === 'POST') {
+        const existing = [...this.channels.values()].find(channel =>
+          channel.type === Constants.ChannelTypes.DM && channel.recipients &&
+          channel.recipients.some(user => user.id === body.recipient_id));
+        return [200, existing || this.addChannel({ type: Constants.ChannelTypes.DM, recipients: [{ id: body.recipient_id }] })];
+      }
+      if (parts[1] === '@me' && parts[2] === 'settings') return [200, {}];
+      if (parts[1] === '@me' || parts[1] === this.options.user.id) return [200, this.options.user];
+      if (this.users.has(parts[1]) && !parts[2]) return [200, this.users.get(parts[1])];
+      return [404, { message: 'Unknown User', code: 10013 }];
+    }
+
+    if (parts[0] === 'guilds') {
+      const guild = this.guilds.get(parts[1]);
+      if (!guild) return [404, { message: 'Unknown Guild', code: 10004 }];
+      if (!parts[2]) return [200, guild];
+      if (parts[2] === 'channels') return [200, [...this.channels.values()].filter(channel => channel.guild_id === guild.id)];
+      if (parts[2] === 'roles') return [200, guild.roles];
+      if (parts[2] === 'members') {
+        if (!parts[3]) return [200, guild.members];
+        const member = guild.members.find(item => item.user && item.user.id === parts[3]);
+        if (!member) return [404, { message: 'Unknown Member', code: 10007 }];
+        if (parts[4] === 'roles' && parts[5]) {
+          if (!guild.roles.some(role => role.id === parts[5])) return [404, { message: 'Unknown Role', code: 10011 }];
+          const roles = (member.roles || []).filter(id => id !== parts[5]);
+          member.roles = method === 'PUT' ? [...roles, parts[5]] : roles;
+          return [204, null];
+        }
+        return [200, member];
+      }
+      return notFound;
+    }
+
+    if (parts[0] === 'channels') {
+      const channel = this.channels.get(parts[1]);
+      if (!channel) return [404, { message: 'Unknown Channel', code: 10003 }];
+      const messages = this.messages.get(channel.id);
+
+      if (!parts[2]) {
+        if (method === 'PATCH') {
+          const { archived, auto_archive_duration, locked, invitable, ...fields } = body;
+          Object.assign(channel, channel.thread_metadata ? fields : body);
+          // Threads keep their state in their metadata
+          if (channel.thread_metadata) {
+            const metadata = { archived, auto_archive_duration, locked, invitable };
+            for (const key of Object.keys(metadata)) if (metadata[key] !== undefined) channel.thread_metadata[key] = metadata[key];
+            if (archived !== undefined) channel.thread_metadata.archive_timestamp = new Date().toISOString();
+          }
+        }
+        if (method === 'DELETE') this.channels.delete(channel.id);
+        return [200, channel];
+      }
+
+      if (parts[2] === 'threads' && method === 'POST') {
+        return [201, this._startThread(channel, body)];
+      }
+
+      if (parts[2] === 'thread-members') {
+        const members = this.threadMembers.get(channel.id);
+        if (!members) return notFound;
+        if (!parts[3]) return [200, [...members.values()]];
+
+        const userId = parts[3] === '@me' ? this.options.user.id : parts[3];
+        if (method === 'GET') return members.has(userId) ? [200, members.get(userId)] : [404, { message: 'Unknown Member', code: 10007 }];
+        if (method === 'PUT') members.set(userId, { id: channel.id, user_id: userId, join_timestamp: new Date().toISOString(), flags: 0 });
+        else members.delete(userId);
+        channel.member_count = members.size;
+        return [204, null];
+      }
+
+      if (parts[2] === 'pins') {
+        if (!parts[3]) return [200, [...messages.values()].filter(message => message.pinned)];
+        const message = messages.get(parts[3]);
+        if (!message) return [404, { message: 'Unknown Message', code: 10008 }];
+        message.pinned = method === 'PUT';
+        return [204, null];
+      }
+
+      if (parts[2] === 'messages') {
+        if (!parts[3]) {
+          if (method === 'POST') {
+            const message = this.createMessage(channel.id, {
+              content: body && body.content ? body.content : '',
+              embeds: body && body.embeds ? body.embeds : [],
+              tts: Boolean(body && body.tts),
+              nonce: body && body.nonce,
+              attachments: files.map((file, index) => {
+                const attachment = body && body.attachments && body.attachments.find(item => item.id === index);
+                return Object.assign(this.addAttachment(channel.id, file.filename, file.data, file.contentType), {
+                  description: attachment ? attachment.description : undefined,
+                });
+              }),
+            });
+            this.dispatch('MESSAGE_CREATE', message);
+            return [200, message];
+          }
+          return [200, this._history(messages, query)];
+        }
+
+        const message = messages.get(parts[3]);
+        if (!message) return [404, { message: 'Unknown Message', code: 10008 }];
+
+        if (parts[4] === 'threads' && method === 'POST') {
+          return [201, this._startThread(channel, Object.assign({ id: message.id }, body))];
+        }
+
+        if (parts[4] === 'reactions') {
+          this.dispatch(method === 'PUT' ? 'MESSAGE_REACTION_ADD' : 'MESSAGE_REACTION_REMOVE', {
+            user_id: this.options.user.id,
+            channel_id: channel.id,
+            message_id: message.id,
+            emoji: { id: null, name: decodeURIComponent(parts[5]) },
+          });
+          return [204, null];
+        }
+
+        if (method === 'PATCH') {
+          Object.assign(message, body, { edited_timestamp: new Date().toISOString() });
+          this.dispatch('MESSAGE_UPDATE', message);
+        } else if (method === 'DELETE') {
+          messages.delete(message.id);
+          this.dispatch('MESSAGE_DELETE', { id: message.id, channel_id: channel.id });
+          return [204, null];
+        }
+        return [200, message];
+      }
+    }
+
+    return notFound;
+  }
+
+  /**
+   * Select a page of the history of a channel, newest first, like Discord does
+   * @param {Map<string, Object>} messages - The messages of the channel
+   * @param {Object} query - The `limit` and the `before`, `after` or `around` message ID
+   * @returns {Object[]} The page
+   * @private
+   */
+  _history(messages, query) {
+    const history = [...messages.values()].sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? 1 : -1));
+    const limit = Math.min(Number(query.limit) || 50, 100);
+
+    if (query.before) return history.filter(message => BigInt(message.id) < BigInt(query.before)).slice(0, limit);
+    if (query.after) return history.filter(message => BigInt(message.id) > BigInt(query.after)).slice(-limit);
+    if (query.around) {
+      const newer = history.filter(message => BigInt(message.id) > BigInt(query.around)).slice(-Math.floor(limit / 2));
+      const older = history.filter(message => BigInt(message.id) <= BigInt(query.around)).slice(0, limit - newer.length);
+      return [...newer, ...older];
+    }
+    return history.slice(0, limit);
+  }
+
+  /**
+   * Create a thread joined by the client user and dispatch THREAD_CREATE
+   * @param {Object} channel - The parent channel
+   * @param {Object} body - The request body, with the `id` of the starting message if any
+   * @returns {Object} The thread
+   * @private
+   */
+  _startThread(channel, body) {
+    const { ChannelTypes } = Constants;
+    const thread = this.addThread(channel.id, {
+      id: body.id || this.snowflake(),
+      name: body.name,
+      type: body.type || (channel.type === ChannelTypes.GUILD_NEWS ? ChannelTypes.GUILD_NEWS_THREAD : ChannelTypes.GUILD_PUBLIC_THREAD),
+      rate_limit_per_user: body.rate_limit_per_user || 0,
+    });
+    thread.thread_metadata.auto_archive_duration = body.auto_archive_duration || 1440;
+    if (thread.type === ChannelTypes.GUILD_PRIVATE_THREAD) thread.thread_metadata.invitable = body.invitable !== false;
+
+    const member = { id: thread.id, user_id: this.options.user.id, join_timestamp: new Date().toISOString(), flags: 0 };
+    this.threadMembers.get(thread.id).set(member.user_id, member);
+    thread.member_count = 1;
+
+    this.dispatch('THREAD_CREATE', Object.assign({ newly_created: true, member }, thread));
+    return thread;
+  }
+
+  /**
+   * Write a JSON response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} status - The status code
+   * @param {*} body - The JSON body
+   * @param {Object} [headers] - Extra headers
+   * @private
+   */
+  _reply(res, status, body, headers = {}) {
+    res.writeHead(status, Object.assign({ 'content-type': 'application/json' }, headers));
+    res.end(status === 204 ? undefined : JSON.stringify(body));
+  }
+}
+
+module.exports = MockDiscordServer;
@@ -0,0 +1,512 @@
+/**
+ * Archiver for the history of channels
+ * @module Archiver
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const { ChannelTypes } = require('./Constants');
+
+/**
+ * The format of an archive chosen from the extension of its file
+ * @type {Object<string, string>}
+ * @private
+ */
+const Extensions = {
+  '.jsonl': 'jsonl',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+};
+
+/**
+ * The comment that ends Markdown and HTML archives, so they can be resumed
+ * @type {string}
+ * @private
+ */
+const MARKER = '<!-- last-message-id: ';
+
+/**
+ * The number of bytes read from the end of an archive to resume it
+ * @type {number}
+ * @private
+ */
+const TAIL_SIZE = 256 * 1024;
+
+/**
+ * The style of HTML archives, inlined so they don't depend on anything
+ * @type {string}
+ * @private
+ */
+const STYLE = `
+body { margin: 0; background: #313338; color: #dbdee1; font: 15px/1.4 "gg sans", "Helvetica Neue", Arial, sans-serif; }
+header { padding: 16px 24px; border-bottom: 1px solid #1e1f22; }
+header h1 { margin: 0; font-size: 20px; color: #f2f3f5; }
+header p { margin: 4px 0 0; color: #949ba4; font-size: 13px; }
+main { padding: 8px 24px 24px; }
+.message { padding: 6px 0; }
+.message .author { font-weight: 600; color: #f2f3f5; }
+.message time, .message .edited { margin-left: 6px; color: #949ba4; font-size: 12px; }
+.content { white-space: normal; word-wrap: break-word; }
+.embed { margin: 6px 0; padding: 8px 12px; max-width: 520px; background: #2b2d31; border-left: 4px solid #1e1f22; border-radius: 4px; }
+.embed .title { font-weight: 600; color: #f2f3f5; }
+.embed .field-name { font-weight: 600; margin-top: 6px; }
+.embed .footer { margin-top: 6px; color: #949ba4; font-size: 12px; }
+.attachment { display: block; margin: 6px 0; }
+.attachment img { max-width: 400px; max-height: 300px; border-radius: 4px; }
+a { color: #00a8fc; }
+code { background: #2b2d31; padding: 0 4px; border-radius: 3px; }
+pre { background: #2b2d31; padding: 8px; border-radius: 4px; white-space: pre-wrap; }
+pre code { padding: 0; }
+`.trim();
+
+/**
+ * Archives the history of a channel to a file, for personal backups of conversations.
+ * JSONL archives keep every raw message payload as it was received, one per line. Markdown and HTML archives
+ * are readable, with the mentions resolved and the embeds rendered. Every format can be resumed from the
+ * last archived message, so incremental backups only fetch the new messages.
+ * @example
+ * const archiver = new Archiver(client, { downloadAttachments: true });
+ * const { count } = await archiver.archive(dmChannel, './backups/friend.html');
+ * console.log(`Archived ${count} new messages`);
+ */
+class Archiver {
+  /**
+   * @param {Client} client - The client fetching the history
+   * @param {Object} [options] - The default options of the archives, see {@link Archiver#archive}
+   */
+  constructor(client, options = {}) {
+    /**
+     * The client fetching the history
+     * @type {Client}
+     */
+    this.client = client;
+
+    /**
+     * The default options of the archives
+     * @type {Object}
+     */
+    this.options = Object.assign({ format: null, downloadAttachments: false, resume: true }, options);
+  }
+
+  /**
+   * Archive the history of a channel, from its first message or from where a previous archive stopped
+   * @param {Channel|string} channel - The channel to archive
+   * @param {string} file - The path of the archive
+   * @param {Object} [options] - The options of the archive
+   * @param {string} [options.format] - `jsonl`, `markdown` or `html`, from the extension of the file by default
+   * @param {boolean} [options.downloadAttachments=false] - Whether to download the attachments into a folder next
+   * to the archive, named after it with a `_files` suffix
+   * @param {boolean} [options.resume=true] - Whether to continue an existing archive from its last message,
+   * instead of replacing it
+   * @param {Message|string|Date} [options.after] - Archive the messages after this one, instead of resuming
+   * @param {Message|string|Date} [options.until] - Stop at this message or date, which isn't included
+   * @param {number} [options.limit=Infinity] - The most messages to archive
+   * @returns {Promise<Object>} The `file`, `format`, `count` of newly archived messages, `attachments` downloaded
+   * and `lastMessageId` of the archive, null when it is still empty
+   */
+  async archive(channel, file, options = {}) {
+    const { downloadAttachments, resume, after, until, limit } = Object.assign({}, this.options, options);
+    const format = options.format || this.options.format || Archiver.formatOf(file);
+    if (!Archiver.FORMATS.includes(format)) throw new Error('ARCHIVE_FORMAT');
+
+    const target = await this.client.channels.fetch(channel);
+    if (!target.isText) throw new Error('CHANNEL_NOT_TEXT');
+
+    const state = resume ? await this._readState(file, format) : null;
+    let lastMessageId = state ? state.lastMessageId : null;
+
+    await fs.promises.mkdir(path.dirname(path.resolve(file)), { recursive: true });
+    if (state) await fs.promises.truncate(file, state.offset);
+    const handle = await fs.promises.open(file, state ? 'a' : 'w');
+
+    let count = 0;
+    let attachments = 0;
+    try {
+      if (!state) await handle.write(this._header(format, target));
+
+      const history = this.client.messages._iterateData(target.id, {
+        after: after !== undefined ? after : lastMessageId || '0',
+        until,
+        limit,
+      });
+      for await (const data of history) {
+        const message = this.client.messages.add(data);
+        const files = downloadAttachments ? await this._download(message, file) : new Map();
+        attachments += files.size;
+
+        await handle.write(this._render(format, data, message, files));
+        lastMessageId = data.id;
+        count++;
+      }
+    } finally {
+      // Also written when the history fails partway, so the next run resumes after the last written message
+      // instead of finding no marker and starting the archive over
+      try {
+        await handle.write(this._footer(format, lastMessageId));
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return { file, format, count, attachments, lastMessageId };
+  }
+
+  /**
+   * The ID of the last message of an archive
+   * @param {string} file - The path of the archive
+   * @param {string} [format] - The format of the archive, from the extension of the file by default
+   * @returns {Promise<?string>} The ID, null when the archive doesn't exist or is empty
+   */
+  async lastArchivedId(file, format = Archiver.formatOf(file)) {
+    const state = await this._readState(file, format);
+    return state ? state.lastMessageId : null;
+  }
+
+  /**
+   * Read where an existing archive stops, from the end of the file.
+   * A JSONL archive stops after its last complete line, anything written after it is cut off on resume.
+   * @param {string} file - The path of the archive
+   * @param {string} format - The format of the archive
+   * @returns {Promise<?Object>} The `lastMessageId` and the `offset` to write the next messages at,
+   * null when there is nothing to resume
+   * @private
+   */
+  async _readState(file, format) {
+    let handle;
+    try {
+      handle = await fs.promises.open(file, 'r');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      const length = Math.min(size, TAIL_SIZE);
+      const { buffer } = await handle.read(Buffer.alloc(length), 0, length, size - length);
+
+      if (format === 'jsonl') {
+        // A run killed mid-write leaves a cut-off last line, so resume after the last line that parses
+        let end = buffer.lastIndexOf(0x0a) + 1;
+        while (end > 0) {
+          const start = end > 1 ? buffer.lastIndexOf(0x0a, end - 2) + 1 : 0;
+          try {
+            const { id } = JSON.parse(buffer.toString('utf8', start, end));
+            if (id) return { lastMessageId: id, offset: size - length + end };
+          } catch (err) {
+            // Not a complete message, try the line before
+          }
+          end = start;
+        }
+        return null;
+      }
+
+      const tail = buffer.toString('utf8');
+
+      // The marker and the footer after it are ASCII, so their length in bytes is their length in characters
+      const index = tail.lastIndexOf(MARKER);
+      if (index === -1) return null;
+      const ending = tail.slice(index);
+      return { lastMessageId: ending.slice(MARKER.length, ending.indexOf(' -->')), offset: size - ending.length };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Download the attachments of a message next to the archive, skipping those already downloaded
+   * @param {Message} message - The message
+   * @param {string} file - The path of the archive
+   * @returns {Promise<Map<string, string>>} The paths of the files relative to the archive, keyed by attachment ID
+   * @private
+   */
+  async _download(message, file) {
+    const files = new Map();
+    if (!message.attachments.size) return files;
+
+    const folder = `${path.basename(file, path.extname(file))}_files`;
+    const directory = path.join(path.dirname(file), folder);
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    for (const attachment of message.attachments.values()) {
+      const name = `${attachment.id}-${attachment.name.replace(/[^\w.-]/g, '_')}`;
+      const destination = path.join(directory, name);
+
+      if (!fs.existsSync(destination)) {
+        const response = await axios.get(attachment.url, { responseType: 'stream', timeout: this.client.rest.restRequestTimeout });
+        // Written under a temporary name, so an interrupted download is tried again on resume
+        await pipeline(response.data, fs.createWriteStream(`${destination}.part`));
+        await fs.promises.rename(`${destination}.part`, destination);
+      }
+      files.set(attachment.id, `${folder}/${name}`);
+    }
+    return files;
+  }
+
+  /**
+   * The content of a message with its mentions, custom emojis and timestamps made readable
+   * @param {Message} message - The message
+   * @returns {string}
+   * @example
+   * // "<@80351110224678912> look at <#41771983423143940>" becomes "@ghost look at #general"
+   * console.log(archiver.resolveContent(message));
+   */
+  resolveContent(message) {
+    const guild = message.guild;
+
+    return (message.content || '')
+      .replace(/<@!?(\d{15,25})>/g, (mention, id) => {
+        const user = message.mentions.users.get(id) || this.client.users.resolve(id);
+        const member = guild && guild.members.get(id);
+        if (member) return `@${member.displayName}`;
+        return user && user.username ? `@${user.username}` : mention;
+      })
+      .replace(/<@&(\d{15,25})>/g, (mention, id) => {
+        const role = guild && guild.roles.cache.get(id);
+        return role ? `@${role.name}` : mention;
+      })
+      .replace(/<#(\d{15,25})>/g, (mention, id) => {
+        const channel = this.client.channels.cache.get(id);
+        return channel && channel.name ? `#${channel.name}` : mention;
+      })
+      .replace(/<a?:(\w+):\d{15,25}>/g, ':$1:')
+      .replace(/<t:(-?\d+)(?::[tTdDfFR])?>/g, (_, seconds) => Archiver.formatDate(Number(seconds) * 1000));
+  }
+
+  /**
+   * The title of the archive of a channel
+   * @param {Channel} channel - The channel
+   * @returns {string}
+   * @private
+   */
+  _title(channel) {
+    if (channel.type === ChannelTypes.DM) {
+      const recipient = channel.recipients && channel.recipients[0];
+      return `Direct messages with ${recipient && recipient.username ? recipient.username : channel.id}`;
+    }
+    if (channel.type === ChannelTypes.GROUP_DM) {
+      const names = (channel.recipients || []).map(user => user.username).filter(Boolean);
+      return channel.name || `Group with ${names.join(', ')}`;
+    }
+    return channel.guild ? `#${channel.name} — ${channel.guild.name}` : `#${channel.name || channel.id}`;
+  }
+
+  /**
+   * The start of a new archive
+   * @param {string} format - The format of the archive
+   * @param {Channel} channel - The archived channel
+   * @returns {string}
+   * @private
+   */
+  _header(format, channel) {
+    const title = this._title(channel);
+    const details = `Channel ${channel.id}, archived on ${Archiver.formatDate(Date.now())}`;
+
+    if (format === 'markdown') return `# ${title}\n\n_${details}_\n\n`;
+    if (format === 'html') {
+      return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+        `<title>${Archiver.escapeHTML(title)}</title>\n<style>\n${STYLE}\n</style>\n</head>\n<body>\n` +
+        `<header><h1>${Archiver.escapeHTML(title)}</h1><p>${Archiver.escapeHTML(details)}</p></header>\n<main>\n`;
+    }
+    return '';
+  }
+
+  /**
+   * The end of an archive, marking its last message so it can be resumed
+   * @param {string} format - The format of the archive
+   * @param {?string} lastMessageId - The ID of the last archived message
+   * @returns {string}
+   * @private
+   */
+  _footer(format, lastMessageId) {
+    if (format === 'jsonl') return '';
+
+    const marker = lastMessageId ? `${MARKER}${lastMessageId} -->\n` : '';
+    return format === 'html' ? `${marker}</main>\n</body>\n</html>\n` : marker;
+  }
+
+  /**
+   * Render a message in the format of the archive
+   * @param {string} format - The format of the archive
+   * @param {Object} data - The raw payload of the message
+   * @param {Message} message - The message
+   * @param {Map<string, string>} files - The paths of the downloaded attachments, keyed by attachment ID
+   * @returns {string}
+   * @private
+   */
+  _render(format, data, message, files) {
+    if (format === 'jsonl') return `${JSON.stringify(data)}\n`;
+    return format === 'markdown' ? this._renderMarkdown(message, files) : this._renderHTML(message, files);
+  }
+
+  /**
+   * Render a message in Markdown, whose content is Markdown already
+   * @param {Message} message - The message
+   * @param {Map<string, string>} files - The paths of the downloaded attachments, keyed by attachment ID
+   * @returns {string}
+   * @private
+   */
+  _renderMarkdown(message, files) {
+    const lines = [`**${Archiver.authorName(message)}** · ${Archiver.formatDate(message.timestamp)}${message.editedTimestamp ? ' (edited)' : ''}`];
+
+    const content = this.resolveContent(message);
+    if (content) lines.push(content);
+
+    for (const embed of message.embeds) {
+      const quote = [];
+      if (embed.author && embed.author.name) quote.push(`*${embed.author.name}*`);
+      if (embed.title) quote.push(embed.url ? `**[${embed.title}](${embed.url})**` : `**${embed.title}**`);
+      if (embed.description) quote.push(embed.description);
+      for (const field of embed.fields || []) quote.push(`**${field.name}**`, field.value);
+      if (embed.image && embed.image.url) quote.push(`![image](${embed.image.url})`);
+      if (embed.footer && embed.footer.text) quote.push(`_${embed.footer.text}_`);
+      if (quote.length) lines.push(quote.join('\n').split('\n').map(line => `> ${line}`).join('\n'));
+    }
+
+    for (const attachment of message.attachments.values()) {
+      lines.push(`📎 [${attachment.name}](${files.get(attachment.id) || attachment.url}) (${Archiver.formatSize(attachment.size)})`);
+    }
+
+    return `${lines.join('\n\n')}\n\n`;
+  }
+
+  /**
+   * Render a message in HTML
+   * @param {Message} message - The message
+   * @param {Map<string, string>} files - The paths of the downloaded attachments, keyed by attachment ID
+   * @returns {string}
+   * @private
+   */
+  _renderHTML(message, files) {
+    const parts = [
+      `<article class="message" id="m${message.id}">`,
+      `<div><span class="author">${Archiver.escapeHTML(Archiver.authorName(message))}</span>` +
+        `<time datetime="${new Date(message.timestamp).toISOString()}">${Archiver.formatDate(message.timestamp)}</time>` +
+        `${message.editedTimestamp ? '<span class="edited">(edited)</span>' : ''}</div>`,
+    ];
+
+    const content = this.resolveContent(message);
+    if (content) parts.push(`<div class="content">${Archiver.formatHTML(content)}</div>`);
+
+    for (const embed of message.embeds) {
+      const color = embed.color !== null ? ` style="border-left-color: #${embed.color.toString(16).padStart(6, '0')}"` : '';
+      const body = [];
+      if (embed.author && embed.author.name) body.push(`<div class="embed-author">${Archiver.escapeHTML(embed.author.name)}</div>`);
+      if (embed.title) {
+        const title = Archiver.escapeHTML(embed.title);
+        body.push(`<div class="title">${embed.url ? `<a href="${Archiver.escapeHTML(embed.url)}">${title}</a>` : title}</div>`);
+      }
+      if (embed.description) body.push(`<div>${Archiver.formatHTML(embed.description)}</div>`);
+      for (const field of embed.fields || []) {
+        body.push(`<div class="field-name">${Archiver.escapeHTML(field.name)}</div><div>${Archiver.formatHTML(field.value)}</div>`);
+      }
+      if (embed.image && embed.image.url) {
+        body.push(`<a href="${Archiver.escapeHTML(embed.image.url)}">${Archiver.escapeHTML(embed.image.url)}</a>`);
+      }
+      if (embed.footer && embed.footer.text) body.push(`<div class="footer">${Archiver.escapeHTML(embed.footer.text)}</div>`);
+      parts.push(`<div class="embed"${color}>${body.join('')}</div>`);
+    }
+
+    for (const attachment of message.attachments.values()) {
+      const local = files.get(attachment.id);
+      const href = Archiver.escapeHTML(local || attachment.url);
+      const label = `${Archiver.escapeHTML(attachment.name)} (${Archiver.formatSize(attachment.size)})`;
+      // Only downloaded images are shown, so the archive never loads anything remote
+      const isImage = local && /^image\//.test(attachment.contentType || '');
+      parts.push(`<a class="attachment" href="${href}">${isImage ? `<img src="${href}" alt="${label}">` : label}</a>`);
+    }
+
+    parts.push('</article>');
+    return `${parts.join('\n')}\n`;
+  }
+
+  /**
+   * The format of an archive from the extension of its file
+   * @param {string} file - The path of the archive
+   * @returns {?string} `jsonl`, `markdown` or `html`, null for other extensions
+   */
+  static formatOf(file) {
+    return Extensions[path.extname(file).toLowerCase()] || null;
+  }
+
+  /**
+   * The name of the author of a message, as shown in its channel
+   * @param {Message} message - The message
+   * @returns {string}
+   */
+  static authorName(message) {
+    if (!message.author) return 'Unknown user';
+    const member = message.guild && message.guild.members.get(message.author.id);
+    return member ? member.displayName : message.author.globalName || message.author.username;
+  }
+
+  /**
+   * Format a date the same way in every archive
+   * @param {number} timestamp - The timestamp in ms
+   * @returns {string} The date, such as `2026-01-01 12:00:00 UTC`
+   */
+  static formatDate(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+  }
+
+  /**
+   * Format a size in bytes
+   * @param {number} bytes - The size
+   * @returns {string}
+   */
+  static formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * Escape text for HTML
+   * @param {string} text - The text
+   * @returns {string}
+   */
+  static escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Render the Markdown of Discord to HTML: code, bold, underline, italics, strikethrough and links
+   * @param {string} text - The Markdown
+   * @returns {string}
+   */
+  static formatHTML(text) {
+    // Code and links are set aside first, so the emphasis markers in them are left as they are.
+    // Trailing `*` and `~` close the emphasis around a link rather than being part of it
+    const kept = [];
+    const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+    return Archiver.escapeHTML(text)
+      .replace(/```(?:[\w+-]*\n)?([\s\S]*?)```/g, (_, block) => keep(`<pre><code>${block}</code></pre>`))
+      .replace(/`([^`\n]+)`/g, (_, inline) => keep(`<code>${inline}</code>`))
+      .replace(/https?:\/\/[^\s<\u0000]+?(?=[*~]*(?:[\s<\u0000]|$))/g, url => keep(`<a href="${url}">${url}</a>`))
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(.+?)__/g, '<u>$1</u>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/~~(.+?)~~/g, '<del>$1</del>')
+      .replace(/\n/g, '<br>')
+      .replace(/\u0000(\d+)\u0000/g, (_, index) => kept[index]);
+  }
+}
+
+/**
+ * The formats of archives
+ * @type {string[]}
+ */
+Archiver.FORMATS = ['jsonl', 'markdown', 'html'];
+
+module.exports = Archiver;
@@ -0,0 +1,179 @@
+/**
+ * Data structure for bit fields
+ * @module BitField
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * Anything a bit field can be resolved from: a flag name, a number, a bigint, a numeric string,
+ * another bit field or an array of those
+ * @typedef {string|number|bigint|BitField|Array<string|number|bigint|BitField>} BitFieldResolvable
+ */
+
+/**
+ * A set of flags stored as the bits of a bigint. Subclasses define their flags in `FLAGS`.
+ */
+class BitField {
+  /**
+   * @param {BitFieldResolvable} [bits] - The bits of the field, `defaultBit` of the class when omitted
+   */
+  constructor(bits = this.constructor.defaultBit) {
+    /**
+     * The bits of the field
+     * @type {bigint}
+     */
+    this.bitfield = this.constructor.resolve(bits);
+  }
+
+  /**
+   * Whether the field has any of the bits
+   * @param {BitFieldResolvable} bit - The bits to look for
+   * @returns {boolean}
+   */
+  any(bit) {
+    return (this.bitfield & this.constructor.resolve(bit)) !== 0n;
+  }
+
+  /**
+   * Whether the field is equal to other bits
+   * @param {BitFieldResolvable} bit - The bits to compare with
+   * @returns {boolean}
+   */
+  equals(bit) {
+    return this.bitfield === this.constructor.resolve(bit);
+  }
+
+  /**
+   * Whether the field has all of the bits
+   * @param {BitFieldResolvable} bit - The bits to look for
+   * @returns {boolean}
+   */
+  has(bit) {
+    const resolved = this.constructor.resolve(bit);
+    return (this.bitfield & resolved) === resolved;
+  }
+
+  /**
+   * The flags of some bits that the field doesn't have
+   * @param {BitFieldResolvable} bits - The bits to look for
+   * @returns {string[]}
+   */
+  missing(bits) {
+    const missing = this.constructor.resolve(bits) & ~this.bitfield;
+    return Object.keys(this.constructor.FLAGS).filter(flag => {
+      const bit = this.constructor.FLAGS[flag];
+      return (missing & bit) === bit;
+    });
+  }
+
+  /**
+   * Freeze the field, so it can't be changed anymore
+   * @returns {Readonly<BitField>} This field
+   */
+  freeze() {
+    return Object.freeze(this);
+  }
+
+  /**
+   * Add bits to the field, or to a copy when it is frozen
+   * @param {...BitFieldResolvable} bits - The bits to add
+   * @returns {BitField} This field, or the copy
+   */
+  add(...bits) {
+    let total = 0n;
+    for (const bit of bits) total |= this.constructor.resolve(bit);
+
+    if (Object.isFrozen(this)) return new this.constructor(this.bitfield | total);
+    this.bitfield |= total;
+    return this;
+  }
+
+  /**
+   * Remove bits from the field, or from a copy when it is frozen
+   * @param {...BitFieldResolvable} bits - The bits to remove
+   * @returns {BitField} This field, or the copy
+   */
+  remove(...bits) {
+    let total = 0n;
+    for (const bit of bits) total |= this.constructor.resolve(bit);
+
+    if (Object.isFrozen(this)) return new this.constructor(this.bitfield & ~total);
+    this.bitfield &= ~total;
+    return this;
+  }
+
+  /**
+   * Whether the field has each flag
+   * @param {...*} hasArgs - Extra arguments given to {@link BitField#has}
+   * @returns {Object<string, boolean>}
+   */
+  serialize(...hasArgs) {
+    const serialized = {};
+    for (const flag of Object.keys(this.constructor.FLAGS)) serialized[flag] = this.has(flag, ...hasArgs);
+    return serialized;
+  }
+
+  /**
+   * The names of the flags the field has
+   * @param {...*} hasArgs - Extra arguments given to {@link BitField#has}
+   * @returns {string[]}
+   */
+  toArray(...hasArgs) {
+    return Object.keys(this.constructor.FLAGS).filter(flag => this.has(flag, ...hasArgs));
+  }
+
+  /**
+   * The bits as a string, since JSON can't hold a bigint
+   * @returns {string}
+   */
+  toJSON() {
+    return this.bitfield.toString();
+  }
+
+  /**
+   * The bits of the field
+   * @returns {bigint}
+   */
+  valueOf() {
+    return this.bitfield;
+  }
+
+  /**
+   * Iterate over the names of the flags the field has
+   * @returns {Iterator<string>}
+   */
+  *[Symbol.iterator]() {
+    yield* this.toArray();
+  }
+
+  /**
+   * Resolve bits from a flag name, a number, a bigint, a numeric string, a bit field or an array of those
+   * @param {BitFieldResolvable} [bit=0n] - The bits to resolve
+   * @returns {bigint}
+   */
+  static resolve(bit = 0n) {
+    if (typeof bit === 'bigint' && bit >= 0n) return bit;
+    if (typeof bit === 'number' && Number.isInteger(bit) && bit >= 0) return BigInt(bit);
+    if (bit instanceof BitField) return bit.bitfield;
+    if (Array.isArray(bit)) return bit.reduce((total, item) => total | this.resolve(item), 0n);
+    if (typeof bit === 'string') {
+      if (/^\d+$/.test(bit)) return BigInt(bit);
+      if (this.FLAGS[bit] !== undefined) return this.FLAGS[bit];
+    }
+    throw new RangeError(`BITFIELD_INVALID: ${String(bit)}`);
+  }
+}
+
+/**
+ * The bits of each flag, by name
+ * @type {Object<string, bigint>}
+ */
+BitField.FLAGS = {};
+
+/**
+ * The bits of a field built without any
+ * @type {bigint}
+ */
+BitField.defaultBit = 0n;
+
+module.exports = BitField;
@@ -4,6 +4,8 @@
  * @copyright GhostNet Team 2025-2026
  */
 
+const Collection = require('./Collection');
+
 /**
  * مدير ذاكرة التخزين المؤقت القوي
  */
@@ -34,33 +36,33 @@ class CacheManager {
 
     /**
      * ذاكرة التخزين المؤقت للرسائل
-     * @type {Map<string, Object>}
+     * @type {Collection<string, Object>}
      */
-    this.messages = new Map();
+    this.messages = new Collection();
 
     /**
      * ذاكرة التخزين المؤقت للمستخدمين
-     * @type {Map<string, Object>}
+     * @type {Collection<string, Object>}
      */
-    this.users = new Map();
+    this.users = new Collection();
 
     /**
      * ذاكرة التخزين المؤقت للقنوات
-     * @type {Map<string, Object>}
+     * @type {Collection<string, Object>}
      */
-    this.channels = new Map();
+    this.channels = new Collection();
 
     /**
      * ذاكرة التخزين المؤقت للسيرفرات
-     * @type {Map<string, Object>}
+     * @type {Collection<string, Object>}
      */
-    this.guilds = new Map();
+    this.guilds = new Collection();
 
     /**
      * ذاكرة التخزين المؤقت للأعضاء
-     * @type {Map<string, Object>}
+     * @type {Collection<string, Object>}
      */
-    this.members = new Map();
+    this.members = new Collection();
 
     /**
      * أوقات انتهاء صلاحية الرسائل
@@ -382,7 +384,7 @@ class CacheManager {
 
   /**
    * الحصول على أقدم عنصر في المجموعة
-   * @param {Map<string, Object>} collection - مجموعة البيانات
+   * @param {Collection<string, Object>} collection - مجموعة البيانات
    * @param {Map<string, number>} expirations - مجموعة أوقات انتهاء الصلاحية
    * @returns {?string} معرّف أقدم عنصر أو null إذا كانت المجموعة فارغة
    * @private
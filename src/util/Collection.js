@@ -0,0 +1,203 @@
+/**
+ * A Map with array-like helpers
+ * @module Collection
+ * @copyright GhostNet Team 2025-2026
+ */
+
+/**
+ * A Map with helpers for finding, filtering and sorting its values, used for every cache of the library
+ * @extends {Map}
+ */
+class Collection extends Map {
+  /**
+   * Find the first value that passes a test
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {*} The value, undefined if none passes
+   * @example
+   * client.channels.cache.find(channel => channel.name === 'general');
+   */
+  find(fn) {
+    for (const [key, value] of this) {
+      if (fn(value, key, this)) return value;
+    }
+    return undefined;
+  }
+
+  /**
+   * Make a new collection of the entries whose value passes a test
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {Collection}
+   */
+  filter(fn) {
+    const results = new Collection();
+    for (const [key, value] of this) {
+      if (fn(value, key, this)) results.set(key, value);
+    }
+    return results;
+  }
+
+  /**
+   * Map the values into an array
+   * @param {Function} fn - The mapping function, called with the value, the key and the collection
+   * @returns {Array}
+   */
+  map(fn) {
+    const results = [];
+    for (const [key, value] of this) results.push(fn(value, key, this));
+    return results;
+  }
+
+  /**
+   * Whether a value passes a test
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {boolean}
+   */
+  some(fn) {
+    for (const [key, value] of this) {
+      if (fn(value, key, this)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether every value passes a test
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {boolean}
+   */
+  every(fn) {
+    for (const [key, value] of this) {
+      if (!fn(value, key, this)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the first value, or the first values
+   * @param {number} [amount] - How many values to get, from the end when negative
+   * @returns {*|Array} The value when no amount is given, an array otherwise
+   */
+  first(amount) {
+    if (amount === undefined) return this.values().next().value;
+    if (amount < 0) return this.last(-amount);
+
+    const values = [];
+    for (const value of this.values()) {
+      if (values.length >= amount) break;
+      values.push(value);
+    }
+    return values;
+  }
+
+  /**
+   * Get the last value, or the last values
+   * @param {number} [amount] - How many values to get, from the start when negative
+   * @returns {*|Array} The value when no amount is given, an array otherwise
+   */
+  last(amount) {
+    const values = [...this.values()];
+    if (amount === undefined) return values[values.length - 1];
+    if (amount < 0) return this.first(-amount);
+    return amount ? values.slice(-amount) : [];
+  }
+
+  /**
+   * Get a random value, or random values
+   * @param {number} [amount] - How many different values to get
+   * @returns {*|Array} The value when no amount is given, an array otherwise
+   */
+  random(amount) {
+    const values = [...this.values()];
+    if (amount === undefined) return values[Math.floor(Math.random() * values.length)];
+
+    const picked = [];
+    while (picked.length < amount && values.length) {
+      picked.push(values.splice(Math.floor(Math.random() * values.length), 1)[0]);
+    }
+    return picked;
+  }
+
+  /**
+   * Remove the entries whose value passes a test
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {number} The number of entries removed
+   */
+  sweep(fn) {
+    const before = this.size;
+    for (const [key, value] of this) {
+      if (fn(value, key, this)) this.delete(key);
+    }
+    return before - this.size;
+  }
+
+  /**
+   * Split the entries in two collections, those whose value passes a test and the others
+   * @param {Function} fn - The test, called with the value, the key and the collection
+   * @returns {Collection[]} The passing entries, then the others
+   */
+  partition(fn) {
+    const passed = new Collection();
+    const failed = new Collection();
+    for (const [key, value] of this) {
+      if (fn(value, key, this)) passed.set(key, value);
+      else failed.set(key, value);
+    }
+    return [passed, failed];
+  }
+
+  /**
+   * Reduce the values to a single value
+   * @param {Function} fn - The reducer, called with the accumulator, the value, the key and the collection
+   * @param {*} [initialValue] - The starting value, the first value of the collection when omitted
+   * @returns {*}
+   */
+  reduce(fn, initialValue) {
+    let accumulator = initialValue;
+    let first = arguments.length < 2;
+
+    for (const [key, value] of this) {
+      if (first) {
+        accumulator = value;
+        first = false;
+        continue;
+      }
+      accumulator = fn(accumulator, value, key, this);
+    }
+
+    if (first) throw new TypeError('REDUCE_EMPTY_COLLECTION');
+    return accumulator;
+  }
+
+  /**
+   * Sort the entries in place
+   * @param {Function} [compareFn] - Compares two values, then their keys, like Array#sort
+   * @returns {Collection} This collection
+   */
+  sort(compareFn = Collection.defaultSort) {
+    const entries = [...this.entries()];
+    entries.sort((a, b) => compareFn(a[1], b[1], a[0], b[0]));
+
+    this.clear();
+    for (const [key, value] of entries) this.set(key, value);
+    return this;
+  }
+
+  /**
+   * The values of the collection, as JSON
+   * @returns {Array}
+   */
+  toJSON() {
+    return this.map(value => (value && typeof value.toJSON === 'function' ? value.toJSON() : value));
+  }
+
+  /**
+   * The order used by {@link Collection#sort} when no compare function is given
+   * @param {*} a - The first value
+   * @param {*} b - The second value
+   * @returns {number}
+   */
+  static defaultSort(a, b) {
+    return Number(a > b) || Number(a === b) - 1;
+  }
+}
+
+module.exports = Collection;
@@ -11,6 +11,8 @@ const packageInfo = require('../../package.json');
  */
 exports.API = {
   BASE: 'https://discord.com/api/v10',
+  ROOT: 'https://discord.com/api',
+  VERSION: 10,
   CDN: 'https://cdn.discordapp.com',
 };
 
@@ -31,6 +33,63 @@ exports.OPCodes = {
   HEARTBEAT_ACK: 11,
 };
 
+/**
+ * Gateway close event codes
+ */
+exports.GatewayCloseCodes = {
+  UNKNOWN_ERROR: 4000,
+  UNKNOWN_OPCODE: 4001,
+  DECODE_ERROR: 4002,
+  NOT_AUTHENTICATED: 4003,
+  AUTHENTICATION_FAILED: 4004,
+  ALREADY_AUTHENTICATED: 4005,
+  INVALID_SEQ: 4007,
+  RATE_LIMITED: 4008,
+  SESSION_TIMED_OUT: 4009,
+  INVALID_SHARD: 4010,
+  SHARDING_REQUIRED: 4011,
+  INVALID_API_VERSION: 4012,
+  INVALID_INTENTS: 4013,
+  DISALLOWED_INTENTS: 4014,
+};
+
+/**
+ * Close codes after which the client must not reconnect
+ */
+exports.FatalCloseCodes = [
+  exports.GatewayCloseCodes.AUTHENTICATION_FAILED,
+  exports.GatewayCloseCodes.INVALID_SHARD,
+  exports.GatewayCloseCodes.SHARDING_REQUIRED,
+  exports.GatewayCloseCodes.INVALID_API_VERSION,
+  exports.GatewayCloseCodes.INVALID_INTENTS,
+  exports.GatewayCloseCodes.DISALLOWED_INTENTS,
+];
+
+/**
+ * Close codes after which the session can no longer be resumed
+ */
+exports.UnresumableCloseCodes = [
+  exports.GatewayCloseCodes.INVALID_SEQ,
+  exports.GatewayCloseCodes.SESSION_TIMED_OUT,
+];
+
+/**
+ * States of the gateway connection
+ *
+ * idle -> connecting -> identifying | resuming -> ready
+ * ready -> reconnecting -> connecting ...
+ * any -> dead (fatal close code)
+ */
+exports.ConnectionStatus = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  IDENTIFYING: 'identifying',
+  RESUMING: 'resuming',
+  READY: 'ready',
+  RECONNECTING: 'reconnecting',
+  DEAD: 'dead',
+};
+
 /**
  * Library information
  */
@@ -84,6 +143,18 @@ exports.ChannelTypes = {
   GUILD_STAGE_VOICE: 13,
 };
 
+/**
+ * Relationship types between the client user and other users
+ */
+exports.RelationshipTypes = {
+  NONE: 0,
+  FRIEND: 1,
+  BLOCKED: 2,
+  PENDING_INCOMING: 3,
+  PENDING_OUTGOING: 4,
+  IMPLICIT: 5,
+};
+
 /**
  * Status types for user presence
  */
@@ -140,4 +211,33 @@ exports.ActivityTypes = {
   WATCHING: 3,
   CUSTOM: 4,
   COMPETING: 5
-}; 
\ No newline at end of file
+};
+
+/**
+ * Error codes sent by the API, found on {@link DiscordAPIError#code}
+ */
+exports.APIErrors = {
+  UNKNOWN_ACCOUNT: 10001,
+  UNKNOWN_CHANNEL: 10003,
+  UNKNOWN_GUILD: 10004,
+  UNKNOWN_MEMBER: 10007,
+  UNKNOWN_MESSAGE: 10008,
+  UNKNOWN_ROLE: 10011,
+  UNKNOWN_USER: 10013,
+  UNKNOWN_EMOJI: 10014,
+  UNKNOWN_BAN: 10026,
+  MAXIMUM_PINS: 30003,
+  MAXIMUM_REACTIONS: 30010,
+  UNAUTHORIZED: 40001,
+  MISSING_ACCESS: 50001,
+  INVALID_ACCOUNT_TYPE: 50002,
+  CANNOT_EXECUTE_ON_DM: 50003,
+  CANNOT_EDIT_MESSAGE_BY_OTHER: 50005,
+  CANNOT_SEND_EMPTY_MESSAGE: 50006,
+  CANNOT_MESSAGE_USER: 50007,
+  MISSING_PERMISSIONS: 50013,
+  INVALID_AUTHENTICATION_TOKEN: 50014,
+  INVALID_BULK_DELETE_QUANTITY: 50016,
+  INVALID_FORM_BODY: 50035,
+  REACTION_BLOCKED: 90001,
+};
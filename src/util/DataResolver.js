@@ -0,0 +1,77 @@
+/**
+ * Resolves the different forms a file can be given in
+ * @module DataResolver
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Resolves files into buffers that can be sent more than once
+ */
+class DataResolver {
+  /**
+   * Read a file into a buffer.
+   * Streams can only be read once, so every source is buffered before the request is
+   * queued, which lets retries rebuild the request body from the same data.
+   * @param {Buffer|Stream|string} resource - A buffer, a readable stream, a path or an http(s) URL
+   * @returns {Promise<Buffer>}
+   */
+  static async resolveFile(resource) {
+    if (Buffer.isBuffer(resource)) return resource;
+    if (resource instanceof ArrayBuffer || ArrayBuffer.isView(resource)) return Buffer.from(resource);
+
+    if (typeof resource === 'string') {
+      if (/^https?:\/\//.test(resource)) {
+        const response = await axios.get(resource, { responseType: 'arraybuffer' });
+        return Buffer.from(response.data);
+      }
+      return fs.promises.readFile(resource);
+    }
+
+    if (resource && typeof resource.pipe === 'function') {
+      const chunks = [];
+      for await (const chunk of resource) chunks.push(Buffer.from(chunk));
+      return Buffer.concat(chunks);
+    }
+
+    throw new TypeError('FILE_NOT_RESOLVABLE');
+  }
+
+  /**
+   * Resolve the files of a message
+   * @param {Array<Object|Buffer|Stream|string>} files - The files, either as `{ attachment, name, description, spoiler }`
+   * or as the attachment alone
+   * @returns {Promise<Object[]>} The files, each with a `name`, its `data` and its `description`
+   */
+  static resolveFiles(files) {
+    return Promise.all(files.map(async file => {
+      const options = file && file.attachment !== undefined ? file : { attachment: file };
+      let name = options.name || DataResolver.basename(options.attachment);
+      if (options.spoiler && !name.startsWith('SPOILER_')) name = `SPOILER_${name}`;
+
+      return {
+        name,
+        data: await DataResolver.resolveFile(options.attachment),
+        description: options.description,
+      };
+    }));
+  }
+
+  /**
+   * Guess the file name of an attachment
+   * @param {Buffer|Stream|string} attachment - The attachment
+   * @returns {string} The file name, `file` when it can't be guessed
+   */
+  static basename(attachment) {
+    const source = typeof attachment === 'string' ? attachment : attachment && attachment.path;
+    if (typeof source !== 'string') return 'file';
+
+    const name = path.basename(source.split(/[?#]/)[0]);
+    return name || 'file';
+  }
+}
+
+module.exports = DataResolver;
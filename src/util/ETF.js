@@ -0,0 +1,350 @@
+/**
+ * Pure JavaScript encoder and decoder for the Erlang External Term Format
+ * @module ETF
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Term tags used by the gateway
+ * @type {Object<string, number>}
+ * @private
+ */
+const Tags = {
+  VERSION: 131,
+  NEW_FLOAT: 70,
+  COMPRESSED: 80,
+  SMALL_INTEGER: 97,
+  INTEGER: 98,
+  FLOAT: 99,
+  ATOM: 100,
+  SMALL_TUPLE: 104,
+  LARGE_TUPLE: 105,
+  NIL: 106,
+  STRING: 107,
+  LIST: 108,
+  BINARY: 109,
+  SMALL_BIG: 110,
+  LARGE_BIG: 111,
+  SMALL_ATOM: 115,
+  MAP: 116,
+  ATOM_UTF8: 118,
+  SMALL_ATOM_UTF8: 119,
+};
+
+/**
+ * Reads terms from an ETF buffer
+ * @private
+ */
+class Decoder {
+  /**
+   * @param {Buffer} buffer - The buffer to read from
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  /**
+   * Read the next term
+   * @returns {*}
+   */
+  decode() {
+    const tag = this.buffer.readUInt8(this.offset++);
+
+    switch (tag) {
+      case Tags.NEW_FLOAT: {
+        const value = this.buffer.readDoubleBE(this.offset);
+        this.offset += 8;
+        return value;
+      }
+      case Tags.COMPRESSED: {
+        const size = this.buffer.readUInt32BE(this.offset);
+        const inflated = zlib.inflateSync(this.buffer.subarray(this.offset + 4));
+        if (inflated.length !== size) throw new Error('ETF_COMPRESSED_SIZE_MISMATCH');
+        this.offset = this.buffer.length;
+        return new Decoder(inflated).decode();
+      }
+      case Tags.SMALL_INTEGER:
+        return this.buffer.readUInt8(this.offset++);
+      case Tags.INTEGER: {
+        const value = this.buffer.readInt32BE(this.offset);
+        this.offset += 4;
+        return value;
+      }
+      case Tags.FLOAT: {
+        const value = parseFloat(this.buffer.toString('latin1', this.offset, this.offset + 31));
+        this.offset += 31;
+        return value;
+      }
+      case Tags.ATOM:
+      case Tags.ATOM_UTF8:
+        return this._atom(this.buffer.readUInt16BE(this._advance(2)), tag === Tags.ATOM ? 'latin1' : 'utf8');
+      case Tags.SMALL_ATOM:
+      case Tags.SMALL_ATOM_UTF8:
+        return this._atom(this.buffer.readUInt8(this._advance(1)), tag === Tags.SMALL_ATOM ? 'latin1' : 'utf8');
+      case Tags.SMALL_TUPLE:
+        return this._array(this.buffer.readUInt8(this._advance(1)));
+      case Tags.LARGE_TUPLE:
+        return this._array(this.buffer.readUInt32BE(this._advance(4)));
+      case Tags.NIL:
+        return [];
+      case Tags.STRING: {
+        // Lists of small integers are sent as byte strings
+        const length = this.buffer.readUInt16BE(this._advance(2));
+        return this.buffer.toString('latin1', this._advance(length), this.offset);
+      }
+      case Tags.LIST: {
+        const list = this._array(this.buffer.readUInt32BE(this._advance(4)));
+        const tail = this.decode();
+        if (!Array.isArray(tail) || tail.length) list.push(tail);
+        return list;
+      }
+      case Tags.BINARY: {
+        const length = this.buffer.readUInt32BE(this._advance(4));
+        return this.buffer.toString('utf8', this._advance(length), this.offset);
+      }
+      case Tags.SMALL_BIG:
+        return this._big(this.buffer.readUInt8(this._advance(1)));
+      case Tags.LARGE_BIG:
+        return this._big(this.buffer.readUInt32BE(this._advance(4)));
+      case Tags.MAP: {
+        const arity = this.buffer.readUInt32BE(this._advance(4));
+        const map = {};
+        for (let i = 0; i < arity; i++) {
+          const key = this.decode();
+          map[key] = this.decode();
+        }
+        return map;
+      }
+      default:
+        throw new Error(`ETF_UNSUPPORTED_TAG: ${tag}`);
+    }
+  }
+
+  /**
+   * Move the offset forward
+   * @param {number} length - The number of bytes to skip
+   * @returns {number} The offset before moving
+   * @private
+   */
+  _advance(length) {
+    const offset = this.offset;
+    this.offset += length;
+    return offset;
+  }
+
+  /**
+   * Read an atom of the given length
+   * @param {number} length - The length of the atom
+   * @param {string} encoding - The encoding of the atom
+   * @returns {?(string|boolean)}
+   * @private
+   */
+  _atom(length, encoding) {
+    const atom = this.buffer.toString(encoding, this._advance(length), this.offset);
+
+    switch (atom) {
+      case 'nil':
+      case 'null':
+        return null;
+      case 'true':
+        return true;
+      case 'false':
+        return false;
+      default:
+        return atom;
+    }
+  }
+
+  /**
+   * Read the given number of terms
+   * @param {number} length - The number of terms
+   * @returns {Array}
+   * @private
+   */
+  _array(length) {
+    const array = new Array(length);
+    for (let i = 0; i < length; i++) array[i] = this.decode();
+    return array;
+  }
+
+  /**
+   * Read a big integer of the given number of bytes. Anything wider than
+   * 32 bits, which includes every snowflake, is returned as a string.
+   * @param {number} length - The number of bytes
+   * @returns {number|string}
+   * @private
+   */
+  _big(length) {
+    const negative = this.buffer.readUInt8(this.offset++) === 1;
+    let value = 0n;
+    for (let i = length - 1; i >= 0; i--) {
+      value = (value << 8n) | BigInt(this.buffer[this.offset + i]);
+    }
+    this.offset += length;
+
+    if (negative) value = -value;
+    return length <= 4 ? Number(value) : value.toString();
+  }
+}
+
+/**
+ * Encode a term into its tag and payload
+ * @param {*} value - The value to encode
+ * @param {Buffer[]} parts - The buffers written so far
+ * @private
+ */
+function encodeTerm(value, parts) {
+  if (value === null || value === undefined) {
+    parts.push(atom('nil'));
+    return;
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      parts.push(atom(value ? 'true' : 'false'));
+      return;
+    case 'number':
+      if (Number.isInteger(value)) {
+        if (value >= 0 && value <= 0xff) {
+          parts.push(Buffer.from([Tags.SMALL_INTEGER, value]));
+        } else if (value >= -0x80000000 && value <= 0x7fffffff) {
+          const buffer = Buffer.alloc(5);
+          buffer.writeUInt8(Tags.INTEGER, 0);
+          buffer.writeInt32BE(value, 1);
+          parts.push(buffer);
+        } else {
+          parts.push(big(BigInt(value)));
+        }
+      } else {
+        const buffer = Buffer.alloc(9);
+        buffer.writeUInt8(Tags.NEW_FLOAT, 0);
+        buffer.writeDoubleBE(value, 1);
+        parts.push(buffer);
+      }
+      return;
+    case 'bigint':
+      parts.push(big(value));
+      return;
+    case 'string':
+      parts.push(binary(Buffer.from(value, 'utf8')));
+      return;
+    case 'object':
+      break;
+    default:
+      throw new TypeError(`ETF_UNSUPPORTED_TYPE: ${typeof value}`);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    parts.push(binary(value));
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length) {
+      const header = Buffer.alloc(5);
+      header.writeUInt8(Tags.LIST, 0);
+      header.writeUInt32BE(value.length, 1);
+      parts.push(header);
+      for (const item of value) encodeTerm(item, parts);
+    }
+    parts.push(Buffer.from([Tags.NIL]));
+    return;
+  }
+
+  if (typeof value.toJSON === 'function') {
+    encodeTerm(value.toJSON(), parts);
+    return;
+  }
+
+  const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+  const header = Buffer.alloc(5);
+  header.writeUInt8(Tags.MAP, 0);
+  header.writeUInt32BE(entries.length, 1);
+  parts.push(header);
+
+  for (const [key, item] of entries) {
+    parts.push(binary(Buffer.from(key, 'utf8')));
+    encodeTerm(item, parts);
+  }
+}
+
+/**
+ * Encode an atom
+ * @param {string} name - The name of the atom
+ * @returns {Buffer}
+ * @private
+ */
+function atom(name) {
+  const bytes = Buffer.from(name, 'utf8');
+  return Buffer.concat([Buffer.from([Tags.SMALL_ATOM_UTF8, bytes.length]), bytes]);
+}
+
+/**
+ * Encode a binary
+ * @param {Buffer} bytes - The bytes of the binary
+ * @returns {Buffer}
+ * @private
+ */
+function binary(bytes) {
+  const header = Buffer.alloc(5);
+  header.writeUInt8(Tags.BINARY, 0);
+  header.writeUInt32BE(bytes.length, 1);
+  return Buffer.concat([header, bytes]);
+}
+
+/**
+ * Encode a big integer
+ * @param {bigint} value - The integer to encode
+ * @returns {Buffer}
+ * @private
+ */
+function big(value) {
+  const negative = value < 0n;
+  let magnitude = negative ? -value : value;
+  const digits = [];
+
+  while (magnitude > 0n) {
+    digits.push(Number(magnitude & 0xffn));
+    magnitude >>= 8n;
+  }
+
+  return Buffer.from([Tags.SMALL_BIG, digits.length, negative ? 1 : 0, ...digits]);
+}
+
+/**
+ * Converts gateway payloads to and from the Erlang External Term Format
+ */
+class ETF {
+  /**
+   * Encode a value into an ETF buffer
+   * @param {*} data - The value to encode
+   * @returns {Buffer} The encoded term
+   */
+  static pack(data) {
+    const parts = [Buffer.from([Tags.VERSION])];
+    encodeTerm(data, parts);
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * Decode an ETF buffer into a value
+   * @param {Buffer|ArrayBuffer|Buffer[]} data - The buffer to decode
+   * @returns {*} The decoded value
+   */
+  static unpack(data) {
+    const buffer = Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data);
+
+    if (buffer.readUInt8(0) !== Tags.VERSION) {
+      throw new Error('ETF_INVALID_VERSION');
+    }
+
+    const decoder = new Decoder(buffer);
+    decoder.offset = 1;
+    return decoder.decode();
+  }
+}
+
+module.exports = ETF;
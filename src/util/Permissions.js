@@ -0,0 +1,108 @@
+/**
+ * Data structure for permissions
+ * @module Permissions
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const BitField = require('./BitField');
+
+/**
+ * The permissions of a role, a member or an overwrite, as a bit field
+ * @extends {BitField}
+ * @example
+ * const permissions = channel.permissionsFor(client.user);
+ * if (permissions && permissions.has(['SEND_MESSAGES', 'EMBED_LINKS'])) await channel.send({ embeds: [embed] });
+ */
+class Permissions extends BitField {
+  /**
+   * Whether the permissions have all of the bits
+   * @param {BitFieldResolvable} permission - The permissions to look for
+   * @param {boolean} [checkAdmin=true] - Whether ADMINISTRATOR grants every permission
+   * @returns {boolean}
+   */
+  has(permission, checkAdmin = true) {
+    return (checkAdmin && super.has(Permissions.FLAGS.ADMINISTRATOR)) || super.has(permission);
+  }
+
+  /**
+   * Whether the permissions have any of the bits
+   * @param {BitFieldResolvable} permission - The permissions to look for
+   * @param {boolean} [checkAdmin=true] - Whether ADMINISTRATOR grants every permission
+   * @returns {boolean}
+   */
+  any(permission, checkAdmin = true) {
+    return (checkAdmin && super.has(Permissions.FLAGS.ADMINISTRATOR)) || super.any(permission);
+  }
+
+  /**
+   * The names of the permissions that are missing
+   * @param {BitFieldResolvable} permissions - The permissions to look for
+   * @param {boolean} [checkAdmin=true] - Whether ADMINISTRATOR grants every permission
+   * @returns {string[]}
+   */
+  missing(permissions, checkAdmin = true) {
+    return checkAdmin && super.has(Permissions.FLAGS.ADMINISTRATOR) ? [] : super.missing(permissions);
+  }
+}
+
+/**
+ * The bit of each permission, by name
+ * @type {Object<string, bigint>}
+ */
+Permissions.FLAGS = {
+  CREATE_INSTANT_INVITE: 1n << 0n,
+  KICK_MEMBERS: 1n << 1n,
+  BAN_MEMBERS: 1n << 2n,
+  ADMINISTRATOR: 1n << 3n,
+  MANAGE_CHANNELS: 1n << 4n,
+  MANAGE_GUILD: 1n << 5n,
+  ADD_REACTIONS: 1n << 6n,
+  VIEW_AUDIT_LOG: 1n << 7n,
+  PRIORITY_SPEAKER: 1n << 8n,
+  STREAM: 1n << 9n,
+  VIEW_CHANNEL: 1n << 10n,
+  SEND_MESSAGES: 1n << 11n,
+  SEND_TTS_MESSAGES: 1n << 12n,
+  MANAGE_MESSAGES: 1n << 13n,
+  EMBED_LINKS: 1n << 14n,
+  ATTACH_FILES: 1n << 15n,
+  READ_MESSAGE_HISTORY: 1n << 16n,
+  MENTION_EVERYONE: 1n << 17n,
+  USE_EXTERNAL_EMOJIS: 1n << 18n,
+  VIEW_GUILD_INSIGHTS: 1n << 19n,
+  CONNECT: 1n << 20n,
+  SPEAK: 1n << 21n,
+  MUTE_MEMBERS: 1n << 22n,
+  DEAFEN_MEMBERS: 1n << 23n,
+  MOVE_MEMBERS: 1n << 24n,
+  USE_VAD: 1n << 25n,
+  CHANGE_NICKNAME: 1n << 26n,
+  MANAGE_NICKNAMES: 1n << 27n,
+  MANAGE_ROLES: 1n << 28n,
+  MANAGE_WEBHOOKS: 1n << 29n,
+  MANAGE_EMOJIS_AND_STICKERS: 1n << 30n,
+  USE_APPLICATION_COMMANDS: 1n << 31n,
+  REQUEST_TO_SPEAK: 1n << 32n,
+  MANAGE_EVENTS: 1n << 33n,
+  MANAGE_THREADS: 1n << 34n,
+  CREATE_PUBLIC_THREADS: 1n << 35n,
+  CREATE_PRIVATE_THREADS: 1n << 36n,
+  USE_EXTERNAL_STICKERS: 1n << 37n,
+  SEND_MESSAGES_IN_THREADS: 1n << 38n,
+  USE_EMBEDDED_ACTIVITIES: 1n << 39n,
+  MODERATE_MEMBERS: 1n << 40n,
+};
+
+/**
+ * Every permission
+ * @type {bigint}
+ */
+Permissions.ALL = Object.values(Permissions.FLAGS).reduce((all, bit) => all | bit, 0n);
+
+/**
+ * The permissions @everyone has in a new guild
+ * @type {bigint}
+ */
+Permissions.DEFAULT = 104324673n;
+
+module.exports = Permissions;
@@ -4,6 +4,8 @@
  * @copyright GhostNet Team 2025-2026
  */
 
+const RequestScheduler = require('../rest/RequestScheduler');
+
 /**
  * @typedef {Object} ThrottlingOptions
  * @property {number} [maxRequestsPerMinute=50] - Maximum requests allowed per minute
@@ -47,32 +49,25 @@ class ThrottlingManager {
     this._enableLogging = options.enableLogging || false;
 
     /**
-     * Current request log
-     * @type {Map<string, Array<number>>}
-     * @private
-     */
-    this._requestLog = new Map();
-
-    /**
-     * Queue for delayed requests
-     * @type {Map<string, Array<Function>>}
+     * The scheduler queuing requests per route, limited to the safe share of each minute
+     * @type {RequestScheduler}
      * @private
      */
-    this._queue = new Map();
-
-    /**
-     * Whether there is a current rate limit
-     * @type {Map<string, boolean>}
-     * @private
-     */
-    this._rateLimit = new Map();
+    this._scheduler = new RequestScheduler({
+      limit: Math.max(1, Math.floor(this._maxRequestsPerMinute * this._bufferSize)),
+      interval: 60000,
+      retryAfter: this._retryAfter,
+      globalLimit: Infinity,
+    });
 
-    /**
-     * Rate limit timers
-     * @type {Map<string, NodeJS.Timeout>}
-     * @private
-     */
-    this._limitTimers = new Map();
+    this._scheduler.on('debug', info => {
+      if (this._enableLogging) console.log(`[Throttling] ${info}`);
+    });
+    this._scheduler.on('rateLimit', ({ bucket, timeout }) => {
+      if (this._enableLogging) {
+        console.warn(`[Throttling] Rate limit hit for ${bucket}. Waiting ${timeout}ms before retry.`);
+      }
+    });
 
     /**
      * Request statistics
@@ -88,93 +83,16 @@ class ThrottlingManager {
     };
   }
 
-  /**
-   * Checks if a request would exceed the rate limit
-   * @param {string} route - The route being requested
-   * @returns {boolean} - Whether the request would exceed the limit
-   * @private
-   */
-  _wouldExceedLimit(route) {
-    if (!this._requestLog.has(route)) {
-      this._requestLog.set(route, []);
-      return false;
-    }
-
-    // Calculate number of requests in past minute
-    const now = Date.now();
-    const oneMinuteAgo = now - 60000;
-    const recentRequests = this._requestLog.get(route).filter(time => time > oneMinuteAgo);
-    
-    // Update request log
-    this._requestLog.set(route, recentRequests);
-    
-    // Check if would exceed limit with safety factor
-    return recentRequests.length >= (this._maxRequestsPerMinute * this._bufferSize);
-  }
-
-  /**
-   * Adds a request to the queue
-   * @param {string} route - The route being requested
-   * @param {Function} callback - The function to call when processing the request
-   * @private
-   */
-  _enqueue(route, callback) {
-    if (!this._queue.has(route)) {
-      this._queue.set(route, []);
-    }
-    
-    this._queue.get(route).push(callback);
-    this._stats.throttledRequests++;
-    
-    if (this._enableLogging) {
-      console.log(`[Throttling] Request to ${route} was throttled and added to queue.`);
-    }
-  }
-
-  /**
-   * Processes the queue for a given route
-   * @param {string} route - The route to process the queue for
-   * @private
-   */
-  _processQueue(route) {
-    if (!this._queue.has(route) || this._queue.get(route).length === 0) return;
-    
-    // Check if we can process the next request
-    if (!this._wouldExceedLimit(route) && !this._rateLimit.get(route)) {
-      const nextCallback = this._queue.get(route).shift();
-      
-      if (nextCallback) {
-        nextCallback();
-        
-        if (this._enableLogging) {
-          console.log(`[Throttling] Processed queued request to ${route}.`);
-        }
-        
-        // Schedule next processing
-        setTimeout(() => this._processQueue(route), 1000);
-      }
-    } else {
-      // Schedule retry later
-      setTimeout(() => this._processQueue(route), this._retryAfter);
-    }
-  }
-
   /**
    * Logs a new request to a route
    * @param {string} route - The route being requested
    * @private
    */
   _logRequest(route) {
-    if (!this._requestLog.has(route)) {
-      this._requestLog.set(route, []);
-    }
-    
     const now = Date.now();
-    this._requestLog.get(route).push(now);
     this._stats.lastRequest = now;
     this._stats.totalRequests++;
-    this._stats.succeededRequests++;
-    
+
     if (this._enableLogging) {
       console.log(`[Throttling] Request to ${route} was processed.`);
     }
@@ -195,104 +113,36 @@ class ThrottlingManager {
   }
 
   /**
-   * Process a request according to rate limits
+   * Process a request according to rate limits.
+   * Requests to the same route run one at a time, and a callback failing with a 429
+   * status is retried once the limit resets.
    * @param {string} route - The route being requested
    * @param {Function} callback - The function to call when processing the request
-   * @returns {Promise<void>}
+   * @returns {Promise<*>} The result of the callback
    */
   async throttle(route, callback) {
-    return new Promise((resolve, reject) => {
-      // Format the route
-      const formattedRoute = route.replace(/\d+/g, ':id');
-      
-      // Check for an existing rate limit
-      if (this._rateLimit.get(formattedRoute)) {
-        this._enqueue(formattedRoute, () => {
-          this._executeCallback(formattedRoute, callback, resolve, reject);
-        });
-        return;
-      }
-      
-      // Check if would exceed limit
-      if (this._wouldExceedLimit(formattedRoute)) {
-        this._enqueue(formattedRoute, () => {
-          this._executeCallback(formattedRoute, callback, resolve, reject);
-        });
-        
-        // Start processing queue if not already
-        setTimeout(() => this._processQueue(formattedRoute), this._retryAfter);
-        return;
-      }
-      
-      // Execute the request
-      this._executeCallback(formattedRoute, callback, resolve, reject);
-    });
-  }
+    const key = RequestScheduler.route(null, route);
+    const bucket = this._scheduler.bucketFor(key);
 
-  /**
-   * Execute callback with error handling
-   * @param {string} route - The route being requested
-   * @param {Function} callback - The callback function
-   * @param {Function} resolve - Promise resolve function
-   * @param {Function} reject - Promise reject function
-   * @private
-   */
-  async _executeCallback(route, callback, resolve, reject) {
-    try {
-      this._logRequest(route);
-      const result = await callback();
-      resolve(result);
-    } catch (error) {
-      this._logError(route, error);
-      
-      // Check for rate limit errors
-      if (error.status === 429) {
-        const retryAfter = error.response?.data?.retry_after || this._retryAfter;
-        this._handleRateLimit(route, retryAfter);
-        
-        // Re-add request to queue
-        this._enqueue(route, () => {
-          this._executeCallback(route, callback, resolve, reject);
-        });
-      } else {
-        reject(error);
+    if (bucket.limited || bucket.size > 0) {
+      this._stats.throttledRequests++;
+
+      if (this._enableLogging) {
+        console.log(`[Throttling] Request to ${key} was throttled and added to queue.`);
       }
     }
-  }
 
-  /**
-   * Handle a rate limit situation
-   * @param {string} route - The route that was rate limited
-   * @param {number} retryAfter - The time to wait in ms
-   * @private
-   */
-  _handleRateLimit(route, retryAfter) {
-    // Mark route as rate limited
-    this._rateLimit.set(route, true);
-    
-    if (this._enableLogging) {
-      console.warn(`[Throttling] Rate limit hit for ${route}. Waiting ${retryAfter}ms before retry.`);
-    }
-    
-    // Clear any existing timer
-    if (this._limitTimers.has(route)) {
-      clearTimeout(this._limitTimers.get(route));
+    try {
+      const result = await this._scheduler.queue(key, () => {
+        this._logRequest(key);
+        return callback();
+      });
+      this._stats.succeededRequests++;
+      return result;
+    } catch (error) {
+      this._logError(key, error);
+      throw error;
     }
-    
-    // Set up timer to clear rate limit
-    const timerId = setTimeout(() => {
-      this._rateLimit.set(route, false);
-      this._limitTimers.delete(route);
-      
-      if (this._enableLogging) {
-        console.log(`[Throttling] Rate limit for ${route} has reset.`);
-      }
-      
-      // Process queue
-      this._processQueue(route);
-    }, retryAfter);
-    
-    this._limitTimers.set(route, timerId);
   }
 
   /**
@@ -300,13 +150,15 @@ class ThrottlingManager {
    * @returns {Object} Request statistics
    */
   getStats() {
+    const buckets = [...this._scheduler.buckets.values()];
+
     return {
       ...this._stats,
-      activeQueues: [...this._queue.entries()].reduce((acc, [route, queue]) => {
-        acc[route] = queue.length;
+      activeQueues: buckets.filter(bucket => bucket.size > 0).reduce((acc, bucket) => {
+        acc[bucket.id] = bucket.size;
         return acc;
       }, {}),
-      activeLimits: [...this._rateLimit.entries()].filter(([_, limited]) => limited).map(([route]) => route)
+      activeLimits: buckets.filter(bucket => bucket.limited).map(bucket => bucket.id)
     };
   }
 
@@ -314,16 +166,7 @@ class ThrottlingManager {
    * Reset all rate limits and queues
    */
   reset() {
-    // Clear all timers
-    for (const timerId of this._limitTimers.values()) {
-      clearTimeout(timerId);
-    }
-    
-    // Reset state
-    this._requestLog.clear();
-    this._queue.clear();
-    this._rateLimit.clear();
-    this._limitTimers.clear();
+    this._scheduler.reset();
     
     // Reset stats
     this._stats = {
@@ -340,4 +183,4 @@ class ThrottlingManager {
   }
 }
 
-module.exports = ThrottlingManager; 
\ No newline at end of file
+module.exports = ThrottlingManager;
\ No newline at end of file
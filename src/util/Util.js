@@ -4,6 +4,15 @@
  * @copyright GhostNet Team 2025-2026
  */
 
+const AbortError = require('../rest/AbortError');
+
+/**
+ * The first millisecond of 2015, where Discord's snowflakes start counting
+ * @type {bigint}
+ * @private
+ */
+const DISCORD_EPOCH = 1420070400000n;
+
 /**
  * Utility functions
  */
@@ -150,6 +159,42 @@ class Util {
     return `<t:${timestamp}>`;
   }
 
+  /**
+   * The lowest snowflake of a time, to page through messages by date
+   * @param {Date|number} date - The date, or its timestamp in ms
+   * @returns {string} The snowflake
+   * @example
+   * // The messages of the last hour
+   * channel.messages.iterate({ after: Util.timestampToSnowflake(Date.now() - 3600000) });
+   */
+  static timestampToSnowflake(date) {
+    const timestamp = BigInt(date instanceof Date ? date.getTime() : Math.floor(date));
+    return (timestamp > DISCORD_EPOCH ? (timestamp - DISCORD_EPOCH) << 22n : 0n).toString();
+  }
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - The time to wait
+   * @param {AbortSignal} [signal] - A signal that ends the wait early with an AbortError
+   * @returns {Promise<void>}
+   */
+  static sleep(ms, signal) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+
+    let timer;
+    const sleep = new Promise(resolve => { timer = setTimeout(resolve, ms); });
+    return AbortError.race(sleep, signal).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Shallow clone an object while keeping its prototype
+   * @param {Object} obj - The object to clone
+   * @returns {Object} The cloned object
+   */
+  static cloneObject(obj) {
+    return Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
+  }
+
   /**
    * Flatten an array of arrays
    * @param {Array} arr - The array to flatten
@@ -0,0 +1,134 @@
+/**
+ * Decompressor for the gateway's zlib-stream transport compression
+ * @module ZlibInflator
+ * @copyright GhostNet Team 2025-2026
+ */
+
+const EventEmitter = require('events');
+const zlib = require('zlib');
+
+/**
+ * The suffix marking the end of a complete zlib-stream message
+ * @type {Buffer}
+ * @private
+ */
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * Inflates the frames of a single zlib-stream gateway connection.
+ * The whole connection shares one zlib context, and a message may be split
+ * across several frames: it is only complete once a frame ends with the
+ * Z_SYNC_FLUSH suffix.
+ * @extends {EventEmitter}
+ */
+class ZlibInflator extends EventEmitter {
+  constructor() {
+    super();
+
+    /**
+     * The inflate stream shared by every message of the connection
+     * @type {zlib.Inflate}
+     * @private
+     */
+    this._inflate = zlib.createInflate({ chunkSize: 65535, flush: zlib.constants.Z_SYNC_FLUSH });
+
+    /**
+     * Compressed frames of the message currently being received
+     * @type {Buffer[]}
+     * @private
+     */
+    this._frames = [];
+
+    /**
+     * Complete compressed messages waiting to be inflated
+     * @type {Buffer[]}
+     * @private
+     */
+    this._queue = [];
+
+    /**
+     * Inflated chunks of the message currently being inflated
+     * @type {Buffer[]}
+     * @private
+     */
+    this._output = [];
+
+    /**
+     * Whether a message is currently being inflated
+     * @type {boolean}
+     * @private
+     */
+    this._inflating = false;
+
+    /**
+     * Whether the inflator was destroyed
+     * @type {boolean}
+     * @private
+     */
+    this._destroyed = false;
+
+    this._inflate.on('data', chunk => this._output.push(chunk));
+    this._inflate.on('error', error => {
+      if (!this._destroyed) this.emit('error', error);
+    });
+  }
+
+  /**
+   * Push a frame received from the gateway
+   * @param {Buffer|ArrayBuffer|Buffer[]} data - The frame data
+   */
+  push(data) {
+    if (this._destroyed) return;
+    const frame = Array.isArray(data) ? Buffer.concat(data) : Buffer.from(data);
+    this._frames.push(frame);
+
+    // Wait for the rest of the message
+    if (frame.length < 4 || !frame.subarray(-4).equals(ZLIB_SUFFIX)) return;
+
+    this._queue.push(Buffer.concat(this._frames));
+    this._frames = [];
+    this._next();
+  }
+
+  /**
+   * Inflate the next queued message, one at a time so outputs never interleave
+   * @private
+   */
+  _next() {
+    if (this._inflating || !this._queue.length) return;
+    this._inflating = true;
+
+    this._inflate.write(this._queue.shift());
+    this._inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+      // The connection was closed while inflating, its output is incomplete
+      if (this._destroyed) return;
+
+      const message = Buffer.concat(this._output);
+      this._output = [];
+      this._inflating = false;
+
+      /**
+       * Emitted when a complete message has been inflated
+       * @event ZlibInflator#message
+       * @param {Buffer} message - The inflated message
+       */
+      this.emit('message', message);
+      this._next();
+    });
+  }
+
+  /**
+   * Release the zlib context, dropping any message still being inflated
+   */
+  destroy() {
+    this._destroyed = true;
+    this._frames = [];
+    this._queue = [];
+    this._output = [];
+    this._inflate.removeAllListeners('data');
+    this._inflate.close();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = ZlibInflator;
@@ -0,0 +1,195 @@
+/**
+ * Tests for archiving the history of channels against the mock Discord server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Archiver, Client, MockDiscordServer } = require('../src');
+
+const friend = { id: '80351110224678913', username: 'friend', discriminator: '0', avatar: null };
+const dmId = '41771983423143950';
+const channelId = '41771983423143940';
+const roleId = '41771983423143960';
+const guild = {
+  id: '41771983423143937',
+  name: 'Test Guild',
+  channels: [{ id: channelId, type: 0, name: 'general' }],
+  roles: [
+    { id: '41771983423143937', name: '@everyone', position: 0, permissions: '0' },
+    { id: roleId, name: 'Mods', position: 1, permissions: '0' },
+  ],
+};
+
+describe('Archiver', () => {
+  let server;
+  let client;
+  let archiver;
+  let directory;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild] }).start();
+    server.addUser(friend);
+    server.addChannel({ id: dmId, type: 1, recipients: [friend] });
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+    archiver = new Archiver(client);
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archiver-'));
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * The GET requests for the history of a channel
+   * @param {string} id - The channel ID
+   * @returns {Object[]}
+   */
+  function pageRequests(id) {
+    return server.requests.filter(request => request.method === 'GET' && request.path.endsWith(`/channels/${id}/messages`));
+  }
+
+  it('writes raw payloads to JSONL and resumes from the last one', async () => {
+    const sent = Array.from({ length: 150 }, (_, index) => server.createMessage(dmId, { content: `message ${index}` }));
+    const file = path.join(directory, 'friend.jsonl');
+
+    const first = await archiver.archive(dmId, file);
+    expect(first).toEqual({ file, format: 'jsonl', count: 150, attachments: 0, lastMessageId: sent[149].id });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toEqual(sent);
+    expect(await archiver.lastArchivedId(file)).toBe(sent[149].id);
+
+    const added = [server.createMessage(dmId, { content: 'later' }), server.createMessage(dmId, { content: 'latest' })];
+    server.requests.length = 0;
+    const second = await archiver.archive(dmId, file);
+
+    expect(second.count).toBe(2);
+    expect(pageRequests(dmId)[0].query.after).toBe(sent[149].id);
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line))).toEqual([...sent, ...added]);
+
+    // Nothing new leaves the archive as it is
+    const third = await archiver.archive(dmId, file);
+    expect(third).toMatchObject({ count: 0, lastMessageId: added[1].id });
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(152);
+  });
+
+  it('resumes a JSONL archive that ends in a cut-off line', async () => {
+    const sent = Array.from({ length: 3 }, (_, index) => server.createMessage(dmId, { content: `message ${index}` }));
+    const file = path.join(directory, 'friend.jsonl');
+    await archiver.archive(dmId, file);
+
+    // A run killed while writing the next message
+    const added = server.createMessage(dmId, { content: 'later' });
+    fs.appendFileSync(file, JSON.stringify(added).slice(0, 40));
+    expect(await archiver.lastArchivedId(file)).toBe(sent[2].id);
+
+    const result = await archiver.archive(dmId, file);
+
+    expect(result).toMatchObject({ count: 1, lastMessageId: added.id });
+    expect(fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line))).toEqual([...sent, added]);
+  });
+
+  it('writes Markdown with resolved mentions and embeds', async () => {
+    server.createMessage(channelId, {
+      content: `<@${friend.id}> <@&${roleId}> see <#${channelId}> <:blob:41771983423143999> at <t:0:f>`,
+      mentions: [friend],
+    });
+    server.createMessage(channelId, {
+      author: friend,
+      embeds: [{ title: 'Release', url: 'https://example.com', description: 'Line one\nLine two', color: 0xff0000, fields: [{ name: 'Version', value: '2.0' }] }],
+    });
+    const file = path.join(directory, 'general.md');
+
+    await archiver.archive(channelId, file);
+    const markdown = fs.readFileSync(file, 'utf8');
+
+    expect(markdown.startsWith('# #general — Test Guild\n')).toBe(true);
+    expect(markdown).toContain('@friend @Mods see #general :blob: at 1970-01-01 00:00:00 UTC');
+    expect(markdown).toContain('**friend** · ');
+    expect(markdown).toContain('> **[Release](https://example.com)**\n> Line one\n> Line two\n> **Version**\n> 2.0');
+    expect(markdown.trimEnd().endsWith(`<!-- last-message-id: ${Array.from(server.messages.get(channelId).keys()).pop()} -->`)).toBe(true);
+  });
+
+  it('writes a self-contained HTML file and appends to it on resume', async () => {
+    server.createMessage(dmId, { content: '**bold** <script>alert(1)</script> `<code>`' });
+    const file = path.join(directory, 'friend.html');
+
+    await archiver.archive(dmId, file);
+    let html = fs.readFileSync(file, 'utf8');
+    expect(html).toContain('<title>Direct messages with friend</title>');
+    expect(html).toContain('<strong>bold</strong> &lt;script&gt;alert(1)&lt;/script&gt; <code>&lt;code&gt;</code>');
+    expect(html).not.toMatch(/<(link|script)\b/);
+
+    const later = server.createMessage(dmId, { author: friend, content: 'second' });
+    const result = await archiver.archive(dmId, file);
+    html = fs.readFileSync(file, 'utf8');
+
+    expect(result.count).toBe(1);
+    expect(html.match(/<article /g)).toHaveLength(2);
+    expect(html.match(/<!DOCTYPE html>/g)).toHaveLength(1);
+    expect(html.endsWith(`<!-- last-message-id: ${later.id} -->\n</main>\n</body>\n</html>\n`)).toBe(true);
+    expect(html.indexOf('second')).toBeGreaterThan(html.indexOf('bold'));
+  });
+
+  it('keeps an interrupted archive resumable', async () => {
+    const sent = Array.from({ length: 150 }, (_, index) => server.createMessage(dmId, { content: `message ${index}` }));
+    const file = path.join(directory, 'friend.html');
+    await archiver.archive(dmId, file);
+
+    const added = Array.from({ length: 150 }, (_, index) => server.createMessage(dmId, { content: `added ${index}` }));
+    server.requests.length = 0;
+    client.rest.retryLimit = 0;
+    // The first page of the resumed run succeeds, the next one fails
+    server.on('request', () => {
+      if (pageRequests(dmId).length === 2) server.respond({ method: 'GET', path: `/channels/${dmId}/messages`, status: 500 });
+    });
+    await expect(archiver.archive(dmId, file)).rejects.toThrow();
+
+    expect(await archiver.lastArchivedId(file)).toBe(added[99].id);
+    expect(fs.readFileSync(file, 'utf8').endsWith(`<!-- last-message-id: ${added[99].id} -->\n</main>\n</body>\n</html>\n`)).toBe(true);
+
+    server.removeAllListeners('request');
+    const result = await archiver.archive(dmId, file);
+    const html = fs.readFileSync(file, 'utf8');
+
+    expect(result).toMatchObject({ count: 50, lastMessageId: added[149].id });
+    expect(html.match(/<article /g)).toHaveLength(sent.length + added.length);
+    expect(html.match(/<!-- last-message-id: /g)).toHaveLength(1);
+  });
+
+  it('downloads attachments next to the archive', async () => {
+    const image = server.addAttachment(dmId, 'cat picture.png', 'PNG bytes', 'image/png');
+    const notes = server.addAttachment(dmId, 'notes.txt', 'some notes', 'text/plain');
+    server.createMessage(dmId, { attachments: [image, notes] });
+    const file = path.join(directory, 'friend.html');
+
+    const result = await new Archiver(client, { downloadAttachments: true }).archive(dmId, file);
+
+    expect(result.attachments).toBe(2);
+    const folder = path.join(directory, 'friend_files');
+    expect(fs.readFileSync(path.join(folder, `${image.id}-cat_picture.png`), 'utf8')).toBe('PNG bytes');
+    expect(fs.readFileSync(path.join(folder, `${notes.id}-notes.txt`), 'utf8')).toBe('some notes');
+
+    const html = fs.readFileSync(file, 'utf8');
+    expect(html).toContain(`<img src="friend_files/${image.id}-cat_picture.png"`);
+    expect(html).toContain(`href="friend_files/${notes.id}-notes.txt">notes.txt (10 B)</a>`);
+  });
+
+  it('rejects formats it cannot infer', async () => {
+    await expect(archiver.archive(dmId, path.join(directory, 'friend.txt'))).rejects.toThrow('ARCHIVE_FORMAT');
+    expect(Archiver.formatOf('backup.MD')).toBe('markdown');
+  });
+});
+
+describe('Archiver.formatHTML', () => {
+  it('leaves emphasis markers in links and inline code alone', () => {
+    expect(Archiver.formatHTML('see https://x.com/a_b_c and `__init__`, __really__'))
+      .toBe('see <a href="https://x.com/a_b_c">https://x.com/a_b_c</a> and <code>__init__</code>, <u>really</u>');
+    expect(Archiver.formatHTML('**https://x.com/__init__**'))
+      .toBe('<strong><a href="https://x.com/__init__">https://x.com/__init__</a></strong>');
+  });
+});
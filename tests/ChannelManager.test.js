@@ -0,0 +1,136 @@
+/**
+ * Tests for the channel and guild managers against the mock Discord server
+ */
+
+const { once } = require('events');
+const {
+  CategoryChannel, Channel, ChannelManager, Client, DMChannel, DiscordAPIError, GuildManager, MockDiscordServer,
+  TextChannel, ThreadChannel, VoiceChannel,
+} = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const guild = {
+  id: '41771983423143937',
+  name: 'Test Guild',
+  channels: [
+    { id: '41771983423143938', type: 4, name: 'Text Channels', position: 0 },
+    { id: '41771983423143940', type: 0, name: 'general', parent_id: '41771983423143938', position: 1 },
+    { id: '41771983423143941', type: 5, name: 'news', parent_id: '41771983423143938', position: 0 },
+    { id: '41771983423143942', type: 2, name: 'Voice', rtc_region: 'rotterdam' },
+  ],
+};
+
+describe('ChannelManager', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('builds the structure of each channel type', () => {
+    expect(client.channels).toBeInstanceOf(ChannelManager);
+    expect(client.guilds).toBeInstanceOf(GuildManager);
+
+    const category = client.channels.cache.get('41771983423143938');
+    const general = client.channels.cache.get('41771983423143940');
+    const news = client.channels.cache.get('41771983423143941');
+    const voice = client.channels.cache.get('41771983423143942');
+
+    expect(category).toBeInstanceOf(CategoryChannel);
+    expect(general).toBeInstanceOf(TextChannel);
+    expect(news).toBeInstanceOf(TextChannel);
+    expect(news.isNews).toBe(true);
+    expect(voice).toBeInstanceOf(VoiceChannel);
+    expect(voice.rtcRegion).toBe('rotterdam');
+    expect(ChannelManager.classFor(11)).toBe(ThreadChannel);
+    expect(ChannelManager.classFor(99)).toBe(Channel);
+
+    expect([...category.children.keys()]).toEqual(['41771983423143941', '41771983423143940']);
+    expect(client.guilds.cache.get(guild.id).channels.get(general.id)).toBe(general);
+  });
+
+  it('resolves channels and guilds from structures and IDs', () => {
+    const general = client.channels.cache.get('41771983423143940');
+
+    expect(client.channels.resolve(general.id)).toBe(general);
+    expect(client.channels.resolveId({ channelId: general.id })).toBe(general.id);
+    expect(client.channels.resolve('1')).toBeNull();
+    expect(client.guilds.resolve(general)).toBe(general.guild);
+    expect(client.guilds.resolveId(general)).toBe(guild.id);
+    expect(client.guilds.resolve(null)).toBeNull();
+  });
+
+  it('fetches channels and guilds from the cache unless forced', async () => {
+    const general = client.channels.cache.get('41771983423143940');
+    const requests = server.requests.length;
+
+    expect(await client.channels.fetch(general.id)).toBe(general);
+    expect(await client.guilds.fetch(guild.id)).toBe(general.guild);
+    expect(server.requests).toHaveLength(requests);
+
+    server.channels.get(general.id).topic = 'fresh';
+    expect(await client.channels.fetch(general.id, { force: true })).toBe(general);
+    expect(general.topic).toBe('fresh');
+
+    const hidden = server.addChannel({ type: 1, recipients: [friend] });
+    const dm = await client.channels.fetch(hidden.id, { cache: false });
+    expect(dm).toBeInstanceOf(DMChannel);
+    expect(dm.recipient).toBe(client.users.cache.get(friend.id));
+    expect(client.channels.cache.has(hidden.id)).toBe(false);
+
+    await expect(client.channels.fetch('1')).rejects.toBeInstanceOf(DiscordAPIError);
+  });
+
+  it('patches converted channels in place and rebuilds those that change structure', async () => {
+    const general = client.channels.cache.get('41771983423143940');
+
+    let updated = once(client, 'channelUpdate');
+    server.dispatch('CHANNEL_UPDATE', { ...guild.channels[1], guild_id: guild.id, type: 5 });
+    let [oldChannel, channel] = await updated;
+    expect(channel).toBe(general);
+    expect(oldChannel.type).toBe(0);
+    expect(channel.isNews).toBe(true);
+
+    updated = once(client, 'channelUpdate');
+    server.dispatch('CHANNEL_UPDATE', { ...guild.channels[1], guild_id: guild.id, type: 2 });
+    [, channel] = await updated;
+    expect(channel).toBeInstanceOf(VoiceChannel);
+    expect(client.channels.cache.get(general.id)).toBe(channel);
+    expect(channel.guild.channels.get(general.id)).toBe(channel);
+  });
+
+  it('removes deleted channels and the channels of deleted guilds', async () => {
+    const deleted = once(client, 'channelDelete');
+    server.dispatch('CHANNEL_DELETE', { ...guild.channels[3], guild_id: guild.id });
+    const [channel] = await deleted;
+
+    expect(channel).toBeInstanceOf(VoiceChannel);
+    expect(client.channels.cache.has(channel.id)).toBe(false);
+    expect(client.guilds.cache.get(guild.id).channels.has(channel.id)).toBe(false);
+
+    const left = once(client, 'guildDelete');
+    server.dispatch('GUILD_DELETE', { id: guild.id });
+    await left;
+
+    expect(client.guilds.cache.size).toBe(0);
+    expect(client.channels.cache.size).toBe(0);
+  });
+
+  it('builds the DM channel of a message from an unknown DM', async () => {
+    const received = once(client, 'message');
+    server.dispatch('MESSAGE_CREATE', server.createMessage('41771983423143999', { author: friend, content: 'hi' }));
+    const [message] = await received;
+
+    expect(message.channel).toBeInstanceOf(DMChannel);
+    expect(message.channel.recipient).toBe(message.author);
+    expect(client.channels.cache.get('41771983423143999')).toBe(message.channel);
+  });
+});
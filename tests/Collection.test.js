@@ -0,0 +1,90 @@
+/**
+ * Tests for the Collection class and the caches that use it
+ */
+
+const { Client, Collection, Message } = require('../src');
+
+const numbers = () => new Collection([['a', 1], ['b', 2], ['c', 3], ['d', 4]]);
+
+describe('Collection', () => {
+  it('finds, filters and maps like an array', () => {
+    const collection = numbers();
+
+    expect(collection.find(value => value > 2)).toBe(3);
+    expect(collection.find(value => value > 4)).toBeUndefined();
+
+    const even = collection.filter(value => value % 2 === 0);
+    expect(even).toBeInstanceOf(Collection);
+    expect([...even.keys()]).toEqual(['b', 'd']);
+
+    expect(collection.map((value, key) => `${key}${value}`)).toEqual(['a1', 'b2', 'c3', 'd4']);
+    expect(collection.some(value => value === 4)).toBe(true);
+    expect(collection.every(value => value < 4)).toBe(false);
+  });
+
+  it('gets the first, last and random values', () => {
+    const collection = numbers();
+
+    expect(collection.first()).toBe(1);
+    expect(collection.first(2)).toEqual([1, 2]);
+    expect(collection.first(-1)).toEqual([4]);
+    expect(collection.last()).toBe(4);
+    expect(collection.last(2)).toEqual([3, 4]);
+    expect(collection.last(0)).toEqual([]);
+    expect(new Collection().first()).toBeUndefined();
+
+    expect([1, 2, 3, 4]).toContain(collection.random());
+    const picked = collection.random(3);
+    expect(new Set(picked).size).toBe(3);
+    expect(collection.random(10)).toHaveLength(4);
+  });
+
+  it('sweeps and partitions entries', () => {
+    const collection = numbers();
+
+    const [odd, even] = collection.partition(value => value % 2 === 1);
+    expect([...odd.values()]).toEqual([1, 3]);
+    expect([...even.values()]).toEqual([2, 4]);
+
+    expect(collection.sweep(value => value > 2)).toBe(2);
+    expect([...collection.keys()]).toEqual(['a', 'b']);
+  });
+
+  it('reduces with or without an initial value', () => {
+    expect(numbers().reduce((sum, value) => sum + value)).toBe(10);
+    expect(numbers().reduce((keys, value, key) => keys + key, '')).toBe('abcd');
+    expect(new Collection().reduce((sum, value) => sum + value, 0)).toBe(0);
+    expect(() => new Collection().reduce((sum, value) => sum + value)).toThrow('REDUCE_EMPTY_COLLECTION');
+  });
+
+  it('sorts in place and serializes its values', () => {
+    const collection = new Collection([['x', 3], ['y', 1], ['z', 2]]);
+
+    expect(collection.sort()).toBe(collection);
+    expect([...collection.keys()]).toEqual(['y', 'z', 'x']);
+    collection.sort((a, b) => b - a);
+    expect([...collection.values()]).toEqual([3, 2, 1]);
+
+    const nested = new Collection([['1', { toJSON: () => 'one' }], ['2', 2]]);
+    expect(JSON.stringify(nested)).toBe('["one",2]');
+  });
+
+  it('backs the caches of the client and its structures', () => {
+    const client = new Client({ sweepInterval: 0 });
+    const message = new Message(client, {
+      id: '1',
+      channel_id: '2',
+      content: 'hi',
+      attachments: [{ id: '3', filename: 'a.png', size: 1, url: 'https://cdn/a.png' }],
+      reactions: [{ emoji: { id: null, name: '👍' }, count: 1, me: false }],
+    });
+
+    expect(client.guilds.cache).toBeInstanceOf(Collection);
+    expect(client.channels.cache).toBeInstanceOf(Collection);
+    expect(client.cache.messages).toBeInstanceOf(Collection);
+    expect(message.attachments).toBeInstanceOf(Collection);
+    expect(message.attachments.first().name).toBe('a.png');
+    expect(message.reactions.first().count).toBe(1);
+    expect(message.mentions.users).toBeInstanceOf(Collection);
+  });
+});
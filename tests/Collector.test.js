@@ -0,0 +1,182 @@
+/**
+ * Tests for the message and reaction collectors against the mock Discord server
+ */
+
+const { Client, MessageCollector, MockDiscordServer, ReactionCollector } = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const dmChannel = { id: '319674150115610528', type: 1, recipients: [friend] };
+const otherChannel = { id: '319674150115610529', type: 1, recipients: [friend] };
+
+describe('Collectors', () => {
+  let server;
+  let client;
+  let channel;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ privateChannels: [dmChannel, otherChannel] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+    channel = client.channels.cache.get(dmChannel.id);
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  /**
+   * Dispatch a message from the friend
+   * @param {string} channelId - The channel of the message
+   * @param {string} content - The content of the message
+   * @returns {Object} The message data
+   */
+  function say(channelId, content) {
+    const message = server.createMessage(channelId, { author: friend, content });
+    server.dispatch('MESSAGE_CREATE', message);
+    return message;
+  }
+
+  it('awaits messages that pass the filter in its channel', async () => {
+    const answer = channel.awaitMessages({ filter: message => /^(yes|no)$/i.test(message.content), max: 1 });
+
+    say(otherChannel.id, 'yes');
+    say(dmChannel.id, 'maybe');
+    const expected = say(dmChannel.id, 'YES');
+
+    const collected = await answer;
+    expect([...collected.keys()]).toEqual([expected.id]);
+    expect(collected.get(expected.id).content).toBe('YES');
+  });
+
+  it('ends on the idle timer and rejects with the listed reasons', async () => {
+    const collector = channel.createMessageCollector({ idle: 200, maxProcessed: 5 });
+    const onEnd = jest.fn();
+    collector.on('end', onEnd);
+
+    say(dmChannel.id, 'first');
+    await new Promise(resolve => setTimeout(resolve, 120));
+    say(dmChannel.id, 'second');
+    await new Promise(resolve => setTimeout(resolve, 120));
+    expect(collector.ended).toBe(false);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(onEnd).toHaveBeenCalledWith(collector.collected, 'idle');
+    expect(collector.collected.size).toBe(2);
+    expect(client.listenerCount('message')).toBe(0);
+
+    await expect(channel.awaitMessages({ time: 20, errors: ['time'] })).rejects.toBeInstanceOf(Map);
+  });
+
+  it('ends with the error reason when the filter fails', async () => {
+    const collector = channel.createMessageCollector({
+      filter: async message => {
+        if (message.content === 'boom') throw new Error('filter failed');
+        return true;
+      },
+    });
+    const onError = jest.fn();
+    collector.on('error', onError);
+    const ended = new Promise(resolve => collector.once('end', (collected, reason) => resolve(reason)));
+
+    say(dmChannel.id, 'fine');
+    say(dmChannel.id, 'boom');
+
+    expect(await ended).toBe('error');
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'filter failed' }));
+    expect(collector.collected.size).toBe(1);
+
+    // Without an error listener the await helpers reject with the listed reason
+    const answer = channel.awaitMessages({
+      filter: () => {
+        throw new Error('filter failed');
+      },
+      errors: ['error'],
+    });
+    say(dmChannel.id, 'again');
+    await expect(answer).rejects.toHaveProperty('size', 0);
+  });
+
+  it('removes deleted messages when dispose is on', async () => {
+    const collector = new MessageCollector(channel, { dispose: true });
+    const onDispose = jest.fn();
+    collector.on('dispose', onDispose);
+
+    const collected = new Promise(resolve => collector.on('collect', resolve));
+    const message = say(dmChannel.id, 'oops');
+    await collected;
+
+    const disposed = new Promise(resolve => collector.on('dispose', resolve));
+    server.dispatch('MESSAGE_DELETE', { id: message.id, channel_id: dmChannel.id });
+    await disposed;
+
+    expect(collector.collected.size).toBe(0);
+    collector.stop();
+    expect(collector.endReason).toBe('user');
+  });
+
+  it('awaits reactions on a message', async () => {
+    const message = await channel.send('Confirm?');
+    const confirmation = message.awaitReactions({
+      filter: reaction => reaction.emoji.name === '✅',
+      max: 1,
+      time: 1000,
+      errors: ['time'],
+    });
+
+    await message.react('❌');
+    await message.react('✅');
+
+    const reactions = await confirmation;
+    expect([...reactions.keys()]).toEqual(['✅']);
+    expect(reactions.get('✅').me).toBe(true);
+  });
+
+  it('counts repeated reactions on one emoji toward max but not maxEmojis', async () => {
+    const message = await channel.send('Vote!');
+    const byTotal = new ReactionCollector(message, { max: 2 });
+    const byEmojis = new ReactionCollector(message, { maxEmojis: 2 });
+    const ended = new Promise(resolve => byTotal.on('end', (items, reason) => resolve(reason)));
+
+    await message.react('👍');
+    server.dispatch('MESSAGE_REACTION_ADD', {
+      user_id: friend.id,
+      channel_id: dmChannel.id,
+      message_id: message.id,
+      emoji: { id: null, name: '👍' },
+    });
+
+    await expect(ended).resolves.toBe('limit');
+    expect(byTotal.collected.size).toBe(1);
+    expect(byTotal.total).toBe(2);
+    expect(byEmojis.ended).toBe(false);
+
+    const emojiLimit = new Promise(resolve => byEmojis.on('end', (items, reason) => resolve(reason)));
+    await message.react('🎉');
+    await expect(emojiLimit).resolves.toBe('emojiLimit');
+    expect(byEmojis.total).toBe(3);
+  });
+
+  it('tracks users and stops when the message is deleted', async () => {
+    const message = await channel.send('Vote!');
+    const collector = new ReactionCollector(message, { dispose: true });
+    const onRemove = jest.fn();
+    collector.on('remove', onRemove);
+
+    const collected = new Promise(resolve => collector.on('collect', resolve));
+    await message.react('👍');
+    await collected;
+    expect(collector.users.has(client.user.id)).toBe(true);
+    expect(collector.total).toBe(1);
+
+    const disposed = new Promise(resolve => collector.on('dispose', resolve));
+    await message.reactions.get('👍').remove();
+    await disposed;
+    expect(onRemove).toHaveBeenCalledTimes(1);
+    expect(collector.collected.size).toBe(0);
+
+    const ended = new Promise(resolve => collector.on('end', (items, reason) => resolve(reason)));
+    await message.delete();
+    await expect(ended).resolves.toBe('messageDelete');
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for the ETF gateway encoding
+ */
+
+const { once } = require('events');
+const WebSocket = require('ws');
+const { Client } = require('../src');
+const ETF = require('../src/util/ETF');
+const { payloads } = require('./fixtures/etf-payloads.json');
+
+const fixtures = payloads.map(payload => [payload.name, Buffer.from(payload.etf, 'base64'), payload.json]);
+
+describe('ETF', () => {
+  it.each(fixtures)('decodes the %s fixture', (name, etf, json) => {
+    expect(ETF.unpack(etf)).toEqual(json);
+  });
+
+  it.each(fixtures)('round-trips the %s fixture', (name, etf, json) => {
+    expect(ETF.unpack(ETF.pack(ETF.unpack(etf)))).toEqual(json);
+  });
+
+  it('decodes snowflakes as strings and small big integers as numbers', () => {
+    const [, etf] = fixtures.find(([name]) => name === 'ready');
+    const { d } = ETF.unpack(etf);
+
+    expect(d.user.id).toBe('80351110224678912');
+    expect(d.guilds[1].id).toBe('1157720593298309170');
+    expect(ETF.unpack(ETF.pack(2 ** 32 + 1))).toBe('4294967297');
+    expect(ETF.unpack(ETF.pack(-(2 ** 31) - 1))).toBe(-2147483649);
+    expect(ETF.unpack(ETF.pack(BigInt('1290436014583398420')))).toBe('1290436014583398420');
+  });
+
+  it('encodes JavaScript values with the tags the gateway expects', () => {
+    expect(ETF.pack(null)).toEqual(Buffer.from([131, 119, 3, ...Buffer.from('nil')]));
+    expect(ETF.pack(true)).toEqual(Buffer.from([131, 119, 4, ...Buffer.from('true')]));
+    expect(ETF.pack(7)).toEqual(Buffer.from([131, 97, 7]));
+    expect(ETF.pack(-1)).toEqual(Buffer.from([131, 98, 255, 255, 255, 255]));
+    expect(ETF.pack([])).toEqual(Buffer.from([131, 106]));
+    expect(ETF.pack('hi')).toEqual(Buffer.from([131, 109, 0, 0, 0, 2, 104, 105]));
+    expect(ETF.pack({ op: 1, d: undefined })).toEqual(ETF.pack({ op: 1 }));
+  });
+
+  it('rejects buffers without the version byte', () => {
+    expect(() => ETF.unpack(Buffer.from('{"op":10}'))).toThrow('ETF_INVALID_VERSION');
+  });
+});
+
+describe('Client with ws.encoding', () => {
+  it('dispatches events from ETF packets', async () => {
+    const client = new Client({ sweepInterval: 0, ws: { encoding: 'etf' } });
+
+    const ready = once(client, 'ready');
+    const message = once(client, 'message');
+    fixtures.forEach(([, etf]) => client._onMessage(client._ws, etf));
+
+    await ready;
+    const [received] = await message;
+
+    expect(client.user.id).toBe('80351110224678912');
+    expect(received.author.id).toBe('53908232506183680');
+    expect(received.content).toMatch(/^are you there\?/);
+    client.destroy();
+  });
+
+  it('encodes outgoing packets as ETF', () => {
+    const client = new Client({ sweepInterval: 0, ws: { encoding: 'etf' } });
+    const send = jest.fn();
+    client._ws = { readyState: WebSocket.OPEN, send, once: jest.fn(), close: jest.fn() };
+
+    client._send({ op: 1, d: 42 });
+
+    expect(send).toHaveBeenCalledWith(ETF.pack({ op: 1, d: 42 }));
+    expect(ETF.unpack(send.mock.calls[0][0])).toEqual({ op: 1, d: 42 });
+    client.destroy();
+  });
+});
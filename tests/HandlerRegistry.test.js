@@ -0,0 +1,102 @@
+/**
+ * Tests for the registry of dispatch handlers against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Client, HandlerRegistry, MockDiscordServer } = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const dmChannel = { id: '319674150115610528', type: 1, recipients: [friend] };
+
+describe('HandlerRegistry', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ privateChannels: [dmChannel] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('emits dispatches without a handler as raw', async () => {
+    expect(client.handlers).toBeInstanceOf(HandlerRegistry);
+    expect(client.handlers.has('SOMETHING_NEW')).toBe(false);
+
+    const raw = once(client, 'raw');
+    server.dispatch('SOMETHING_NEW', { value: 1 });
+    const [packet] = await raw;
+
+    expect(packet).toMatchObject({ op: 0, t: 'SOMETHING_NEW', d: { value: 1 } });
+  });
+
+  it('replaces a built-in handler and restores it', async () => {
+    const builtIn = client.handlers.get('TYPING_START');
+    const handler = jest.fn();
+    expect(client.handlers.register('TYPING_START', handler)).toBe(client.handlers);
+    expect(() => client.handlers.register('TYPING_START', 'not a function')).toThrow(TypeError);
+    const onTyping = jest.fn();
+    client.on('typingStart', onTyping);
+
+    server.dispatch('TYPING_START', { channel_id: dmChannel.id, user_id: friend.id, timestamp: 0 });
+    const raw = once(client, 'raw');
+    server.dispatch('SOMETHING_NEW', {});
+    await raw;
+
+    expect(handler).toHaveBeenCalledWith(client, expect.objectContaining({ t: 'TYPING_START' }));
+    expect(onTyping).not.toHaveBeenCalled();
+
+    client.handlers.restore('TYPING_START');
+    expect(client.handlers.get('TYPING_START')).toBe(builtIn);
+    const typing = once(client, 'typingStart');
+    server.dispatch('TYPING_START', { channel_id: dmChannel.id, user_id: friend.id, timestamp: 0 });
+    await typing;
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('emits unregistered dispatches as raw', async () => {
+    expect(client.handlers.unregister('TYPING_START')).toBe(true);
+    expect(client.handlers.unregister('TYPING_START')).toBe(false);
+    expect(client.handlers.events).not.toContain('TYPING_START');
+    const onTyping = jest.fn();
+    client.on('typingStart', onTyping);
+
+    const raw = once(client, 'raw');
+    server.dispatch('TYPING_START', { channel_id: dmChannel.id, user_id: friend.id, timestamp: 0 });
+    const [packet] = await raw;
+
+    expect(packet.t).toBe('TYPING_START');
+    expect(onTyping).not.toHaveBeenCalled();
+
+    // Restoring an event without a built-in handler only removes the custom one
+    client.handlers.register('SOMETHING_NEW', () => {}).restore('SOMETHING_NEW');
+    expect(client.handlers.has('SOMETHING_NEW')).toBe(false);
+  });
+
+  it('reports a throwing handler as error and keeps handling dispatches', async () => {
+    const failure = new Error('handler failed');
+    client.handlers.register('MESSAGE_CREATE', () => {
+      throw failure;
+    });
+
+    const errored = once(client, 'error');
+    server.dispatch('MESSAGE_CREATE', server.createMessage(dmChannel.id, { author: friend }));
+    const [error, event] = await errored;
+
+    expect(error).toBe(failure);
+    expect(event).toBe('MESSAGE_CREATE');
+
+    client.handlers.restore('MESSAGE_CREATE');
+    const received = once(client, 'message');
+    server.dispatch('MESSAGE_CREATE', server.createMessage(dmChannel.id, { author: friend, content: 'still here' }));
+    const [message] = await received;
+
+    expect(message.content).toBe('still here');
+    expect(client.status).toBe('ready');
+  });
+});
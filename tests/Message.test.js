@@ -0,0 +1,145 @@
+/**
+ * Tests for the message structures against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Attachment, Client, Embed, MessageReaction, MockDiscordServer } = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const role = { id: '41771983423143938', name: 'Moderators', permissions: '0', position: 1 };
+const guild = {
+  id: '41771983423143937',
+  name: 'Test Guild',
+  owner_id: friend.id,
+  roles: [role],
+  members: [{ user: friend, roles: [role.id], joined_at: '2024-01-01T00:00:00.000Z' }],
+  channels: [{ id: '41771983423143940', type: 0, name: 'general' }],
+};
+
+describe('Message', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  /**
+   * Dispatch a message from the friend in the guild channel and wait for the client to build it
+   * @param {Object} data - The fields of the message
+   * @returns {Promise<Message>}
+   */
+  async function receive(data) {
+    const received = once(client, 'message');
+    server.dispatch('MESSAGE_CREATE', server.createMessage('41771983423143940', { author: friend, ...data }));
+    const [message] = await received;
+    return message;
+  }
+
+  it('resolves attachments, embeds, mentions and reactions into structures', async () => {
+    const message = await receive({
+      content: `hey <@${friend.id}>, see <#41771983423143940>`,
+      mentions: [friend],
+      mention_roles: [role.id, '41771983423143999'],
+      attachments: [{ id: '1', filename: 'SPOILER_cat.png', size: 12, url: 'https://cdn.test/cat.png', width: 4 }],
+      embeds: [{ title: 'Link preview', color: 0xff0000 }],
+      reactions: [{ emoji: { id: null, name: '👍' }, count: 2, me: false }],
+    });
+
+    expect(message.author).toBe(client.users.cache.get(friend.id));
+    expect(message.attachments.get('1')).toBeInstanceOf(Attachment);
+    expect(message.attachments.get('1')).toMatchObject({ name: 'SPOILER_cat.png', spoiler: true, width: 4 });
+    expect(message.embeds[0]).toBeInstanceOf(Embed);
+    expect(message.embeds[0].title).toBe('Link preview');
+
+    expect(message.mentions.users.get(friend.id)).toBe(message.author);
+    expect([...message.mentions.roles.keys()]).toEqual([role.id]);
+    expect(message.mentions.members.get(friend.id)).toBe(message.guild.members.get(friend.id));
+    expect([...message.mentions.channels.keys()]).toEqual(['41771983423143940']);
+    expect(message.mentions.has(friend)).toBe(true);
+    expect(message.mentions.has(client.user)).toBe(false);
+
+    const reaction = message.reactions.get('👍');
+    expect(reaction).toBeInstanceOf(MessageReaction);
+    expect(reaction).toMatchObject({ count: 2, me: false, identifier: encodeURIComponent('👍') });
+  });
+
+  it('patches the cached message in place and keeps the previous version', async () => {
+    const message = await receive({ content: 'frist' });
+    const content = { id: message.id, channel_id: message.channelId, content: 'first' };
+
+    const updated = once(client, 'messageUpdate');
+    server.dispatch('MESSAGE_UPDATE', { ...content, edited_timestamp: new Date().toISOString() });
+    const [oldMessage, newMessage] = await updated;
+
+    expect(newMessage).toBe(message);
+    expect(oldMessage.content).toBe('frist');
+    expect(message.content).toBe('first');
+    expect(message.edits.map(edit => edit.content)).toEqual(['first', 'frist']);
+
+    // An embed unfurl is not an edit and leaves the other fields alone
+    const unfurled = once(client, 'messageUpdate');
+    server.dispatch('MESSAGE_UPDATE', { id: message.id, channel_id: message.channelId, embeds: [{ title: 'Preview' }] });
+    await unfurled;
+
+    expect(message.content).toBe('first');
+    expect(message.author.id).toBe(friend.id);
+    expect(message.embeds[0].title).toBe('Preview');
+    expect(message.edits).toHaveLength(2);
+  });
+
+  it('keeps only the last versions allowed by messageEditHistoryMaxSize', async () => {
+    client.options.messageEditHistoryMaxSize = 2;
+    const message = await receive({ content: 'v0' });
+
+    for (let version = 1; version <= 4; version++) {
+      const updated = once(client, 'messageUpdate');
+      server.dispatch('MESSAGE_UPDATE', {
+        id: message.id,
+        channel_id: message.channelId,
+        content: `v${version}`,
+        edited_timestamp: new Date(Date.now() + version).toISOString(),
+      });
+      const [oldMessage] = await updated;
+      expect(oldMessage.edits.length).toBeLessThanOrEqual(3);
+    }
+
+    expect(message.edits.map(edit => edit.content)).toEqual(['v4', 'v3', 'v2']);
+  });
+
+  it('edits its own messages in place', async () => {
+    const message = await client.messages.send('41771983423143940', 'draft');
+
+    const edited = await message.edit('final');
+
+    expect(edited).toBe(message);
+    expect(message.content).toBe('final');
+    expect(message.editedTimestamp).not.toBeNull();
+    expect(message.edits.map(edit => edit.content)).toEqual(['final', 'draft']);
+  });
+
+  it('tracks reactions from the gateway', async () => {
+    const message = await receive({ content: 'react to me' });
+
+    const added = once(client, 'messageReactionAdd');
+    await message.react('👍');
+    const [reaction, user] = await added;
+
+    expect(reaction).toBe(message.reactions.get('👍'));
+    expect(reaction).toMatchObject({ count: 1, me: true });
+    expect(user).toBe(client.user);
+
+    const removed = once(client, 'messageReactionRemove');
+    await reaction.remove();
+    await removed;
+
+    expect(message.reactions.has('👍')).toBe(false);
+  });
+});
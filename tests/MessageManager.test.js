@@ -0,0 +1,125 @@
+/**
+ * Tests for fetching and iterating over the history of channels against the mock Discord server
+ */
+
+const { ChannelMessageManager, Client, Collection, Message, MockDiscordServer, Util } = require('../src');
+
+const channelId = '41771983423143940';
+const guild = {
+  id: '41771983423143937',
+  name: 'Test Guild',
+  channels: [{ id: channelId, type: 0, name: 'general' }],
+};
+
+describe('MessageManager history', () => {
+  let server;
+  let client;
+  let channel;
+  let history;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+    channel = client.channels.cache.get(channelId);
+    history = Array.from({ length: 250 }, (_, index) => server.createMessage(channelId, { content: `message ${index}` }));
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  /**
+   * The GET requests for the history of the channel
+   * @returns {Object[]}
+   */
+  function pageRequests() {
+    return server.requests.filter(request => request.method === 'GET' && request.path.endsWith(`/channels/${channelId}/messages`));
+  }
+
+  it('fetches pages of history as collections', async () => {
+    expect(channel.messages).toBeInstanceOf(ChannelMessageManager);
+
+    const latest = await channel.messages.fetch();
+    expect(latest).toBeInstanceOf(Collection);
+    expect(latest.size).toBe(50);
+    expect(latest.first().content).toBe('message 249');
+    expect(latest.first()).toBeInstanceOf(Message);
+
+    const before = await channel.messages.fetch({ before: history[10].id, limit: 3 });
+    expect(before.map(message => message.content)).toEqual(['message 9', 'message 8', 'message 7']);
+
+    const after = await channel.messages.fetch({ after: history[10], limit: 2 });
+    expect(after.map(message => message.content)).toEqual(['message 12', 'message 11']);
+
+    const around = await channel.messages.fetch({ around: history[100].id, limit: 4 });
+    expect(around.map(message => message.content)).toEqual(['message 102', 'message 101', 'message 100', 'message 99']);
+    expect(pageRequests()[3].query).toEqual({ limit: '4', around: history[100].id });
+
+    const single = await channel.messages.fetch(history[5].id);
+    expect(single.content).toBe('message 5');
+    expect(await client.messages.fetch(channelId, history[5].id)).toBe(single);
+    expect(channel.messages.cache.get(single.id)).toBe(single);
+
+    await expect(channel.messages.fetch({ limit: 101 })).rejects.toThrow(RangeError);
+  });
+
+  it('iterates forward 100 messages at a time', async () => {
+    const contents = [];
+    for await (const message of channel.messages.iterate({ after: '0' })) contents.push(message.content);
+
+    expect(contents).toEqual(history.map(message => message.content));
+    expect(pageRequests().map(request => request.query.limit)).toEqual(['100', '100', '100']);
+    expect(pageRequests()[1].query.after).toBe(history[99].id);
+  });
+
+  it('iterates backward and stops at until or the limit', async () => {
+    const contents = [];
+    for await (const message of channel.messages.iterate({ until: history[100] })) contents.push(message.content);
+    expect(contents.length).toBe(149);
+    expect(contents[0]).toBe('message 249');
+    expect(contents[148]).toBe('message 101');
+
+    const limited = [];
+    for await (const message of client.messages.iterate(channelId, { before: history[200].id, limit: 120 })) {
+      limited.push(message.content);
+    }
+    expect(limited.length).toBe(120);
+    expect(limited[0]).toBe('message 199');
+    expect(limited[119]).toBe('message 80');
+
+    const forward = [];
+    for await (const message of channel.messages.iterate({ after: history[240], until: history[245].id })) {
+      forward.push(message.content);
+    }
+    expect(forward).toEqual(['message 241', 'message 242', 'message 243', 'message 244']);
+  });
+
+  it('waits for rate limits between pages', async () => {
+    server.rateLimit({ method: 'GET', path: `/channels/${channelId}/messages`, retryAfter: 0.05 });
+
+    let count = 0;
+    for await (const message of channel.messages.iterate({ limit: 150 })) {
+      expect(message).toBeInstanceOf(Message);
+      count++;
+    }
+    expect(count).toBe(150);
+    expect(pageRequests().length).toBe(3);
+  });
+
+  it('pages by date', async () => {
+    expect(Util.timestampToSnowflake(new Date(1420070400001))).toBe('4194304');
+    expect(Util.timestampToSnowflake(0)).toBe('0');
+
+    const all = await channel.messages.fetch({ after: new Date(1420070400000), limit: 100 });
+    expect(all.size).toBe(100);
+  });
+
+  it('fetches pinned messages', async () => {
+    history[3].pinned = true;
+
+    const pinned = await channel.fetchPinnedMessages();
+    expect(pinned.map(message => message.content)).toEqual(['message 3']);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for bit fields and the permissions of guild channels
+ */
+
+const { BitField, Client, Permissions } = require('../src');
+
+const { FLAGS } = Permissions;
+
+describe('Permissions', () => {
+  it('resolves, adds and removes flags', () => {
+    const permissions = new Permissions(['SEND_MESSAGES', FLAGS.EMBED_LINKS]);
+
+    expect(permissions.has('SEND_MESSAGES')).toBe(true);
+    expect(permissions.has(['SEND_MESSAGES', 'ATTACH_FILES'])).toBe(false);
+    expect(permissions.any(['SEND_MESSAGES', 'ATTACH_FILES'])).toBe(true);
+    expect(permissions.missing(['SEND_MESSAGES', 'ATTACH_FILES', 'SPEAK'])).toEqual(['ATTACH_FILES', 'SPEAK']);
+    expect(permissions.add('ATTACH_FILES').remove('EMBED_LINKS').toArray()).toEqual(['SEND_MESSAGES', 'ATTACH_FILES']);
+    expect(new Permissions(String(FLAGS.SEND_MESSAGES)).equals(2048)).toBe(true);
+    expect(new Permissions().bitfield).toBe(0n);
+    expect([...new Permissions(FLAGS.CONNECT | FLAGS.SPEAK)]).toEqual(['CONNECT', 'SPEAK']);
+    expect(JSON.stringify({ permissions: new Permissions(FLAGS.MODERATE_MEMBERS) })).toBe('{"permissions":"1099511627776"}');
+    expect(() => new Permissions('NOT_A_PERMISSION')).toThrow(RangeError);
+    expect(new BitField(5).has(4)).toBe(true);
+  });
+
+  it('copies frozen fields instead of changing them', () => {
+    const frozen = new Permissions('VIEW_CHANNEL').freeze();
+    const copy = frozen.add('SEND_MESSAGES');
+
+    expect(copy).not.toBe(frozen);
+    expect(frozen.toArray()).toEqual(['VIEW_CHANNEL']);
+    expect(copy.toArray()).toEqual(['VIEW_CHANNEL', 'SEND_MESSAGES']);
+  });
+
+  it('grants everything to administrators unless told not to', () => {
+    const admin = new Permissions('ADMINISTRATOR');
+
+    expect(admin.has('BAN_MEMBERS')).toBe(true);
+    expect(admin.has('BAN_MEMBERS', false)).toBe(false);
+    expect(admin.missing(['BAN_MEMBERS'])).toEqual([]);
+    expect(admin.missing(['BAN_MEMBERS'], false)).toEqual(['BAN_MEMBERS']);
+    expect(new Permissions(Permissions.ALL).toArray()).toEqual(Object.keys(FLAGS));
+  });
+});
+
+describe('Channel#permissionsFor', () => {
+  const me = { id: '100', username: 'me', discriminator: '0' };
+  const owner = { id: '101', username: 'owner', discriminator: '0' };
+  const mod = { id: '102', username: 'mod', discriminator: '0' };
+  const muted = { id: '103', username: 'muted', discriminator: '0' };
+  const guildId = '200';
+  const roles = {
+    everyone: { id: guildId, name: '@everyone', position: 0, permissions: String(FLAGS.VIEW_CHANNEL | FLAGS.SEND_MESSAGES) },
+    helper: { id: '201', name: 'Helper', position: 1, permissions: String(FLAGS.KICK_MEMBERS) },
+    mods: { id: '202', name: 'Mods', position: 2, permissions: String(FLAGS.MANAGE_MESSAGES | FLAGS.KICK_MEMBERS) },
+    admins: { id: '203', name: 'Admins', position: 3, permissions: String(FLAGS.ADMINISTRATOR) },
+  };
+
+  let client;
+  let guild;
+  let channel;
+
+  beforeEach(() => {
+    client = new Client({ sweepInterval: 0 });
+    client.user = client.users.add(me);
+    guild = client.guilds.add({
+      id: guildId,
+      name: 'Guild',
+      owner_id: owner.id,
+      roles: Object.values(roles),
+      members: [
+        { user: me, roles: [roles.mods.id] },
+        { user: owner, roles: [] },
+        { user: mod, roles: [roles.helper.id] },
+        { user: muted, roles: [] },
+      ],
+      channels: [{
+        id: '300',
+        type: 0,
+        name: 'general',
+        permission_overwrites: [
+          { id: guildId, type: 0, allow: '0', deny: String(FLAGS.SEND_MESSAGES) },
+          { id: roles.mods.id, type: 0, allow: String(FLAGS.SEND_MESSAGES), deny: String(FLAGS.MANAGE_MESSAGES) },
+          { id: roles.helper.id, type: 0, allow: String(FLAGS.ATTACH_FILES), deny: '0' },
+          { id: mod.id, type: 1, allow: String(FLAGS.MANAGE_MESSAGES), deny: String(FLAGS.ATTACH_FILES) },
+        ],
+      }],
+    });
+    channel = client.channels.cache.get('300');
+  });
+
+  afterEach(() => client.destroy());
+
+  it('applies @everyone, role and member overwrites in order', () => {
+    expect(channel.permissionOverwrites.get(guildId).deny.has('SEND_MESSAGES')).toBe(true);
+
+    const mine = channel.permissionsFor(client.user);
+    expect(mine.has('SEND_MESSAGES')).toBe(true);
+    expect(mine.has('MANAGE_MESSAGES')).toBe(false);
+    expect(mine.has('KICK_MEMBERS')).toBe(true);
+
+    const mods = channel.permissionsFor(guild.members.get(mod.id));
+    expect(mods.toArray()).toEqual(['KICK_MEMBERS', 'VIEW_CHANNEL', 'MANAGE_MESSAGES']);
+
+    expect(channel.permissionsFor(muted.id).toArray()).toEqual(['VIEW_CHANNEL']);
+    expect(Object.isFrozen(channel.permissionsFor(muted.id))).toBe(true);
+  });
+
+  it('computes the permissions of roles', () => {
+    expect(channel.permissionsFor(roles.mods.id).toArray()).toEqual(['KICK_MEMBERS', 'VIEW_CHANNEL', 'SEND_MESSAGES']);
+    expect(channel.permissionsFor(guild.roles.cache.get(guildId)).toArray()).toEqual(['VIEW_CHANNEL']);
+    expect(channel.permissionsFor(roles.admins.id).bitfield).toBe(Permissions.ALL);
+  });
+
+  it('gives every permission to the owner and administrators', () => {
+    expect(channel.permissionsFor(owner.id).bitfield).toBe(Permissions.ALL);
+
+    guild.members.get(muted.id).roleIds.push(roles.admins.id);
+    expect(channel.permissionsFor(muted.id).has('SEND_MESSAGES', false)).toBe(true);
+    expect(channel.permissionsFor('999')).toBeNull();
+  });
+
+  it('applies the rules Discord enforces after the overwrites', () => {
+    const announcements = client.channels.add({
+      id: '301',
+      guild_id: guildId,
+      type: 0,
+      name: 'announcements',
+      permission_overwrites: [
+        {
+          id: guildId,
+          type: 0,
+          allow: String(FLAGS.ATTACH_FILES | FLAGS.EMBED_LINKS | FLAGS.MENTION_EVERYONE | FLAGS.READ_MESSAGE_HISTORY),
+          deny: String(FLAGS.SEND_MESSAGES),
+        },
+        { id: mod.id, type: 1, allow: String(FLAGS.MANAGE_MESSAGES), deny: String(FLAGS.VIEW_CHANNEL) },
+      ],
+    });
+
+    // Files, embeds and mentions are useless without SEND_MESSAGES
+    expect(announcements.permissionsFor(muted.id).toArray()).toEqual(['VIEW_CHANNEL', 'READ_MESSAGE_HISTORY']);
+    expect(announcements.permissionsFor(guildId).toArray()).toEqual(['VIEW_CHANNEL', 'READ_MESSAGE_HISTORY']);
+    // Nothing is granted without VIEW_CHANNEL
+    expect(announcements.permissionsFor(mod.id).bitfield).toBe(0n);
+  });
+
+  it('only lets timed out members view the channel', () => {
+    const member = guild.members.get(me.id);
+    member._patch({ roles: [roles.mods.id], communication_disabled_until: new Date(Date.now() + 60000).toISOString() });
+    expect(member.isCommunicationDisabled()).toBe(true);
+    expect(channel.permissionsFor(me.id).toArray()).toEqual(['VIEW_CHANNEL']);
+
+    member._patch({ roles: [roles.mods.id], communication_disabled_until: new Date(Date.now() - 60000).toISOString() });
+    expect(channel.permissionsFor(me.id).has('SEND_MESSAGES')).toBe(true);
+
+    member._patch({ roles: [roles.admins.id], communication_disabled_until: new Date(Date.now() + 60000).toISOString() });
+    expect(channel.permissionsFor(me.id).bitfield).toBe(Permissions.ALL);
+  });
+
+  it('gives the recipients of a direct message what it allows', () => {
+    const dm = client.channels.add({ id: '400', type: 1, recipients: [mod] });
+
+    expect(dm.permissionsFor(mod.id).has(['VIEW_CHANNEL', 'SEND_MESSAGES', 'ATTACH_FILES'])).toBe(true);
+    expect(dm.permissionsFor(client.user).has('SEND_MESSAGES')).toBe(true);
+    expect(dm.permissionsFor(client.user).has('MANAGE_MESSAGES')).toBe(false);
+    expect(dm.permissionsFor(owner.id).bitfield).toBe(0n);
+
+    // Before login or after destroy there is no client user
+    client.user = null;
+    expect(dm.permissionsFor(me.id).bitfield).toBe(0n);
+    expect(dm.permissionsFor(mod.id).has('SEND_MESSAGES')).toBe(true);
+  });
+
+  it('decides which members the client user can manage', () => {
+    const helper = guild.members.get(mod.id);
+    const plain = guild.members.get(muted.id);
+
+    expect(guild.me.permissions.has('KICK_MEMBERS')).toBe(true);
+    expect(helper.manageable).toBe(true);
+    expect(helper.kickable).toBe(true);
+    expect(helper.bannable).toBe(false);
+    expect(guild.members.get(owner.id).manageable).toBe(false);
+    expect(guild.me.manageable).toBe(false);
+
+    plain.roleIds.push(roles.admins.id);
+    expect(plain.manageable).toBe(false);
+  });
+});
@@ -0,0 +1,332 @@
+/**
+ * Tests for the bucket-aware request scheduler
+ */
+
+const AbortError = require('../src/rest/AbortError');
+const RateLimitError = require('../src/rest/RateLimitError');
+const RequestScheduler = require('../src/rest/RequestScheduler');
+const ThrottlingManager = require('../src/util/ThrottlingManager');
+
+/**
+ * Build a fake response
+ * @param {number} status - The status code
+ * @param {Object} [headers] - The response headers
+ * @param {*} [data] - The response body
+ * @returns {Object}
+ */
+function response(status, headers = {}, data = null) {
+  return { status, headers, data };
+}
+
+/**
+ * Create a request that resolves with a response after a delay, recording when it ran
+ * @param {string[]} log - The log to write to
+ * @param {string} name - The name of the request
+ * @param {Object} result - The response to resolve with
+ * @returns {Function}
+ */
+function request(log, name, result = response(200)) {
+  return async () => {
+    log.push(`start ${name}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    log.push(`end ${name}`);
+    return result;
+  };
+}
+
+describe('RequestScheduler.route', () => {
+  it('keeps the major parameter and replaces other IDs', () => {
+    expect(RequestScheduler.route('patch', '/channels/319674150115610528/messages/1290436014583398420'))
+      .toBe('PATCH /channels/319674150115610528/messages/:id');
+    expect(RequestScheduler.route('get', '/guilds/41771983423143937/members/53908232506183680?limit=5'))
+      .toBe('GET /guilds/41771983423143937/members/:id');
+    expect(RequestScheduler.route('post', '/webhooks/1157720593298309170/secret-token'))
+      .toBe('POST /webhooks/1157720593298309170/secret-token');
+    expect(RequestScheduler.route('get', '/users/53908232506183680')).toBe('GET /users/:id');
+  });
+
+  it('groups every emoji of a message into one route', () => {
+    const route = RequestScheduler.route('put', '/channels/1/messages/1290436014583398420/reactions/%F0%9F%91%8D/@me');
+    expect(route).toBe('PUT /channels/1/messages/:id/reactions/:reaction/@me');
+  });
+});
+
+describe('RequestScheduler', () => {
+  it('runs requests of a bucket one at a time and other buckets in parallel', async () => {
+    const scheduler = new RequestScheduler();
+    const log = [];
+    const first = 'POST /channels/1/messages';
+    const second = 'POST /channels/2/messages';
+
+    await Promise.all([
+      scheduler.queue(first, request(log, 'a1')),
+      scheduler.queue(first, request(log, 'a2')),
+      scheduler.queue(second, request(log, 'b1')),
+    ]);
+
+    expect(log.indexOf('start a2')).toBeGreaterThan(log.indexOf('end a1'));
+    expect(log.indexOf('start b1')).toBeLessThan(log.indexOf('end a1'));
+  });
+
+  it('shares a bucket between routes with the same hash and major parameter', async () => {
+    const scheduler = new RequestScheduler();
+    const headers = { 'x-ratelimit-bucket': 'abcd', 'x-ratelimit-limit': '5', 'x-ratelimit-remaining': '4' };
+    const log = [];
+
+    await scheduler.queue('PATCH /channels/1/messages/:id', request(log, 'edit', response(200, headers)));
+    await scheduler.queue('DELETE /channels/1/messages/:id', request(log, 'delete', response(200, headers)));
+    await scheduler.queue('DELETE /channels/2/messages/:id', request(log, 'other', response(200, headers)));
+
+    expect(scheduler.bucketFor('PATCH /channels/1/messages/:id'))
+      .toBe(scheduler.bucketFor('DELETE /channels/1/messages/:id'));
+    expect(scheduler.bucketFor('PATCH /channels/1/messages/:id').id).toBe('abcd:/channels/1');
+    expect(scheduler.bucketFor('DELETE /channels/2/messages/:id').id).toBe('abcd:/channels/2');
+  });
+
+  it('moves the waiting requests of a route into the bucket it turns out to share', async () => {
+    const scheduler = new RequestScheduler();
+    const headers = { 'x-ratelimit-bucket': 'abcd', 'x-ratelimit-limit': '5', 'x-ratelimit-remaining': '4' };
+    const edit = 'PATCH /channels/1/messages/:id';
+    const remove = 'DELETE /channels/1/messages/:id';
+    const log = [];
+    await scheduler.queue(edit, async () => response(200, headers));
+
+    const controller = new AbortController();
+    await Promise.all([
+      scheduler.queue(remove, request(log, 'd1', response(200, headers))),
+      scheduler.queue(remove, request(log, 'd2', response(200, headers))),
+      expect(scheduler.queue(remove, request(log, 'aborted'), { signal: controller.signal })).rejects.toBeInstanceOf(AbortError),
+      scheduler.queue(edit, request(log, 'e1', response(200, headers))),
+      scheduler.queue(edit, request(log, 'e2', response(200, headers))),
+      new Promise(resolve => setTimeout(resolve, 15)).then(() => controller.abort()),
+    ]);
+
+    // d2 waits behind the edits once the delete route is known to share their bucket
+    expect(log.indexOf('start d2')).toBeGreaterThan(log.indexOf('end e2'));
+    expect(log).not.toContain('start aborted');
+    expect(scheduler.buckets.has(remove)).toBe(false);
+    expect(scheduler.bucketFor(remove)).toBe(scheduler.bucketFor(edit));
+  });
+
+  it('waits for the bucket to reset when no requests are left', async () => {
+    const scheduler = new RequestScheduler();
+    const route = 'POST /channels/1/messages';
+    const exhausted = { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset-after': '0.15' };
+
+    await scheduler.queue(route, async () => response(200, exhausted));
+    const start = Date.now();
+    await scheduler.queue(route, async () => response(200));
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(140);
+  });
+
+  it('retries a 429 after the time it asks for', async () => {
+    const scheduler = new RequestScheduler();
+    const onRateLimit = jest.fn();
+    scheduler.on('rateLimit', onRateLimit);
+
+    const send = jest.fn()
+      .mockResolvedValueOnce(response(429, { 'retry-after': '0.1' }, { retry_after: 0.1, global: false }))
+      .mockResolvedValueOnce(response(200, {}, { id: '1' }));
+
+    const start = Date.now();
+    const result = await scheduler.queue('POST /channels/1/messages', send);
+
+    expect(result.data).toEqual({ id: '1' });
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+    expect(onRateLimit).toHaveBeenCalledWith(expect.objectContaining({ timeout: 100, global: false }));
+  });
+
+  it('holds every bucket after a global 429', async () => {
+    const scheduler = new RequestScheduler();
+    const log = [];
+
+    const limited = jest.fn()
+      .mockImplementationOnce(async () => {
+        log.push('limited');
+        return response(429, { 'retry-after': '0.1', 'x-ratelimit-global': 'true' });
+      })
+      .mockImplementationOnce(async () => {
+        log.push('retried');
+        return response(200);
+      });
+
+    const first = scheduler.queue('POST /channels/1/messages', limited);
+    await new Promise(resolve => setImmediate(resolve));
+    const second = scheduler.queue('GET /guilds/2', async () => {
+      log.push('other');
+      return response(200);
+    });
+
+    const start = Date.now();
+    await Promise.all([first, second]);
+
+    expect(log[0]).toBe('limited');
+    expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+  });
+
+  it('locks every queue until a global limit from the scope header ends', async () => {
+    const scheduler = new RequestScheduler();
+    const globalLimit = response(429, { 'retry-after': '0.1', 'x-ratelimit-scope': 'global' });
+    const send = jest.fn().mockResolvedValueOnce(globalLimit).mockResolvedValue(response(200));
+
+    const first = scheduler.queue('POST /channels/1/messages', send);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(scheduler.globallyLimited).toBe(true);
+
+    const start = Date.now();
+    await Promise.all([first, scheduler.queue('GET /guilds/2', send), scheduler.queue('GET /users/@me', send)]);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(80);
+    expect(send).toHaveBeenCalledTimes(4);
+    expect(scheduler.globallyLimited).toBe(false);
+  });
+
+  it('refuses to send once invalid requests reach the threshold', async () => {
+    const scheduler = new RequestScheduler({ invalidRequestThreshold: 3 });
+    const onWarning = jest.fn();
+    scheduler.on('invalidRequestWarning', onWarning);
+    const forbidden = jest.fn().mockResolvedValue(response(403));
+
+    await scheduler.queue('GET /channels/1', forbidden);
+    await scheduler.queue('GET /channels/2', async () => response(401));
+    expect(onWarning).not.toHaveBeenCalled();
+    await scheduler.queue('GET /channels/3', forbidden);
+
+    expect(scheduler.invalidRequestCount).toBe(3);
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning.mock.calls[0][0]).toEqual(expect.objectContaining({ count: 3 }));
+    expect(onWarning.mock.calls[0][0].remainingTime).toBeGreaterThan(599000);
+    await expect(scheduler.queue('GET /channels/4', forbidden)).rejects.toBeInstanceOf(RateLimitError);
+    expect(forbidden).toHaveBeenCalledTimes(2);
+  });
+
+  it('warns at a fraction of the threshold before refusing to send', async () => {
+    const scheduler = new RequestScheduler({ invalidRequestThreshold: 5, invalidRequestWarningFraction: 0.6 });
+    const onWarning = jest.fn();
+    scheduler.on('invalidRequestWarning', onWarning);
+    const forbidden = jest.fn().mockResolvedValue(response(403));
+
+    for (let index = 0; index < 3; index++) await scheduler.queue('GET /channels/1', forbidden);
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    expect(onWarning.mock.calls[0][0]).toEqual(expect.objectContaining({ count: 3, limited: false }));
+
+    await scheduler.queue('GET /channels/1', forbidden);
+    expect(onWarning).toHaveBeenCalledTimes(1);
+    await scheduler.queue('GET /channels/1', forbidden);
+    expect(onWarning).toHaveBeenCalledTimes(2);
+    expect(onWarning.mock.calls[1][0]).toEqual(expect.objectContaining({ count: 5, limited: true }));
+
+    await expect(scheduler.queue('GET /channels/1', forbidden)).rejects.toMatchObject({ scope: 'invalid' });
+    expect(forbidden).toHaveBeenCalledTimes(5);
+  });
+
+  it('lets requests through again once invalid requests leave the window', async () => {
+    const scheduler = new RequestScheduler({ invalidRequestThreshold: 1, invalidRequestWindow: 50 });
+
+    await scheduler.queue('GET /channels/1', async () => response(403));
+    await expect(scheduler.queue('GET /channels/1', async () => response(200))).rejects.toMatchObject({
+      scope: 'invalid',
+      limit: 1,
+    });
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    await expect(scheduler.queue('GET /channels/1', async () => response(200))).resolves.toEqual(response(200));
+  });
+
+  it('does not count limits on shared resources as invalid requests', async () => {
+    const scheduler = new RequestScheduler();
+    const send = jest.fn()
+      .mockResolvedValueOnce(response(429, { 'retry-after': '0.01', 'x-ratelimit-scope': 'shared' }))
+      .mockResolvedValueOnce(response(429, { 'retry-after': '0.01', 'x-ratelimit-scope': 'user' }))
+      .mockResolvedValue(response(200));
+
+    await scheduler.queue('PUT /channels/1/messages/:id/reactions/:reaction/@me', send);
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(scheduler.invalidRequestCount).toBe(1);
+  });
+
+  it('rejects a 429 on the routes given by rejectOnRateLimit', async () => {
+    const scheduler = new RequestScheduler({ rejectOnRateLimit: ['/channels'] });
+    const limited = response(429, { 'retry-after': '0.05' });
+    const send = jest.fn().mockResolvedValueOnce(limited).mockResolvedValueOnce(limited).mockResolvedValue(response(200));
+
+    const error = await scheduler.queue('POST /channels/1/messages', send, { method: 'POST' }).catch(err => err);
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error).toMatchObject({ method: 'POST', route: 'POST /channels/1/messages', timeout: 50, global: false });
+
+    await expect(scheduler.queue('GET /guilds/1', send)).resolves.toEqual(response(200));
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  it('takes an aborted request out of its bucket queue', async () => {
+    const scheduler = new RequestScheduler();
+    const log = [];
+    const route = 'POST /channels/1/messages';
+    const controller = new AbortController();
+
+    const first = scheduler.queue(route, request(log, 'first'));
+    const aborted = scheduler.queue(route, request(log, 'aborted'), { signal: controller.signal });
+    const last = scheduler.queue(route, request(log, 'last'));
+    controller.abort('stale');
+
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError', reason: 'stale' });
+    await Promise.all([first, last]);
+    expect(log).toEqual(['start first', 'end first', 'start last', 'end last']);
+    await expect(scheduler.queue(route, request(log, 'late'), { signal: controller.signal }))
+      .rejects.toBeInstanceOf(AbortError);
+  });
+
+  it('stops waiting for a rate limit when the signal fires', async () => {
+    const scheduler = new RequestScheduler();
+    const controller = new AbortController();
+    const send = jest.fn()
+      .mockResolvedValueOnce(response(429, { 'retry-after': '0.5', 'x-ratelimit-global': 'true' }))
+      .mockResolvedValue(response(200));
+
+    const start = Date.now();
+    const pending = scheduler.queue('POST /channels/1/messages', send, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toBeInstanceOf(AbortError);
+    expect(Date.now() - start).toBeLessThan(400);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('passes other failures back to the caller', async () => {
+    const scheduler = new RequestScheduler();
+    const error = Object.assign(new Error('Request failed'), { response: response(404) });
+
+    await expect(scheduler.queue('GET /channels/1', async () => { throw error; })).rejects.toBe(error);
+    await expect(scheduler.queue('GET /channels/1', async () => response(500))).resolves.toEqual(response(500));
+  });
+});
+
+describe('ThrottlingManager', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('queues requests once the safe share of the minute is used', async () => {
+    jest.useFakeTimers();
+    const throttling = new ThrottlingManager({ maxRequestsPerMinute: 2, bufferSize: 1 });
+    const callback = jest.fn().mockResolvedValue('ok');
+
+    await throttling.throttle('/channels/1/messages', callback);
+    await throttling.throttle('/channels/1/messages', callback);
+    const pending = throttling.throttle('/channels/1/messages', callback);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(callback).toHaveBeenCalledTimes(2);
+    expect(throttling.getStats()).toEqual(expect.objectContaining({
+      totalRequests: 2,
+      throttledRequests: 1,
+      activeLimits: ['/channels/1/messages'],
+      activeQueues: { '/channels/1/messages': 1 },
+    }));
+
+    await jest.advanceTimersByTimeAsync(60000);
+    await expect(pending).resolves.toBe('ok');
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+});
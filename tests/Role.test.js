@@ -0,0 +1,133 @@
+/**
+ * Tests for roles and the role manager against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Client, MockDiscordServer, Permissions, Role, RoleManager } = require('../src');
+
+const { FLAGS } = Permissions;
+
+const me = { id: '80351110224678912', username: 'ghost', discriminator: '0', avatar: null };
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const guildId = '41771983423143937';
+const roles = [
+  { id: guildId, name: '@everyone', position: 0, color: 0, permissions: String(FLAGS.VIEW_CHANNEL) },
+  { id: '41771983423143950', name: 'Mods', position: 2, color: 0x3498db, hoist: true, permissions: String(FLAGS.KICK_MEMBERS) },
+  { id: '41771983423143951', name: 'Helpers', position: 1, color: 0, permissions: '0' },
+  { id: '41771983423143952', name: 'Regulars', position: 1, color: 0, permissions: '0' },
+];
+
+describe('RoleManager', () => {
+  let server;
+  let client;
+  let guild;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({
+      guilds: [{
+        id: guildId,
+        name: 'Test Guild',
+        owner_id: '1',
+        roles: roles.map(role => ({ ...role })),
+        members: [
+          { user: me, roles: ['41771983423143950'] },
+          { user: friend, roles: ['41771983423143951', '41771983423143952'] },
+        ],
+      }],
+    }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+    guild = client.guilds.cache.get(guildId);
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('builds the roles of the guild and its members', () => {
+    expect(guild.roles).toBeInstanceOf(RoleManager);
+    expect(guild.roles.cache.size).toBe(4);
+
+    const mods = guild.roles.cache.get('41771983423143950');
+    expect(mods).toBeInstanceOf(Role);
+    expect(mods.hexColor).toBe('#3498db');
+    expect(mods.hoist).toBe(true);
+    expect(mods.permissions.has('KICK_MEMBERS')).toBe(true);
+    expect(mods.toString()).toBe('<@&41771983423143950>');
+    expect(guild.roles.everyone.toString()).toBe('@everyone');
+    expect(guild.roles.highest).toBe(mods);
+    expect([...mods.members.keys()]).toEqual([me.id]);
+    expect(guild.roles.everyone.members.size).toBe(2);
+
+    const member = guild.members.get(friend.id);
+    expect([...member.roles.keys()]).toEqual([guildId, '41771983423143951', '41771983423143952']);
+    // Roles at the same position are ordered by ID, the older one being higher
+    expect(member.highestRole.id).toBe('41771983423143951');
+    expect(guild.me.highestRole).toBe(mods);
+    expect(member.manageable).toBe(true);
+    expect(member.kickable).toBe(true);
+  });
+
+  it('compares the positions of roles', () => {
+    const [everyone, mods, helpers, regulars] = roles.map(role => guild.roles.cache.get(role.id));
+
+    expect(mods.comparePositionTo(helpers)).toBeGreaterThan(0);
+    expect(everyone.comparePositionTo(mods)).toBeLessThan(0);
+    expect(helpers.comparePositionTo(regulars)).toBeGreaterThan(0);
+    expect(regulars.comparePositionTo(helpers)).toBeLessThan(0);
+    expect(helpers.comparePositionTo(helpers)).toBe(0);
+  });
+
+  it('follows role create, update and delete events', async () => {
+    const created = once(client, 'roleCreate');
+    server.dispatch('GUILD_ROLE_CREATE', { guild_id: guildId, role: { id: '41771983423143960', name: 'Admins', position: 3, permissions: String(FLAGS.ADMINISTRATOR) } });
+    const [role] = await created;
+    expect(guild.roles.cache.get(role.id)).toBe(role);
+    expect(guild.roles.highest).toBe(role);
+
+    const updated = once(client, 'roleUpdate');
+    server.dispatch('GUILD_ROLE_UPDATE', { guild_id: guildId, role: { id: '41771983423143951', name: 'Helpers', position: 4, permissions: '0' } });
+    const [oldRole, newRole] = await updated;
+    expect(oldRole.position).toBe(1);
+    expect(newRole.position).toBe(4);
+    expect(newRole).toBe(guild.roles.cache.get('41771983423143951'));
+    expect(guild.members.get(friend.id).manageable).toBe(false);
+
+    const deleted = once(client, 'roleDelete');
+    server.dispatch('GUILD_ROLE_DELETE', { guild_id: guildId, role_id: '41771983423143951' });
+    const [removed] = await deleted;
+    expect(removed.name).toBe('Helpers');
+    expect(guild.roles.cache.has('41771983423143951')).toBe(false);
+    expect(guild.members.get(friend.id).roleIds).toEqual(['41771983423143952']);
+  });
+
+  it('fetches roles as Role objects', async () => {
+    const mods = guild.roles.cache.get('41771983423143950');
+    server.guilds.get(guildId).roles = [roles[0], { ...roles[1], name: 'Moderators' }];
+
+    const fetched = await guild.fetchRoles();
+    expect(fetched).toBe(guild.roles.cache);
+    expect(fetched.size).toBe(2);
+    expect(fetched.get(mods.id)).toBe(mods);
+    expect(mods.name).toBe('Moderators');
+
+    expect(await guild.roles.fetch(mods.id)).toBe(mods);
+    expect(await guild.roles.fetch('1', { force: true })).toBeNull();
+    await expect(guild.roles.fetch(null)).rejects.toThrow('ROLE_RESOLVE_ID');
+  });
+
+  it('adds and removes roles of members from roles or IDs', async () => {
+    const member = guild.members.get(friend.id);
+    const mods = guild.roles.cache.get('41771983423143950');
+
+    await member.addRole(mods, 'promoted');
+    expect(member.roles.has(mods.id)).toBe(true);
+    expect(server.guilds.get(guildId).members[1].roles).toContain(mods.id);
+    expect(server.requests.some(request => request.method === 'PUT' && request.path.endsWith(`/roles/${mods.id}`))).toBe(true);
+
+    await member.removeRole('41771983423143951');
+    expect(member.roleIds).toEqual(['41771983423143952', mods.id]);
+    await expect(member.addRole({})).rejects.toThrow('ROLE_RESOLVE_ID');
+  });
+});
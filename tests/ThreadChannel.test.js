@@ -0,0 +1,230 @@
+/**
+ * Tests for threads against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Client, MockDiscordServer, Permissions, ThreadChannel, ThreadMember } = require('../src');
+
+const me = { id: '80351110224678912', username: 'ghost', discriminator: '0', avatar: null };
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const guildId = '41771983423143937';
+const generalId = '41771983423143940';
+const guild = {
+  id: guildId,
+  name: 'Test Guild',
+  owner_id: me.id,
+  roles: [{ id: guildId, name: '@everyone', position: 0, permissions: '0' }],
+  members: [{ user: me, roles: [] }],
+  channels: [
+    { id: generalId, type: 0, name: 'general' },
+    { id: '41771983423143941', type: 5, name: 'news' },
+  ],
+  threads: [{
+    id: '41771983423143950',
+    type: 11,
+    name: 'ideas',
+    parent_id: generalId,
+    owner_id: friend.id,
+    message_count: 3,
+    member_count: 2,
+    thread_metadata: { archived: false, auto_archive_duration: 60, locked: false, create_timestamp: '2026-01-01T00:00:00.000Z' },
+    member: { join_timestamp: '2026-01-02T00:00:00.000Z', flags: 1 },
+  }],
+};
+
+describe('ThreadChannel', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('caches the active threads of guilds', async () => {
+    const thread = client.channels.cache.get('41771983423143950');
+    const general = client.channels.cache.get(generalId);
+
+    expect(thread).toBeInstanceOf(ThreadChannel);
+    expect(thread.isThread).toBe(true);
+    expect(thread.isText).toBe(true);
+    expect(thread.isPrivate).toBe(false);
+    expect(thread.parent).toBe(general);
+    expect(thread.archived).toBe(false);
+    expect(thread.autoArchiveDuration).toBe(60);
+    expect(thread.createdAt).toBe(Date.parse('2026-01-01T00:00:00.000Z'));
+    expect(thread.messageCount).toBe(3);
+    expect(thread.joined).toBe(true);
+    expect(thread.members.get(me.id)).toBeInstanceOf(ThreadMember);
+    expect(thread.members.get(me.id).flags).toBe(1);
+    expect(thread.members.get(me.id).guildMember).toBe(client.guilds.cache.get(guildId).me);
+    expect([...general.threads.keys()]).toEqual([thread.id]);
+    expect(thread.permissionsFor(client.user)).toEqual(general.permissionsFor(client.user));
+
+    const message = await thread.send('inside the thread');
+    expect(message.channel).toBe(thread);
+  });
+
+  it('creates threads from messages or on their own', async () => {
+    const general = client.channels.cache.get(generalId);
+    const created = once(client, 'threadCreate');
+
+    const thread = await general.createThread({ name: 'support', autoArchiveDuration: 4320 });
+    const [emitted, newlyCreated] = await created;
+    expect(emitted).toBe(thread);
+    expect(newlyCreated).toBe(true);
+    expect(thread.type).toBe(11);
+    expect(thread.guild).toBe(general.guild);
+    expect(thread.autoArchiveDuration).toBe(4320);
+    expect(thread.joined).toBe(true);
+
+    const news = client.channels.cache.get('41771983423143941');
+    const start = server.createMessage(news.id, { content: 'announcement' });
+    const fromMessage = await news.createThread({ name: 'comments', startMessage: start.id });
+    expect(fromMessage.id).toBe(start.id);
+    expect(fromMessage.type).toBe(10);
+    expect(server.requests.some(request => request.method === 'POST' && request.path.endsWith(`/channels/${news.id}/messages/${start.id}/threads`))).toBe(true);
+  });
+
+  it('archives, locks, joins and leaves threads', async () => {
+    const thread = client.channels.cache.get('41771983423143950');
+
+    await thread.setArchived(true, 'done');
+    expect(thread.archived).toBe(true);
+    expect(thread.archivedAt).not.toBeNull();
+    await thread.setLocked();
+    expect(thread.locked).toBe(true);
+    expect(client.channels.cache.get(thread.id)).toBe(thread);
+
+    await thread.leave();
+    expect(thread.joined).toBe(false);
+    await thread.join();
+    expect(thread.joined).toBe(true);
+
+    const members = await thread.fetchMembers();
+    expect([...members.keys()]).toEqual([me.id]);
+  });
+
+  it('follows thread updates, member updates and deletions', async () => {
+    const thread = client.channels.cache.get('41771983423143950');
+
+    const updated = once(client, 'threadUpdate');
+    server.dispatch('THREAD_UPDATE', {
+      id: thread.id, guild_id: guildId, parent_id: generalId, type: 11, name: 'ideas',
+      thread_metadata: { archived: true, auto_archive_duration: 60, locked: true },
+    });
+    const [oldThread, newThread] = await updated;
+    expect(oldThread.archived).toBe(false);
+    expect(newThread).toBe(thread);
+    expect(thread.locked).toBe(true);
+    expect(thread.members.has(me.id)).toBe(true);
+
+    const membersUpdated = once(client, 'threadMembersUpdate');
+    server.dispatch('THREAD_MEMBERS_UPDATE', {
+      id: thread.id,
+      guild_id: guildId,
+      member_count: 2,
+      added_members: [{ id: thread.id, user_id: friend.id, join_timestamp: new Date().toISOString(), member: { user: friend } }],
+      removed_member_ids: [me.id],
+    });
+    const [oldMembers, newMembers] = await membersUpdated;
+    expect([...oldMembers.keys()]).toEqual([me.id]);
+    expect([...newMembers.keys()]).toEqual([friend.id]);
+    expect(newMembers.get(friend.id).user.username).toBe('friend');
+    expect(thread.joined).toBe(false);
+
+    const deleted = once(client, 'threadDelete');
+    server.dispatch('THREAD_DELETE', { id: thread.id, guild_id: guildId, parent_id: generalId, type: 11 });
+    expect((await deleted)[0]).toBe(thread);
+    expect(client.channels.cache.has(thread.id)).toBe(false);
+    expect(client.guilds.cache.get(guildId).channels.has(thread.id)).toBe(false);
+  });
+
+  it('replaces the active threads of synced channels', async () => {
+    const synced = once(client, 'threadListSync');
+    server.dispatch('THREAD_LIST_SYNC', {
+      guild_id: guildId,
+      channel_ids: [generalId],
+      threads: [{ id: '41771983423143960', type: 12, name: 'secret', parent_id: generalId, thread_metadata: { archived: false, invitable: false } }],
+      members: [{ id: '41771983423143960', user_id: me.id, join_timestamp: new Date().toISOString(), flags: 0 }],
+    });
+    const [threads, syncedGuild] = await synced;
+
+    expect(syncedGuild).toBe(client.guilds.cache.get(guildId));
+    expect([...threads.keys()]).toEqual(['41771983423143960']);
+    expect(client.channels.cache.has('41771983423143950')).toBe(false);
+
+    const secret = client.channels.cache.get('41771983423143960');
+    expect(secret.isPrivate).toBe(true);
+    expect(secret.invitable).toBe(false);
+    expect(secret.joined).toBe(true);
+  });
+});
+
+describe('ThreadChannel#permissionsFor', () => {
+  const { FLAGS } = Permissions;
+  const mod = { id: '53908232506183681', username: 'mod', discriminator: '0', avatar: null };
+  const roles = {
+    everyone: {
+      id: guildId,
+      name: '@everyone',
+      position: 0,
+      permissions: String(FLAGS.VIEW_CHANNEL | FLAGS.SEND_MESSAGES | FLAGS.ATTACH_FILES | FLAGS.READ_MESSAGE_HISTORY),
+    },
+    threads: { id: '41771983423143960', name: 'Threads', position: 1, permissions: String(FLAGS.SEND_MESSAGES_IN_THREADS) },
+    mods: { id: '41771983423143961', name: 'Mods', position: 2, permissions: String(FLAGS.MANAGE_THREADS) },
+  };
+
+  let client;
+  let general;
+  let thread;
+  let secret;
+
+  beforeEach(() => {
+    client = new Client({ sweepInterval: 0 });
+    client.user = client.users.add(me);
+    client.guilds.add({
+      id: guildId,
+      name: 'Test Guild',
+      owner_id: '53908232506183689',
+      roles: Object.values(roles),
+      members: [
+        { user: me, roles: [] },
+        { user: friend, roles: [roles.threads.id] },
+        { user: mod, roles: [roles.mods.id] },
+      ],
+      channels: [{ id: generalId, type: 0, name: 'general' }],
+      threads: [
+        { id: '41771983423143950', type: 11, name: 'ideas', parent_id: generalId },
+        { id: '41771983423143951', type: 12, name: 'secret', parent_id: generalId },
+      ],
+    });
+    general = client.channels.cache.get(generalId);
+    thread = client.channels.cache.get('41771983423143950');
+    secret = client.channels.cache.get('41771983423143951');
+    secret._addMember({ user_id: friend.id });
+  });
+
+  afterEach(() => client.destroy());
+
+  it('sends in threads with SEND_MESSAGES_IN_THREADS', () => {
+    expect(general.permissionsFor(me.id).has(['SEND_MESSAGES', 'ATTACH_FILES'])).toBe(true);
+    expect(thread.permissionsFor(me.id).toArray()).toEqual(['VIEW_CHANNEL', 'READ_MESSAGE_HISTORY']);
+
+    const friendPermissions = thread.permissionsFor(friend.id);
+    expect(friendPermissions.has(['SEND_MESSAGES', 'ATTACH_FILES', 'SEND_MESSAGES_IN_THREADS'])).toBe(true);
+  });
+
+  it('shows private threads to their members and to MANAGE_THREADS', () => {
+    expect(secret.permissionsFor(me.id).bitfield).toBe(0n);
+    expect(secret.permissionsFor(friend.id).has(['VIEW_CHANNEL', 'SEND_MESSAGES'])).toBe(true);
+    expect(secret.permissionsFor(mod.id).has('VIEW_CHANNEL')).toBe(true);
+    expect(secret.permissionsFor(roles.everyone.id).bitfield).toBe(0n);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for the user cache against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Client, Collection, DiscordAPIError, MockDiscordServer, User, UserManager } = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const stranger = { id: '53908232506183681', username: 'stranger', discriminator: '0', avatar: null };
+const guild = {
+  id: '41771983423143937',
+  name: 'Test Guild',
+  members: [{ user: friend, roles: [] }],
+  channels: [{ id: '41771983423143940', type: 0, name: 'general' }],
+};
+const dm = { id: '41771983423143941', type: 1, recipients: [stranger] };
+
+describe('UserManager', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ guilds: [guild], privateChannels: [dm] }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('caches the users of READY and shares them between structures', async () => {
+    expect(client.users).toBeInstanceOf(UserManager);
+    expect(client.users.cache).toBe(client.cache.users);
+    expect(client.users.cache.get(client.user.id)).toBe(client.user);
+
+    const user = client.users.cache.get(friend.id);
+    expect(user).toBeInstanceOf(User);
+    expect(client.guilds.cache.get(guild.id).members.get(friend.id).user).toBe(user);
+    expect(client.channels.cache.get(dm.id).recipients[0]).toBe(client.users.cache.get(stranger.id));
+
+    const received = once(client, 'message');
+    server.dispatch('MESSAGE_CREATE', server.createMessage('41771983423143940', {
+      author: { ...friend, username: 'renamed' },
+    }));
+    const [message] = await received;
+
+    expect(message.author).toBe(user);
+    expect(user.username).toBe('renamed');
+  });
+
+  it('resolves users from structures and IDs', () => {
+    const user = client.users.cache.get(friend.id);
+    const member = client.guilds.cache.get(guild.id).members.get(friend.id);
+
+    expect(client.users.resolve(friend.id)).toBe(user);
+    expect(client.users.resolve(member)).toBe(user);
+    expect(client.users.resolveId({ author: user })).toBe(friend.id);
+    expect(client.users.resolve('1')).toBeNull();
+    expect(client.users.resolveId(null)).toBeNull();
+  });
+
+  it('fetches from the cache unless forced', async () => {
+    const other = server.addUser({ username: 'other' });
+
+    const fetched = await client.users.fetch(other.id);
+    expect(fetched.username).toBe('other');
+    expect(client.users.cache.get(other.id)).toBe(fetched);
+
+    const requests = server.requests.length;
+    expect(await client.users.fetch(other.id)).toBe(fetched);
+    expect(server.requests).toHaveLength(requests);
+
+    server.users.get(other.id).username = 'changed';
+    expect(await client.users.fetch(other.id, { force: true })).toBe(fetched);
+    expect(fetched.username).toBe('changed');
+
+    const uncached = server.addUser({ username: 'uncached' });
+    await client.users.fetch(uncached.id, { cache: false });
+    expect(client.users.cache.has(uncached.id)).toBe(false);
+
+    await expect(client.users.fetch('1')).rejects.toBeInstanceOf(DiscordAPIError);
+  });
+
+  it('caches the members and users of member chunks', async () => {
+    const chunk = once(client, 'guildMembersChunk');
+    server.dispatch('GUILD_MEMBERS_CHUNK', {
+      guild_id: guild.id,
+      members: [{ user: { ...friend, username: 'chunked' }, roles: [] }, { user: stranger, roles: [], nick: 'new' }],
+      chunk_index: 0,
+      chunk_count: 1,
+      not_found: ['1'],
+    });
+    const [members, chunkGuild, info] = await chunk;
+
+    expect(members).toBeInstanceOf(Collection);
+    expect(chunkGuild.members.get(stranger.id)).toBe(members.get(stranger.id));
+    expect(members.get(stranger.id).user).toBe(client.users.cache.get(stranger.id));
+    expect(client.users.cache.get(friend.id).username).toBe('chunked');
+    expect(info).toEqual({ index: 0, count: 1, notFound: ['1'], nonce: null });
+  });
+
+  it('keeps a cache of its own when caching is disabled', () => {
+    const uncached = new Client({ enableCache: false });
+    const user = uncached.users.add(friend);
+
+    expect(uncached.users.cache).toBeInstanceOf(Collection);
+    expect(uncached.users.add({ id: friend.id })).toBe(user);
+    expect(uncached.users.add(stranger, false)).not.toBe(uncached.users.add(stranger, false));
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for zlib-stream transport compression
+ */
+
+const { once } = require('events');
+const { Client } = require('../src');
+const ZlibInflator = require('../src/util/ZlibInflator');
+const { frames } = require('./fixtures/zlib-stream-frames.json');
+
+const buffers = frames.map(frame => Buffer.from(frame, 'base64'));
+
+/**
+ * Collect the messages emitted by an inflator until it has emitted `count` of them
+ * @param {ZlibInflator} inflator - The inflator to listen to
+ * @param {number} count - The number of messages to wait for
+ * @returns {Promise<Object[]>} The parsed messages
+ */
+function collect(inflator, count) {
+  return new Promise((resolve, reject) => {
+    const messages = [];
+    inflator.on('error', reject);
+    inflator.on('message', message => {
+      messages.push(JSON.parse(message));
+      if (messages.length === count) resolve(messages);
+    });
+  });
+}
+
+describe('ZlibInflator', () => {
+  it('inflates recorded zlib-stream frames in order', async () => {
+    const inflator = new ZlibInflator();
+    const received = collect(inflator, 5);
+
+    buffers.forEach(buffer => inflator.push(buffer));
+    const packets = await received;
+    inflator.destroy();
+
+    expect(packets.map(packet => packet.op)).toEqual([10, 11, 0, 0, 0]);
+    expect(packets.map(packet => packet.t)).toEqual([null, null, 'READY', 'MESSAGE_CREATE', 'TYPING_START']);
+    expect(packets[0].d.heartbeat_interval).toBe(41250);
+    expect(packets[2].d.guilds).toHaveLength(40);
+    expect(packets[3].d.content).toBe('are you there?');
+  });
+
+  it('waits for the Z_SYNC_FLUSH suffix before emitting a message', async () => {
+    const inflator = new ZlibInflator();
+    const onMessage = jest.fn();
+    inflator.on('message', onMessage);
+
+    // HELLO and the heartbeat ACK fit in one frame, READY is split in two
+    inflator.push(buffers[0]);
+    inflator.push(buffers[1]);
+    inflator.push(buffers[2]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(onMessage).toHaveBeenCalledTimes(2);
+
+    inflator.push(buffers[3]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(onMessage).toHaveBeenCalledTimes(3);
+    expect(JSON.parse(onMessage.mock.calls[2][0]).t).toBe('READY');
+    inflator.destroy();
+  });
+});
+
+describe('Client with ws.compress', () => {
+  it('drops the message being inflated when destroyed', async () => {
+    const inflator = new ZlibInflator();
+    const onMessage = jest.fn();
+    inflator.on('message', onMessage);
+
+    inflator.push(buffers[0]);
+    inflator.destroy();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(onMessage).not.toHaveBeenCalled();
+    expect(inflator.listenerCount('message')).toBe(0);
+  });
+
+  it('dispatches events from compressed frames', async () => {
+    const client = new Client({ sweepInterval: 0, ws: { compress: true } });
+    client._createInflator();
+
+    const ready = once(client, 'ready');
+    const message = once(client, 'message');
+    const typing = once(client, 'typingStart');
+    buffers.forEach(buffer => client._onMessage(client._ws, buffer));
+
+    await ready;
+    const [received] = await message;
+    const [channel, user] = await typing;
+
+    expect(client.guilds.cache.size).toBe(40);
+    expect(client.user.id).toBe('80351110224678912');
+    expect(received.content).toBe('are you there?');
+    expect(channel.id).toBe('319674150115610528');
+    expect(user.username).toBe('friend');
+    client.destroy();
+  });
+});
@@ -0,0 +1,459 @@
+/**
+ * Integration tests for the client against the mock Discord server
+ */
+
+const { once } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const {
+  AbortError,
+  Client,
+  Constants,
+  DiscordAPIError,
+  GatewayError,
+  MockDiscordServer,
+  RateLimitError,
+} = require('../src');
+
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const dmChannel = { id: '319674150115610528', type: 1, recipients: [friend] };
+
+/**
+ * Create a client connected to the mock server
+ * @param {MockDiscordServer} server - The server to connect to
+ * @returns {Client}
+ */
+function createClient(server) {
+  return new Client({
+    sweepInterval: 0,
+    restTimeOffset: 0,
+    http: { api: server.apiURL },
+    ws: { gateway: server.gatewayURL, reconnectDelay: 10 },
+  });
+}
+
+/**
+ * Wait until the server receives a REST request matching a predicate
+ * @param {MockDiscordServer} server - The server to listen to
+ * @param {Function} predicate - The predicate to match
+ * @returns {Promise<Object>} The request
+ */
+function waitForRequest(server, predicate) {
+  return new Promise(resolve => {
+    const listener = request => {
+      if (!predicate(request)) return;
+      server.off('request', listener);
+      resolve(request);
+    };
+    server.on('request', listener);
+  });
+}
+
+describe('Client with MockDiscordServer', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = new MockDiscordServer({ token: 'user-token', privateChannels: [dmChannel] });
+    await server.start();
+    client = createClient(server);
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('identifies and stores the READY state', async () => {
+    await client.login('user-token');
+
+    expect(client.status).toBe('ready');
+    expect(client.user.id).toBe(server.options.user.id);
+    expect(client.channels.cache.has(dmChannel.id)).toBe(true);
+    expect(server.payloads.find(payload => payload.op === 2).d.token).toBe('user-token');
+  });
+
+  it('rejects login when the gateway refuses the token', async () => {
+    const error = await client.login('wrong-token').catch(err => err);
+
+    expect(error).toBeInstanceOf(GatewayError);
+    expect(error.code).toBe(4004);
+    expect(client.status).toBe('dead');
+  });
+
+  it('resumes after a dropped connection and replays missed dispatches', async () => {
+    await client.login('user-token');
+    const message = server.createMessage(dmChannel.id, { author: friend, content: 'missed me?' });
+
+    server.disconnect(4000);
+    server.dispatch('MESSAGE_CREATE', message);
+
+    const [[received]] = await Promise.all([once(client, 'message'), once(client, 'resumed')]);
+
+    expect(received.content).toBe('missed me?');
+    expect(server.payloads.filter(payload => payload.op === 2)).toHaveLength(1);
+    expect(server.payloads.find(payload => payload.op === 6).d.seq).toBe(1);
+  });
+
+  it('terminates a zombie connection after a jittered first heartbeat and resumes', async () => {
+    server.options.heartbeatInterval = 200;
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    let startedAt;
+    client.on('debug', message => {
+      if (message === 'Heartbeating every 200ms' && !startedAt) startedAt = Date.now();
+    });
+    const firstHeartbeat = new Promise(resolve => server.on('payload', payload => {
+      if (payload.op === 1) resolve(Date.now());
+    }));
+
+    try {
+      await client.login('user-token');
+      const socket = client._ws;
+      const terminate = jest.spyOn(socket, 'terminate');
+      server.ackHeartbeats = false;
+
+      expect(await firstHeartbeat - startedAt).toBeGreaterThanOrEqual(95);
+
+      await once(client, 'resumed');
+
+      expect(terminate).toHaveBeenCalled();
+      expect(client._ws).not.toBe(socket);
+      expect(server.payloads.filter(payload => payload.op === 2)).toHaveLength(1);
+      expect(server.payloads.filter(payload => payload.op === 6)).toHaveLength(1);
+    } finally {
+      random.mockRestore();
+    }
+  });
+
+  it('keeps reconnecting when an attempt fails without an error listener', async () => {
+    client.destroy();
+    client = createClient(server);
+    delete client.options.ws.gateway;
+    client.options.http.api = server.apiURL;
+    await client.login('user-token');
+
+    // The session can't be resumed, so the gateway URL is fetched again and fails
+    server.respond({ path: '/gateway', status: 500, count: 2 });
+    const ready = new Promise(resolve => client.once('ready', resolve));
+    server.disconnect(4007);
+    await ready;
+
+    expect(client.status).toBe('ready');
+    expect(server.requests.filter(request => request.path === '/gateway').length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('rejects a pending login when destroyed before READY', async () => {
+    const login = client.login('user-token');
+    client.destroy();
+    const error = await login.catch(err => err);
+
+    expect(error).toBeInstanceOf(GatewayError);
+    expect(error.code).toBe(1000);
+    expect(client.listenerCount('ready')).toBe(0);
+    expect(client.listenerCount('invalidated')).toBe(0);
+
+    await expect(client.login('user-token')).resolves.toBe('user-token');
+    expect(client.listenerCount('ready')).toBe(0);
+  });
+
+  it('ignores late events of a socket replaced while it was closing', async () => {
+    await client.login('user-token');
+    const old = client._ws;
+    const disconnected = once(client, 'disconnect');
+
+    client.destroy();
+    await client.login('user-token');
+    const [event] = await disconnected;
+    const sequence = client._sequence;
+    const received = jest.fn();
+    client.on('message', received);
+
+    // Events the old socket could still deliver once the new connection is up
+    old.emit('message', JSON.stringify({ op: 0, t: 'MESSAGE_CREATE', s: 99, d: server.createMessage(dmChannel.id, { author: friend }) }));
+    old.emit('close', 4000, Buffer.from('late'));
+    old.emit('error', new Error('late'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(event.code).toBe(1000);
+    expect(received).not.toHaveBeenCalled();
+    expect(client._sequence).toBe(sequence);
+    expect(client.status).toBe('ready');
+    expect(client.connected).toBe(true);
+    expect(client._heartbeatInterval).not.toBeNull();
+    expect(server.payloads.filter(payload => payload.op === 6)).toHaveLength(0);
+  });
+
+  it('identifies again when the session is invalidated', async () => {
+    await client.login('user-token');
+    const sessionId = client._sessionId;
+
+    server.invalidateSessions(false);
+    await once(client, 'ready');
+
+    expect(client._sessionId).not.toBe(sessionId);
+    expect(server.payloads.filter(payload => payload.op === 2)).toHaveLength(2);
+  });
+
+  it('reports a throwing dispatch handler without dropping the connection', async () => {
+    await client.login('user-token');
+    client.handlers.register('CUSTOM_EVENT', () => {
+      throw new Error('handler failed');
+    });
+
+    // Without an error listener, since events.once adds one
+    const debugged = new Promise(resolve => client.on('debug', message => {
+      if (message.startsWith('Handler of CUSTOM_EVENT threw: Error: handler failed')) resolve();
+    }));
+    server.dispatch('CUSTOM_EVENT', {});
+    await debugged;
+
+    const errored = once(client, 'error');
+    server.dispatch('CUSTOM_EVENT', {});
+    const [error, event] = await errored;
+
+    expect(error.message).toBe('handler failed');
+    expect(event).toBe('CUSTOM_EVENT');
+    expect(client.status).toBe('ready');
+  });
+
+  it('answers messages through the REST API', async () => {
+    client.on('message', message => {
+      if (message.content === 'ping') client.messages.send(message.channelId, 'pong');
+    });
+    await client.login('user-token');
+
+    const reply = waitForRequest(server, request => request.method === 'POST');
+    server.dispatch('MESSAGE_CREATE', server.createMessage(dmChannel.id, { author: friend, content: 'ping' }));
+    const request = await reply;
+
+    expect(request.path).toBe(`/channels/${dmChannel.id}/messages`);
+    expect(request.body).toEqual({ content: 'pong' });
+    expect(request.headers.authorization).toBe('user-token');
+  });
+
+  it('warns and stops sending before too many invalid requests', async () => {
+    client.destroy();
+    client = new Client({
+      sweepInterval: 0,
+      invalidRequestThreshold: 2,
+      ...server.clientOptions(),
+    });
+    await client.login('user-token');
+    server.respond({ method: 'GET', status: 403, body: { message: 'Missing Access', code: 50001 }, count: 2 });
+    const onWarning = jest.fn();
+    client.on('invalidRequestWarning', onWarning);
+
+    await expect(client.messages.fetch(dmChannel.id, '1')).rejects.toMatchObject({ status: 403, code: 50001 });
+    await expect(client.messages.fetch(dmChannel.id, '1')).rejects.toBeInstanceOf(DiscordAPIError);
+    const refused = await client.messages.send(dmChannel.id, 'hello').catch(err => err);
+
+    expect(refused).toBeInstanceOf(RateLimitError);
+    expect(refused).toMatchObject({ scope: 'invalid', method: 'POST', path: `/channels/${dmChannel.id}/messages` });
+
+    expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({ count: 2 }));
+    expect(server.requests.filter(request => request.path.startsWith('/channels'))).toHaveLength(2);
+  });
+
+  it('retries requests that hit a rate limit', async () => {
+    await client.login('user-token');
+    server.rateLimit({ method: 'POST', path: /\/messages$/, retryAfter: 0.05 });
+    const onRateLimit = jest.fn();
+    client.on('rateLimit', onRateLimit);
+
+    const message = await client.messages.send(dmChannel.id, 'hello');
+
+    expect(message.content).toBe('hello');
+    expect(onRateLimit).toHaveBeenCalledWith(expect.objectContaining({
+      route: `POST /channels/${dmChannel.id}/messages`,
+      timeout: 50,
+    }));
+    expect(server.requests.filter(request => request.method === 'POST')).toHaveLength(2);
+  });
+
+  it('uploads files with the message as multipart form data', async () => {
+    await client.login('user-token');
+    const fixture = path.join(__dirname, 'fixtures', 'etf-payloads.json');
+
+    const message = await client.messages.send(dmChannel.id, {
+      content: 'logs attached',
+      files: [
+        { attachment: Buffer.from('hello'), name: 'hello.txt', description: 'A greeting', spoiler: true },
+        fixture,
+      ],
+    });
+    const [request] = server.requests.filter(item => item.method === 'POST');
+
+    expect(request.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(request.body).toEqual({
+      content: 'logs attached',
+      attachments: [
+        { id: 0, filename: 'SPOILER_hello.txt', description: 'A greeting' },
+        { id: 1, filename: 'etf-payloads.json' },
+      ],
+    });
+    expect(request.files.map(file => [file.name, file.filename, file.data.toString()])).toEqual([
+      ['files[0]', 'SPOILER_hello.txt', 'hello'],
+      ['files[1]', 'etf-payloads.json', fs.readFileSync(fixture, 'utf8')],
+    ]);
+    expect(message.content).toBe('logs attached');
+  });
+
+  it('sends streamed files again in full when the upload is retried', async () => {
+    await client.login('user-token');
+    server.rateLimit({ method: 'POST', path: /\/messages$/, retryAfter: 0.01 });
+
+    await client.channels.cache.get(dmChannel.id).send({
+      files: [{ attachment: Readable.from([Buffer.from('first '), Buffer.from('second')]), name: 'stream.txt' }],
+    });
+
+    const uploads = server.requests.filter(request => request.method === 'POST');
+    expect(uploads).toHaveLength(2);
+    expect(uploads.map(request => request.files[0].data.toString())).toEqual(['first second', 'first second']);
+  });
+
+  it('drops a request parked behind a rate limit when its signal fires', async () => {
+    await client.login('user-token');
+    server.rateLimit({ method: 'POST', path: /\/messages$/, retryAfter: 5 });
+    const controller = new AbortController();
+
+    const pending = client.api.channels(dmChannel.id).messages().post({
+      data: { content: 'stale reply' },
+      signal: controller.signal,
+    });
+    await once(client, 'rateLimit');
+    controller.abort();
+
+    await expect(pending).rejects.toBeInstanceOf(AbortError);
+    expect(server.requests.filter(request => request.method === 'POST')).toHaveLength(1);
+  });
+
+  it('gives up on a request after its own timeout', async () => {
+    await client.login('user-token');
+    client.rest.retryLimit = 0;
+    server.respond({ method: 'GET', path: /\/users\/@me$/, delay: 200 });
+
+    const error = await client.api.users().get({ timeout: 50 }).catch(err => err);
+
+    expect(error).toMatchObject({ name: 'HTTPError', status: null, method: 'GET', path: '/users/@me' });
+  });
+
+  it('rejects with the error code and invalid fields sent by the API', async () => {
+    await client.login('user-token');
+    server.respond({
+      method: 'POST',
+      status: 400,
+      body: {
+        code: Constants.APIErrors.INVALID_FORM_BODY,
+        message: 'Invalid Form Body',
+        errors: {
+          content: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 2000 or fewer in length.' }] },
+          embeds: { 0: { fields: { 1: { name: { _errors: [{ code: 'BASE_TYPE_REQUIRED', message: 'Required' }] } } } } },
+        },
+      },
+    });
+
+    const error = await client.messages.send(dmChannel.id, 'x'.repeat(2001)).catch(err => err);
+
+    expect(error).toBeInstanceOf(DiscordAPIError);
+    expect(error).toMatchObject({
+      code: 50035,
+      status: 400,
+      method: 'POST',
+      path: `/channels/${dmChannel.id}/messages`,
+      requestBody: { json: { content: 'x'.repeat(2001) } },
+    });
+    expect(error.errors).toEqual([
+      { path: 'content', code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 2000 or fewer in length.' },
+      { path: 'embeds[0].fields[1].name', code: 'BASE_TYPE_REQUIRED', message: 'Required' },
+    ]);
+    expect(error.message).toBe([
+      'Invalid Form Body',
+      'content: [BASE_TYPE_MAX_LENGTH] Must be 2000 or fewer in length.',
+      'embeds[0].fields[1].name: [BASE_TYPE_REQUIRED] Required',
+    ].join('\n'));
+    await expect(client.messages.fetch(dmChannel.id, '1')).rejects.toMatchObject({
+      code: Constants.APIErrors.UNKNOWN_MESSAGE,
+      status: 404,
+    });
+  });
+});
+
+describe('Client URL options', () => {
+  const servers = [];
+
+  beforeEach(async () => {
+    servers.push(await new MockDiscordServer({ privateChannels: [dmChannel] }).start());
+    servers.push(await new MockDiscordServer({ privateChannels: [dmChannel] }).start());
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => server.stop()));
+  });
+
+  it('resolves the API, CDN and gateway URLs per client', async () => {
+    const [first, second] = servers;
+    const clients = [
+      new Client({ sweepInterval: 0, http: { api: first.apiURL, cdn: 'https://cdn.first.test' } }),
+      new Client({
+        sweepInterval: 0,
+        http: { api: second.apiURL, version: 9, cdn: 'https://cdn.second.test' },
+        ws: { gateway: second.gatewayURL },
+      }),
+    ];
+
+    await Promise.all(clients.map(client => client.login('user-token')));
+    await Promise.all(clients.map(client => client.messages.send(dmChannel.id, 'hello')));
+
+    // The first client looks the gateway up through its own API
+    expect(first.requests.map(request => `${request.method} ${request.path}`))
+      .toEqual(['GET /gateway', `POST /channels/${dmChannel.id}/messages`]);
+    expect(first.requests.every(request => request.version === 10)).toBe(true);
+    expect(second.requests.map(request => `${request.method} ${request.path}`))
+      .toEqual([`POST /channels/${dmChannel.id}/messages`]);
+    expect(second.requests[0].version).toBe(9);
+
+    clients.forEach(client => { client.user.avatar = 'a1b2c3'; });
+    expect(clients[0].user.avatarURL()).toMatch(/^https:\/\/cdn\.first\.test\/avatars\//);
+    expect(clients[1].user.avatarURL()).toMatch(/^https:\/\/cdn\.second\.test\/avatars\//);
+    expect(Constants.API.BASE).toBe('https://discord.com/api/v10');
+
+    clients.forEach(client => client.destroy());
+  });
+});
+
+describe('Client authentication', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({ privateChannels: [dmChannel] }).start();
+  });
+
+  afterEach(() => server.stop());
+
+  it('keeps the token of each client to its own requests', async () => {
+    const clients = [createClient(server), createClient(server)];
+    await clients[0].login('first-token');
+    await clients[1].login('second-token');
+
+    const identified = server.payloads.filter(payload => payload.op === 2).map(payload => payload.d.token);
+    expect(identified).toEqual(['first-token', 'second-token']);
+
+    await clients[0].sendMessage(dmChannel.id, 'from first');
+    await clients[1].messages.send(dmChannel.id, 'from second');
+    await clients[0].messages.send(dmChannel.id, 'first again');
+
+    const sent = server.requests
+      .filter(request => request.method === 'POST')
+      .map(request => [request.body.content, request.headers.authorization]);
+    expect(sent).toEqual([
+      ['from first', 'first-token'],
+      ['from second', 'second-token'],
+      ['first again', 'first-token'],
+    ]);
+    expect(axios.defaults.headers.common.Authorization).toBeUndefined();
+
+    clients.forEach(client => client.destroy());
+  });
+});
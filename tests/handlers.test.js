@@ -0,0 +1,172 @@
+/**
+ * Tests for the dispatch handlers against the mock Discord server
+ */
+
+const { once } = require('events');
+const { Client, Collection, Guild, GuildMember, MockDiscordServer, TextChannel, User } = require('../src');
+
+const me = { id: '80351110224678912', username: 'ghost', discriminator: '0', avatar: null };
+const friend = { id: '53908232506183680', username: 'friend', discriminator: '0', avatar: null };
+const stranger = { id: '53908232506183681', username: 'stranger', discriminator: '0', avatar: null };
+const dmChannel = { id: '319674150115610528', type: 1, recipients: [friend] };
+const guildId = '41771983423143937';
+
+describe('Dispatch handlers', () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await new MockDiscordServer({
+      user: me,
+      privateChannels: [dmChannel],
+      guilds: [{
+        id: guildId,
+        name: 'Test Guild',
+        owner_id: me.id,
+        roles: [{ id: guildId, name: '@everyone', position: 0, permissions: '0' }],
+        members: [{ user: me, roles: [] }, { user: friend, roles: [] }],
+      }],
+    }).start();
+    client = new Client({ sweepInterval: 0, restTimeOffset: 0, ...server.clientOptions() });
+    await client.login('user-token');
+  });
+
+  afterEach(async () => {
+    client.destroy();
+    await server.stop();
+  });
+
+  it('PRESENCE_UPDATE replaces the presence of the user', async () => {
+    let updated = once(client, 'presenceUpdate');
+    server.dispatch('PRESENCE_UPDATE', {
+      user: { id: friend.id },
+      status: 'online',
+      activities: [{ name: 'Chess', type: 0 }],
+      client_status: { desktop: 'online' },
+    });
+    let [oldPresence, presence] = await updated;
+
+    expect(oldPresence).toBeNull();
+    expect(presence).toEqual({ status: 'online', activities: [{ name: 'Chess', type: 0 }], clientStatus: { desktop: 'online' } });
+    expect(client.users.cache.get(friend.id).presence).toBe(presence);
+
+    updated = once(client, 'presenceUpdate');
+    server.dispatch('PRESENCE_UPDATE', { user: { id: friend.id }, status: 'idle' });
+    [oldPresence, presence] = await updated;
+
+    expect(oldPresence).toEqual({ status: 'online', activities: [{ name: 'Chess', type: 0 }], clientStatus: { desktop: 'online' } });
+    expect(presence).toEqual({ status: 'idle', activities: [], clientStatus: {} });
+  });
+
+  it('RELATIONSHIP_ADD and RELATIONSHIP_REMOVE keep the relationships in sync', async () => {
+    const added = once(client, 'relationshipAdd');
+    server.dispatch('RELATIONSHIP_ADD', { id: stranger.id, type: 3, user: stranger });
+    const [user, type] = await added;
+
+    expect(user).toBeInstanceOf(User);
+    expect(user.username).toBe('stranger');
+    expect(type).toBe(3);
+    expect(client.users.cache.get(stranger.id)).toBe(user);
+    expect(client.relationships.get(stranger.id)).toBe(3);
+
+    const removed = once(client, 'relationshipRemove');
+    server.dispatch('RELATIONSHIP_REMOVE', { id: stranger.id, type: 3 });
+    const [removedUser, removedType] = await removed;
+
+    expect(removedUser).toBe(user);
+    expect(removedType).toBe(3);
+    expect(client.relationships.has(stranger.id)).toBe(false);
+  });
+
+  it('GUILD_UPDATE patches the cached guild and emits a copy of the old one', async () => {
+    const guild = client.guilds.cache.get(guildId);
+    const updated = once(client, 'guildUpdate');
+    server.dispatch('GUILD_UPDATE', { id: guildId, name: 'Renamed Guild', owner_id: me.id });
+    const [oldGuild, newGuild] = await updated;
+
+    expect(newGuild).toBe(guild);
+    expect(oldGuild).not.toBe(guild);
+    expect(oldGuild).toBeInstanceOf(Guild);
+    expect(oldGuild.name).toBe('Test Guild');
+    expect(guild.name).toBe('Renamed Guild');
+    expect(client.guilds.cache.get(guildId)).toBe(guild);
+  });
+
+  it('GUILD_MEMBER_UPDATE patches the cached member and its user', async () => {
+    const guild = client.guilds.cache.get(guildId);
+    const member = guild.members.get(friend.id);
+    const updated = once(client, 'guildMemberUpdate');
+    server.dispatch('GUILD_MEMBER_UPDATE', { guild_id: guildId, user: { ...friend, username: 'buddy' }, nick: 'Bud', roles: [] });
+    const [oldMember, newMember] = await updated;
+
+    expect(newMember).toBe(member);
+    expect(oldMember).not.toBe(member);
+    expect(oldMember).toBeInstanceOf(GuildMember);
+    expect(oldMember.nickname).toBeNull();
+    expect(member.nickname).toBe('Bud');
+    expect(guild.members.get(friend.id)).toBe(member);
+    expect(client.users.cache.get(friend.id).username).toBe('buddy');
+  });
+
+  it('GUILD_MEMBER_UPDATE adds members it does not know without an event', async () => {
+    const guild = client.guilds.cache.get(guildId);
+    const onUpdate = jest.fn();
+    client.on('guildMemberUpdate', onUpdate);
+
+    server.dispatch('GUILD_MEMBER_UPDATE', { guild_id: guildId, user: stranger, nick: 'New', roles: [] });
+    // Dispatches are handled in order, so the member is added once the next one arrives
+    const next = once(client, 'raw');
+    server.dispatch('UNKNOWN_EVENT', {});
+    await next;
+
+    expect(guild.members.get(stranger.id)).toBeInstanceOf(GuildMember);
+    expect(guild.members.get(stranger.id).nickname).toBe('New');
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it('USER_UPDATE patches the client user and emits a copy of the old one', async () => {
+    const user = client.user;
+    const updated = once(client, 'userUpdate');
+    server.dispatch('USER_UPDATE', { ...me, username: 'phantom' });
+    const [oldUser, newUser] = await updated;
+
+    expect(newUser).toBe(user);
+    expect(oldUser).not.toBe(user);
+    expect(oldUser.username).toBe('ghost');
+    expect(user.username).toBe('phantom');
+  });
+
+  it('MESSAGE_DELETE_BULK removes the cached messages it lists', async () => {
+    const first = server.createMessage(dmChannel.id, { author: friend, content: 'one' });
+    const second = server.createMessage(dmChannel.id, { author: friend, content: 'two' });
+    const kept = server.createMessage(dmChannel.id, { author: friend, content: 'three' });
+    for (const message of [first, second, kept]) {
+      const received = once(client, 'message');
+      server.dispatch('MESSAGE_CREATE', message);
+      await received;
+    }
+    const cached = client.cache.getMessage(first.id);
+
+    const deleted = once(client, 'messageDeleteBulk');
+    server.dispatch('MESSAGE_DELETE_BULK', { ids: [first.id, second.id, '1'], channel_id: dmChannel.id });
+    const [messages] = await deleted;
+
+    expect(messages).toBeInstanceOf(Collection);
+    expect([...messages.keys()]).toEqual([first.id, second.id]);
+    expect(messages.get(first.id)).toBe(cached);
+    expect(cached.deleted).toBe(true);
+    expect(client.cache.getMessage(first.id)).toBeFalsy();
+    expect(client.cache.getMessage(second.id)).toBeFalsy();
+    expect(client.cache.getMessage(kept.id).deleted).toBeFalsy();
+  });
+
+  it('CHANNEL_CREATE caches the channel with the class of its type', async () => {
+    const created = once(client, 'channelCreate');
+    server.dispatch('CHANNEL_CREATE', { id: '41771983423143999', type: 0, guild_id: guildId, name: 'announcements' });
+    const [channel] = await created;
+
+    expect(channel).toBeInstanceOf(TextChannel);
+    expect(channel.name).toBe('announcements');
+    expect(client.channels.cache.get(channel.id)).toBe(channel);
+  });
+});
@@ -2,8 +2,23 @@
  * Basic test file for GhostSelfBot
  */
 
+const { execFileSync } = require('child_process');
+const path = require('path');
+
 describe('GhostSelfBot', () => {
   it('should pass a placeholder test', () => {
     expect(true).toBe(true);
   });
+
+  it('loads the mock server only when it is used', () => {
+    const script = `
+      const library = require(${JSON.stringify(path.join(__dirname, '../src'))});
+      const loaded = () => Object.keys(require.cache).some(file => file.includes('MockDiscordServer'));
+      const before = loaded();
+      const exported = typeof library.MockDiscordServer;
+      console.log(JSON.stringify([before, exported, loaded()]));
+    `;
+
+    expect(JSON.parse(execFileSync(process.execPath, ['-e', script], { encoding: 'utf8' }))).toEqual([false, 'function', true]);
+  });
 }); 
\ No newline at end of file
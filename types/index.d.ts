@@ -20,14 +20,29 @@ declare module 'ghostselfbot' {
     /** The WebSocket ping in milliseconds */
     readonly ws: { ping: number };
 
-    /** Collection of cached channels */
-    channels: Collection<string, Channel>;
+    /** The current state of the gateway connection */
+    readonly status: ConnectionStatus;
 
-    /** Collection of cached guilds */
-    guilds: Collection<string, Guild>;
+    /** The manager of the channels the client can see */
+    channels: ChannelManager;
 
-    /** Collection of cached users */
-    users: Collection<string, User>;
+    /** The manager of the guilds the client is in */
+    guilds: GuildManager;
+
+    /** The manager of the users the client has seen */
+    users: UserManager;
+
+    /** The manager fetching and sending messages */
+    messages: MessageManager;
+
+    /** The handlers of gateway dispatch events */
+    handlers: HandlerRegistry;
+
+    /** The manager sending REST requests */
+    rest: RESTManager;
+
+    /** Relationship types of the client user, keyed by user ID */
+    relationships: Collection<string, number>;
 
     /**
      * Adds a listener for an event
@@ -69,6 +84,593 @@ declare module 'ghostselfbot' {
     destroy(): Promise<void>;
   }
 
+  /** States of the gateway connection */
+  export type ConnectionStatus =
+    | 'idle'
+    | 'connecting'
+    | 'identifying'
+    | 'resuming'
+    | 'ready'
+    | 'reconnecting'
+    | 'dead';
+
+  /** Error rejected from login() when the gateway closes with a fatal code */
+  export class GatewayError extends Error {
+    /** The close code sent by the gateway */
+    code: number;
+
+    /** The close reason sent by the gateway */
+    reason: string;
+  }
+
+  /** The method, path and body of a failed request */
+  export interface RequestData {
+    method: string;
+    path: string;
+    requestBody: { json?: any; files?: ResolvedFile[] };
+  }
+
+  /** A problem with one field of a request body */
+  export interface APIErrorField {
+    /** The path of the field, such as `embeds[0].description` */
+    path: string;
+    code: string;
+    message: string;
+  }
+
+  /** Error returned by the Discord API */
+  export class DiscordAPIError extends Error {
+    constructor(error: { code: number; message: string; errors?: object }, status: number, request: RequestData);
+    static flattenErrors(errors?: object, path?: string): APIErrorField[];
+
+    /** The error code sent by the API, see Constants.APIErrors */
+    code: number;
+    status: number;
+    method: string;
+    path: string;
+    requestBody: { json?: any; files?: ResolvedFile[] };
+
+    /** The problems found in the request body */
+    errors: APIErrorField[];
+  }
+
+  /** Request that failed without an error from the Discord API */
+  export class HTTPError extends Error {
+    constructor(message: string, status: number | null, request: RequestData);
+
+    /** The HTTP status, null if no response was received */
+    status: number | null;
+    method: string;
+    path: string;
+    requestBody: { json?: any; files?: ResolvedFile[] };
+  }
+
+  /** Request rejected instead of waiting for a rate limit */
+  export class RateLimitError extends Error {
+    constructor(info: Omit<RateLimitData, 'bucket' | 'scope'> & { scope: RateLimitData['scope'] | 'invalid' });
+    method: string | null;
+    path: string | null;
+    route: string;
+    timeout: number;
+    limit: number;
+    global: boolean;
+
+    /** The scope of the limit, `invalid` when too many requests failed */
+    scope: RateLimitData['scope'] | 'invalid';
+  }
+
+  /** Request cancelled through its AbortSignal */
+  export class AbortError extends Error {
+    constructor(reason?: any);
+    static throwIfAborted(signal?: AbortSignal | null): void;
+    static race<T>(promise: Promise<T>, signal?: AbortSignal | null): Promise<T>;
+
+    /** The reason given to the AbortController, if any */
+    reason: any;
+  }
+
+  /** Options of a single REST request */
+  export interface RequestOptions {
+    /** The body of the request */
+    data?: any;
+
+    /** The query string parameters */
+    query?: Record<string, any>;
+
+    /** Extra headers to send */
+    headers?: Record<string, string>;
+
+    /** Files to upload, sending data as payload_json */
+    files?: (FileOptions | BufferResolvable)[];
+
+    /** Cancels the request with an AbortError, even while it waits for a rate limit */
+    signal?: AbortSignal;
+
+    /** The time in ms to wait for a response, instead of restRequestTimeout */
+    timeout?: number;
+  }
+
+  /** Sends REST requests through the rate limit scheduler */
+  export class RESTManager {
+    constructor(client: Client, options?: object);
+    client: Client;
+    version: number;
+    baseURL: string;
+    scheduler: RequestScheduler;
+    setToken(token: string | null): void;
+    make(method: string, path: string, options?: RequestOptions): Promise<any>;
+    get(path: string, options?: RequestOptions): Promise<any>;
+    post(path: string, data?: any, options?: RequestOptions): Promise<any>;
+    put(path: string, data?: any, options?: RequestOptions): Promise<any>;
+    patch(path: string, data?: any, options?: RequestOptions): Promise<any>;
+    delete(path: string, options?: RequestOptions): Promise<any>;
+  }
+
+  /** Anything a user can be resolved from */
+  export type UserResolvable = User | GuildMember | Message | string;
+
+  /** Caches users and fetches them from the API */
+  export class UserManager {
+    constructor(client: Client);
+    client: Client;
+
+    /** The cached users, keyed by ID */
+    cache: Collection<string, User>;
+
+    /**
+     * Adds or updates a user in the cache
+     * @param data - The user data
+     * @param cache - Whether to cache a user that is not cached yet
+     */
+    add(data: any, cache?: boolean): User;
+
+    /**
+     * Resolves a cached user
+     * @param user - The user to resolve
+     */
+    resolve(user: UserResolvable): User | null;
+
+    /**
+     * Resolves the ID of a user
+     * @param user - The user to resolve
+     */
+    resolveId(user: UserResolvable): string | null;
+
+    /**
+     * Fetches a user, from the cache unless forced
+     * @param user - The user to fetch
+     * @param options - Whether to skip the cache, and whether to cache the fetched user
+     */
+    fetch(user: UserResolvable, options?: { force?: boolean; cache?: boolean }): Promise<User>;
+  }
+
+  /** Anything a channel can be resolved from */
+  export type ChannelResolvable = Channel | Message | string;
+
+  /** Caches channels, built as the structure of their type, and fetches them from the API */
+  export class ChannelManager {
+    constructor(client: Client);
+    client: Client;
+
+    /** The cached channels, keyed by ID */
+    cache: Collection<string, Channel>;
+
+    /**
+     * Adds or updates a channel in the cache and in its guild
+     * @param data - The channel data
+     * @param cache - Whether to cache a channel that is not cached yet
+     */
+    add(data: any, cache?: boolean): Channel;
+
+    /**
+     * Resolves a cached channel
+     * @param channel - The channel to resolve
+     */
+    resolve(channel: ChannelResolvable): Channel | null;
+
+    /**
+     * Resolves the ID of a channel
+     * @param channel - The channel to resolve
+     */
+    resolveId(channel: ChannelResolvable): string | null;
+
+    /**
+     * Fetches a channel, from the cache unless forced
+     * @param channel - The channel to fetch
+     * @param options - Whether to skip the cache, and whether to cache the fetched channel
+     */
+    fetch(channel: ChannelResolvable, options?: { force?: boolean; cache?: boolean }): Promise<Channel>;
+
+    /**
+     * The structure used for a channel type, Channel for unknown types
+     * @param type - The channel type
+     */
+    static classFor(type: number): typeof Channel;
+  }
+
+  /** The options of a page of the history of a channel */
+  export interface MessageFetchOptions {
+    /** The number of messages to fetch, from 1 to 100 */
+    limit?: number;
+
+    /** Fetch the messages before this message or date */
+    before?: Message | string | Date;
+
+    /** Fetch the messages after this message or date */
+    after?: Message | string | Date;
+
+    /** Fetch the messages around this message */
+    around?: Message | string;
+  }
+
+  /** The options of an iteration over the history of a channel */
+  export interface MessageIterateOptions {
+    /** Go forward from this message or date, '0' for the first message */
+    after?: Message | string | Date;
+
+    /** Go back from this message or date, the latest message by default */
+    before?: Message | string | Date;
+
+    /** Stop at this message or date, which isn't included */
+    until?: Message | string | Date;
+
+    /** The most messages to iterate over */
+    limit?: number;
+  }
+
+  /** Fetches and sends messages */
+  export class MessageManager {
+    constructor(client: Client);
+    client: Client;
+
+    /**
+     * Adds or updates a message in the cache
+     * @param data - The message data
+     */
+    add(data: any): Message;
+
+    /**
+     * Fetches a message
+     * @param channelId - The channel of the message
+     * @param messageId - The message ID
+     */
+    fetch(channelId: string, messageId: string): Promise<Message>;
+
+    /**
+     * Fetches a page of the history of a channel, newest first
+     * @param channelId - The channel to fetch from
+     * @param options - The options of the page
+     */
+    fetch(channelId: string, options?: MessageFetchOptions): Promise<Collection<string, Message>>;
+
+    /**
+     * Iterates over the history of a channel, fetching it 100 messages at a time
+     * @param channelId - The channel to iterate over
+     * @param options - The options of the iteration
+     */
+    iterate(channelId: string, options?: MessageIterateOptions): AsyncGenerator<Message, void, undefined>;
+
+    /**
+     * Sends a message to a channel
+     * @param channelId - The channel to send to
+     * @param content - The content of the message
+     */
+    send(channelId: string, content: string | MessageOptions): Promise<Message>;
+  }
+
+  /** Fetches the messages of one channel */
+  export class ChannelMessageManager {
+    constructor(channel: Channel);
+    client: Client;
+    channel: Channel;
+
+    /** The cached messages of the channel */
+    readonly cache: Collection<string, Message>;
+
+    fetch(messageId: string): Promise<Message>;
+    fetch(options?: MessageFetchOptions): Promise<Collection<string, Message>>;
+
+    /**
+     * Iterates over the history of the channel, fetching it 100 messages at a time
+     * @param options - The options of the iteration
+     */
+    iterate(options?: MessageIterateOptions): AsyncGenerator<Message, void, undefined>;
+  }
+
+  /** The format of an archive */
+  export type ArchiveFormat = 'jsonl' | 'markdown' | 'html';
+
+  /** Options for archiving a channel */
+  export interface ArchiveOptions {
+    /** The format, from the extension of the file by default */
+    format?: ArchiveFormat;
+
+    /** Whether to download the attachments into a folder next to the archive */
+    downloadAttachments?: boolean;
+
+    /** Whether to continue an existing archive from its last message */
+    resume?: boolean;
+
+    /** Archive the messages after this one, instead of resuming */
+    after?: Message | string | Date;
+
+    /** Stop at this message or date, which isn't included */
+    until?: Message | string | Date;
+
+    /** The most messages to archive */
+    limit?: number;
+  }
+
+  /** The result of archiving a channel */
+  export interface ArchiveResult {
+    file: string;
+    format: ArchiveFormat;
+
+    /** The number of newly archived messages */
+    count: number;
+
+    /** The number of downloaded attachments */
+    attachments: number;
+
+    /** The ID of the last message of the archive, null when it is still empty */
+    lastMessageId: string | null;
+  }
+
+  /** Archives the history of a channel to JSONL, Markdown or HTML */
+  export class Archiver {
+    constructor(client: Client, options?: ArchiveOptions);
+    client: Client;
+    options: ArchiveOptions;
+
+    static FORMATS: ArchiveFormat[];
+
+    /**
+     * Archives the history of a channel, resuming an existing archive
+     * @param channel - The channel to archive
+     * @param file - The path of the archive
+     * @param options - The options of the archive
+     */
+    archive(channel: Channel | string, file: string, options?: ArchiveOptions): Promise<ArchiveResult>;
+
+    /**
+     * Gets the ID of the last message of an archive
+     * @param file - The path of the archive
+     * @param format - The format of the archive
+     */
+    lastArchivedId(file: string, format?: ArchiveFormat): Promise<string | null>;
+
+    /**
+     * Makes the mentions, custom emojis and timestamps of a message readable
+     * @param message - The message
+     */
+    resolveContent(message: Message): string;
+
+    static formatOf(file: string): ArchiveFormat | null;
+    static authorName(message: Message): string;
+    static formatDate(timestamp: number): string;
+    static formatSize(bytes: number): string;
+    static escapeHTML(text: string): string;
+    static formatHTML(text: string): string;
+  }
+
+  /** Anything a guild can be resolved from */
+  export type GuildResolvable = Guild | Channel | GuildMember | Message | string;
+
+  /** Caches guilds and fetches them from the API */
+  export class GuildManager {
+    constructor(client: Client);
+    client: Client;
+
+    /** The cached guilds, keyed by ID */
+    cache: Collection<string, Guild>;
+
+    /**
+     * Adds or updates a guild in the cache, along with its channels and members
+     * @param data - The guild data
+     * @param cache - Whether to cache a guild that is not cached yet
+     */
+    add(data: any, cache?: boolean): Guild;
+
+    /**
+     * Resolves a cached guild
+     * @param guild - The guild to resolve
+     */
+    resolve(guild: GuildResolvable): Guild | null;
+
+    /**
+     * Resolves the ID of a guild
+     * @param guild - The guild to resolve
+     */
+    resolveId(guild: GuildResolvable): string | null;
+
+    /**
+     * Fetches a guild, from the cache unless forced
+     * @param guild - The guild to fetch
+     * @param options - Whether to skip the cache, and whether to cache the fetched guild
+     */
+    fetch(guild: GuildResolvable, options?: { force?: boolean; cache?: boolean }): Promise<Guild>;
+  }
+
+  /** Anything a role can be resolved from */
+  export type RoleResolvable = Role | string;
+
+  /** Caches the roles of a guild and fetches them from the API */
+  export class RoleManager {
+    constructor(guild: Guild);
+    client: Client;
+    guild: Guild;
+
+    /** The cached roles, keyed by ID */
+    cache: Collection<string, Role>;
+
+    /** The @everyone role of the guild, if it is cached */
+    readonly everyone: Role | null;
+
+    /** The cached role with the highest position */
+    readonly highest: Role | null;
+
+    /**
+     * Adds or updates a role in the cache
+     * @param data - The role data
+     * @param cache - Whether to cache a role that is not cached yet
+     */
+    add(data: any, cache?: boolean): Role;
+
+    /**
+     * Resolves a cached role
+     * @param role - The role to resolve
+     */
+    resolve(role: RoleResolvable): Role | null;
+
+    /**
+     * Resolves the ID of a role
+     * @param role - The role to resolve
+     */
+    resolveId(role: RoleResolvable): string | null;
+
+    /**
+     * Fetches every role of the guild, or one of them, from the cache unless forced
+     * @param role - The role to fetch, every role when omitted
+     * @param options - Whether to skip the cache
+     */
+    fetch(role?: undefined, options?: { force?: boolean }): Promise<Collection<string, Role>>;
+    fetch(role: RoleResolvable, options?: { force?: boolean }): Promise<Role | null>;
+  }
+
+  /** Decides whether a 429 rejects with a RateLimitError, as route prefixes or a function */
+  export type RateLimitRejection = string[] | ((data: RateLimitData) => boolean);
+
+  /** A REST request received by the mock server */
+  export interface MockRequest {
+    method: string;
+    version: number | null;
+    path: string;
+    query: Record<string, string>;
+    headers: Record<string, string | string[] | undefined>;
+    body: any;
+    files: { name: string; filename: string; contentType: string | null; data: Buffer }[];
+    raw: Buffer;
+  }
+
+  /** Options for the mock server */
+  export interface MockDiscordServerOptions {
+    /** The only token accepted, any token is accepted when omitted */
+    token?: string | null;
+    user?: any;
+    guilds?: any[];
+    privateChannels?: any[];
+    relationships?: any[];
+    heartbeatInterval?: number;
+  }
+
+  /** Local stand-in for the Discord gateway and REST API */
+  export class MockDiscordServer {
+    constructor(options?: MockDiscordServerOptions);
+    on(event: 'request', listener: (request: MockRequest) => void): this;
+    on(event: 'payload' | 'identify' | 'resume', listener: (data: any) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    options: MockDiscordServerOptions;
+    ackHeartbeats: boolean;
+    requests: MockRequest[];
+    payloads: GatewayPacket[];
+    channels: Map<string, any>;
+    messages: Map<string, Map<string, any>>;
+    guilds: Map<string, any>;
+    users: Map<string, any>;
+    readonly apiURL: string;
+    readonly gatewayURL: string;
+    readonly port: number | null;
+    start(): Promise<this>;
+    stop(): Promise<void>;
+    clientOptions(): ClientOptions;
+    snowflake(): string;
+    addChannel(data: any): any;
+    addGuild(data: any): any;
+    addUser(data: any): any;
+    createMessage(channelId: string, data?: any): any;
+    dispatch(event: string, data: any): void;
+    disconnect(code?: number, reason?: string): void;
+    invalidateSessions(resumable?: boolean): void;
+    requestReconnect(): void;
+    rateLimit(options?: { method?: string; path?: string | RegExp; retryAfter?: number; global?: boolean; scope?: string; count?: number }): void;
+    respond(options: { method?: string; path?: string | RegExp; status?: number; headers?: Record<string, string>; body?: any; count?: number; delay?: number }): void;
+  }
+
+  /** A raw gateway packet */
+  export interface GatewayPacket {
+    /** The opcode */
+    op: number;
+
+    /** The event data */
+    d: any;
+
+    /** The sequence number, for dispatches */
+    s: number | null;
+
+    /** The event name, for dispatches */
+    t: string | null;
+  }
+
+  /** A function handling a gateway dispatch */
+  export type DispatchHandler = (client: Client, packet: GatewayPacket) => void;
+
+  /** Registry of gateway dispatch handlers */
+  export class HandlerRegistry {
+    constructor(client: Client);
+
+    /** The client that instantiated this registry */
+    client: Client;
+
+    /** The names of all dispatch events with a handler */
+    readonly events: string[];
+
+    /**
+     * Registers a handler for a dispatch event, replacing any existing one
+     * @param event - The dispatch event name
+     * @param handler - The handler to register
+     */
+    register(event: string, handler: DispatchHandler): this;
+
+    /**
+     * Removes the handler of a dispatch event, so that it is emitted as `raw`
+     * @param event - The dispatch event name
+     */
+    unregister(event: string): boolean;
+
+    /**
+     * Restores the built-in handler of a dispatch event
+     * @param event - The dispatch event name
+     */
+    restore(event: string): this;
+
+    /**
+     * Gets the handler of a dispatch event
+     * @param event - The dispatch event name
+     */
+    get(event: string): DispatchHandler | null;
+
+    /**
+     * Whether a dispatch event has a handler
+     * @param event - The dispatch event name
+     */
+    has(event: string): boolean;
+
+    /**
+     * Runs the handler of a dispatch packet, emitting unknown events as `raw`
+     * @param packet - The dispatch packet
+     */
+    handle(packet: GatewayPacket): boolean;
+  }
+
+  /** A gateway close event */
+  export interface CloseEventData {
+    /** The close code */
+    code: number;
+
+    /** The close reason */
+    reason: string | Buffer;
+  }
+
   /** Options for client configuration */
   export interface ClientOptions {
     /** The maximum number of messages to cache per channel */
@@ -79,6 +681,9 @@ declare module 'ghostselfbot' {
     
     /** The interval at which to sweep messages from the cache (in ms) */
     messageSweepInterval?: number;
+
+    /** The previous versions kept per message in Message#edits, Infinity to keep them all */
+    messageEditHistoryMaxSize?: number;
     
     /** Time added to REST request timeouts (in ms) */
     restTimeOffset?: number;
@@ -88,9 +693,54 @@ declare module 'ghostselfbot' {
     
     /** Number of times to retry a failed request */
     retryLimit?: number;
+
+    /** The 401, 403 and 429 responses allowed in 10 minutes before requests are refused */
+    invalidRequestThreshold?: number;
+
+    /** The fraction of invalidRequestThreshold at which invalidRequestWarning is first emitted */
+    invalidRequestWarningFraction?: number;
+
+    /** Routes for which a 429 rejects with a RateLimitError instead of being retried */
+    rejectOnRateLimit?: RateLimitRejection;
     
     /** Initial presence data */
     presence?: PresenceData;
+
+    /** HTTP options */
+    http?: HTTPOptions;
+
+    /** Gateway connection options */
+    ws?: WebSocketOptions;
+  }
+
+  /** Options for the REST API */
+  export interface HTTPOptions {
+    /** The base URL of the REST API, without the version */
+    api?: string;
+
+    /** The version of the REST API */
+    version?: number;
+
+    /** The base URL of the CDN */
+    cdn?: string;
+  }
+
+  /** Options for the gateway connection */
+  export interface WebSocketOptions {
+    /** The gateway URL, skips the GET /gateway lookup when set */
+    gateway?: string | null;
+
+    /** Whether to use zlib-stream transport compression */
+    compress?: boolean;
+
+    /** Payload encoding used on the gateway, `etf` decodes snowflakes as strings */
+    encoding?: 'json' | 'etf';
+
+    /** Base delay before the first reconnect attempt (in ms) */
+    reconnectDelay?: number;
+
+    /** Upper bound for the exponential reconnect backoff (in ms) */
+    maxReconnectDelay?: number;
   }
 
   /** Presence data */
@@ -195,20 +845,33 @@ declare module 'ghostselfbot' {
     
     /** Whether the message was edited */
     edited: boolean;
+
+    /** Whether the message has been deleted */
+    deleted: boolean;
     
     /** When the message was last edited */
     editedAt: Date | null;
     
     /** The message embeds */
     embeds: Embed[];
+
+    /** The attachments of the message, keyed by ID */
+    attachments: Collection<string, Attachment>;
     
-    /** Users mentioned in the message */
-    mentions: {
-      users: Collection<string, User>;
-      roles: Collection<string, Role>;
-      channels: Collection<string, Channel>;
-      everyone: boolean;
-    };
+    /** The users, roles and channels mentioned in the message */
+    mentions: MessageMentions;
+
+    /** The reactions to the message, keyed by emoji ID or unicode emoji */
+    reactions: Collection<string, MessageReaction>;
+
+    /** The versions of the message, newest first, starting with this one and at most messageEditHistoryMaxSize before it */
+    readonly edits: Message[];
+
+    /** Whether the message is pinned */
+    pinned: boolean;
+
+    /** The message this one replies to or forwards, if any */
+    reference: { messageId: string | null; channelId: string | null; guildId: string | null } | null;
 
     /**
      * Sends a reply to the message
@@ -232,6 +895,12 @@ declare module 'ghostselfbot' {
      * @param emoji - The emoji to react with
      */
     react(emoji: string): Promise<MessageReaction>;
+
+    /** Creates a reaction collector for the message */
+    createReactionCollector(options?: ReactionCollectorOptions): ReactionCollector;
+
+    /** Waits for reactions on the message */
+    awaitReactions(options?: ReactionCollectorOptions & AwaitOptions): Promise<Collection<string, MessageReaction>>;
   }
 
   /** Embed class for creating rich embeds */
@@ -319,12 +988,54 @@ declare module 'ghostselfbot' {
     /** The channel name */
     name: string | null;
 
+    /** The ID of the guild of the channel, if applicable */
+    guildId: string | null;
+
+    /** The ID of the parent channel, if applicable */
+    parentId: string | null;
+
+    /** The recipients of a direct message channel */
+    recipients: User[] | null;
+
+    /** Whether the channel is a text channel, which includes threads */
+    readonly isText: boolean;
+
+    /** Whether the channel is a thread */
+    readonly isThread: boolean;
+
+    /** Whether the channel is a DM */
+    readonly isDM: boolean;
+
+    /** Whether the channel is a voice channel */
+    readonly isVoice: boolean;
+
+    /** The permission overwrites of a guild channel, keyed by role or member ID */
+    permissionOverwrites: Collection<string, PermissionOverwrite>;
+
+    /** The messages of the channel */
+    messages: ChannelMessageManager;
+
+    /** Fetches the channel, patching it */
+    fetch(): Promise<this>;
+
+    /**
+     * Gets the permissions of a member or a role in the channel, null when it isn't cached
+     * @param memberOrRole - The member or role, a user or an ID
+     */
+    permissionsFor(memberOrRole: GuildMember | User | Role | string): Readonly<Permissions> | null;
+
     /**
      * Sends a message to the channel
      * @param content - The content to send
      */
     send(content: string | MessageOptions): Promise<Message>;
 
+    /** Creates a message collector for the channel */
+    createMessageCollector(options?: CollectorOptions<[Message]>): MessageCollector;
+
+    /** Waits for messages in the channel */
+    awaitMessages(options?: CollectorOptions<[Message]> & AwaitOptions): Promise<Collection<string, Message>>;
+
     /**
      * Deletes the channel
      */
@@ -351,8 +1062,14 @@ declare module 'ghostselfbot' {
     /** The collection of members in the guild */
     members: Collection<string, GuildMember>;
     
-    /** The collection of roles in the guild */
-    roles: Collection<string, Role>;
+    /** The roles of the guild */
+    roles: RoleManager;
+
+    /** The member of the client user, if it is cached */
+    readonly me: GuildMember | null;
+
+    /** Fetches every role of the guild */
+    fetchRoles(): Promise<Collection<string, Role>>;
   }
 
   /** GuildMember class representing a member of a Discord server */
@@ -366,8 +1083,139 @@ declare module 'ghostselfbot' {
     /** The member's nickname */
     nickname: string | null;
     
-    /** The collection of roles the member has */
-    roles: Collection<string, Role>;
+    /** The IDs of the roles of the member, without @everyone */
+    roleIds: string[];
+
+    /** The timestamp the timeout of the member ends at */
+    communicationDisabledUntil: number | null;
+
+    /** Whether the member is timed out, and can only view channels and read their history */
+    isCommunicationDisabled(): boolean;
+
+    /** The cached roles of the member, including @everyone */
+    readonly roles: Collection<string, Role>;
+
+    /** The cached role of the member with the highest position */
+    readonly highestRole: Role | null;
+
+    /** The permissions of the member in the guild */
+    readonly permissions: Readonly<Permissions>;
+
+    /** Whether the client user's highest role is above the member's */
+    readonly manageable: boolean;
+
+    /** Whether the client user can kick the member */
+    readonly kickable: boolean;
+
+    /** Whether the client user can ban the member */
+    readonly bannable: boolean;
+
+    /**
+     * Adds a role to the member
+     * @param role - The role to add
+     * @param reason - The reason for adding the role
+     */
+    addRole(role: RoleResolvable, reason?: string): Promise<GuildMember>;
+
+    /**
+     * Removes a role from the member
+     * @param role - The role to remove
+     * @param reason - The reason for removing the role
+     */
+    removeRole(role: RoleResolvable, reason?: string): Promise<GuildMember>;
+  }
+
+  /** Anything a bit field can be resolved from */
+  export type BitFieldResolvable<S extends string> = S | number | bigint | `${bigint}` | BitField<S> | BitFieldResolvable<S>[];
+
+  /** A set of flags stored as the bits of a bigint */
+  export class BitField<S extends string> implements Iterable<S> {
+    constructor(bits?: BitFieldResolvable<S>);
+
+    /** The bits of the field */
+    bitfield: bigint;
+
+    /** The bits of each flag, by name */
+    static FLAGS: Record<string, bigint>;
+
+    /** The bits of a field built without any */
+    static defaultBit: bigint;
+
+    any(bit: BitFieldResolvable<S>): boolean;
+    equals(bit: BitFieldResolvable<S>): boolean;
+    has(bit: BitFieldResolvable<S>): boolean;
+    missing(bits: BitFieldResolvable<S>): S[];
+    freeze(): Readonly<this>;
+    add(...bits: BitFieldResolvable<S>[]): this;
+    remove(...bits: BitFieldResolvable<S>[]): this;
+    serialize(): Record<S, boolean>;
+    toArray(): S[];
+    toJSON(): string;
+    valueOf(): bigint;
+    [Symbol.iterator](): IterableIterator<S>;
+    static resolve(bit?: BitFieldResolvable<string>): bigint;
+  }
+
+  /** The name of a permission */
+  export type PermissionString =
+    | 'CREATE_INSTANT_INVITE' | 'KICK_MEMBERS' | 'BAN_MEMBERS' | 'ADMINISTRATOR' | 'MANAGE_CHANNELS' | 'MANAGE_GUILD'
+    | 'ADD_REACTIONS' | 'VIEW_AUDIT_LOG' | 'PRIORITY_SPEAKER' | 'STREAM' | 'VIEW_CHANNEL' | 'SEND_MESSAGES'
+    | 'SEND_TTS_MESSAGES' | 'MANAGE_MESSAGES' | 'EMBED_LINKS' | 'ATTACH_FILES' | 'READ_MESSAGE_HISTORY'
+    | 'MENTION_EVERYONE' | 'USE_EXTERNAL_EMOJIS' | 'VIEW_GUILD_INSIGHTS' | 'CONNECT' | 'SPEAK' | 'MUTE_MEMBERS'
+    | 'DEAFEN_MEMBERS' | 'MOVE_MEMBERS' | 'USE_VAD' | 'CHANGE_NICKNAME' | 'MANAGE_NICKNAMES' | 'MANAGE_ROLES'
+    | 'MANAGE_WEBHOOKS' | 'MANAGE_EMOJIS_AND_STICKERS' | 'USE_APPLICATION_COMMANDS' | 'REQUEST_TO_SPEAK'
+    | 'MANAGE_EVENTS' | 'MANAGE_THREADS' | 'CREATE_PUBLIC_THREADS' | 'CREATE_PRIVATE_THREADS'
+    | 'USE_EXTERNAL_STICKERS' | 'SEND_MESSAGES_IN_THREADS' | 'USE_EMBEDDED_ACTIVITIES' | 'MODERATE_MEMBERS';
+
+  /** Anything permissions can be resolved from */
+  export type PermissionResolvable = BitFieldResolvable<PermissionString>;
+
+  /** The permissions of a role, a member or an overwrite */
+  export class Permissions extends BitField<PermissionString> {
+    /** The bit of each permission, by name */
+    static FLAGS: Record<PermissionString, bigint>;
+
+    /** Every permission */
+    static ALL: bigint;
+
+    /** The permissions @everyone has in a new guild */
+    static DEFAULT: bigint;
+
+    /**
+     * Whether the permissions have all of the bits
+     * @param permission - The permissions to look for
+     * @param checkAdmin - Whether ADMINISTRATOR grants every permission
+     */
+    has(permission: PermissionResolvable, checkAdmin?: boolean): boolean;
+
+    /**
+     * Whether the permissions have any of the bits
+     * @param permission - The permissions to look for
+     * @param checkAdmin - Whether ADMINISTRATOR grants every permission
+     */
+    any(permission: PermissionResolvable, checkAdmin?: boolean): boolean;
+
+    /**
+     * The names of the permissions that are missing
+     * @param permissions - The permissions to look for
+     * @param checkAdmin - Whether ADMINISTRATOR grants every permission
+     */
+    missing(permissions: PermissionResolvable, checkAdmin?: boolean): PermissionString[];
+  }
+
+  /** A permission overwrite of a guild channel */
+  export interface PermissionOverwrite {
+    /** The ID of the role or member */
+    id: string;
+
+    /** 0 for a role, 1 for a member */
+    type: 0 | 1;
+
+    /** The permissions the overwrite allows */
+    allow: Readonly<Permissions>;
+
+    /** The permissions the overwrite denies */
+    deny: Readonly<Permissions>;
   }
 
   /** Collection class for storing and managing data */
@@ -391,9 +1239,74 @@ declare module 'ghostselfbot' {
     map<T>(fn: (item: V, key: K, collection: this) => T): T[];
 
     /**
-     * Gets the size of the collection
+     * Checks whether an item passes a predicate
+     * @param fn - The predicate function
+     */
+    some(fn: (item: V, key: K, collection: this) => boolean): boolean;
+
+    /**
+     * Checks whether every item passes a predicate
+     * @param fn - The predicate function
      */
-    get size(): number;
+    every(fn: (item: V, key: K, collection: this) => boolean): boolean;
+
+    /**
+     * Gets the first item, or the first items
+     * @param amount - How many items to get, from the end when negative
+     */
+    first(): V | undefined;
+    first(amount: number): V[];
+
+    /**
+     * Gets the last item, or the last items
+     * @param amount - How many items to get, from the start when negative
+     */
+    last(): V | undefined;
+    last(amount: number): V[];
+
+    /**
+     * Gets a random item, or random different items
+     * @param amount - How many items to get
+     */
+    random(): V | undefined;
+    random(amount: number): V[];
+
+    /**
+     * Removes the items that pass a predicate
+     * @param fn - The predicate function
+     * @returns The number of items removed
+     */
+    sweep(fn: (item: V, key: K, collection: this) => boolean): number;
+
+    /**
+     * Splits the collection in the items that pass a predicate and the others
+     * @param fn - The predicate function
+     */
+    partition(fn: (item: V, key: K, collection: this) => boolean): [Collection<K, V>, Collection<K, V>];
+
+    /**
+     * Reduces the collection to a single value
+     * @param fn - The reducer function
+     * @param initialValue - The starting value, the first item when omitted
+     */
+    reduce(fn: (accumulator: V, item: V, key: K, collection: this) => V): V;
+    reduce<T>(fn: (accumulator: T, item: V, key: K, collection: this) => T, initialValue: T): T;
+
+    /**
+     * Sorts the collection in place
+     * @param compareFn - Compares two items, then their keys
+     */
+    sort(compareFn?: (firstValue: V, secondValue: V, firstKey: K, secondKey: K) => number): this;
+
+    /**
+     * Gets the items as JSON
+     */
+    toJSON(): unknown[];
+
+    /**
+     * The order used by `sort` when no compare function is given
+     */
+    static defaultSort<V>(firstValue: V, secondValue: V): number;
   }
 
   /** Channel types */
@@ -479,29 +1392,80 @@ declare module 'ghostselfbot' {
     };
   }
 
+  /** The position of a GUILD_MEMBERS_CHUNK in its response */
+  export interface GuildMembersChunk {
+    /** The index of the chunk, from 0 */
+    index: number;
+
+    /** The number of chunks of the response */
+    count: number;
+
+    /** The requested IDs that are not members of the guild */
+    notFound: string[];
+
+    /** The nonce of the request */
+    nonce: string | null;
+  }
+
   /** Client events */
   export interface ClientEvents {
     ready: [];
+    resumed: [];
+    shardDisconnect: [event: CloseEventData];
+    shardReconnecting: [event: CloseEventData];
+    invalidated: [error: GatewayError];
+    raw: [packet: GatewayPacket];
     message: [message: Message];
     messageUpdate: [oldMessage: Message | null, newMessage: Message];
     messageDelete: [message: Message];
+    messageDeleteBulk: [messages: Collection<string, Message>];
     messageReactionAdd: [reaction: MessageReaction, user: User];
     messageReactionRemove: [reaction: MessageReaction, user: User];
+    messageReactionRemoveAll: [message: Message, reactions: Collection<string, MessageReaction>];
+    messageReactionRemoveEmoji: [reaction: MessageReaction];
     channelCreate: [channel: Channel];
     channelUpdate: [oldChannel: Channel, newChannel: Channel];
     channelDelete: [channel: Channel];
     guildCreate: [guild: Guild];
     guildUpdate: [oldGuild: Guild, newGuild: Guild];
     guildDelete: [guild: Guild];
+    guildAvailable: [guild: Guild];
+    guildUnavailable: [guild: Guild];
     guildMemberAdd: [member: GuildMember];
     guildMemberUpdate: [oldMember: GuildMember, newMember: GuildMember];
     guildMemberRemove: [member: GuildMember];
+    guildMembersChunk: [members: Collection<string, GuildMember>, guild: Guild, chunk: GuildMembersChunk];
+    roleCreate: [role: Role];
+    roleUpdate: [oldRole: Role, newRole: Role];
+    roleDelete: [role: Role];
+    threadCreate: [thread: ThreadChannel, newlyCreated: boolean];
+    threadUpdate: [oldThread: ThreadChannel, newThread: ThreadChannel];
+    threadDelete: [thread: ThreadChannel];
+    threadListSync: [threads: Collection<string, ThreadChannel>, guild: Guild];
+    threadMembersUpdate: [oldMembers: Collection<string, ThreadMember>, newMembers: Collection<string, ThreadMember>, thread: ThreadChannel];
     presenceUpdate: [oldPresence: Presence | null, newPresence: Presence];
     userUpdate: [oldUser: User, newUser: User];
-    error: [error: Error];
+    typingStart: [channel: Channel, user: User];
+    relationshipAdd: [user: User, type: number];
+    relationshipRemove: [user: User, type: number];
+    /** The event name is given when a dispatch handler threw */
+    error: [error: Error, event?: string];
     warn: [message: string];
     debug: [message: string];
     rateLimit: [rateLimitData: RateLimitData];
+    invalidRequestWarning: [data: InvalidRequestWarningData];
+  }
+
+  /** Data of the invalidRequestWarning event */
+  export interface InvalidRequestWarningData {
+    /** The number of 401, 403 and 429 responses in the last 10 minutes */
+    count: number;
+
+    /** Whether the threshold is reached and requests are refused */
+    limited: boolean;
+
+    /** The time in ms until the oldest invalid request leaves the window */
+    remainingTime: number;
   }
 
   /** Rate limit data */
@@ -518,8 +1482,86 @@ declare module 'ghostselfbot' {
     /** The timeout in ms */
     timeout: number;
     
-    /** When the route will no longer be rate limited */
+    /** The number of requests allowed in the bucket */
+    limit: number;
+
+    /** The bucket the route belongs to */
+    bucket: string;
+
+    /** Whether the limit applies to every route */
+    global: boolean;
+
+    /** The scope of the limit */
+    scope: 'user' | 'global' | 'shared';
+  }
+
+  /** A rate limit bucket with its own request queue */
+  export class RequestBucket {
+    constructor(id: string, options?: { limit?: number; interval?: number });
+    id: string;
     limit: number;
+    remaining: number;
+    reset: number;
+    interval: number;
+    readonly limited: boolean;
+    readonly inactive: boolean;
+    readonly size: number;
+    push<T>(task: () => Promise<T>, signal?: AbortSignal): Promise<T>;
+    adopt(bucket: RequestBucket): void;
+    refresh(): void;
+    update(headers: Record<string, string>): void;
+  }
+
+  /** Options for the request scheduler */
+  export interface RequestSchedulerOptions {
+    /** Extra time in ms to wait after a limit resets */
+    timeOffset?: number;
+
+    /** The requests allowed per second across all buckets */
+    globalLimit?: number;
+
+    /** The time in ms to wait after a 429 that doesn't say how long */
+    retryAfter?: number;
+
+    /** The requests allowed per bucket and interval before the API says otherwise */
+    limit?: number;
+
+    /** The length in ms of the local window of each bucket */
+    interval?: number;
+
+    /** How often in ms to drop inactive buckets, 0 to never */
+    sweepInterval?: number;
+
+    /** The invalid requests allowed per window before refusing to send */
+    invalidRequestThreshold?: number;
+
+    /** The length in ms of the invalid request window */
+    invalidRequestWindow?: number;
+
+    /** The fraction of the threshold at which to warn first, 1 to only warn when requests start being refused */
+    invalidRequestWarningFraction?: number;
+
+    /** Routes for which a 429 rejects with a RateLimitError instead of being retried */
+    rejectOnRateLimit?: RateLimitRejection;
+  }
+
+  /** Bucket-aware request scheduler */
+  export class RequestScheduler {
+    constructor(options?: RequestSchedulerOptions);
+    static route(method: string | null, path: string): string;
+    static majorParameter(path: string): string;
+    options: RequestSchedulerOptions;
+    buckets: Map<string, RequestBucket>;
+    readonly globallyLimited: boolean;
+    readonly invalidRequestCount: number;
+    queue<T>(route: string, request: () => Promise<T>, details?: { method?: string; path?: string; signal?: AbortSignal }): Promise<T>;
+    bucketFor(route: string): RequestBucket;
+    sweep(): number;
+    reset(): void;
+    destroy(): void;
+    on(event: 'rateLimit', listener: (data: RateLimitData) => void): this;
+    on(event: 'invalidRequestWarning', listener: (data: InvalidRequestWarningData) => void): this;
+    on(event: 'debug', listener: (message: string) => void): this;
   }
 
   /** Options for sending a message */
@@ -536,8 +1578,8 @@ declare module 'ghostselfbot' {
     /** Message components (buttons, select menus, etc.) */
     components?: unknown[];
     
-    /** Files to send */
-    files?: unknown[];
+    /** Files to upload with the message */
+    files?: (FileOptions | BufferResolvable)[];
     
     /** Whether to allow mentions */
     allowedMentions?: {
@@ -547,8 +1589,42 @@ declare module 'ghostselfbot' {
     };
   }
 
-  /** Message reaction */
-  export interface MessageReaction {
+  /** A buffer, a readable stream, a file path or an http(s) URL */
+  export type BufferResolvable = Buffer | NodeJS.ReadableStream | string;
+
+  /** A file to upload */
+  export interface FileOptions {
+    /** The content of the file */
+    attachment: BufferResolvable;
+
+    /** The file name, guessed from the path when omitted */
+    name?: string;
+
+    /** The alt text of the file */
+    description?: string;
+
+    /** Whether to hide the file behind a spoiler */
+    spoiler?: boolean;
+  }
+
+  /** A file resolved for upload */
+  export interface ResolvedFile {
+    name: string;
+    data: Buffer;
+    description?: string;
+  }
+
+  /** Resolves files into buffers that can be sent more than once */
+  export class DataResolver {
+    static resolveFile(resource: BufferResolvable): Promise<Buffer>;
+    static resolveFiles(files: (FileOptions | BufferResolvable)[]): Promise<ResolvedFile[]>;
+    static basename(attachment: BufferResolvable): string;
+  }
+
+  /** The reactions of one emoji on a message */
+  export class MessageReaction {
+    static keyOf(emoji: { id: string | null; name: string }): string;
+
     /** The message this reaction is for */
     message: Message;
     
@@ -564,10 +1640,138 @@ declare module 'ghostselfbot' {
     
     /** Whether the current user reacted */
     me: boolean;
+
+    /** The users seen reacting since the message was cached */
+    users: Collection<string, User>;
+
+    /** The emoji in the form the API expects in URLs */
+    readonly identifier: string;
+
+    /** Removes a user's reaction, the client user's by default */
+    remove(userId?: string): Promise<MessageReaction>;
+  }
+
+  /** Options of a collector */
+  export interface CollectorOptions<T extends any[]> {
+    /** Decides whether an item is collected */
+    filter?: (...args: [...T, Collection<string, T[0]>]) => boolean | Promise<boolean>;
+
+    /** How long in ms to collect for */
+    time?: number;
+
+    /** How long in ms to go on without collecting anything */
+    idle?: number;
+
+    /** How many items to collect */
+    max?: number;
+
+    /** How many items to look at, collected or not */
+    maxProcessed?: number;
+
+    /** Whether items deleted after being collected are removed again */
+    dispose?: boolean;
+  }
+
+  /** Options of a reaction collector */
+  export interface ReactionCollectorOptions extends CollectorOptions<[MessageReaction, User]> {
+    /** How many reactions to collect, repeats of an emoji included */
+    max?: number;
+
+    /** How many different emojis to collect */
+    maxEmojis?: number;
+
+    /** How many different users to collect reactions from */
+    maxUsers?: number;
+  }
+
+  /** Options of the await helpers */
+  export interface AwaitOptions {
+    /** End reasons that reject instead of resolving */
+    errors?: string[];
+  }
+
+  /** Collects the items of client events that pass a filter */
+  export abstract class Collector<V, T extends any[]> {
+    constructor(client: Client, options?: CollectorOptions<T>);
+    client: Client;
+    options: CollectorOptions<T>;
+    filter: (...args: any[]) => boolean | Promise<boolean>;
+    collected: Collection<string, V>;
+    received: number;
+    ended: boolean;
+    endReason: string | null;
+    readonly next: Promise<V>;
+    handleCollect(...args: T): Promise<void>;
+    handleDispose(...args: T): void;
+    resetTimer(options?: { time?: number; idle?: number }): void;
+    checkEnd(): boolean;
+    stop(reason?: string): void;
+    endCondition(): string | null;
+    abstract collect(...args: T): string | null;
+    abstract dispose(...args: T): string | null;
+    on(event: 'collect' | 'dispose', listener: (...args: T) => void): this;
+    on(event: 'end', listener: (collected: Collection<string, V>, reason: string) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    once(event: 'collect' | 'dispose', listener: (...args: T) => void): this;
+    once(event: 'end', listener: (collected: Collection<string, V>, reason: string) => void): this;
+    once(event: 'error', listener: (error: Error) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+  }
+
+  /** Collects the messages sent in a channel */
+  export class MessageCollector extends Collector<Message, [Message]> {
+    constructor(channel: Channel, options?: CollectorOptions<[Message]>);
+    channel: Channel;
+    collect(message: Message): string | null;
+    dispose(message: Message): string | null;
+  }
+
+  /** Collects the reactions added to a message */
+  export class ReactionCollector extends Collector<MessageReaction, [MessageReaction, User]> {
+    constructor(message: Message, options?: ReactionCollectorOptions);
+    message: Message;
+    users: Collection<string, User>;
+    total: number;
+    collect(reaction: MessageReaction): string | null;
+    dispose(reaction: MessageReaction): string | null;
+    on(event: 'collect' | 'dispose' | 'remove', listener: (reaction: MessageReaction, user: User) => void): this;
+    on(event: 'end', listener: (collected: Collection<string, MessageReaction>, reason: string) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+  }
+
+  /** A file attached to a message */
+  export class Attachment {
+    id: string;
+    name: string;
+    description: string | null;
+    contentType: string | null;
+    size: number;
+    url: string;
+    proxyURL: string | null;
+    height: number | null;
+    width: number | null;
+    ephemeral: boolean;
+    readonly spoiler: boolean;
+    toJSON(): object;
+  }
+
+  /** The mentions of a message, resolved from the cache */
+  export class MessageMentions {
+    message: Message;
+    users: Collection<string, User>;
+    roleIds: string[];
+    everyone: boolean;
+    readonly roles: Collection<string, Role>;
+    readonly members: Collection<string, GuildMember>;
+    readonly channels: Collection<string, Channel>;
+    has(data: string | { id: string }, options?: { ignoreEveryone?: boolean }): boolean;
   }
 
   /** Role class representing a Discord role */
-  export interface Role {
+  export class Role {
+    constructor(client: Client, guild: Guild, data: any);
+    client: Client;
+
     /** The role ID */
     id: string;
     
@@ -584,7 +1788,7 @@ declare module 'ghostselfbot' {
     position: number;
     
     /** The role permissions */
-    permissions: bigint;
+    permissions: Readonly<Permissions>;
     
     /** Whether the role is mentionable */
     mentionable: boolean;
@@ -594,12 +1798,206 @@ declare module 'ghostselfbot' {
     
     /** Whether the role is managed by an integration */
     managed: boolean;
+
+    /** The icon hash of the role */
+    icon: string | null;
+
+    /** The unicode emoji of the role */
+    unicodeEmoji: string | null;
+
+    /** The tags of the role */
+    tags: { bot_id?: string; integration_id?: string; premium_subscriber?: null } | null;
+
+    /** The hexadecimal color of the role */
+    readonly hexColor: string;
+
+    /** The cached members that have the role */
+    readonly members: Collection<string, GuildMember>;
+
+    /**
+     * Compares the position of the role with another role
+     * @param role - The role to compare with
+     */
+    comparePositionTo(role: Role): number;
+
+    toString(): string;
   }
 
-  /** DM Channel */
-  export interface DMChannel extends Channel {
-    /** The recipient of the DM */
-    recipient: User;
+  /** A text or announcement channel of a guild */
+  export class TextChannel extends Channel {
+    /** Whether the channel is an announcement channel */
+    readonly isNews: boolean;
+
+    /** The last message sent in the channel, if it is cached */
+    readonly lastMessage: Message | null;
+
+    /** The cached threads of the channel */
+    readonly threads: Collection<string, ThreadChannel>;
+
+    /**
+     * Creates a thread in the channel, from a message or on its own
+     * @param options - The options of the thread
+     */
+    createThread(options: ThreadCreateOptions): Promise<ThreadChannel>;
+  }
+
+  /** The options of a new thread */
+  export interface ThreadCreateOptions {
+    /** The name of the thread */
+    name: string;
+
+    /** The minutes of inactivity after which the thread is archived */
+    autoArchiveDuration?: ThreadAutoArchiveDuration;
+
+    /** The message to start the thread from */
+    startMessage?: Message | string;
+
+    /** The type of a thread not started from a message */
+    type?: number;
+
+    /** Whether members can invite others to a private thread */
+    invitable?: boolean;
+
+    /** The slowmode of the thread in seconds */
+    rateLimitPerUser?: number;
+
+    /** The reason for creating the thread */
+    reason?: string;
+  }
+
+  /** The minutes of inactivity after which a thread is archived */
+  export type ThreadAutoArchiveDuration = 60 | 1440 | 4320 | 10080;
+
+  /** A direct message or group direct message channel */
+  export class DMChannel extends Channel {
+    /** The recipient of the DM, the first recipient of a group */
+    readonly recipient: User | null;
+
+    /** Whether the channel is a group direct message */
+    readonly isGroup: boolean;
+
+    /** The last message sent in the channel, if it is cached */
+    readonly lastMessage: Message | null;
+  }
+
+  /** A voice or stage channel of a guild */
+  export class VoiceChannel extends Channel {
+    /** The voice region of the channel, null to pick it automatically */
+    rtcRegion: string | null;
+
+    /** The camera video quality mode of the channel */
+    videoQualityMode: number;
+
+    /** Whether the channel is a stage channel */
+    readonly isStage: boolean;
+  }
+
+  /** A category grouping channels of a guild */
+  export class CategoryChannel extends Channel {
+    /** The cached channels of the category, sorted by position */
+    readonly children: Collection<string, Channel>;
+  }
+
+  /** A public, private or announcement thread */
+  export class ThreadChannel extends Channel {
+    /** Whether the thread is private */
+    readonly isPrivate: boolean;
+
+    /** Whether the thread is archived */
+    archived: boolean;
+
+    /** The timestamp the thread was last archived or unarchived at */
+    archivedAt: number | null;
+
+    /** The minutes of inactivity after which the thread is archived */
+    autoArchiveDuration: ThreadAutoArchiveDuration;
+
+    /** Whether the thread is locked */
+    locked: boolean;
+
+    /** Whether members can invite others to a private thread */
+    invitable: boolean | null;
+
+    /** The timestamp the thread was created at */
+    createdAt: number | null;
+
+    /** The approximate number of messages in the thread */
+    messageCount: number | null;
+
+    /** The approximate number of members in the thread */
+    memberCount: number | null;
+
+    /** The cached members of the thread, keyed by user ID */
+    members: Collection<string, ThreadMember>;
+
+    /** Whether the client user is a member of the thread */
+    readonly joined: boolean;
+
+    /**
+     * Edits the thread
+     * @param data - The fields to edit
+     * @param reason - The reason for editing the thread
+     */
+    edit(data: ThreadEditData, reason?: string): Promise<ThreadChannel>;
+
+    /**
+     * Archives or unarchives the thread
+     * @param archived - Whether to archive the thread
+     * @param reason - The reason for archiving the thread
+     */
+    setArchived(archived?: boolean, reason?: string): Promise<ThreadChannel>;
+
+    /**
+     * Locks or unlocks the thread
+     * @param locked - Whether to lock the thread
+     * @param reason - The reason for locking the thread
+     */
+    setLocked(locked?: boolean, reason?: string): Promise<ThreadChannel>;
+
+    /** Joins the thread */
+    join(): Promise<ThreadChannel>;
+
+    /** Leaves the thread */
+    leave(): Promise<ThreadChannel>;
+
+    /** Fetches the members of the thread */
+    fetchMembers(): Promise<Collection<string, ThreadMember>>;
+  }
+
+  /** The fields of a thread that can be edited */
+  export interface ThreadEditData {
+    name?: string;
+    archived?: boolean;
+    autoArchiveDuration?: ThreadAutoArchiveDuration;
+    locked?: boolean;
+    invitable?: boolean;
+    rateLimitPerUser?: number;
+  }
+
+  /** A user that joined a thread */
+  export class ThreadMember {
+    constructor(thread: ThreadChannel, data: any);
+    client: Client;
+
+    /** The thread the member is part of */
+    thread: ThreadChannel;
+
+    /** The ID of the user */
+    id: string;
+
+    /** The timestamp the user joined the thread at */
+    joinedAt: number | null;
+
+    /** The notification flags of the member */
+    flags: number;
+
+    /** The user of the member, if it is cached */
+    readonly user: User | null;
+
+    /** The guild member of the member, if it is cached */
+    readonly guildMember: GuildMember | null;
+
+    toString(): string;
   }
 
   /** User profile */
@@ -637,6 +2035,12 @@ declare module 'ghostselfbot' {
      * @param options - Split options
      */
     splitMessage(text: string, options?: { maxLength?: number; char?: string; prepend?: string; append?: string }): string[];
+
+    /**
+     * The lowest snowflake of a time, to page through messages by date
+     * @param date - The date, or its timestamp in ms
+     */
+    timestampToSnowflake(date: Date | number): string;
   };
 
   /** Constants used throughout the library */
@@ -658,6 +2062,9 @@ declare module 'ghostselfbot' {
     
     /** Channel Types */
     ChannelTypes: Record<string, number>;
+
+    /** Error codes sent by the API */
+    APIErrors: Record<string, number>;
   };
 }
 